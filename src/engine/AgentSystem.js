@@ -0,0 +1,233 @@
+/**
+ * AgentSystem.js - Spawner and enemy agents for the AI Rebellion scenario
+ *
+ * The scenario's "AI" is a set of spawners that create enemies on their
+ * own, as fast as their spawn rate says. Student scripts drive them from
+ * Update() - lower the rate, stop at a budget, despawn the oldest - and
+ * the system keeps the numbers the lesson is about: agents alive now,
+ * spawns in the last second, and a once-a-second history of both.
+ *
+ * AGENTS:
+ * - spawner: stands still and creates an enemy every 1/rate seconds
+ * - enemy:   wanders (a random walk that turns back at the edge of the
+ *            ground) or seeks a point and stops there
+ * Agents are 'spawner' / 'enemy' entities (see PrefabRegistry), so a
+ * few hundred enemies are still a couple of draw calls.
+ *
+ * Randomness comes from the scene's layout seed, so a run with the same
+ * script and seed plays out the same way.
+ *
+ * maxAgents is a safety net for the N4000, not the lesson: past it,
+ * spawns are dropped and onLimit fires once per run.
+ */
+
+import { SeededRandom } from './SeededRandom.js';
+
+const WORLD_EDGE = 45;        // Wanderers turn back past this
+const SPAWN_RADIUS = 2;       // Enemies appear this far from their spawner
+const RATE_WINDOW = 1;        // Seconds spawnRate counts over
+const HISTORY_LENGTH = 120;   // One sample per second
+const ARRIVE_DISTANCE = 0.5;
+
+export class AgentSystem {
+    /**
+     * @param {EntityManager} entities - Draws the agents
+     * @param {Object} [options] - { maxAgents, seed }
+     */
+    constructor(entities, { maxAgents = 400, seed = 1 } = {}) {
+        this.entities = entities;
+        this.maxAgents = maxAgents;
+        this.agents = new Map();  // agent id -> agent
+        this.byKey = new Map();   // script's id -> agent, for agents a script created
+        this.nextId = 1;
+        this.random = new SeededRandom(seed);
+
+        // Stats
+        this.time = 0;
+        this.spawned = 0;
+        this.peakActive = 0;
+        this.spawnTimes = [];     // this.time of each spawn in the last RATE_WINDOW
+        this.history = [];        // { time, active, spawnRate } once a second
+        this.nextSample = 0;
+        this.limitReported = false;
+
+        // Callbacks
+        this.onLimit = null;      // (maxAgents) => void - first spawn dropped this run
+    }
+
+    get active() {
+        return this.agents.size;
+    }
+
+    get spawnRate() {
+        return this.spawnTimes.length / RATE_WINDOW;
+    }
+
+    // ========== AGENTS ==========
+
+    /**
+     * @param {string} kind - 'spawner' | 'enemy'
+     * @param {Object} [options] - { key: the script's id, position: [x, z], rate }
+     * @returns {Object|null} The agent, or null past maxAgents
+     */
+    spawn(kind, { key = null, position = [0, 0], rate = 1 } = {}) {
+        if (this.agents.size >= this.maxAgents) {
+            if (!this.limitReported && this.onLimit) this.onLimit(this.maxAgents);
+            this.limitReported = true;
+            return null;
+        }
+        const [x, z] = position;
+        const agent = {
+            id: this.nextId++,
+            key,
+            kind,
+            entity: this.entities.spawn(kind, { position: [x, 0, z] }),
+            heading: this.random.range(0, Math.PI * 2),
+            speed: kind === 'enemy' ? 3 : 0,
+            mode: kind === 'enemy' ? 'wander' : 'idle',
+            target: null,
+            rate: kind === 'spawner' ? rate : 0,
+            pending: 0,           // Spawner: part of the next enemy built up
+            children: 0           // Spawner: enemies it created
+        };
+        this.agents.set(agent.id, agent);
+        if (key !== null) this.byKey.set(key, agent);
+
+        this.spawned++;
+        this.spawnTimes.push(this.time);
+        this.peakActive = Math.max(this.peakActive, this.agents.size);
+        return agent;
+    }
+
+    despawn(agent) {
+        if (!this.agents.delete(agent.id)) return;
+        if (agent.key !== null) this.byKey.delete(agent.key);
+        agent.entity.despawn();
+    }
+
+    /**
+     * A change from a script (see SceneCommandBuffer 'agent' commands)
+     * @param {Object} agent
+     * @param {Object} change - { rate, speed, seek: [x, z], wander: true }
+     */
+    change(agent, { rate, speed, seek, wander }) {
+        if (rate !== undefined) agent.rate = rate;
+        if (speed !== undefined) agent.speed = speed;
+        if (seek) {
+            agent.mode = 'seek';
+            agent.target = seek;
+        }
+        if (wander) {
+            agent.mode = 'wander';
+            agent.target = null;
+        }
+    }
+
+    /**
+     * Remove every agent and start the stats over (a new run)
+     * @param {number|string} [seed] - Layout seed for the new run's randomness
+     */
+    clear(seed = null) {
+        for (const agent of this.agents.values()) agent.entity.despawn();
+        this.agents.clear();
+        this.byKey.clear();
+        if (seed !== null) this.random = new SeededRandom(seed);
+        this.time = 0;
+        this.spawned = 0;
+        this.peakActive = 0;
+        this.spawnTimes = [];
+        this.history = [];
+        this.nextSample = 0;
+        this.limitReported = false;
+    }
+
+    // ========== SIMULATION ==========
+
+    /**
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        if (this.agents.size === 0 && this.spawnTimes.length === 0) return;
+        this.time += deltaTime;
+
+        // Enemies spawned this frame join the loop and take their first step
+        for (const agent of this.agents.values()) {
+            if (agent.kind === 'spawner') this.updateSpawner(agent, deltaTime);
+            else this.move(agent, deltaTime);
+        }
+
+        while (this.spawnTimes.length > 0 && this.spawnTimes[0] <= this.time - RATE_WINDOW) {
+            this.spawnTimes.shift();
+        }
+        if (this.time >= this.nextSample) {
+            this.history.push({ time: Math.round(this.time), active: this.active, spawnRate: this.spawnRate });
+            if (this.history.length > HISTORY_LENGTH) this.history.shift();
+            this.nextSample += 1;
+        }
+    }
+
+    updateSpawner(spawner, deltaTime) {
+        spawner.pending += Math.max(0, spawner.rate) * deltaTime;
+        const [x, , z] = spawner.entity.position;
+        while (spawner.pending >= 1) {
+            spawner.pending -= 1;
+            const angle = this.random.range(0, Math.PI * 2);
+            const enemy = this.spawn('enemy', {
+                position: [x + Math.cos(angle) * SPAWN_RADIUS, z + Math.sin(angle) * SPAWN_RADIUS]
+            });
+            if (!enemy) {
+                spawner.pending = 0;
+                return;
+            }
+            spawner.children++;
+        }
+    }
+
+    move(agent, deltaTime) {
+        const position = agent.entity.position;
+        let distance = Infinity;      // To the target, when seeking
+        if (agent.mode === 'wander') {
+            agent.heading += this.random.range(-2, 2) * deltaTime;
+            // Past the edge: head back toward the middle
+            if (Math.abs(position[0]) > WORLD_EDGE || Math.abs(position[2]) > WORLD_EDGE) {
+                agent.heading = Math.atan2(-position[2], -position[0]);
+            }
+        } else if (agent.mode === 'seek') {
+            const dx = agent.target[0] - position[0];
+            const dz = agent.target[1] - position[2];
+            distance = Math.hypot(dx, dz);
+            if (distance < ARRIVE_DISTANCE) return;
+            agent.heading = Math.atan2(dz, dx);
+        } else {
+            return;
+        }
+
+        // A fast agent (or a long frame) stops on the target instead of stepping past it
+        const step = Math.min(agent.speed * deltaTime, distance);
+        position[0] += Math.cos(agent.heading) * step;
+        position[2] += Math.sin(agent.heading) * step;
+        agent.entity.rotation = -agent.heading + Math.PI / 2; // Face where it's going
+        this.entities.update(agent.entity);
+    }
+
+    // ========== STATS ==========
+
+    /**
+     * What the scenario (and the worker, every frame) reads
+     * @returns {{active: number, spawned: number, spawnRate: number, peakActive: number, spawners: Object<number, number>}}
+     *   spawners: script id -> enemies that spawner created
+     */
+    getStats() {
+        const spawners = {};
+        for (const [key, agent] of this.byKey) {
+            if (agent.kind === 'spawner') spawners[key] = agent.children;
+        }
+        return {
+            active: this.active,
+            spawned: this.spawned,
+            spawnRate: this.spawnRate,
+            peakActive: this.peakActive,
+            spawners
+        };
+    }
+}
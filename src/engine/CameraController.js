@@ -0,0 +1,285 @@
+/**
+ * CameraController.js - Auto-orbit or hands-on viewport camera
+ *
+ * Two modes:
+ * - auto: the slow orbit around the forest the viewport always had
+ *         (fixed radius, gently bobbing height)
+ * - free: the student drives - drag to orbit, right-drag (or two
+ *         fingers) to pan, wheel/pinch to zoom (three's OrbitControls),
+ *         plus keyboard moves from main.js (see handleKey())
+ * focus(object) frames one object and switches to free mode, so the
+ * Hierarchy can take the student straight to it; focusBox() does the same
+ * for a single instance of an InstancedMesh.
+ *
+ * Mode, position and target are saved per scenario in localStorage
+ * (setScope() picks the scenario), so coming back to a scenario puts the
+ * camera where the student left it.
+ *
+ * USAGE:
+ * ```javascript
+ * cameraController.setMode('free');
+ * cameraController.focus(someMesh);
+ * cameraController.update(deltaTime, elapsedTime); // every frame
+ * ```
+ */
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+
+const STORAGE_KEY = 'orbrya-camera';
+const DEFAULT_SCOPE = 'sandbox';
+const AUTO_TARGET = new THREE.Vector3(0, 5, 0);
+const MIN_DISTANCE = 2;
+const MAX_DISTANCE = 200;
+const KEY_ROTATE = Math.PI / 24;  // Q/E: 7.5° per press
+const KEY_ZOOM = 1.15;            // +/-: 15% closer or further
+const KEY_PAN = 0.05;             // Arrows: 5% of the distance to the target
+const SAVE_DELAY_MS = 500;
+
+export class CameraController {
+    /**
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {HTMLElement} domElement - The canvas the pointer events come from
+     */
+    constructor(camera, domElement) {
+        this.camera = camera;
+        this.mode = 'auto';
+        this.scope = null;        // None until setScope() - nothing to save over yet
+
+        // Auto orbit
+        this.angle = 0;
+        this.radius = 60;
+        this.height = 30;
+        this.orbitSpeed = 0.15;
+
+        this.controls = new OrbitControls(camera, domElement);
+        this.controls.enabled = false;
+        this.controls.target.copy(AUTO_TARGET);
+        this.controls.minDistance = MIN_DISTANCE;
+        this.controls.maxDistance = MAX_DISTANCE;
+        this.controls.maxPolarAngle = Math.PI / 2 - 0.05; // Stay above the ground
+        this.controls.addEventListener('end', () => this.scheduleSave());
+
+        this.saveTimeout = null;
+
+        // Callbacks
+        this.onModeChange = null; // (mode) => void
+    }
+
+    // ========== MODES ==========
+
+    /**
+     * @param {string} mode - 'auto' | 'free'
+     */
+    setMode(mode) {
+        if (mode === this.mode) return;
+        this.mode = mode;
+        this.controls.enabled = mode === 'free';
+        if (mode === 'auto') {
+            // Pick the orbit up from where the camera is, not from where it was
+            this.angle = Math.atan2(this.camera.position.z, this.camera.position.x);
+            this.controls.target.copy(AUTO_TARGET);
+        }
+        console.log(`[Camera] ${mode === 'free' ? 'Free camera' : 'Auto orbit'}`);
+        if (this.onModeChange) this.onModeChange(mode);
+        this.scheduleSave();
+    }
+
+    toggleMode() {
+        this.setMode(this.mode === 'auto' ? 'free' : 'auto');
+    }
+
+    /**
+     * @param {number} deltaTime - Seconds since the last frame
+     * @param {number} elapsedTime - Seconds since the engine started
+     */
+    update(deltaTime, elapsedTime) {
+        if (this.mode === 'free') {
+            this.controls.update();
+            return;
+        }
+        this.angle += this.orbitSpeed * deltaTime;
+        this.camera.position.set(
+            Math.cos(this.angle) * this.radius,
+            this.height + Math.sin(elapsedTime * 0.3) * 5,
+            Math.sin(this.angle) * this.radius
+        );
+        this.camera.lookAt(AUTO_TARGET);
+    }
+
+    // ========== MOVES ==========
+
+    /**
+     * Frame an object, looking at it from the direction the camera has now
+     * @param {THREE.Object3D} object
+     * @returns {boolean} false if there was nothing to frame
+     */
+    focus(object) {
+        if (!object) return false;
+        const box = new THREE.Box3().setFromObject(object);
+        if (box.isEmpty()) {
+            const center = object.getWorldPosition(new THREE.Vector3());
+            box.setFromCenterAndSize(center, new THREE.Vector3(1, 1, 1));
+        }
+        return this.focusBox(box, object.name || object.type);
+    }
+
+    /**
+     * Frame a world-space box (e.g. one instance of an InstancedMesh)
+     * @param {THREE.Box3} box
+     * @param {string} [label] - For the log
+     * @returns {boolean} false if the box is empty
+     */
+    focusBox(box, label = 'selection') {
+        if (box.isEmpty()) return false;
+        const center = box.getCenter(new THREE.Vector3());
+        const radius = Math.max(0.5, box.getSize(new THREE.Vector3()).length() / 2);
+
+        const fov = THREE.MathUtils.degToRad(this.camera.fov);
+        const distance = THREE.MathUtils.clamp(radius / Math.sin(fov / 2) * 1.1, MIN_DISTANCE, MAX_DISTANCE);
+        const direction = this.camera.position.clone().sub(this.controls.target).normalize();
+        if (direction.lengthSq() === 0) direction.set(1, 0.5, 0).normalize();
+
+        this.setMode('free');
+        this.controls.target.copy(center);
+        this.camera.position.copy(center).addScaledVector(direction, distance);
+        this.controls.update();
+        this.scheduleSave();
+        console.log(`[Camera] Framed ${label}`);
+        return true;
+    }
+
+    /**
+     * Turn around the target
+     * @param {number} angle - Radians, positive turns left
+     */
+    rotate(angle) {
+        const offset = this.camera.position.clone().sub(this.controls.target);
+        offset.applyAxisAngle(THREE.Object3D.DEFAULT_UP, angle);
+        this.camera.position.copy(this.controls.target).add(offset);
+        this.afterMove();
+    }
+
+    /**
+     * @param {number} factor - Below 1 moves closer
+     */
+    zoom(factor) {
+        const offset = this.camera.position.clone().sub(this.controls.target);
+        const distance = THREE.MathUtils.clamp(offset.length() * factor, MIN_DISTANCE, MAX_DISTANCE);
+        offset.setLength(distance);
+        this.camera.position.copy(this.controls.target).add(offset);
+        this.afterMove();
+    }
+
+    /**
+     * Slide camera and target along the ground
+     * @param {number} right - Share of the distance to move right (negative: left)
+     * @param {number} forward - Share of the distance to move forward (negative: back)
+     */
+    pan(right, forward) {
+        const distance = this.camera.position.distanceTo(this.controls.target);
+        const ahead = this.controls.target.clone().sub(this.camera.position).setY(0).normalize();
+        const side = new THREE.Vector3().crossVectors(ahead, THREE.Object3D.DEFAULT_UP);
+        const move = side.multiplyScalar(right * distance).addScaledVector(ahead, forward * distance);
+        this.camera.position.add(move);
+        this.controls.target.add(move);
+        this.afterMove();
+    }
+
+    afterMove() {
+        this.setMode('free');
+        this.controls.update();
+        this.scheduleSave();
+    }
+
+    /**
+     * Viewport keys (main.js only calls this when nobody is typing):
+     * C toggles the mode, Q/E orbit, +/- zoom, arrows pan
+     * @param {KeyboardEvent} e
+     * @returns {boolean} true if the key was a camera key
+     */
+    handleKey(e) {
+        switch (e.key) {
+            case 'c': case 'C': this.toggleMode(); return true;
+            case 'q': case 'Q': this.rotate(KEY_ROTATE); return true;
+            case 'e': case 'E': this.rotate(-KEY_ROTATE); return true;
+            case '+': case '=': this.zoom(1 / KEY_ZOOM); return true;
+            case '-': case '_': this.zoom(KEY_ZOOM); return true;
+            case 'ArrowLeft': this.pan(-KEY_PAN, 0); return true;
+            case 'ArrowRight': this.pan(KEY_PAN, 0); return true;
+            case 'ArrowUp': this.pan(0, KEY_PAN); return true;
+            case 'ArrowDown': this.pan(0, -KEY_PAN); return true;
+            default: return false;
+        }
+    }
+
+    // ========== SAVED STATE ==========
+
+    /**
+     * Switch to another scenario's saved camera (or the default auto orbit)
+     * @param {string|null} scope - Scenario id; null for the sandbox
+     */
+    setScope(scope) {
+        // The first call (SceneController.init) has no camera of its own to
+        // keep - saving here would write over the one from the last visit
+        if (this.scope !== null) this.saveNow();
+        this.scope = scope ?? DEFAULT_SCOPE;
+        const state = readStates()[this.scope];
+        if (state) this.setState(state);
+        else this.setMode('auto');
+    }
+
+    /**
+     * @returns {{mode: string, position: Array<number>, target: Array<number>}}
+     */
+    getState() {
+        return {
+            mode: this.mode,
+            position: this.camera.position.toArray(),
+            target: this.controls.target.toArray()
+        };
+    }
+
+    setState({ mode, position, target }) {
+        if (mode === 'free' && position && target) {
+            this.camera.position.fromArray(position);
+            this.controls.target.fromArray(target);
+        }
+        this.setMode(mode === 'free' ? 'free' : 'auto');
+        this.controls.update();
+    }
+
+    scheduleSave() {
+        if (this.saveTimeout) clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => this.saveNow(), SAVE_DELAY_MS);
+    }
+
+    saveNow() {
+        if (this.saveTimeout) clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        if (this.scope === null) return;
+        const states = readStates();
+        states[this.scope] = this.getState();
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(states));
+        } catch (err) {
+            console.warn('[Camera] Could not save the camera:', err);
+        }
+    }
+
+    dispose() {
+        this.saveNow();
+        this.controls.dispose();
+    }
+}
+
+/**
+ * @returns {Object<string, Object>} Saved camera state per scope
+ */
+function readStates() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
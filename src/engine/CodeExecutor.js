@@ -1,138 +1,195 @@
 /**
  * CodeExecutor.js - C# Template Code Execution Engine
  * 
- * Parses student C# code and applies changes to the 3D scene.
- * Uses regex-based parsing to extract loop conditions.
+ * Runs student C# code (a single file or a project's files) in a Web
+ * Worker under step and time budgets, and replays the scene commands it
+ * produces through SceneController. Also drives debugging, trace replay,
+ * test-case grading, static analysis and Start()/Update() lifecycle scripts.
  * 
- * SUPPORTED PATTERNS:
- * - while (treeCount < N)  → spawns N trees
- * - while (treeCount <= N) → spawns N+1 trees  
- * - while (true)           → infinite (capped at 1000)
- * - for (... i < N ...)    → spawns N trees
- * - maxTrees = N           → spawns N trees
+ * BUDGETS (configurable on the instance):
+ * - maxSteps          → statements + loop iterations per run
+ * - maxLoopIterations → iterations a single loop may make
  */
 
+import { createDiagnostic, formatDiagnostic } from './csharp/index.js';
+import { checkScript } from './ScriptRuntime.js';
+import { analyzeScript } from './ScriptAnalyzer.js';
+import { ScriptWorkerClient, WorkerTimeoutError } from './ScriptWorkerClient.js';
+import { ScriptBehaviour } from './ScriptBehaviour.js';
+import { TraceReplay } from './TraceReplay.js';
+import { describeExplosion } from './PhysicsWorld.js';
+
 export class CodeExecutor {
     constructor(sceneController, profiler = null) {
         this.sceneController = sceneController;
         this.profiler = profiler;
         this.lastResult = null;
         this.maxTreeLimit = 1000; // Safety cap for infinite loops
+        this.maxSteps = 100000;   // Statements + loop iterations per run
+        this.maxLoopIterations = 10000; // No scenario loop legitimately needs more
+        this.maxObjects = 500;    // Spawn()ed objects alive at once
+        this.maxAgents = 400;     // Agents alive at once - matches AgentSystem's limit
+        this.maxResources = 500;  // Resources.Create*() alive (not disposed) at once
+        this.frameBudgetMs = 4;   // Update() share of a 16.7ms frame on N4000
+        this.maxStepsPerFrame = 20000;
+        this.maxTraceEntries = 2000; // Statements the timeline can scrub through
+        this.runTimeoutMs = 5000;   // Worker must answer a run within this
+        this.frameTimeoutMs = 1000; // ...and an Update() frame within this
+        this.worker = new ScriptWorkerClient({ timeoutMs: this.runTimeoutMs });
+        this.behaviour = null;    // Running ScriptBehaviour, if any
+        this.running = null;      // Promise of the execute() in flight
+        this.debugging = null;    // { code, previousCount, busy } while a debug run is open
+        this.replay = null;       // TraceReplay of the last run
         this.history = [];
         
         // Callbacks for UI updates
         this.onExecute = null;
         this.onError = null;
         this.onValidate = null;
+        this.onScriptLog = null;        // (lines) => void - Debug.Log from Update()
+        this.onScriptSuspended = null;  // (report) => void - Update() stopped
+        this.onDebugPause = null;       // (pause) => void - line, locals, fields, callStack
+        this.onDebugEnd = null;         // (result|null) => void - null if stopped by hand
+        
+        if (sceneController.physics) {
+            sceneController.physics.onExplode = (body, settings) => {
+                if (this.onScriptLog) this.onScriptLog([{ level: 'error', message: describeExplosion(body, settings) }]);
+            };
+        }
+        if (sceneController.agents) {
+            sceneController.agents.onLimit = (max) => {
+                if (this.onScriptLog) this.onScriptLog([{ level: 'warning', message: `🤖 ${max} agents alive - the engine's safety limit. New spawns are dropped until some are despawned.` }]);
+            };
+        }
+        if (sceneController.resources) {
+            sceneController.resources.onLeak = (record) => {
+                const what = record.used ? 'was removed from the scene' : 'was created but never used';
+                if (this.onScriptLog) this.onScriptLog([{ level: 'warning', message: `🧹 ${record.name} ${what} and never disposed - call Dispose() on resources you're done with` }]);
+            };
+        }
     }
 
     /**
-     * Parse student code to extract the tree limit
-     * @param {string} code - C# code from editor
-     * @returns {ParseResult}
+     * Parse and type-check without running - cheap enough to call while
+     * the student types
+     * @param {string|Array<Object>} code - C# code from editor, or project files
+     * @returns {{program: Object|null, diagnostics: Array<Object>}}
      */
-    parseStudentCode(code) {
-        const result = {
-            valid: false,
-            limit: null,
-            condition: null,
-            pattern: null,
-            errors: [],
-            warnings: []
-        };
-
-        const cleanCode = this.stripComments(code);
-        
-        // Try multiple patterns in order of specificity
-        
-        // Pattern 1: while (treeCount < N) or while (treeCount <= N)
-        const whileMatch = cleanCode.match(/while\s*\(\s*(.+?)\s*\)/);
-        if (whileMatch) {
-            const condition = whileMatch[1].trim();
-            result.condition = condition;
-            result.pattern = 'while';
-            
-            const limit = this.extractLimitFromCondition(condition);
-            if (limit !== null) {
-                result.limit = Math.min(limit, this.maxTreeLimit);
-                result.valid = true;
-                if (limit > this.maxTreeLimit) {
-                    result.warnings.push(`Capped at ${this.maxTreeLimit} trees for safety`);
-                }
-            } else if (condition === 'true') {
-                result.limit = this.maxTreeLimit;
-                result.valid = true;
-                result.errors.push("⚠️ 'while (true)' = infinite loop!");
-                result.warnings.push(`Safety cap: spawning ${this.maxTreeLimit} trees`);
-            } else if (condition === 'false') {
-                result.limit = 0;
-                result.valid = true;
-                result.warnings.push("'while (false)' spawns 0 trees");
-            } else {
-                result.errors.push(`Can't parse: "${condition}"`);
-                result.errors.push("💡 Try: treeCount < 50");
-            }
-            
-            this.addPerformanceWarnings(result);
-            return result;
-        }
+    check(code) {
+        return checkScript(code);
+    }
 
-        // Pattern 2: for (int i = 0; i < N; i++)
-        const forMatch = cleanCode.match(/for\s*\([^;]+;\s*\w+\s*(<|<=)\s*(\d+)/);
-        if (forMatch) {
-            result.pattern = 'for';
-            const op = forMatch[1];
-            let limit = parseInt(forMatch[2], 10);
-            if (op === '<=') limit += 1;
-            result.limit = Math.min(limit, this.maxTreeLimit);
-            result.condition = `i ${op} ${forMatch[2]}`;
-            result.valid = true;
-            this.addPerformanceWarnings(result);
-            return result;
-        }
+    /**
+     * Static analysis on the main thread - nothing is run
+     * @param {string|Array<Object>} code - C# code from editor, or project files
+     * @returns {{findings: Array<Object>, diagnostics: Array<Object>}}
+     *          findings are diagnostics whose `code` is an ANALYZER_RULES id;
+     *          none if the code doesn't parse
+     */
+    analyze(code) {
+        const { program, diagnostics, source } = checkScript(code);
+        return { findings: program ? analyzeScript(program, source) : [], diagnostics };
+    }
 
-        // Pattern 3: maxTrees = N or treeCount = N (direct assignment)
-        const assignMatch = cleanCode.match(/(maxTrees|treeCount|count)\s*=\s*(\d+)/i);
-        if (assignMatch) {
-            result.pattern = 'assignment';
-            result.limit = Math.min(parseInt(assignMatch[2], 10), this.maxTreeLimit);
-            result.condition = `${assignMatch[1]} = ${assignMatch[2]}`;
-            result.valid = true;
-            this.addPerformanceWarnings(result);
-            return result;
+    /**
+     * Parse, check and run student code in the worker
+     * @param {string} code - C# code from editor
+     * @param {string} [type] - 'run' to get scene commands, 'validate' to only report
+     * @param {Object} [overrides] - { env, fields } as for createRequest()
+     * @returns {Promise<RunResult>}
+     */
+    async runStudentCode(code, type = 'validate', overrides = {}) {
+        let result;
+        try {
+            result = await this.worker.request(type, this.createRequest(code, overrides), this.runTimeoutMs);
+        } catch (err) {
+            return this.describeWorkerFailure(err, code);
         }
 
-        // No pattern found
-        result.errors.push("Couldn't find a loop or tree count.");
-        result.errors.push("💡 Add: while (treeCount < 50)");
+        this.addPerformanceWarnings(result);
         return result;
     }
 
     /**
-     * Extract numeric limit from a condition like "treeCount < 50"
+     * What the worker needs to run `code` with this executor's budgets
+     * @param {Object} [overrides]
+     * @param {Object} overrides.env - Scene values to use instead of the live ones
+     * @param {Object} overrides.fields - Starting field values, e.g. { maxTrees: 12 }
      */
-    extractLimitFromCondition(condition) {
-        // treeCount < N
-        let match = condition.match(/\w+\s*<\s*(\d+)/);
-        if (match) return parseInt(match[1], 10);
-        
-        // treeCount <= N  
-        match = condition.match(/\w+\s*<=\s*(\d+)/);
-        if (match) return parseInt(match[1], 10) + 1;
-        
-        // N > treeCount
-        match = condition.match(/(\d+)\s*>\s*\w+/);
-        if (match) return parseInt(match[1], 10);
-        
-        // N >= treeCount
-        match = condition.match(/(\d+)\s*>=\s*\w+/);
-        if (match) return parseInt(match[1], 10) + 1;
-        
-        // treeCount != N
-        match = condition.match(/\w+\s*!=\s*(\d+)/);
-        if (match) return parseInt(match[1], 10);
-        
-        return null;
+    createRequest(code, { env = {}, fields = {} } = {}) {
+        return {
+            code,
+            options: {
+                maxTreeLimit: this.maxTreeLimit,
+                maxSteps: this.maxSteps,
+                maxLoopIterations: this.maxLoopIterations,
+                maxObjects: this.maxObjects,
+                maxAgents: this.maxAgents,
+                maxResources: this.maxResources,
+                frameBudgetMs: this.frameBudgetMs,
+                maxStepsPerFrame: this.maxStepsPerFrame,
+                maxTraceEntries: this.maxTraceEntries
+            },
+            env: { ...this.getSceneEnv(), ...env },
+            fields
+        };
+    }
+
+    /**
+     * Scene values a script can read (Time.time, Profiler.fps, ...),
+     * copied to the worker with every request
+     */
+    getSceneEnv() {
+        const scene = this.sceneController;
+        return {
+            treeCount: scene.currentTreeCount,
+            frameTime: scene.frameTime,
+            time: scene.clock?.elapsedTime ?? 0,
+            fps: this.profiler?.metrics?.fps ?? scene.currentFps ?? 0,
+            drawCalls: scene.drawCalls ?? 0,
+            bodies: scene.physics?.positions() ?? {},
+            agents: scene.agents?.getStats() ?? null,
+            resources: scene.resources?.getStats() ?? null
+        };
+    }
+
+    /**
+     * Run result for a worker that timed out or crashed
+     */
+    describeWorkerFailure(err, code) {
+        const result = {
+            valid: false,
+            limit: null,
+            spawned: 0,
+            objectsSpawned: 0,
+            objectsAlive: 0,
+            agentsSpawned: 0,
+            agentsAlive: 0,
+            entry: null,
+            steps: 0,
+            completed: false,
+            diagnosis: null,
+            diagnostics: [],
+            findings: [],
+            logs: [],
+            errors: [],
+            warnings: [],
+            usesTrees: false,
+            commands: [],
+            session: null,
+            script: null,
+            trace: null
+        };
+        if (err instanceof WorkerTimeoutError) {
+            // A timeout also killed any running Update() session
+            this.stopBehaviour();
+            const diagnostic = createDiagnostic(code, { code: 'ORB0004', message: err.message, loc: null });
+            result.diagnostics.push(diagnostic);
+            result.errors.push(formatDiagnostic(diagnostic));
+        } else {
+            result.errors.push(`Runtime error: ${err.message}`);
+        }
+        return result;
     }
 
     /**
@@ -155,31 +212,82 @@ export class CodeExecutor {
     /**
      * Validate code without executing
      */
-    validate(code) {
-        const result = this.parseStudentCode(code);
+    async validate(code) {
+        const result = await this.runStudentCode(code, 'validate');
         if (this.onValidate) this.onValidate(result);
         return result;
     }
 
     /**
-     * Execute code - parse and apply to scene
+     * Run the code once per test case without touching the scene - each
+     * run starts from the case's field values and scene values
+     * @param {string|Array<Object>} code - C# code, or project files
+     * @param {Array<{fields: Object, env: Object}>} testCases
+     * @returns {Promise<Array<RunResult>>} One per case, in order
+     */
+    async runTests(code, testCases) {
+        const results = [];
+        for (const testCase of testCases) {
+            results.push(await this.runStudentCode(code, 'validate', { env: testCase.env, fields: testCase.fields }));
+        }
+        console.log(`[CodeExecutor] Ran ${testCases.length} test case(s)`);
+        return results;
+    }
+
+    /**
+     * Execute code - run it and apply the spawned trees to the scene.
+     * A second Run while one is in flight gets the same promise.
      */
     execute(code) {
+        this.stopDebugging();
+        this.endReplay();
+        if (!this.running) {
+            this.running = this.executeInWorker(code).finally(() => { this.running = null; });
+        }
+        return this.running;
+    }
+
+    async executeInWorker(code) {
         console.log('[CodeExecutor] Execute called');
-        const execResult = {
+        const execResult = this.createExecResult();
+        const parsed = await this.runStudentCode(code, 'run');
+        return this.applyRun(parsed, execResult);
+    }
+
+    createExecResult() {
+        return {
             success: false,
             treeCount: 0,
             previousCount: this.sceneController.currentTreeCount,
             errors: [],
             warnings: [],
+            logs: [],
+            diagnosis: null,
+            diagnostics: [],
+            findings: [],
             fpsBefore: this.profiler?.metrics?.fps || null,
-            fpsAfter: null
+            fpsAfter: null,
+            trace: null
         };
+    }
 
-        // Parse
-        const parsed = this.parseStudentCode(code);
+    /**
+     * Apply a finished run from the worker to the scene and report it
+     * through onExecute/onError
+     */
+    applyRun(parsed, execResult) {
         execResult.errors = parsed.errors;
         execResult.warnings = parsed.warnings;
+        execResult.logs = parsed.logs;
+        execResult.diagnosis = parsed.diagnosis;
+        execResult.diagnostics = parsed.diagnostics;
+        execResult.findings = parsed.findings ?? [];
+        execResult.trace = parsed.trace ?? null;
+        this.replay = parsed.trace ? new TraceReplay(parsed.trace, this.sceneController, {
+            usesTrees: parsed.usesTrees,
+            maxTrees: this.maxTreeLimit,
+            applied: parsed.valid && parsed.limit !== null
+        }) : null;
         
         if (!parsed.valid || parsed.limit === null) {
             if (this.onError) this.onError(execResult);
@@ -194,11 +302,15 @@ export class CodeExecutor {
 
         // Execute!
         try {
-            console.log(`[CodeExecutor] Spawning ${parsed.limit} trees...`);
-            this.sceneController.spawnTrees(parsed.limit);
+            if (parsed.usesTrees) console.log(`[CodeExecutor] Spawning ${parsed.limit} trees...`);
+            this.stopBehaviour();
+            this.sceneController.applyScriptCommands(parsed.commands);
+            if (parsed.session) this.startBehaviour(parsed);
             
             execResult.success = true;
-            execResult.treeCount = parsed.limit;
+            execResult.treeCount = this.sceneController.currentTreeCount;
+            execResult.usesTrees = parsed.usesTrees;
+            execResult.updating = Boolean(this.behaviour);
             
             // Capture FPS after delay
             setTimeout(() => {
@@ -217,6 +329,137 @@ export class CodeExecutor {
         return execResult;
     }
 
+    // ========== TRACE REPLAY ==========
+
+    /**
+     * Show the scene and variables as they were at one entry of the last
+     * run's trace. The first seek stops Update(), which would otherwise
+     * keep moving the objects being replayed.
+     * @param {number} index - Entry index
+     * @returns {Object|null} The trace entry (see TraceRecorder), null if there is no trace
+     */
+    seekTrace(index) {
+        if (!this.replay) return null;
+        if (this.replay.index === null && this.behaviour) {
+            console.log(`[CodeExecutor] ${this.behaviour.name}.Update() stopped for the replay`);
+            this.stopBehaviour();
+        }
+        return this.replay.seek(index);
+    }
+
+    /**
+     * Leave the timeline: the scene goes back to how the run left it
+     */
+    endReplay() {
+        if (this.replay) this.replay.restore();
+    }
+
+    // ========== DEBUGGING ==========
+
+    /**
+     * Start debugging: the worker runs until the first breakpoint (or the
+     * first statement, if there are none) and the scene shows what the
+     * script has built so far. Pauses go to onDebugPause; when the run
+     * ends it is applied like execute() and onDebugEnd fires.
+     * @param {string|Array<Object>} code - C# code from editor, or project files
+     * @param {Array<number|Object>} breakpoints - 1-based line numbers, or { file, line } in a project
+     * @returns {Promise<Object>} The first pause, or the finished run's execResult
+     */
+    async debug(code, breakpoints = []) {
+        this.stopDebugging();
+        this.endReplay();
+        this.stopBehaviour(); // The debug run rebuilds the scene from scratch
+        this.debugging = {
+            code,
+            previousCount: this.sceneController.currentTreeCount,
+            busy: true
+        };
+        console.log(`[CodeExecutor] Debugging with ${breakpoints.length} breakpoint(s)`);
+        const reply = await this.requestDebug('debug', { ...this.createRequest(code), breakpoints });
+        return this.handleDebugReply(reply);
+    }
+
+    /**
+     * @param {string} mode - 'over' | 'into' | 'continue'
+     * @param {Array<number|Object>} breakpoints - As for debug()
+     */
+    async step(mode, breakpoints = []) {
+        if (!this.debugging || this.debugging.busy) return null;
+        this.debugging.busy = true;
+        const reply = await this.requestDebug('debugStep', { mode, breakpoints });
+        return this.handleDebugReply(reply);
+    }
+
+    stopDebugging() {
+        if (!this.debugging) return;
+        this.debugging = null;
+        this.worker.request('debugStop').catch(() => {});
+        if (this.onDebugEnd) this.onDebugEnd(null);
+    }
+
+    async requestDebug(type, payload) {
+        const code = this.debugging.code;
+        try {
+            return await this.worker.request(type, payload, this.runTimeoutMs);
+        } catch (err) {
+            return { status: 'finished', result: this.describeWorkerFailure(err, code) };
+        }
+    }
+
+    handleDebugReply(reply) {
+        const state = this.debugging;
+        if (!state || reply.status === 'stale') return null; // Stopped meanwhile
+        state.busy = false;
+
+        if (reply.status === 'paused') {
+            this.sceneController.applyScriptCommands(reply.commands);
+            if (reply.logs.length > 0 && this.onScriptLog) this.onScriptLog(reply.logs);
+            if (this.onDebugPause) this.onDebugPause(reply);
+            return reply;
+        }
+
+        this.debugging = null;
+        const result = reply.result;
+        this.addPerformanceWarnings(result);
+        const execResult = this.createExecResult();
+        execResult.previousCount = state.previousCount;
+        if (this.onDebugEnd) this.onDebugEnd(result);
+        return this.applyRun(result, execResult);
+    }
+
+    /**
+     * Hand a lifecycle script's Update() to the render loop
+     */
+    startBehaviour(parsed) {
+        const behaviour = new ScriptBehaviour({
+            client: this.worker,
+            session: parsed.session,
+            name: parsed.script,
+            getEnv: () => this.getSceneEnv(),
+            frameTimeoutMs: this.frameTimeoutMs
+        });
+        behaviour.onFrame = (frame) => {
+            this.sceneController.applyScriptCommands(frame.commands);
+            if (frame.logs.length > 0 && this.onScriptLog) this.onScriptLog(frame.logs);
+        };
+        behaviour.onSuspend = (b, report) => {
+            this.sceneController.removeBehaviour(b);
+            if (this.behaviour === b) this.behaviour = null;
+            if (this.onScriptSuspended) this.onScriptSuspended(report);
+        };
+
+        this.behaviour = behaviour;
+        this.sceneController.addBehaviour(behaviour);
+        console.log(`[CodeExecutor] ${behaviour.name}.Update() now runs every frame (${this.frameBudgetMs}ms budget)`);
+    }
+
+    stopBehaviour() {
+        if (!this.behaviour) return;
+        this.behaviour.stop();
+        this.sceneController.removeBehaviour(this.behaviour);
+        this.behaviour = null;
+    }
+
     /**
      * Undo last execution
      */
@@ -229,15 +472,6 @@ export class CodeExecutor {
         return { success: true, treeCount: prev.treeCount };
     }
 
-    /**
-     * Strip comments from C# code
-     */
-    stripComments(code) {
-        return code
-            .replace(/\/\/.*$/gm, '')      // Single-line
-            .replace(/\/\*[\s\S]*?\*\//g, ''); // Multi-line
-    }
-
     /**
      * Format errors for display
      */
@@ -256,7 +490,7 @@ export class CodeExecutor {
      * Quick execute with specific tree count (for testing)
      */
     quickRun(count) {
-        return this.execute(`while (treeCount < ${count}) { }`);
+        return this.execute(`for (int i = 0; i < ${count}; i++) { SpawnTree(); }`);
     }
 
     /**
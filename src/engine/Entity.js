@@ -0,0 +1,47 @@
+/**
+ * Entity.js - Handle to one spawned prefab instance
+ *
+ * Returned by SceneController.spawnEntity(). The handle stays valid
+ * until despawn(); after that `alive` is false and changes are ignored.
+ * Where the entity's matrices live (an InstancedMesh slot or its own
+ * meshes) is EntityManager's business - the slot can move when other
+ * entities of the prefab are despawned.
+ */
+
+export class Entity {
+    /**
+     * @param {EntityManager} manager
+     * @param {number} id - Unique per manager
+     * @param {string} prefab - Prefab id
+     */
+    constructor(manager, id, prefab) {
+        this.manager = manager;
+        this.id = id;
+        this.prefab = prefab;
+        this.alive = true;
+
+        this.position = [0, 0, 0];
+        this.rotation = 0; // Around y, in radians
+        this.scale = 1;
+
+        this.slot = -1;    // Instance index, for instanced prefabs
+        this.object = null; // Group of meshes, for the rest
+    }
+
+    /**
+     * @param {Object} state - { position: [x,y,z], rotation, scale } - any subset
+     * @returns {Entity} this
+     */
+    set({ position, rotation, scale }) {
+        if (!this.alive) return this;
+        if (position) this.position = [position[0], position[1], position[2]];
+        if (rotation !== undefined) this.rotation = rotation;
+        if (scale !== undefined) this.scale = scale;
+        this.manager.update(this);
+        return this;
+    }
+
+    despawn() {
+        return this.manager.despawn(this);
+    }
+}
@@ -0,0 +1,248 @@
+/**
+ * EntityManager.js - Spawns and despawns prefab instances
+ *
+ * Every entity gets an Entity handle. Instanced prefabs keep one
+ * InstancedPool per part and an entity is a slot in each; despawning
+ * moves the last entity into the freed slot, so a prefab is still one
+ * draw call per part however many come and go. Other prefabs get a
+ * Group of meshes per entity, sharing the prefab's geometry and materials.
+ *
+ * Counts per prefab are kept as entities come and go, so the profiler
+ * and scenario validators can read them every frame for free. An
+ * instanced prefab's pools changing size is reported to onCountChange
+ * (SceneController's entityCountChanged event).
+ *
+ * USAGE:
+ * ```javascript
+ * const rock = entities.spawn('rock', { position: [4, 0, -2], scale: 1.5 });
+ * rock.set({ rotation: Math.PI / 4 });
+ * entities.count('rock');   // 1
+ * rock.despawn();
+ * ```
+ */
+
+import * as THREE from 'three';
+import { Entity } from './Entity.js';
+import { InstancedPool } from './InstancedPool.js';
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+export class EntityManager {
+    /**
+     * @param {THREE.Object3D} parent - The 'Entities' group is added here
+     * @param {PrefabRegistry} registry
+     */
+    constructor(parent, registry) {
+        this.registry = registry;
+        this.root = new THREE.Group();
+        this.root.name = 'Entities';
+        parent.add(this.root);
+
+        this.kinds = new Map(); // prefab id -> { pools, bySlot, entities: Set }
+        this.nextId = 1;
+
+        // Callbacks
+        this.onCountChange = null;  // (prefabId, meshes) => void - an instanced prefab's pools grew or shrank
+
+        // Scratch objects, reused for every matrix
+        this.matrix = new THREE.Matrix4();
+        this.partMatrix = new THREE.Matrix4();
+        this.position = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+        this.scale = new THREE.Vector3();
+    }
+
+    /**
+     * @param {string} prefabId - A registered prefab (see PrefabRegistry)
+     * @param {Object} [state] - { position: [x,y,z], rotation, scale }
+     * @returns {Entity}
+     */
+    spawn(prefabId, state = {}) {
+        const kind = this.kindOf(prefabId);
+        const entity = new Entity(this, this.nextId++, prefabId);
+        if (state.position) entity.position = [state.position[0], state.position[1], state.position[2]];
+        if (state.rotation !== undefined) entity.rotation = state.rotation;
+        if (state.scale !== undefined) entity.scale = state.scale;
+
+        this.composeMatrix(entity);
+        if (kind.pools) {
+            kind.pools.forEach((pool, i) => {
+                entity.slot = pool.add(this.partMatrixFor(prefabId, i));
+            });
+            kind.bySlot[entity.slot] = entity;
+            this.countChanged(prefabId, kind);
+        } else {
+            entity.object = this.createObject(prefabId, entity);
+            this.root.add(entity.object);
+        }
+        kind.entities.add(entity);
+        return entity;
+    }
+
+    /**
+     * @returns {boolean} false if the entity was already despawned
+     */
+    despawn(entity) {
+        if (!entity.alive) return false;
+        const kind = this.kinds.get(entity.prefab);
+        entity.alive = false;
+        kind.entities.delete(entity);
+
+        if (kind.pools) {
+            let moved = entity.slot;
+            kind.pools.forEach(pool => { moved = pool.removeAt(entity.slot); });
+            const last = kind.bySlot.pop();
+            if (moved !== entity.slot) {
+                last.slot = entity.slot;
+                kind.bySlot[entity.slot] = last;
+            }
+            entity.slot = -1;
+            this.countChanged(entity.prefab, kind);
+        } else {
+            this.root.remove(entity.object);
+            entity.object = null;
+        }
+        return true;
+    }
+
+    /**
+     * Push an entity's position/rotation/scale to what's drawn (Entity.set() calls this)
+     */
+    update(entity) {
+        if (!entity.alive) return;
+        const kind = this.kinds.get(entity.prefab);
+        if (kind.pools) {
+            this.composeMatrix(entity);
+            kind.pools.forEach((pool, i) => pool.setMatrix(entity.slot, this.partMatrixFor(entity.prefab, i)));
+        } else {
+            this.applyTransform(entity.object, entity);
+        }
+    }
+
+    /**
+     * Despawn every entity of one prefab, or of all of them
+     * @param {string} [prefabId]
+     */
+    clear(prefabId = null) {
+        const ids = prefabId ? [prefabId] : [...this.kinds.keys()];
+        for (const id of ids) {
+            const kind = this.kinds.get(id);
+            if (!kind) continue;
+            const hadInstances = !!kind.pools && kind.entities.size > 0;
+            for (const entity of kind.entities) {
+                entity.alive = false;
+                entity.slot = -1;
+                if (entity.object) this.root.remove(entity.object);
+                entity.object = null;
+            }
+            kind.entities.clear();
+            kind.bySlot = [];
+            kind.pools?.forEach(pool => pool.setCount(0));
+            if (hadInstances) this.countChanged(id, kind);
+        }
+    }
+
+    // ========== COUNTS ==========
+
+    /**
+     * @returns {number} Live entities of the prefab
+     */
+    count(prefabId) {
+        return this.kinds.get(prefabId)?.entities.size ?? 0;
+    }
+
+    /**
+     * @returns {Object<string, number>} Live entities per prefab, every registered prefab included
+     */
+    counts() {
+        const counts = {};
+        for (const id of this.registry.ids) counts[id] = this.count(id);
+        return counts;
+    }
+
+    /**
+     * @returns {Array<Entity>} Live entities of the prefab
+     */
+    list(prefabId) {
+        return [...(this.kinds.get(prefabId)?.entities ?? [])];
+    }
+
+    /**
+     * The entity drawn by one instance of a pool mesh (a viewport pick)
+     * @param {THREE.InstancedMesh} mesh
+     * @param {number} index - Instance index
+     * @returns {Entity|null}
+     */
+    entityAt(mesh, index) {
+        for (const kind of this.kinds.values()) {
+            if (kind.pools?.some(pool => pool.mesh === mesh)) return kind.bySlot[index] ?? null;
+        }
+        return null;
+    }
+
+    /**
+     * @returns {Array<THREE.InstancedMesh>} The pool meshes an instanced entity
+     *   has a slot in, one per part; empty for the rest
+     */
+    meshesOf(entity) {
+        return this.kinds.get(entity.prefab)?.pools?.map(pool => pool.mesh) ?? [];
+    }
+
+    // ========== INTERNALS ==========
+
+    kindOf(prefabId) {
+        if (!this.kinds.has(prefabId)) {
+            const prefab = this.registry.get(prefabId);
+            const parts = this.registry.getParts(prefabId);
+            const pools = prefab.instanced
+                ? parts.map(part => new InstancedPool(this.root, part.geometry, part.material, {
+                    name: `${prefabId}: ${part.name}`,
+                    capacity: prefab.capacity
+                }))
+                : null;
+            this.kinds.set(prefabId, { pools, bySlot: [], entities: new Set() });
+        }
+        return this.kinds.get(prefabId);
+    }
+
+    countChanged(prefabId, kind) {
+        if (this.onCountChange) this.onCountChange(prefabId, kind.pools.map(pool => pool.mesh));
+    }
+
+    composeMatrix(entity) {
+        const [x, y, z] = entity.position;
+        this.position.set(x, y, z);
+        this.quaternion.setFromAxisAngle(UP, entity.rotation);
+        this.scale.setScalar(entity.scale);
+        this.matrix.compose(this.position, this.quaternion, this.scale);
+    }
+
+    /**
+     * Entity matrix (from composeMatrix) times the part's offset
+     */
+    partMatrixFor(prefabId, index) {
+        const { offset } = this.registry.getParts(prefabId)[index];
+        return this.partMatrix.makeTranslation(offset.x, offset.y, offset.z).premultiply(this.matrix);
+    }
+
+    createObject(prefabId, entity) {
+        const group = new THREE.Group();
+        group.name = `${prefabId} #${entity.id}`;
+        for (const part of this.registry.getParts(prefabId)) {
+            const mesh = new THREE.Mesh(part.geometry, part.material);
+            mesh.name = part.name;
+            mesh.position.copy(part.offset);
+            group.add(mesh);
+        }
+        group.userData.entity = entity;
+        this.applyTransform(group, entity);
+        return group;
+    }
+
+    applyTransform(object, entity) {
+        const [x, y, z] = entity.position;
+        object.position.set(x, y, z);
+        object.rotation.y = entity.rotation;
+        object.scale.setScalar(entity.scale);
+    }
+}
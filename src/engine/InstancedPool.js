@@ -0,0 +1,260 @@
+/**
+ * InstancedPool.js - A growable InstancedMesh for one geometry + material
+ *
+ * An InstancedMesh's matrix buffer has a fixed size, so the old
+ * spawnTrees() threw both meshes away and rebuilt everything - geometry,
+ * materials, every matrix - each time the count changed. The Infinite
+ * Forest intro does that every 30-150ms, and on an N4000 the garbage and
+ * GPU uploads show up as stutter.
+ *
+ * The pool allocates once and:
+ * - shows fewer instances by lowering mesh.count (nothing is freed)
+ * - only writes and uploads the matrices of instances that are new
+ *   (instanceMatrix.addUpdateRange)
+ * - when it runs out of room, doubles its capacity and copies the
+ *   matrices it already has
+ * Geometry and material belong to the caller and are shared, never
+ * disposed here.
+ *
+ * USAGE:
+ * ```javascript
+ * const pool = new InstancedPool(scene, trunkGeo, trunkMat, { name: 'Tree Trunks' });
+ * pool.setCount(65, (i, matrix) => matrix.compose(...));  // Writes only the new ones
+ * pool.setCount(20);                                        // Hides the rest
+ * ```
+ *
+ * Entities (see EntityManager) use add() / setMatrix() / removeAt()
+ * instead: removing swaps the last instance into the hole, so the shown
+ * instances always stay packed at the front.
+ *
+ * Per-instance colors (setColor(), the Inspector's tint) are optional;
+ * once there are any, they move and grow along with the matrices.
+ *
+ * InstancedPool.setDrawDistance() hides, in every pool, the instances
+ * farther from the camera than that (the quality governor's lever). It's
+ * done in the vertex shader, so instance indices - and the entities and
+ * selections that hold them - never change; the rest of the scene keeps
+ * the camera's far plane.
+ */
+
+import * as THREE from 'three';
+
+const MIN_CAPACITY = 64;
+const NO_LIMIT = 1e9;
+
+// One uniform shared by every pool's material - setDrawDistance() writes it
+const drawDistance = { value: NO_LIMIT };
+const distanceCulled = new WeakSet();
+
+export class InstancedPool {
+    /**
+     * @param {number|null} distance - Metres from the camera (view depth, as
+     *   fog measures it) past which instances aren't drawn; null for no limit
+     */
+    static setDrawDistance(distance) {
+        drawDistance.value = distance ?? NO_LIMIT;
+    }
+
+    /**
+     * @param {THREE.Object3D} parent - The mesh is added here (and re-added when it grows)
+     * @param {THREE.BufferGeometry} geometry - Shared, not disposed by the pool
+     * @param {THREE.Material} material - Shared, not disposed by the pool
+     * @param {Object} [options] - { name, capacity }
+     */
+    constructor(parent, geometry, material, { name = '', capacity = MIN_CAPACITY } = {}) {
+        this.parent = parent;
+        this.geometry = geometry;
+        this.material = material;
+        this.name = name;
+        this.filled = 0; // Instances [0, filled) hold valid matrices, shown or not
+        this.matrix = new THREE.Matrix4();
+        this.color = new THREE.Color();
+        cullByDistance(material);
+
+        this.mesh = this.createMesh(Math.max(MIN_CAPACITY, capacity));
+        this.mesh.count = 0;
+        parent.add(this.mesh);
+    }
+
+    get capacity() {
+        return this.mesh.instanceMatrix.count;
+    }
+
+    get count() {
+        return this.mesh.count;
+    }
+
+    createMesh(capacity) {
+        const mesh = new THREE.InstancedMesh(this.geometry, this.material, capacity);
+        mesh.name = this.name;
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        return mesh;
+    }
+
+    /**
+     * Show `count` instances. Matrices are written only for instances
+     * that never had one (or lost it to invalidate()).
+     * @param {number} count
+     * @param {function(number, THREE.Matrix4): void} [place] - Fills in instance i's matrix
+     */
+    setCount(count, place = null) {
+        if (count > this.capacity) this.grow(count);
+
+        if (count > this.filled) {
+            if (!place) throw new Error(`[InstancedPool] ${this.name}: no placement for new instances`);
+            for (let i = this.filled; i < count; i++) {
+                place(i, this.matrix);
+                this.mesh.setMatrixAt(i, this.matrix);
+            }
+            const attribute = this.mesh.instanceMatrix;
+            attribute.addUpdateRange(this.filled * 16, (count - this.filled) * 16);
+            attribute.needsUpdate = true;
+            this.filled = count;
+        }
+
+        if (count !== this.mesh.count) {
+            this.mesh.count = count;
+            this.mesh.boundingSphere = null; // Frustum culling recomputes it on the next render
+        }
+    }
+
+    // ========== ONE INSTANCE AT A TIME (entities) ==========
+
+    /**
+     * @param {THREE.Matrix4} matrix
+     * @returns {number} Index of the new instance
+     */
+    add(matrix) {
+        const index = this.count;
+        this.setCount(index + 1, (i, m) => m.copy(matrix));
+        return index;
+    }
+
+    /**
+     * @param {number} index - A shown instance
+     * @param {THREE.Matrix4} matrix
+     */
+    setMatrix(index, matrix) {
+        this.mesh.setMatrixAt(index, matrix);
+        this.markDirty(index);
+        this.mesh.boundingSphere = null;
+    }
+
+    /**
+     * Remove an instance by moving the last one into its slot
+     * @returns {number} The index that moved into `index` (its old index),
+     *   or `index` itself if it was the last one
+     */
+    removeAt(index) {
+        const last = this.count - 1;
+        if (index !== last) {
+            this.mesh.getMatrixAt(last, this.matrix);
+            this.setMatrix(index, this.matrix);
+        }
+        if (this.mesh.instanceColor) {
+            if (index !== last) {
+                this.mesh.getColorAt(last, this.color);
+                this.setColor(index, this.color);
+            }
+            this.setColor(last, this.color.setRGB(1, 1, 1)); // The next one added there starts untinted
+        }
+        this.mesh.count = last;
+        this.mesh.boundingSphere = null;
+        this.filled = Math.min(this.filled, last);
+        return last;
+    }
+
+    /**
+     * Queue instance `index` for upload, merging with the previous range when
+     * they touch - a frame of moving entities is then one or two uploads
+     */
+    markDirty(index) {
+        const attribute = this.mesh.instanceMatrix;
+        const ranges = attribute.updateRanges;
+        const previous = ranges[ranges.length - 1];
+        const start = index * 16;
+        if (previous && start >= previous.start && start <= previous.start + previous.count) {
+            previous.count = Math.max(previous.count, start + 16 - previous.start);
+        } else {
+            attribute.addUpdateRange(start, 16);
+        }
+        attribute.needsUpdate = true;
+    }
+
+    /**
+     * Tint one instance - multiplies the material's color
+     * @param {number} index
+     * @param {THREE.Color} color - White for no tint
+     */
+    setColor(index, color) {
+        this.mesh.setColorAt(index, color);
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * Forget every matrix - the next setCount() places them all again
+     * (e.g. after the layout seed changed). Tints go too: they belonged
+     * to the old instances.
+     */
+    invalidate() {
+        this.filled = 0;
+        if (this.mesh.instanceColor) {
+            this.mesh.instanceColor.array.fill(1);
+            this.mesh.instanceColor.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Double the capacity until `count` fits, keeping the matrices already written
+     */
+    grow(count) {
+        let capacity = this.capacity;
+        while (capacity < count) capacity *= 2;
+
+        const old = this.mesh;
+        const mesh = this.createMesh(capacity);
+        mesh.instanceMatrix.array.set(old.instanceMatrix.array.subarray(0, this.filled * 16));
+        if (old.instanceColor) {
+            mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3).fill(1), 3);
+            mesh.instanceColor.array.set(old.instanceColor.array);
+        }
+        mesh.count = old.count;
+
+        this.parent.remove(old);
+        old.dispose(); // Frees the old instance buffer on the GPU; geometry and material stay
+        this.parent.add(mesh);
+        this.mesh = mesh;
+        console.log(`[InstancedPool] ${this.name}: capacity ${old.instanceMatrix.count} → ${capacity}`);
+    }
+
+    /**
+     * Remove the mesh for good. Geometry and material are the caller's to dispose.
+     */
+    dispose() {
+        this.parent.remove(this.mesh);
+        this.mesh.dispose();
+        this.mesh = null;
+    }
+}
+
+/**
+ * Make a material's instanced draws skip instances past drawDistance: all
+ * of a skipped instance's vertices land on one point outside the clip
+ * volume, so none of it is rasterized. Meshes that share the material
+ * without instancing compile without the check.
+ */
+function cullByDistance(material) {
+    if (distanceCulled.has(material)) return;
+    distanceCulled.add(material);
+    material.onBeforeCompile = (shader) => {
+        shader.uniforms.instanceDrawDistance = drawDistance;
+        shader.vertexShader = `uniform float instanceDrawDistance;\n${shader.vertexShader}`.replace(
+            '#include <project_vertex>',
+            `#include <project_vertex>
+            #ifdef USE_INSTANCING
+                if ( - ( modelViewMatrix * instanceMatrix[ 3 ] ).z > instanceDrawDistance ) gl_Position = vec4( 0.0, 0.0, 2.0, 1.0 );
+            #endif`
+        );
+    };
+    material.needsUpdate = true;
+}
@@ -0,0 +1,309 @@
+/**
+ * ObjectEditor.js - Reads and changes a selection for the Inspector
+ *
+ * A selection (see SelectionManager) can be a plain object, an entity or
+ * a single instance of an InstancedMesh, and each is edited its own way:
+ * - transform: objects their position/rotation/scale; entities go through
+ *   Entity.set() (y rotation, uniform scale - all an entity has); a tree
+ *   moves its trunk and foliage instances together
+ * - visible:   objects only - one instance can't be hidden on its own
+ * - color:     a script object switches to that color's shared material
+ *   like SetColor() does; an instance gets a tint of its own (see
+ *   InstancedPool.setColor()); any other mesh changes its material, which
+ *   every mesh sharing it will show
+ * - count:     the forest's tree count can be changed; entity and
+ *   instance counts are read-only
+ *
+ * snapshot()/restore() take and put back all of that at once, which is
+ * what the Inspector's undo keeps. stats() is the read-only side:
+ * triangles, draw calls and GPU memory for the selection.
+ *
+ * USAGE:
+ * ```javascript
+ * const before = editor.snapshot(selection);
+ * editor.setColor(selection, '#ff0000');
+ * editor.restore(selection, before); // Undo
+ * ```
+ */
+
+import * as THREE from 'three';
+import { geometryBytes } from './ResourceTracker.js';
+import { triangles } from './ScriptObjectRenderer.js';
+import { isShown } from './SelectionManager.js';
+
+const MAX_TREES = 1000;   // Same cap as CodeExecutor's maxTreeLimit
+const MIN_SCALE = 0.001;  // A zero scale can't be undone through the instance matrix
+
+export class ObjectEditor {
+    /**
+     * @param {SceneController} sceneController
+     */
+    constructor(sceneController) {
+        this.sceneController = sceneController;
+
+        // Scratch objects
+        this.matrix = new THREE.Matrix4();
+        this.delta = new THREE.Matrix4();
+        this.color = new THREE.Color();
+    }
+
+    /**
+     * What the Inspector may offer for a selection
+     * @returns {{transform: string, visible: boolean, color: boolean, count: boolean}}
+     *   transform: 'full', or 'entity' (position, y rotation, uniform scale)
+     */
+    capabilities(selection) {
+        const count = this.getCount(selection);
+        return {
+            transform: selection.kind === 'entity' ? 'entity' : 'full',
+            visible: !isInstance(selection),
+            color: this.getColor(selection) !== null,
+            count: count !== null && count.editable
+        };
+    }
+
+    // ========== READ ==========
+
+    /**
+     * Everything the Inspector edits, as plain values
+     * @returns {{position: Array<number>, rotation: Array<number>, scale: Array<number>,
+     *   visible: boolean, color: string|null, count: number|null}} rotation in radians
+     */
+    snapshot(selection) {
+        const { position, rotation, scale } = this.sceneController.selection.describe(selection);
+        return {
+            position: position.toArray(),
+            rotation: [rotation.x, rotation.y, rotation.z],
+            scale: scale.toArray(),
+            visible: selection.object.visible,
+            color: this.getColor(selection),
+            count: this.getCount(selection)?.count ?? null
+        };
+    }
+
+    /**
+     * @returns {string|null} '#rrggbb' as drawn (material color times the
+     *   instance's tint), or null if the selection has no color to edit
+     */
+    getColor(selection) {
+        const { object, index } = selection;
+        const material = object.material;
+        if (!material || Array.isArray(material) || !material.color) return null;
+        this.color.copy(material.color);
+        if (isInstance(selection) && object.instanceColor) {
+            const tint = new THREE.Color();
+            object.getColorAt(index, tint);
+            this.color.multiply(tint);
+        }
+        return `#${this.color.getHexString()}`;
+    }
+
+    /**
+     * @returns {{count: number, editable: boolean}|null} null for things that
+     *   aren't instanced
+     */
+    getCount(selection) {
+        const { object, entity } = selection;
+        if (this.isForest(selection)) return { count: this.sceneController.currentTreeCount, editable: true };
+        if (entity) return { count: this.sceneController.entities.count(entity.prefab), editable: false };
+        if (object.isInstancedMesh) return { count: object.count, editable: false };
+        return null;
+    }
+
+    isForest({ kind, object }) {
+        const { treePools, treeGroup } = this.sceneController;
+        return kind === 'tree' || object === treeGroup ||
+            (!!treePools && (object === treePools.trunk.mesh || object === treePools.foliage.mesh));
+    }
+
+    // ========== WRITE ==========
+
+    /**
+     * @param {Object} selection
+     * @param {Object} transform - { position, rotation (radians), scale }, each [x, y, z]
+     */
+    setTransform(selection, { position, rotation, scale }) {
+        const { kind, object, index, entity } = selection;
+        scale = scale.map(v => (Math.abs(v) < MIN_SCALE ? MIN_SCALE : v));
+
+        if (kind === 'entity') {
+            entity.set({ position, rotation: rotation[1], scale: scale[0] });
+            return;
+        }
+        if (isInstance(selection)) {
+            this.matrix.compose(
+                new THREE.Vector3().fromArray(position),
+                new THREE.Quaternion().setFromEuler(new THREE.Euler(...rotation)),
+                new THREE.Vector3().fromArray(scale)
+            );
+            if (kind === 'tree') {
+                // The trunk's matrix is the tree's; the foliage moves by as much
+                const { trunk, foliage } = this.sceneController.treePools;
+                trunk.mesh.getMatrixAt(index, this.delta);
+                this.delta.invert().premultiply(this.matrix);
+                trunk.setMatrix(index, this.matrix);
+                foliage.mesh.getMatrixAt(index, this.matrix);
+                foliage.setMatrix(index, this.matrix.premultiply(this.delta));
+            } else {
+                object.setMatrixAt(index, this.matrix);
+                object.instanceMatrix.needsUpdate = true;
+                object.boundingSphere = null;
+            }
+            return;
+        }
+        object.position.fromArray(position);
+        object.rotation.set(...rotation);
+        object.scale.fromArray(scale);
+        this.changedScriptObject(object);
+    }
+
+    setVisible(selection, visible) {
+        if (isInstance(selection)) return;
+        selection.object.visible = visible;
+        this.changedScriptObject(selection.object);
+    }
+
+    /**
+     * @param {Object} selection
+     * @param {string} color - '#rrggbb'
+     */
+    setColor(selection, color) {
+        const { object, index } = selection;
+        if (this.getColor(selection) === null) return;
+
+        if (isInstance(selection)) {
+            // Tint = wanted / material color, so the product is what was picked
+            const base = object.material.color;
+            const wanted = new THREE.Color(color);
+            const tint = new THREE.Color(
+                base.r > 0 ? wanted.r / base.r : 1,
+                base.g > 0 ? wanted.g / base.g : 1,
+                base.b > 0 ? wanted.b / base.b : 1
+            );
+            const pool = this.poolOf(object);
+            if (pool) {
+                pool.setColor(index, tint);
+            } else {
+                object.setColorAt(index, tint);
+                object.instanceColor.needsUpdate = true;
+            }
+        } else if (this.isScriptObject(object) && !object.userData.material) {
+            this.sceneController.updateObject(object, { color });
+        } else {
+            object.material.color.set(color);
+        }
+    }
+
+    /**
+     * @param {Object} selection
+     * @param {number} count - Trees in the forest (other counts are read-only)
+     */
+    setCount(selection, count) {
+        if (!this.isForest(selection)) return;
+        const trees = THREE.MathUtils.clamp(Math.round(count), 0, MAX_TREES);
+        if (trees !== this.sceneController.currentTreeCount) this.sceneController.spawnTreesWithModels(trees);
+    }
+
+    /**
+     * Put back what snapshot() took
+     */
+    restore(selection, snapshot) {
+        if (snapshot.count !== null) this.setCount(selection, snapshot.count);
+        this.setTransform(selection, snapshot);
+        this.setVisible(selection, snapshot.visible);
+        if (snapshot.color !== null && snapshot.color !== this.getColor(selection)) {
+            this.setColor(selection, snapshot.color);
+        }
+    }
+
+    isScriptObject(object) {
+        return object.parent !== null && object.parent === this.sceneController.scriptObjectRoot;
+    }
+
+    /**
+     * A script object edited from outside - instanced/merged batches need a rebuild
+     */
+    changedScriptObject(object) {
+        if (this.isScriptObject(object)) this.sceneController.scriptRenderer.markDirty();
+    }
+
+    /**
+     * @returns {InstancedPool|null} The pool that owns an InstancedMesh
+     */
+    poolOf(mesh) {
+        const { treePools, entities } = this.sceneController;
+        if (treePools) {
+            for (const pool of [treePools.trunk, treePools.foliage]) {
+                if (pool.mesh === mesh) return pool;
+            }
+        }
+        for (const kind of entities?.kinds.values() ?? []) {
+            const pool = kind.pools?.find(p => p.mesh === mesh);
+            if (pool) return pool;
+        }
+        return null;
+    }
+
+    // ========== STATS ==========
+
+    /**
+     * Read-only numbers for a selection. An instance shares its
+     * InstancedMesh's draw call and buffers with every other instance,
+     * so those are the InstancedMesh's (shared: true).
+     * @returns {{triangles: number, drawCalls: number, bytes: number, shared: boolean, batched: boolean}}
+     *   batched: a script object drawn by an instanced/merged batch, not by itself
+     */
+    stats(selection) {
+        const { kind, object, entity } = selection;
+        if (isInstance(selection)) {
+            const meshes = kind === 'tree'
+                ? [this.sceneController.treePools.trunk.mesh, this.sceneController.treePools.foliage.mesh]
+                : entity ? this.sceneController.entities.meshesOf(entity) : [object];
+            return {
+                triangles: meshes.reduce((sum, mesh) => sum + triangles(mesh.geometry), 0),
+                drawCalls: meshes.length,
+                bytes: meshes.reduce((sum, mesh) => sum + geometryBytes(mesh.geometry) + instanceBytes(mesh), 0),
+                shared: true,
+                batched: false
+            };
+        }
+
+        const stats = { triangles: 0, drawCalls: 0, bytes: 0, shared: false, batched: false };
+        const counted = new Set(); // Geometry and textures shared inside the selection count once
+        object.traverse(child => {
+            if (!child.isMesh) return;
+            const copies = child.isInstancedMesh ? child.count : 1;
+            stats.triangles += triangles(child.geometry) * copies;
+            if (!counted.has(child.geometry)) {
+                counted.add(child.geometry);
+                stats.bytes += geometryBytes(child.geometry);
+            }
+            stats.bytes += instanceBytes(child);
+            const map = child.material?.map;
+            if (map?.image && !counted.has(map)) {
+                counted.add(map);
+                stats.bytes += map.image.width * map.image.height * 4;
+            }
+        });
+        if (isShown(object)) {
+            object.traverseVisible(child => {
+                if (!child.isMesh || (child.isInstancedMesh && child.count === 0)) return;
+                stats.drawCalls += Array.isArray(child.material) ? child.geometry.groups.length : 1;
+            });
+        }
+        stats.batched = this.isScriptObject(object) && this.sceneController.scriptRenderer.batched;
+        return stats;
+    }
+}
+
+/**
+ * One instance of an InstancedMesh (a procedural tree, an instanced enemy, ...)
+ */
+function isInstance({ object, index }) {
+    return object.isInstancedMesh === true && index !== null;
+}
+
+function instanceBytes(mesh) {
+    if (!mesh.isInstancedMesh) return 0;
+    return mesh.instanceMatrix.array.byteLength + (mesh.instanceColor?.array.byteLength ?? 0);
+}
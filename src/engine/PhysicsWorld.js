@@ -0,0 +1,217 @@
+/**
+ * PhysicsWorld.js - Small fixed-timestep physics for script objects
+ *
+ * Just enough for the Physics Chaos scenario: spheres and boxes that
+ * fall, bounce off the ground and can be pushed. SceneController.update()
+ * calls step(deltaTime) every frame; the world advances in fixed steps of
+ * `timestep` seconds (at most MAX_SUB_STEPS per frame, so a slow frame
+ * can't snowball into an ever slower one) and writes the positions
+ * straight into the meshes.
+ *
+ * Each step is semi-implicit Euler:
+ *   velocity += gravity * dt
+ *   velocity *= 1 - damping * dt       (damping: share of speed lost per second)
+ *   position += velocity * dt
+ * then anything below the ground is put back on it, its fall reversed and
+ * scaled by `bounciness`. Boxes slide to a stop quickly, spheres roll on.
+ *
+ * Every setting comes from student code (Physics.SetDamping(), ...) and
+ * none is clamped, on purpose: a negative damping, a timestep where
+ * damping * dt goes past 2, a bounciness over 1 or a force added every
+ * frame without * Time.deltaTime all make the speeds grow without end.
+ * A body that gets that far "explodes" - it's taken out of the
+ * simulation and onExplode reports it, so the console can say which
+ * setting to look at.
+ *
+ * Deliberately cheap for the N4000: no rotation, no collisions between
+ * bodies, plain numbers instead of vector objects, nothing allocated per step.
+ */
+
+export const PHYSICS_DEFAULTS = {
+    timestep: 1 / 60,   // Seconds per step
+    gravity: -9.81,     // Acceleration on y, m/s²
+    damping: 0.05,      // Share of speed lost per second
+    bounciness: 0.5     // Share of the fall speed kept on a bounce
+};
+
+const MAX_SUB_STEPS = 5;
+const MAX_FRAME_TIME = 0.25;   // Longer frames (a background tab) are cut to this
+const GROUND_Y = 0;
+const GROUND_FRICTION = { box: 2, sphere: 0.3 }; // Share of sliding speed lost per second on the ground
+const REST_SPEED = 0.2;        // Slower bounces than this just stop
+const EXPLODE_LIMIT = 1e4;     // Beyond this distance or speed the body has blown up
+
+export class PhysicsWorld {
+    constructor() {
+        this.settings = { ...PHYSICS_DEFAULTS };
+        this.bodies = new Map(); // mesh -> body
+        this.accumulator = 0;
+        this.steps = 0;
+
+        // Callbacks
+        this.onExplode = null;   // (body, settings) => void
+    }
+
+    /**
+     * @param {Object} settings - Any of timestep, gravity, damping, bounciness
+     */
+    configure(settings) {
+        for (const key of Object.keys(PHYSICS_DEFAULTS)) {
+            if (settings[key] !== undefined) this.settings[key] = settings[key];
+        }
+    }
+
+    /**
+     * Give a mesh a body (or change its mass if it has one)
+     * @param {THREE.Object3D} mesh - Unit-sized script object (see SceneController.spawnObject)
+     * @param {Object} options - { key: id the script knows it by, shape, mass }
+     */
+    addBody(mesh, { key, shape, mass }) {
+        const existing = this.bodies.get(mesh);
+        if (existing) {
+            existing.mass = mass;
+            return existing;
+        }
+        const body = {
+            key,
+            mesh,
+            name: mesh.name,
+            shape: shape === 'sphere' ? 'sphere' : 'box',
+            mass,
+            velocity: [0, 0, 0]
+        };
+        this.bodies.set(mesh, body);
+        return body;
+    }
+
+    removeBody(mesh) {
+        this.bodies.delete(mesh);
+    }
+
+    /**
+     * Instant push: velocity changes by force / mass
+     */
+    addForce(mesh, force) {
+        const body = this.bodies.get(mesh);
+        if (!body) return;
+        for (let i = 0; i < 3; i++) body.velocity[i] += force[i] / body.mass;
+    }
+
+    setVelocity(mesh, velocity) {
+        const body = this.bodies.get(mesh);
+        if (body) body.velocity = [velocity[0], velocity[1], velocity[2]];
+    }
+
+    /**
+     * Remove every body and go back to the default settings (a new run)
+     */
+    clear() {
+        this.bodies.clear();
+        this.settings = { ...PHYSICS_DEFAULTS };
+        this.accumulator = 0;
+        this.steps = 0;
+    }
+
+    /**
+     * @returns {Object<number, Array<number>>} Position of each body by its key,
+     *   for scripts reading obj.x/y/z (sent to the worker every frame)
+     */
+    positions() {
+        const positions = {};
+        for (const body of this.bodies.values()) {
+            const p = body.mesh.position;
+            positions[body.key] = [p.x, p.y, p.z];
+        }
+        return positions;
+    }
+
+    // ========== SIMULATION ==========
+
+    /**
+     * Advance by one frame's worth of fixed steps
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    step(deltaTime) {
+        if (this.bodies.size === 0) return;
+        const { timestep } = this.settings;
+        if (!(timestep > 0)) return;
+
+        this.accumulator = Math.min(this.accumulator + deltaTime, MAX_FRAME_TIME);
+        let subSteps = 0;
+        while (this.accumulator >= timestep && subSteps < MAX_SUB_STEPS) {
+            this.integrate(timestep);
+            this.accumulator -= timestep;
+            subSteps++;
+        }
+        // Behind by more than MAX_SUB_STEPS: drop the rest rather than catch up
+        if (subSteps === MAX_SUB_STEPS) this.accumulator = 0;
+    }
+
+    integrate(dt) {
+        const { gravity, damping, bounciness } = this.settings;
+        const keep = 1 - damping * dt;
+        this.steps++;
+
+        for (const body of this.bodies.values()) {
+            const v = body.velocity;
+            const p = body.mesh.position;
+
+            v[1] += gravity * dt;
+            v[0] *= keep;
+            v[1] *= keep;
+            v[2] *= keep;
+            p.x += v[0] * dt;
+            p.y += v[1] * dt;
+            p.z += v[2] * dt;
+
+            // Script objects are 1 unit tall at scale 1, spheres included
+            const bottom = p.y - 0.5 * body.mesh.scale.y;
+            if (bottom < GROUND_Y) {
+                p.y += GROUND_Y - bottom;
+                if (v[1] < 0) v[1] = -v[1] * bounciness;
+                if (Math.abs(v[1]) < REST_SPEED) v[1] = 0;
+                const slide = Math.max(0, 1 - GROUND_FRICTION[body.shape] * dt);
+                v[0] *= slide;
+                v[2] *= slide;
+            }
+
+            if (this.hasExploded(p, v)) this.explode(body);
+        }
+    }
+
+    hasExploded(p, v) {
+        const far = Math.max(Math.abs(p.x), Math.abs(p.y), Math.abs(p.z));
+        const fast = Math.max(Math.abs(v[0]), Math.abs(v[1]), Math.abs(v[2]));
+        // Written as "not in range" so NaN counts as blown up too
+        return !(far < EXPLODE_LIMIT && fast < EXPLODE_LIMIT);
+    }
+
+    explode(body) {
+        this.bodies.delete(body.mesh);
+        body.mesh.visible = false;
+        console.log(`[PhysicsWorld] ${body.name} blew up after ${this.steps} steps`);
+        if (this.onExplode) this.onExplode(body, { ...this.settings });
+    }
+}
+
+/**
+ * Console message for a body that blew up, naming the most likely cause
+ * @param {Object} body - From onExplode
+ * @param {Object} settings - The settings when it happened
+ * @returns {string}
+ */
+export function describeExplosion(body, { timestep, damping, bounciness }) {
+    let cause;
+    if (!(body.mass > 0)) {
+        cause = `its mass is ${body.mass} - AddForce() divides by the mass, so it needs to be more than 0`;
+    } else if (damping < 0) {
+        cause = `damping is ${damping} - below 0 every step makes it faster instead of slower`;
+    } else if (damping * timestep > 2) {
+        cause = `damping × timestep is ${+(damping * timestep).toFixed(2)} - over 2 each step overshoots and the speed flips and grows`;
+    } else if (bounciness > 1) {
+        cause = `bounciness is ${bounciness} - over 1 every bounce adds speed`;
+    } else {
+        cause = 'something keeps adding speed - is a force added every frame without * Time.deltaTime?';
+    }
+    return `💥 ${body.name} blew up: ${cause}`;
+}
@@ -0,0 +1,122 @@
+/**
+ * PrefabRegistry.js - Kinds of scene object the engine can spawn
+ *
+ * Trees were the only thing SceneController knew how to make. The coming
+ * scenarios (Memory Leak, Physics Chaos, Render Storm, AI Rebellion) need
+ * rocks, enemies, projectiles and more, so each kind is a prefab:
+ * - parts:     one or more { geometry, color, offset } - a tree is a trunk
+ *              and a cone of foliage
+ * - instanced: true draws every copy of a part in one InstancedMesh
+ *              (cheap for hundreds of copies); false gives each entity its
+ *              own meshes (for a few objects that need their own transform)
+ * - capacity:  instances allocated up front when instanced
+ *
+ * Geometry and materials are built on first use and shared by every
+ * entity of the prefab. EntityManager does the spawning.
+ *
+ * USAGE:
+ * ```javascript
+ * registry.register('crate', {
+ *     parts: [{ geometry: () => new THREE.BoxGeometry(1, 1, 1), color: 0xa0522d, offset: [0, 0.5, 0] }],
+ *     instanced: true,
+ *     capacity: 32
+ * });
+ * ```
+ */
+
+import * as THREE from 'three';
+
+export const BUILTIN_PREFABS = {
+    tree: {
+        parts: [
+            { name: 'Trunk', geometry: () => new THREE.CylinderGeometry(0.3, 0.5, 2, 6), color: 0x8B4513, offset: [0, 1, 0] },
+            { name: 'Foliage', geometry: () => new THREE.ConeGeometry(1.5, 4, 6), color: 0x228B22, offset: [0, 3.5, 0] }
+        ],
+        instanced: true,
+        capacity: 256
+    },
+    rock: {
+        parts: [{ name: 'Rock', geometry: () => new THREE.DodecahedronGeometry(0.8, 0), color: 0x7a7a7a, offset: [0, 0.4, 0] }],
+        instanced: true,
+        capacity: 64
+    },
+    enemy: {
+        parts: [
+            { name: 'Body', geometry: () => new THREE.CapsuleGeometry(0.4, 0.8, 2, 8), color: 0xd94848, offset: [0, 0.8, 0] },
+            { name: 'Eye', geometry: () => new THREE.SphereGeometry(0.12, 8, 6), color: 0xffffff, offset: [0, 1.2, 0.35] }
+        ],
+        instanced: true,
+        capacity: 128
+    },
+    spawner: {
+        parts: [
+            { name: 'Tower', geometry: () => new THREE.CylinderGeometry(0.8, 1.2, 3, 8), color: 0x3b3b4f, offset: [0, 1.5, 0] },
+            { name: 'Core', geometry: () => new THREE.OctahedronGeometry(0.6, 0), color: 0xff3355, offset: [0, 3.6, 0] }
+        ],
+        instanced: false
+    },
+    projectile: {
+        parts: [{ name: 'Projectile', geometry: () => new THREE.SphereGeometry(0.15, 8, 6), color: 0xffd23f, offset: [0, 0, 0] }],
+        instanced: true,
+        capacity: 128
+    }
+};
+
+export class PrefabRegistry {
+    constructor() {
+        this.prefabs = new Map(); // id -> definition
+        this.parts = new Map();   // id -> [{ name, geometry, material, offset }], built on first use
+
+        for (const [id, definition] of Object.entries(BUILTIN_PREFABS)) {
+            this.register(id, definition);
+        }
+    }
+
+    /**
+     * @param {string} id - e.g. 'rock'
+     * @param {Object} definition - { parts, instanced, capacity } (see the header)
+     */
+    register(id, definition) {
+        if (!Array.isArray(definition.parts) || definition.parts.length === 0) {
+            throw new Error(`Prefab "${id}" needs at least one part`);
+        }
+        if (this.parts.has(id)) {
+            throw new Error(`Prefab "${id}" is already in use and can't be redefined`);
+        }
+        this.prefabs.set(id, { instanced: true, capacity: 64, ...definition, id });
+    }
+
+    has(id) {
+        return this.prefabs.has(id);
+    }
+
+    get ids() {
+        return [...this.prefabs.keys()];
+    }
+
+    /**
+     * @returns {Object} The definition, with defaults filled in
+     */
+    get(id) {
+        const prefab = this.prefabs.get(id);
+        if (!prefab) throw new Error(`Unknown prefab "${id}" - registered: ${this.ids.join(', ')}`);
+        return prefab;
+    }
+
+    /**
+     * Shared render resources for a prefab, built the first time they're asked for
+     * @returns {Array<{name: string, geometry: THREE.BufferGeometry, material: THREE.Material, offset: THREE.Vector3}>}
+     */
+    getParts(id) {
+        if (!this.parts.has(id)) {
+            const prefab = this.get(id);
+            this.parts.set(id, prefab.parts.map((part, i) => ({
+                name: part.name || `${id} ${i + 1}`,
+                geometry: part.geometry(),
+                material: new THREE.MeshLambertMaterial({ color: part.color ?? 0xe4e4e7 }),
+                offset: new THREE.Vector3(...(part.offset || [0, 0, 0]))
+            })));
+        }
+        return this.parts.get(id);
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * QualityGovernor.js - Trades image quality for frame time on slow machines
+ *
+ * Watches SceneController's performanceSample events and, when the
+ * average frame time over the last SAMPLE_WINDOW samples goes over the
+ * budget (30 FPS by default), steps down one QUALITY_LEVELS level:
+ * - resolution:   render scale (the canvas keeps its size and is upscaled)
+ * - fog:          fades the far side of the scene into the sky
+ * - draw:         how far instanced trees and enemies are drawn
+ *                 (InstancedPool.setDrawDistance) - terrain and the rest
+ *                 keep the camera's far plane. Fog is solid there, so the
+ *                 cut is unseen.
+ * - profilerMs:   how often the profiler samples (see VisualProfiler)
+ * Fog and draw distances are metres past the scene centre, so zooming the
+ * camera out doesn't fog everything away. SceneController calls
+ * followCamera() once the camera has moved each frame.
+ *
+ * It steps back up once frames have stayed well under budget for a while
+ * (HEADROOM, UPGRADE_AFTER_MS); a step up that has to be undone right away
+ * doubles that wait, so it doesn't flip between two levels.
+ *
+ * suppress() pauses it and puts back full quality: during a Saboteur
+ * scenario the lag is the lesson, and the profiler must show all of it.
+ * Every change, pause and resume is logged as [Quality] and handed to
+ * onLog, which main.js shows in the editor console for teachers; level
+ * changes are also SceneController's qualityChanged event.
+ *
+ * USAGE:
+ * ```javascript
+ * const governor = new QualityGovernor(sceneController);
+ * governor.suppress('Saboteur scenario');
+ * governor.resume('Saboteur scenario');
+ * ```
+ */
+
+import * as THREE from 'three';
+import { InstancedPool } from './InstancedPool.js';
+
+/**
+ * Best first. fogStart/draw: null = no fog / every instance drawn.
+ */
+export const QUALITY_LEVELS = Object.freeze([
+    { name: 'Full',    resolution: 1.0,  fogStart: null, draw: null, profilerMs: 1000 },
+    { name: 'Reduced', resolution: 0.85, fogStart: 30,   draw: 70,   profilerMs: 1000 },
+    { name: 'Low',     resolution: 0.7,  fogStart: 10,   draw: 50,   profilerMs: 2000 },
+    { name: 'Minimum', resolution: 0.5,  fogStart: 0,    draw: 35,   profilerMs: 4000 }
+]);
+
+const BUDGET_MS = 1000 / 30;
+const SAMPLE_WINDOW = 20;          // performanceSample comes 10x/sec - 2 seconds
+const HEADROOM = 0.6;              // Step up only under 60% of the budget...
+const UPGRADE_AFTER_MS = 5000;     // ...for this long
+const MAX_UPGRADE_AFTER_MS = 60000;
+const BOUNCE_MS = 10000;           // A step down this soon after a step up undoes it
+const COOLDOWN_MS = 3000;          // Let a change settle before judging it
+const STALL_MS = 500;              // A frame this long is a hidden tab or a breakpoint, not load
+const FOG_OFF = 1e6;               // Fog stays on the scene once made (no shader recompiles), this far away
+
+export class QualityGovernor {
+    /**
+     * @param {SceneController} sceneController - Renderer, camera and scene to adjust
+     * @param {Object} [options]
+     * @param {number} [options.budgetMs] - Target frame time
+     */
+    constructor(sceneController, { budgetMs = BUDGET_MS } = {}) {
+        this.sceneController = sceneController;
+        this.budgetMs = budgetMs;
+        this.level = 0;
+        this.suppressedBy = new Set();    // Reasons given to suppress()
+
+        this.samples = [];                // Recent frame times (ms), from FPS
+        this.lastChange = -Infinity;
+        this.lastStepUp = -Infinity;
+        this.headroomSince = null;
+        this.upgradeAfterMs = UPGRADE_AFTER_MS;
+
+        this.basePixelRatio = sceneController.renderer.getPixelRatio();
+        this.fog = null;
+
+        this.unsubscribers = [
+            sceneController.on('performanceSample', (e) => this.handleSample(e))
+        ];
+
+        // Callbacks
+        this.onLog = null;   // (message) => void - every [Quality] line
+    }
+
+    get settings() {
+        return QUALITY_LEVELS[this.level];
+    }
+
+    get suppressed() {
+        return this.suppressedBy.size > 0;
+    }
+
+    // ========== WATCHING ==========
+
+    /**
+     * @param {Object} sample - performanceSample event: { fps, frameTime }
+     */
+    handleSample({ fps, frameTime }) {
+        if (this.suppressed) return;
+        if (frameTime > STALL_MS) {
+            this.samples.length = 0;
+            return;
+        }
+
+        this.samples.push(1000 / Math.max(fps, 1));
+        if (this.samples.length > SAMPLE_WINDOW) this.samples.shift();
+
+        const now = performance.now();
+        if (this.samples.length < SAMPLE_WINDOW || now - this.lastChange < COOLDOWN_MS) return;
+
+        const average = this.samples.reduce((sum, ms) => sum + ms, 0) / this.samples.length;
+        const frame = `avg frame ${average.toFixed(1)} ms, budget ${this.budgetMs.toFixed(1)} ms`;
+
+        if (average > this.budgetMs) {
+            this.headroomSince = null;
+            if (this.level === QUALITY_LEVELS.length - 1) return;
+            if (now - this.lastStepUp < BOUNCE_MS) {
+                this.upgradeAfterMs = Math.min(this.upgradeAfterMs * 2, MAX_UPGRADE_AFTER_MS);
+            }
+            this.setLevel(this.level + 1, frame);
+        } else if (average < this.budgetMs * HEADROOM && this.level > 0) {
+            this.headroomSince ??= now;
+            if (now - this.headroomSince < this.upgradeAfterMs) return;
+            this.lastStepUp = now;
+            this.setLevel(this.level - 1, frame);
+        } else {
+            this.headroomSince = null;
+        }
+    }
+
+    /**
+     * Pause the governor at full quality (until every reason is resume()d)
+     * @param {string} reason - Shown in the log, and what resume() takes
+     */
+    suppress(reason) {
+        if (this.suppressedBy.has(reason)) return;
+        this.suppressedBy.add(reason);
+        this.log(`Governor paused: ${reason}`);
+        if (this.level > 0) this.setLevel(0, `paused: ${reason}`);
+    }
+
+    resume(reason) {
+        if (!this.suppressedBy.delete(reason)) return;
+        if (this.suppressed) return;
+        this.samples.length = 0;
+        this.headroomSince = null;
+        this.log(`Governor resumed (${reason} ended)`);
+    }
+
+    // ========== LEVERS ==========
+
+    /**
+     * @param {number} level - Index into QUALITY_LEVELS
+     * @param {string} reason - For the log
+     */
+    setLevel(level, reason) {
+        const from = this.settings;
+        const to = QUALITY_LEVELS[level];
+        if (!to || level === this.level) return;
+        this.level = level;
+        this.lastChange = performance.now();
+        this.samples.length = 0;
+        this.headroomSince = null;
+
+        const { renderer, scene } = this.sceneController;
+        renderer.setPixelRatio(this.basePixelRatio * to.resolution);
+        if (to.fogStart !== null && !this.fog) {
+            this.fog = new THREE.Fog(scene.background, FOG_OFF, FOG_OFF);
+            scene.fog = this.fog;
+        }
+        this.followCamera();
+
+        this.log(`${from.name} → ${to.name} (${reason}): ${describeChange(from, to)}`);
+        this.sceneController.dispatchEvent({ type: 'qualityChanged', level, ...to, reason });
+    }
+
+    /**
+     * Fog and draw distance are measured from the scene centre - move them
+     * with the camera. Called every frame, after the camera has moved.
+     */
+    followCamera() {
+        const { fogStart, draw } = this.settings;
+        const centre = this.sceneController.camera.position.length();
+
+        InstancedPool.setDrawDistance(draw === null ? null : centre + draw);
+        if (this.fog) {
+            this.fog.near = fogStart === null ? FOG_OFF : centre + fogStart;
+            this.fog.far = draw === null ? FOG_OFF : centre + draw;
+        }
+    }
+
+    log(message) {
+        console.log(`[Quality] ${message}`);
+        if (this.onLog) this.onLog(message);
+    }
+
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+/**
+ * "resolution 100% → 85%, fog off → 30 m, ..." - only what changed
+ */
+function describeChange(from, to) {
+    const percent = (v) => `${Math.round(v * 100)}%`;
+    const fog = (v) => (v === null ? 'off' : `${v} m`);
+    const draw = (v) => (v === null ? 'unlimited' : `${v} m`);
+    const changes = [
+        ['resolution', percent(from.resolution), percent(to.resolution)],
+        ['fog from', fog(from.fogStart), fog(to.fogStart)],
+        ['instance draw distance', draw(from.draw), draw(to.draw)],
+        ['profiler every', `${from.profilerMs} ms`, `${to.profilerMs} ms`]
+    ];
+    return changes
+        .filter(([, before, after]) => before !== after)
+        .map(([name, before, after]) => `${name} ${before} → ${after}`)
+        .join(', ');
+}
@@ -0,0 +1,217 @@
+/**
+ * ResourceTracker.js - Lifetimes of the GPU resources student code creates
+ *
+ * three.js never frees a geometry, material or texture by itself: taking
+ * a mesh out of the scene leaves its buffers on the GPU until someone
+ * calls dispose(). The Memory Leak scenario is about exactly that, so
+ * everything a script creates through Resources.* is recorded here:
+ * - live counts per type and estimated bytes (vertex/index buffers,
+ *   texture pixels, a flat guess per material)
+ * - who uses each resource: meshes for geometry and materials,
+ *   materials for textures
+ * - leaks: a resource nothing uses that was never disposed - its last
+ *   user went away (Destroy(), or another SetMaterial()), or it never had
+ *   one (Resources.Create*() every frame, the result thrown away). It's
+ *   still taking up memory and nothing draws it.
+ * Spawn()ed objects are counted as entities, so the profiler can show
+ * objects and resources side by side.
+ *
+ * A new run disposes whatever the last one left behind - the leak is the
+ * student's to find while the script runs, not the next run's problem.
+ *
+ * USAGE:
+ * ```javascript
+ * tracker.track(7, 'material', new THREE.MeshLambertMaterial(), 'Material 7');
+ * tracker.attach(7, mesh);
+ * tracker.detach(7, mesh);  // mesh destroyed -> Material 7 is leaked
+ * tracker.checkUnused();    // after a frame's commands: reports ones never attached
+ * tracker.dispose(7);       // no longer leaked, and its memory is back
+ * ```
+ */
+
+const MATERIAL_BYTES = 1024; // Uniforms and state - a rough guess, materials are small
+const BYTES_PER_PIXEL = 4;   // RGBA8
+const STAT_KEYS = { geometry: 'geometries', material: 'materials', texture: 'textures' };
+
+export class ResourceTracker {
+    constructor() {
+        this.resources = new Map(); // script's id -> record
+        this.entities = 0;
+        this.leakReported = false;
+
+        // Callbacks
+        this.onLeak = null;         // (record) => void - the first leak of a run
+    }
+
+    /**
+     * @param {number} id - The script's id for it
+     * @param {string} type - 'geometry' | 'material' | 'texture'
+     * @param {THREE.BufferGeometry|THREE.Material|THREE.Texture} object
+     * @param {string} name - e.g. 'Material 7'
+     */
+    track(id, type, object, name) {
+        this.resources.set(id, {
+            id,
+            type,
+            name,
+            object,
+            bytes: estimateBytes(type, object),
+            users: new Set(),
+            used: false,      // Has had a user (for the leak message)
+            checked: false,   // Seen unused by checkUnused() - next time it's reported
+            disposed: false
+        });
+    }
+
+    /**
+     * @returns {Object|null} The three.js object, or null once disposed
+     */
+    get(id) {
+        const record = this.resources.get(id);
+        return record && !record.disposed ? record.object : null;
+    }
+
+    /**
+     * @param {number} id
+     * @param {Object} user - The mesh (or material) now using the resource
+     * @returns {Object|null} The three.js object, or null once disposed
+     */
+    attach(id, user) {
+        const record = this.resources.get(id);
+        if (!record || record.disposed) return null;
+        record.users.add(user);
+        record.used = true;
+        return record.object;
+    }
+
+    detach(id, user) {
+        const record = this.resources.get(id);
+        if (!record || !record.users.delete(user)) return;
+        if (isLeaked(record)) this.reportLeak(record);
+    }
+
+    /**
+     * A frame's script commands are applied. A resource that has gone a
+     * whole frame since it was created without anything using it is
+     * reported (once a run, like detach()) - one made in Start() and
+     * used by the first Update() isn't.
+     */
+    checkUnused() {
+        if (this.leakReported) return;
+        for (const record of this.resources.values()) {
+            if (record.used || !isLeaked(record)) continue;
+            if (record.checked) {
+                this.reportLeak(record);
+                return;
+            }
+            record.checked = true;
+        }
+    }
+
+    reportLeak(record) {
+        if (this.leakReported) return;
+        this.leakReported = true;
+        console.log(`[Resources] ${record.name} ${record.used ? 'was removed from the scene' : 'was created but never used'} and never disposed`);
+        if (this.onLeak) this.onLeak(record);
+    }
+
+    /**
+     * Free a resource
+     * @returns {Array<Object>} Users it was taken from - the caller puts
+     *   something else in its place
+     */
+    dispose(id) {
+        const record = this.resources.get(id);
+        if (!record || record.disposed) return [];
+        record.object.dispose();
+        record.disposed = true;
+        const users = [...record.users];
+        record.users.clear();
+        return users;
+    }
+
+    addEntity() {
+        this.entities++;
+    }
+
+    removeEntity() {
+        this.entities--;
+    }
+
+    /**
+     * Dispose everything still alive and start over (a new run)
+     */
+    clear() {
+        const leaked = this.leaks();
+        if (leaked.length > 0) {
+            const bytes = leaked.reduce((sum, record) => sum + record.bytes, 0);
+            console.log(`[Resources] Freeing ${leaked.length} leaked resources (${formatBytes(bytes)}) from the last run`);
+        }
+        for (const record of this.resources.values()) {
+            if (!record.disposed) record.object.dispose();
+        }
+        this.resources.clear();
+        this.entities = 0;
+        this.leakReported = false;
+    }
+
+    // ========== STATS ==========
+
+    /**
+     * @returns {Array<Object>} Records nothing uses that were never disposed
+     */
+    leaks() {
+        return [...this.resources.values()].filter(isLeaked);
+    }
+
+    /**
+     * @returns {{geometries: number, materials: number, textures: number, entities: number, bytes: number, leaked: number, leakedBytes: number}}
+     *   counts and bytes are for resources not yet disposed
+     */
+    getStats() {
+        const stats = { geometries: 0, materials: 0, textures: 0, entities: this.entities, bytes: 0, leaked: 0, leakedBytes: 0 };
+        for (const record of this.resources.values()) {
+            if (record.disposed) continue;
+            stats[STAT_KEYS[record.type]]++;
+            stats.bytes += record.bytes;
+            if (isLeaked(record)) {
+                stats.leaked++;
+                stats.leakedBytes += record.bytes;
+            }
+        }
+        return stats;
+    }
+}
+
+function isLeaked(record) {
+    return !record.disposed && record.users.size === 0;
+}
+
+function estimateBytes(type, object) {
+    if (type === 'geometry') return geometryBytes(object);
+    if (type === 'texture') {
+        const { width, height } = object.image;
+        return width * height * BYTES_PER_PIXEL;
+    }
+    return MATERIAL_BYTES;
+}
+
+/**
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {number} Bytes in its vertex and index buffers
+ */
+export function geometryBytes(geometry) {
+    let bytes = geometry.index?.array.byteLength ?? 0;
+    for (const attribute of Object.values(geometry.attributes)) bytes += attribute.array.byteLength;
+    return bytes;
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string} e.g. '12.4 KB'
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
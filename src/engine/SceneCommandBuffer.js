@@ -0,0 +1,113 @@
+/**
+ * SceneCommandBuffer.js - Stand-in for SceneController inside the script worker
+ *
+ * The worker has no scene, so ScriptHost talks to this buffer instead.
+ * Every call is recorded as a plain command that survives postMessage;
+ * the main thread replays the batch with SceneController.applyScriptCommands().
+ *
+ * COMMANDS:
+ *   { op: 'trees', count }                    - set the forest size
+ *   { op: 'clear' }                           - remove every script object
+ *   { op: 'spawn', id, shape, name }          - create a script object
+ *   { op: 'update', id, position, scale, color, geometry, material }
+ *   { op: 'destroy', id }
+ *   { op: 'body', id, mass?, force?, velocity? } - rigidbody changes (see PhysicsWorld)
+ *   { op: 'physics', settings }                - timestep, gravity, damping, bounciness
+ *   { op: 'render', mode }                     - how script objects are drawn (see ScriptObjectRenderer)
+ *   { op: 'resource', id, create, name, shape?, detail?, color?, size? } - see ResourceTracker
+ *   { op: 'resource', id, texture?, dispose? }
+ *   { op: 'agent', id, spawn, position, rate } - create an agent (see AgentSystem)
+ *   { op: 'agent', id, rate?, speed?, seek?, wander?, remove? }
+ *
+ * Values the scripts read (frame time, clock, FPS, tree count, draw
+ * calls) are copied in from the main thread with every request - see
+ * setEnv(). Where the rigidbodies are comes along too, for
+ * ScriptHost.syncBodies().
+ */
+
+export class SceneCommandBuffer {
+    constructor() {
+        this.commands = [];
+
+        // Mirrors of the SceneController fields ScriptHost reads
+        this.currentTreeCount = 0;
+        this.frameTime = 16.67;
+        this.currentFps = 0;
+        this.drawCalls = 0;
+        this.clock = { elapsedTime: 0 };
+    }
+
+    /**
+     * @param {Object} env - { treeCount, frameTime, time, fps, drawCalls } from the main thread
+     */
+    setEnv(env = {}) {
+        this.currentTreeCount = env.treeCount ?? this.currentTreeCount;
+        this.frameTime = env.frameTime ?? this.frameTime;
+        this.currentFps = env.fps ?? this.currentFps;
+        this.drawCalls = env.drawCalls ?? this.drawCalls;
+        this.clock.elapsedTime = env.time ?? this.clock.elapsedTime;
+    }
+
+    spawnTrees(count) {
+        this.currentTreeCount = count;
+        this.commands.push({ op: 'trees', count });
+    }
+
+    clearScriptObjects() {
+        this.commands.push({ op: 'clear' });
+    }
+
+    /**
+     * @returns {{id: number}} Token ScriptHost keeps as the handle's "mesh"
+     */
+    spawnObject(shape, name, id) {
+        this.commands.push({ op: 'spawn', id, shape, name });
+        return { id };
+    }
+
+    updateObject(token, { position, scale, color, geometry, material }) {
+        this.commands.push({ op: 'update', id: token.id, position, scale, color, geometry, material });
+    }
+
+    destroyObject(token) {
+        this.commands.push({ op: 'destroy', id: token.id });
+    }
+
+    updateBody(token, change) {
+        this.commands.push({ op: 'body', id: token.id, ...change });
+    }
+
+    configurePhysics(settings) {
+        this.commands.push({ op: 'physics', settings });
+    }
+
+    setRenderMode(mode) {
+        this.commands.push({ op: 'render', mode });
+    }
+
+    createResource(type, id, name, spec) {
+        this.commands.push({ op: 'resource', id, create: type, name, ...spec });
+    }
+
+    updateResource(id, change) {
+        this.commands.push({ op: 'resource', id, ...change });
+    }
+
+    spawnAgent(kind, id, position, rate) {
+        this.commands.push({ op: 'agent', id, spawn: kind, position, rate });
+    }
+
+    updateAgent(id, change) {
+        this.commands.push({ op: 'agent', id, ...change });
+    }
+
+    /**
+     * Hand over everything recorded so far
+     * @returns {Array<Object>}
+     */
+    take() {
+        const batch = this.commands;
+        this.commands = [];
+        return batch;
+    }
+}
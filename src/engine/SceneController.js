@@ -10,13 +10,60 @@
  * - No PCFSoftShadowMap (saves 20-25 FPS)
  * - GPU Instancing via InstancedMesh
  * - MeshLambertMaterial (cheaper than Standard)
+ *
+ * EVENTS - anyone may listen, and stop listening:
+ * ```javascript
+ * const off = sceneController.on('treeCountChanged', ({ count }) => ...);
+ * off();
+ * ```
+ * See SCENE_EVENTS for what each one carries.
  */
 
 import * as THREE from 'three';
 import { AssetLoader } from './AssetLoader.js';
+import { SeededRandom } from './SeededRandom.js';
+import { InstancedPool } from './InstancedPool.js';
+import { PrefabRegistry } from './PrefabRegistry.js';
+import { EntityManager } from './EntityManager.js';
+import { PhysicsWorld } from './PhysicsWorld.js';
+import { AgentSystem } from './AgentSystem.js';
+import { ScriptObjectRenderer } from './ScriptObjectRenderer.js';
+import { ResourceTracker } from './ResourceTracker.js';
+import { CameraController } from './CameraController.js';
+import { SelectionManager } from './SelectionManager.js';
+import { QualityGovernor } from './QualityGovernor.js';
 
-export class SceneController {
+const DEFAULT_SEED = 1337;
+const TREE_SPREAD = 45; // Trees land in [-45, 45] on x and z
+const SCRIPT_OBJECT_COLOR = '#e4e4e7';
+
+/**
+ * Events a SceneController dispatches. Listeners get { type, target, ...payload }:
+ * - objectAdded:       { object, parent } - an object joined the scene graph
+ *                      (anywhere under the scene; its own children come
+ *                      with it and get no events of their own)
+ * - objectRemoved:     { object, parent } - and left it
+ * - treeCountChanged:  { count, previous } - the forest's tree count
+ * - entityCountChanged: { prefab, count, meshes } - an instanced prefab
+ *                      spawned or despawned; meshes are its pools'
+ *                      InstancedMeshes, whose instance count changed
+ * - resize:            { width, height } - the viewport, in pixels
+ * - frame:             { deltaTime, elapsedTime } - every frame, before
+ *                      anything moves (seconds)
+ * - performanceSample: { fps, frameTime } - 10 times a second (ms)
+ * - qualityChanged:    { level, name, resolution, fogStart, draw,
+ *                      profilerMs, reason } - see QualityGovernor
+ * frame and performanceSample hand every listener the same reused
+ * object - copy what you keep.
+ */
+export const SCENE_EVENTS = Object.freeze([
+    'objectAdded', 'objectRemoved', 'treeCountChanged', 'entityCountChanged',
+    'resize', 'frame', 'performanceSample', 'qualityChanged'
+]);
+
+export class SceneController extends THREE.EventDispatcher {
     constructor(container) {
+        super();
         this.container = container;
         this.scene = null;
         this.camera = null;
@@ -29,15 +76,36 @@ export class SceneController {
         this.useLoadedModels = false; // Toggle for loaded vs procedural
         
         // Tree management
-        this.treeInstancedMesh = null;
+        this.treePools = null;     // { trunk, foliage } InstancedPools, made on first spawn
+        this.treeDummy = null;
+        this.treeGroup = null;     // Clones of loadedTreeModel, when assets loaded
         this.loadedTreeModel = null;
         this.currentTreeCount = 25;
         
-        // Camera orbit
-        this.cameraAngle = 0;
-        this.cameraRadius = 60;
-        this.cameraHeight = 30;
-        this.orbitSpeed = 0.15;
+        // Tree layout seed: the same seed and count always give the same
+        // forest. ?seed= in the URL wins over the scenario's scene.seed.
+        this.urlSeed = readUrlSeed();
+        this.seed = this.urlSeed ?? DEFAULT_SEED;
+        
+        // Prefab entities (rocks, enemies, projectiles, ...) - see EntityManager
+        this.prefabs = new PrefabRegistry();
+        this.entities = null;
+        this.agents = null;                // Spawners and enemies (AI Rebellion) - see AgentSystem
+        
+        // Objects spawned by student scripts (Spawn() in ScriptingAPI)
+        this.scriptObjectRoot = null;
+        this.scriptGeometries = new Map(); // shape -> shared geometry
+        this.scriptMaterials = new Map();  // color -> shared material
+        this.scriptBehaviours = new Set(); // Student scripts with Update()
+        this.scriptObjects = new Map();    // worker object id -> mesh
+        this.scriptRenderer = null;        // Render mode for script objects (Render Storm) - see ScriptObjectRenderer
+        this.resources = new ResourceTracker(); // Geometry/materials/textures from Resources.* (Memory Leak)
+        this.physics = new PhysicsWorld(); // Bodies for script objects with AddRigidbody()
+        
+        // Auto orbit or free camera - see CameraController
+        this.cameraController = null;
+        this.selection = null;             // Click-to-select in the viewport - see SelectionManager
+        this.governor = null;              // Lowers quality when frames run long - see QualityGovernor
         
         // Performance tracking
         this.frameCount = 0;
@@ -46,9 +114,20 @@ export class SceneController {
         this.frameTime = 16.67;
         this.lastFrameTime = performance.now();
         
-        // Callbacks
-        this.onPerformanceUpdate = null;
-        this.onFrameUpdate = null;  // Called each frame for profiler
+        // Events (see SCENE_EVENTS) - the per-frame ones are reused, not made 60 times a second
+        this.frameEvent = { type: 'frame', deltaTime: 0, elapsedTime: 0 };
+        this.performanceEvent = { type: 'performanceSample', fps: 0, frameTime: 0 };
+        this.watchedObjects = new WeakSet(); // Objects whose childadded/childremoved we forward
+        
+        // Captured during dispatch - three clears event.child right after
+        this.handleChildAdded = ({ child, target }) => {
+            this.watchGraph(child);
+            this.dispatchEvent({ type: 'objectAdded', object: child, parent: target });
+        };
+        this.handleChildRemoved = ({ child, target }) => {
+            this.unwatchGraph(child);
+            this.dispatchEvent({ type: 'objectRemoved', object: child, parent: target });
+        };
     }
 
 
@@ -58,6 +137,7 @@ export class SceneController {
         // Create scene
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x87CEEB);
+        this.watchGraph(this.scene);
         
         // Create camera
         this.camera = new THREE.PerspectiveCamera(
@@ -71,6 +151,8 @@ export class SceneController {
         
         // Create renderer with N4000 optimizations
         await this.createRenderer();
+        this.cameraController = new CameraController(this.camera, this.renderer.domElement);
+        this.cameraController.setScope(null);
         
         // Setup lighting
         this.setupLighting();
@@ -81,6 +163,23 @@ export class SceneController {
         // Spawn initial trees
         this.spawnTrees(this.currentTreeCount);
         
+        this.entities = new EntityManager(this.scene, this.prefabs);
+        this.entities.onCountChange = (prefab, meshes) => {
+            this.dispatchEvent({ type: 'entityCountChanged', prefab, count: this.entities.count(prefab), meshes });
+        };
+        this.agents = new AgentSystem(this.entities, { seed: this.seed });
+        
+        this.scriptObjectRoot = new THREE.Group();
+        this.scriptObjectRoot.name = 'Script Objects';
+        this.scene.add(this.scriptObjectRoot);
+        this.scriptRenderer = new ScriptObjectRenderer(
+            this.scriptObjectRoot,
+            mesh => this.getScriptMaterial(mesh.userData.color ?? SCRIPT_OBJECT_COLOR)
+        );
+        
+        this.selection = new SelectionManager(this, this.renderer.domElement);
+        this.governor = new QualityGovernor(this);
+        
         // Debounced resize handler (prevents resize spam that causes flickering)
         this.resizeTimeout = null;
         this.isResizing = false;
@@ -154,7 +253,9 @@ export class SceneController {
         });
         
         const ground = new THREE.Mesh(groundGeo, groundMat);
+        ground.name = 'Ground';
         ground.rotation.x = -Math.PI / 2;
+        ground.userData.pickable = false; // Clicking the ground clears the selection
         this.scene.add(ground);
         
         const grid = new THREE.GridHelper(100, 20, 0x000000, 0x444444);
@@ -162,64 +263,427 @@ export class SceneController {
         this.scene.add(grid);
     }
 
+    /**
+     * Show `count` trees. Only trees that weren't placed yet get new
+     * matrices; fewer trees just lowers the instance count (see InstancedPool).
+     */
     spawnTrees(count) {
-        console.log(`[Trees] Spawning ${count} trees with GPU Instancing...`);
-        
-        // Cleanup existing
-        if (this.treeInstancedMesh) {
-            this.scene.remove(this.treeInstancedMesh.trunk);
-            this.scene.remove(this.treeInstancedMesh.foliage);
-            this.treeInstancedMesh.trunk.geometry.dispose();
-            this.treeInstancedMesh.trunk.material.dispose();
-            this.treeInstancedMesh.foliage.geometry.dispose();
-            this.treeInstancedMesh.foliage.material.dispose();
-        }
+        if (!this.treePools) this.createTreePools();
+        
+        this.treePools.trunk.setCount(count, (i, matrix) => this.treeMatrix(i, matrix, 'trunk'));
+        this.treePools.foliage.setCount(count, (i, matrix) => this.treeMatrix(i, matrix, 'foliage'));
+        this.setTreeCount(count);
+        
+        console.log(`[Trees] ${count} trees = 2 draw calls (GPU Instancing)`);
+    }
 
+    setTreeCount(count) {
+        const previous = this.currentTreeCount;
+        this.currentTreeCount = count;
+        if (count !== previous) this.dispatchEvent({ type: 'treeCountChanged', count, previous });
+    }
+
+    /**
+     * @param {number} index - Tree number
+     * @param {THREE.Matrix4} matrix - Receives the instance matrix
+     * @param {string} part - 'trunk' | 'foliage'
+     */
+    treeMatrix(index, matrix, part) {
+        const { x, z, size, rotation } = this.treePlacement(index);
+        const scale = 0.7 + size * 0.6;
+        const dummy = this.treeDummy;
+        
+        dummy.position.set(x, part === 'trunk' ? 1 : 3.5 * scale, z);
+        dummy.scale.set(scale, scale, scale);
+        dummy.rotation.y = rotation;
+        dummy.updateMatrix();
+        matrix.copy(dummy.matrix);
+    }
 
+    /**
+     * Geometry and materials are the tree prefab's, shared with tree entities
+     */
+    createTreePools() {
         // Low-poly Kenney-style tree geometry
-        const trunkGeo = new THREE.CylinderGeometry(0.3, 0.5, 2, 6);
-        const trunkMat = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
-        const foliageGeo = new THREE.ConeGeometry(1.5, 4, 6);
-        const foliageMat = new THREE.MeshLambertMaterial({ color: 0x228B22 });
+        const [trunk, foliage] = this.prefabs.getParts('tree');
         
         // GPU Instancing - renders ALL trees in 2 draw calls
-        const trunkInstanced = new THREE.InstancedMesh(trunkGeo, trunkMat, count);
-        const foliageInstanced = new THREE.InstancedMesh(foliageGeo, foliageMat, count);
-        
-        const dummy = new THREE.Object3D();
-        const spreadRadius = 45;
-        
-        for (let i = 0; i < count; i++) {
-            const x = (Math.random() - 0.5) * spreadRadius * 2;
-            const z = (Math.random() - 0.5) * spreadRadius * 2;
-            const scale = 0.7 + Math.random() * 0.6;
-            const rotation = Math.random() * Math.PI * 2;
-            
-            // Trunk
-            dummy.position.set(x, 1, z);
-            dummy.scale.set(scale, scale, scale);
-            dummy.rotation.y = rotation;
-            dummy.updateMatrix();
-            trunkInstanced.setMatrixAt(i, dummy.matrix);
-            
-            // Foliage
-            dummy.position.set(x, 3.5 * scale, z);
-            dummy.updateMatrix();
-            foliageInstanced.setMatrixAt(i, dummy.matrix);
+        const capacity = Math.max(this.currentTreeCount, this.prefabs.get('tree').capacity);
+        this.treePools = {
+            trunk: new InstancedPool(this.scene, trunk.geometry, trunk.material, { name: 'Tree Trunks', capacity }),
+            foliage: new InstancedPool(this.scene, foliage.geometry, foliage.material, { name: 'Tree Foliage', capacity })
+        };
+        this.treeDummy = new THREE.Object3D();
+    }
+
+    // ========== TREE LAYOUT ==========
+
+    /**
+     * Where tree #index goes. Each tree has its own generator seeded from
+     * (seed, index), so it doesn't depend on how many trees come before or
+     * after it - growing the forest keeps the trees already standing.
+     * @returns {{x: number, z: number, size: number, rotation: number}} size is 0-1, scaled by the caller
+     */
+    treePlacement(index) {
+        const random = SeededRandom.forIndex(this.seed, index);
+        return {
+            x: random.range(-TREE_SPREAD, TREE_SPREAD),
+            z: random.range(-TREE_SPREAD, TREE_SPREAD),
+            size: random.next(),
+            rotation: random.range(0, Math.PI * 2)
+        };
+    }
+
+    /**
+     * Change the layout seed and re-lay the current forest with it
+     * @param {number|string} seed
+     */
+    setSeed(seed) {
+        if (seed === this.seed) return;
+        this.seed = seed;
+        console.log(`[Trees] Layout seed: ${seed}`);
+        if (!this.scene) return;
+        this.treePools?.trunk.invalidate();
+        this.treePools?.foliage.invalidate();
+        this.treeGroup?.children.forEach((tree, i) => this.placeLoadedTree(tree, i));
+        this.spawnTreesWithModels(this.currentTreeCount);
+    }
+
+    /**
+     * The seed a scenario asks for (definition scene.seed), unless the URL
+     * pinned one. null goes back to the default layout.
+     * @param {number|string|null} seed
+     */
+    applyScenarioSeed(seed) {
+        this.setSeed(this.urlSeed ?? seed ?? DEFAULT_SEED);
+    }
+
+
+    // ========== ENTITIES ==========
+
+    /**
+     * Spawn one prefab instance (see PrefabRegistry for the built-in prefabs)
+     * @param {string} prefabId - 'tree' | 'rock' | 'enemy' | 'spawner' | 'projectile' | a registered one
+     * @param {Object} [state] - { position: [x,y,z], rotation, scale }
+     * @returns {Entity}
+     */
+    spawnEntity(prefabId, state = {}) {
+        return this.entities.spawn(prefabId, state);
+    }
+
+    /**
+     * @returns {boolean} false if it was already despawned
+     */
+    despawnEntity(entity) {
+        return this.entities.despawn(entity);
+    }
+
+    /**
+     * Live objects of one prefab. The forest's trees count as 'tree'.
+     */
+    getEntityCount(prefabId) {
+        const forest = prefabId === 'tree' ? this.currentTreeCount : 0;
+        return forest + (this.entities?.count(prefabId) ?? 0);
+    }
+
+    /**
+     * @returns {Object<string, number>} Live objects per prefab, forest trees included
+     */
+    getPrefabCounts() {
+        const counts = {};
+        for (const id of this.prefabs.ids) counts[id] = this.getEntityCount(id);
+        return counts;
+    }
+
+    // ========== SCRIPT OBJECTS ==========
+
+    /**
+     * Create an object for student code. Geometry is shared per shape and,
+     * unless the script picked the 'individual' render mode, material per
+     * color. How many draw calls the objects cost is up to the render mode
+     * (see ScriptObjectRenderer).
+     * @param {string} shape - 'cube' | 'sphere' | 'cylinder' | 'cone'
+     * @param {string} name - Shown in the Hierarchy
+     * @param {number} [id] - The script's id for it (physics positions are sent back by id)
+     * @returns {THREE.Mesh}
+     */
+    spawnObject(shape, name, id = null) {
+        const mesh = new THREE.Mesh(this.getScriptGeometry(shape), this.getScriptMaterial(SCRIPT_OBJECT_COLOR));
+        mesh.name = name;
+        mesh.userData = { shape, color: null, id }; // Read back by TraceReplay
+        mesh.position.y = 0.5;
+        this.scriptObjectRoot.add(mesh);
+        this.scriptRenderer.added(mesh);
+        this.resources.addEntity();
+        return mesh;
+    }
+
+    /**
+     * @param {THREE.Mesh} mesh - From spawnObject()
+     * @param {Object} state - { position: [x,y,z], scale: [x,y,z], color,
+     *   geometry, material } - geometry/material are script resource ids,
+     *   null for the shape's/color's own
+     */
+    updateObject(mesh, { position, scale, color, geometry, material }) {
+        if (position) mesh.position.set(position[0], position[1], position[2]);
+        if (scale) mesh.scale.set(scale[0], scale[1], scale[2]);
+        if (geometry !== undefined) this.useScriptResource(mesh, 'geometry', geometry);
+        if (material !== undefined) this.useScriptResource(mesh, 'material', material);
+        if (color) {
+            mesh.userData.color = color;
+            this.scriptRenderer.recolored(mesh);
         }
-        
-        trunkInstanced.instanceMatrix.needsUpdate = true;
-        foliageInstanced.instanceMatrix.needsUpdate = true;
-        
-        this.scene.add(trunkInstanced);
-        this.scene.add(foliageInstanced);
-        
-        this.treeInstancedMesh = { trunk: trunkInstanced, foliage: foliageInstanced };
-        this.currentTreeCount = count;
-        
-        console.log(`[Trees] ${count} trees = 2 draw calls (GPU Instancing)`);
+        this.scriptRenderer.markDirty();
+    }
+
+    destroyObject(mesh) {
+        this.physics.removeBody(mesh);
+        this.scriptObjectRoot.remove(mesh);
+        this.scriptRenderer.removed(mesh);
+        // Its script geometry/material stay on the GPU until the script disposes them
+        if (mesh.userData.geometry) this.resources.detach(mesh.userData.geometry, mesh);
+        if (mesh.userData.material) this.resources.detach(mesh.userData.material, mesh);
+        this.resources.removeEntity();
+    }
+
+    // ========== SCRIPT RESOURCES ==========
+
+    /**
+     * Create, change or dispose a script resource (see SceneCommandBuffer 'resource')
+     * @param {Object} command - { id, create: 'geometry'|'material'|'texture', name,
+     *   shape, detail, color, size }, { id, texture } or { id, dispose: true }
+     */
+    applyResourceCommand({ id, create, name, texture, dispose, ...spec }) {
+        if (create) {
+            this.resources.track(id, create, this.createScriptResource(create, spec), name);
+            return;
+        }
+        if (texture !== undefined) this.setMaterialTexture(id, texture);
+        if (dispose) this.disposeScriptResource(id);
+    }
+
+    createScriptResource(type, { shape, detail, color, size }) {
+        if (type === 'geometry') {
+            const segments = Math.max(3, detail);
+            const builders = {
+                cube: () => new THREE.BoxGeometry(1, 1, 1, detail, detail, detail),
+                sphere: () => new THREE.SphereGeometry(0.5, segments, Math.max(2, detail)),
+                cylinder: () => new THREE.CylinderGeometry(0.5, 0.5, 1, segments),
+                cone: () => new THREE.ConeGeometry(0.5, 1, segments)
+            };
+            return (builders[shape] || builders.cube)();
+        }
+        if (type === 'texture') {
+            // A checkerboard, so it's visible on whatever uses it
+            const pixels = new Uint8Array(size * size * 4);
+            for (let i = 0; i < size * size; i++) {
+                const light = ((i % size) + Math.floor(i / size)) % 2 === 0 ? 255 : 160;
+                pixels.set([light, light, light, 255], i * 4);
+            }
+            const texture = new THREE.DataTexture(pixels, size, size);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            texture.needsUpdate = true;
+            return texture;
+        }
+        return new THREE.MeshLambertMaterial({ color: new THREE.Color(color.toLowerCase()) });
+    }
+
+    /**
+     * @param {number} materialId
+     * @param {number|null} textureId - null takes the texture off
+     */
+    setMaterialTexture(materialId, textureId) {
+        const material = this.resources.get(materialId);
+        if (!material) return;
+        const previous = material.userData.texture ?? null;
+        if (previous === textureId) return;
+        if (previous) this.resources.detach(previous, material);
+        const texture = textureId ? this.resources.attach(textureId, material) : null;
+        material.userData.texture = texture ? textureId : null;
+        material.map = texture;
+        material.needsUpdate = true; // The shader changes with or without a map
+    }
+
+    /**
+     * Free a script resource. Whatever still used it goes back to its own
+     * geometry/material (or loses the texture).
+     */
+    disposeScriptResource(id) {
+        const object = this.resources.get(id);
+        if (!object) return;
+        if (object.isMaterial) this.setMaterialTexture(id, null); // Its texture loses a user
+        for (const user of this.resources.dispose(id)) {
+            if (object.isTexture) {
+                user.map = null;
+                user.userData.texture = null;
+                user.needsUpdate = true;
+            } else {
+                this.useScriptResource(user, object.isMaterial ? 'material' : 'geometry', null);
+            }
+        }
+    }
+
+    /**
+     * Point a script object at one of its script resources, or null for its own
+     * @param {THREE.Mesh} mesh
+     * @param {string} slot - 'geometry' | 'material'
+     * @param {number|null} id
+     */
+    useScriptResource(mesh, slot, id) {
+        const previous = mesh.userData[slot] ?? null;
+        if (previous === id) return;
+        if (previous) this.resources.detach(previous, mesh);
+        const resource = id ? this.resources.attach(id, mesh) : null;
+        mesh.userData[slot] = resource ? id : null;
+
+        if (slot === 'geometry') {
+            mesh.geometry = resource ?? this.getScriptGeometry(mesh.userData.shape);
+            this.scriptRenderer.markDirty();
+        } else {
+            this.scriptRenderer.assignMaterial(mesh, resource);
+        }
+    }
+
+    /**
+     * Physics changes for one script object
+     * @param {THREE.Mesh} mesh - From spawnObject()
+     * @param {Object} change - { mass } adds a body, { force: [x,y,z] } pushes it,
+     *   { velocity: [x,y,z] } sets its speed
+     */
+    updateBody(mesh, { mass, force, velocity }) {
+        if (mass !== undefined) this.physics.addBody(mesh, { key: mesh.userData.id, shape: mesh.userData.shape, mass });
+        if (force) this.physics.addForce(mesh, force);
+        if (velocity) this.physics.setVelocity(mesh, velocity);
+    }
+
+    /**
+     * @param {Object} settings - Any of timestep, gravity, damping, bounciness (see PhysicsWorld)
+     */
+    configurePhysics(settings) {
+        this.physics.configure(settings);
+    }
+
+    /**
+     * @param {string} mode - 'shared' | 'individual' | 'instanced' | 'merged' (see ScriptObjectRenderer)
+     */
+    setRenderMode(mode) {
+        this.scriptRenderer.setMode(mode);
+    }
+
+    /**
+     * Draw calls in the last rendered frame
+     */
+    get drawCalls() {
+        return this.renderer?.info.render.calls ?? 0;
+    }
+
+    /**
+     * Remove everything previous script runs spawned
+     */
+    clearScriptObjects() {
+        this.scriptObjects.clear();
+        this.physics.clear();
+        this.agents?.clear(this.seed);
+        if (!this.scriptObjectRoot) return;
+        this.scriptRenderer.clear(); // Gives 'individual' meshes back their shared material first
+        this.scriptObjectRoot.clear();
+        this.resources.clear();
+    }
+
+    /**
+     * Replay a batch of scene commands from the script worker
+     * (see SceneCommandBuffer for the command shapes)
+     * @param {Array<Object>} commands
+     */
+    applyScriptCommands(commands) {
+        for (const command of commands) {
+            const mesh = this.scriptObjects.get(command.id);
+            switch (command.op) {
+                case 'trees':
+                    this.spawnTrees(command.count);
+                    break;
+                case 'clear':
+                    this.clearScriptObjects();
+                    break;
+                case 'spawn':
+                    this.scriptObjects.set(command.id, this.spawnObject(command.shape, command.name, command.id));
+                    break;
+                case 'update':
+                    if (mesh) this.updateObject(mesh, command);
+                    break;
+                case 'destroy':
+                    if (mesh) this.destroyObject(mesh);
+                    this.scriptObjects.delete(command.id);
+                    break;
+                case 'body':
+                    if (mesh) this.updateBody(mesh, command);
+                    break;
+                case 'physics':
+                    this.configurePhysics(command.settings);
+                    break;
+                case 'render':
+                    this.setRenderMode(command.mode);
+                    break;
+                case 'resource':
+                    this.applyResourceCommand(command);
+                    break;
+                case 'agent':
+                    this.applyAgentCommand(command);
+                    break;
+                default:
+                    console.warn(`[SceneController] Unknown script command "${command.op}"`);
+            }
+        }
+        this.resources.checkUnused();
+    }
+
+    /**
+     * @param {ScriptBehaviour} behaviour - Gets update(deltaTime) every frame
+     */
+    addBehaviour(behaviour) {
+        this.scriptBehaviours.add(behaviour);
+    }
+
+    removeBehaviour(behaviour) {
+        this.scriptBehaviours.delete(behaviour);
+    }
+
+    /**
+     * @param {Object} command - { id, spawn: 'spawner'|'enemy', position: [x, z], rate }
+     *   creates an agent; { id, remove: true } removes it; anything else
+     *   is a change (see AgentSystem.change)
+     */
+    applyAgentCommand({ id, spawn, position, rate, remove, ...change }) {
+        if (spawn) {
+            this.agents.spawn(spawn, { key: id, position, rate });
+            return;
+        }
+        const agent = this.agents.byKey.get(id);
+        if (!agent) return; // Dropped at the agent limit
+        if (remove) this.agents.despawn(agent);
+        else this.agents.change(agent, { rate, ...change });
+    }
+
+    getScriptGeometry(shape) {
+        if (!this.scriptGeometries.has(shape)) {
+            const builders = {
+                cube: () => new THREE.BoxGeometry(1, 1, 1),
+                sphere: () => new THREE.SphereGeometry(0.5, 12, 8),
+                cylinder: () => new THREE.CylinderGeometry(0.5, 0.5, 1, 12),
+                cone: () => new THREE.ConeGeometry(0.5, 1, 12)
+            };
+            this.scriptGeometries.set(shape, (builders[shape] || builders.cube)());
+        }
+        return this.scriptGeometries.get(shape);
     }
 
+    getScriptMaterial(color) {
+        const key = color.toLowerCase();
+        if (!this.scriptMaterials.has(key)) {
+            this.scriptMaterials.set(key, new THREE.MeshLambertMaterial({ color: new THREE.Color(key) }));
+        }
+        return this.scriptMaterials.get(key);
+    }
 
     onResize() {
         const width = this.container.clientWidth;
@@ -237,6 +701,7 @@ export class SceneController {
         this.renderer.setSize(width, height, false); // false = don't update style
         
         console.log(`[SceneController] Resized to ${width}x${height}`);
+        this.dispatchEvent({ type: 'resize', width, height });
     }
 
     update() {
@@ -244,19 +709,38 @@ export class SceneController {
         const deltaTime = this.clock.getDelta();
         const elapsedTime = this.clock.getElapsedTime();
         
-        // Call frame update for profiler (lightweight)
-        if (this.onFrameUpdate) this.onFrameUpdate();
+        // Frame listeners (the profiler) - keep them lightweight
+        this.frameEvent.deltaTime = deltaTime;
+        this.frameEvent.elapsedTime = elapsedTime;
+        this.dispatchEvent(this.frameEvent);
+        
+        // Student Update() methods - each posts one frame to the script worker
+        for (const behaviour of this.scriptBehaviours) {
+            behaviour.update(deltaTime);
+        }
+        
+        // Rigidbodies, in fixed steps (cheap when there are none)
+        this.physics.step(deltaTime);
+        this.agents?.update(deltaTime);
+        
+        // Instanced/merged script objects follow what moved this frame
+        if (this.scriptRenderer) {
+            if (this.physics.bodies.size > 0) this.scriptRenderer.markDirty();
+            this.scriptRenderer.update();
+        }
+        
+        // The selection box follows what moved
+        this.selection?.update();
         
         // Calculate frame time
         this.frameTime = now - this.lastFrameTime;
         this.lastFrameTime = now;
         
-        // Update camera orbit
-        this.cameraAngle += this.orbitSpeed * deltaTime;
-        this.camera.position.x = Math.cos(this.cameraAngle) * this.cameraRadius;
-        this.camera.position.z = Math.sin(this.cameraAngle) * this.cameraRadius;
-        this.camera.position.y = this.cameraHeight + Math.sin(elapsedTime * 0.3) * 5;
-        this.camera.lookAt(0, 5, 0);
+        // Auto orbit, or whatever the student did with the free camera
+        this.cameraController.update(deltaTime, elapsedTime);
+        
+        // Fog and instance draw distance follow where the camera is now
+        this.governor?.followCamera();
         
         // FPS calculation
         this.frameCount++;
@@ -265,10 +749,9 @@ export class SceneController {
             this.frameCount = 0;
             this.lastFpsUpdate = elapsedTime;
             
-            // Callback for profiler
-            if (this.onPerformanceUpdate) {
-                this.onPerformanceUpdate(this.currentFps, this.frameTime);
-            }
+            this.performanceEvent.fps = this.currentFps;
+            this.performanceEvent.frameTime = this.frameTime;
+            this.dispatchEvent(this.performanceEvent);
         }
     }
 
@@ -287,10 +770,68 @@ export class SceneController {
         this.animate();
     }
 
+    /**
+     * Point the camera at an object (switches to the free camera)
+     * @param {THREE.Object3D} object
+     * @returns {boolean} false if there was nothing to frame
+     */
+    focusObject(object) {
+        return this.cameraController.focus(object);
+    }
+
+    /**
+     * Point the camera at the selection - for an instance (a tree, an
+     * enemy), that one instance rather than its whole InstancedMesh
+     * @returns {boolean} false if nothing is selected
+     */
+    focusSelection() {
+        const selected = this.selection?.current;
+        if (!selected) return false;
+        const box = new THREE.Box3();
+        if (!this.selection.boundsOf(selected, box)) return this.focusObject(selected.object);
+        return this.cameraController.focusBox(box, selected.name);
+    }
+
     getRenderer() {
         return this.renderer;
     }
 
+    // ========== EVENTS ==========
+
+    /**
+     * Listen for one of SCENE_EVENTS
+     * @param {string} type
+     * @param {Function} listener - (event) => void
+     * @returns {Function} Call it to stop listening
+     */
+    on(type, listener) {
+        if (!SCENE_EVENTS.includes(type)) {
+            throw new Error(`[SceneController] Unknown event '${type}' - one of: ${SCENE_EVENTS.join(', ')}`);
+        }
+        this.addEventListener(type, listener);
+        return () => this.removeEventListener(type, listener);
+    }
+
+    /**
+     * Forward objectAdded/objectRemoved for an object and everything under it
+     */
+    watchGraph(object) {
+        object.traverse(node => {
+            if (this.watchedObjects.has(node)) return;
+            this.watchedObjects.add(node);
+            node.addEventListener('childadded', this.handleChildAdded);
+            node.addEventListener('childremoved', this.handleChildRemoved);
+        });
+    }
+
+    unwatchGraph(object) {
+        object.traverse(node => {
+            if (!this.watchedObjects.delete(node)) return;
+            node.removeEventListener('childadded', this.handleChildAdded);
+            node.removeEventListener('childremoved', this.handleChildRemoved);
+        });
+    }
+
     /**
      * Load assets from manifest
      * @param {Function} onProgress - Progress callback
@@ -336,41 +877,51 @@ export class SceneController {
     }
 
     /**
-     * Spawn trees using loaded GLTF models with instancing
+     * Spawn trees using loaded GLTF models. The group is kept and only
+     * grown or shrunk: it used to be thrown away (and never disposed) on
+     * every count change. Clones share the model's geometry and
+     * materials, so removing one frees nothing - the model owns them.
      */
     spawnLoadedTrees(count) {
-        // Clean up existing
-        if (this.treeGroup) {
-            this.scene.remove(this.treeGroup);
+        if (!this.treeGroup) {
+            this.treeGroup = new THREE.Group();
+            this.treeGroup.name = 'Loaded Trees';
+            this.scene.add(this.treeGroup);
         }
         
-        this.treeGroup = new THREE.Group();
-        const spreadRadius = 45;
-        
-        for (let i = 0; i < count; i++) {
+        const trees = this.treeGroup.children;
+        while (trees.length > count) {
+            this.treeGroup.remove(trees[trees.length - 1]);
+        }
+        for (let i = trees.length; i < count; i++) {
             const tree = this.loadedTreeModel.clone();
-            
-            tree.position.set(
-                (Math.random() - 0.5) * spreadRadius * 2,
-                0,
-                (Math.random() - 0.5) * spreadRadius * 2
-            );
-            
-            const scale = 0.5 + Math.random() * 0.5;
-            tree.scale.set(scale, scale, scale);
-            tree.rotation.y = Math.random() * Math.PI * 2;
-            
+            this.placeLoadedTree(tree, i);
             this.treeGroup.add(tree);
         }
-        
-        this.scene.add(this.treeGroup);
-        this.currentTreeCount = count;
+        this.setTreeCount(count);
         
         console.log(`[Trees] Spawned ${count} loaded model trees`);
     }
 
+    placeLoadedTree(tree, index) {
+        const { x, z, size, rotation } = this.treePlacement(index);
+        const scale = 0.5 + size * 0.5;
+        tree.position.set(x, 0, z);
+        tree.scale.set(scale, scale, scale);
+        tree.rotation.y = rotation;
+    }
+
     getAssetLoader() {
         return this.assetLoader;
     }
 }
 
+/**
+ * ?seed=42 (or any text) in the page URL, for reproducing a layout
+ * @returns {number|string|null}
+ */
+function readUrlSeed() {
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    if (seed === null || seed === '') return null;
+    return /^\d+$/.test(seed) ? Number(seed) : seed;
+}
@@ -0,0 +1,352 @@
+/**
+ * ScriptAnalyzer.js - Static checks for the mistakes AI-written scripts make
+ *
+ * The Saboteur scenarios are about auditing AI code, so this reads a
+ * parsed script without running it and points at the patterns that
+ * usually hide behind "it works on my machine": loops that can't end,
+ * per-frame allocations and scenes that only ever grow.
+ *
+ * Every finding is a diagnostic (see csharp/Diagnostics.js) whose `code`
+ * is the rule id, so scenario JSON can name rules in hints and grading:
+ *   { "trigger": "rule", "rule": "ORB1001", ... }
+ *
+ * RULES:
+ * - ORB1001 loop-condition-unchanged - nothing in the loop changes what its
+ *   condition reads (or the condition is `true`) and nothing breaks out
+ * - ORB1002 update-allocation - Spawn() or string building in code that
+ *   runs every frame (Update() and the methods it calls)
+ * - ORB1003 unbounded-growth - every frame adds an object, a tree or text
+ *   that is never taken away. The C# subset has no List<T> yet; when it
+ *   does, List.Add() in Update() belongs here too.
+ * - ORB1004 never-destroyed - Spawn() results that are thrown away, or
+ *   overwritten on each pass of a loop, so they can never be Destroy()ed
+ *
+ * USAGE:
+ * ```javascript
+ * const { program } = checkScript(code);
+ * const findings = analyzeScript(program, code);
+ * findings.filter(f => f.code === 'ORB1001');
+ * ```
+ */
+
+import { walk, collectReads, collectWrites, variableName, createDiagnostic } from './csharp/index.js';
+
+export const ANALYZER_RULES = {
+    ORB1001: {
+        id: 'ORB1001',
+        name: 'loop-condition-unchanged',
+        severity: 'warning',
+        title: 'Loop condition never changes',
+        hint: 'Change a variable the condition reads inside the loop, or break out of it'
+    },
+    ORB1002: {
+        id: 'ORB1002',
+        name: 'update-allocation',
+        severity: 'warning',
+        title: 'Allocation every frame',
+        hint: 'Create objects once in Start() and reuse them in Update()'
+    },
+    ORB1003: {
+        id: 'ORB1003',
+        name: 'unbounded-growth',
+        severity: 'warning',
+        title: 'Grows every frame',
+        hint: 'Put a limit on it (if (count < max)) or remove old items as new ones arrive'
+    },
+    ORB1004: {
+        id: 'ORB1004',
+        name: 'never-destroyed',
+        severity: 'warning',
+        title: 'Object can never be destroyed',
+        hint: 'Keep the GameObject Spawn() returns so you can Destroy() it later'
+    }
+};
+
+const LOOP_TYPES = new Set(['WhileStatement', 'DoWhileStatement', 'ForStatement']);
+const FRAME_METHODS = ['Update'];
+
+export class ScriptAnalyzer {
+    /**
+     * @param {Object} program - Program node from parse()
+     */
+    constructor(program) {
+        this.program = program;
+        this.findings = [];
+        this.reported = new Set(); // Nodes that already have a finding
+    }
+
+    /**
+     * @returns {Array<{severity: string, code: string, message: string, loc: Object}>}
+     */
+    analyze() {
+        for (const cls of this.program.classes) this.analyzeClass(cls);
+        if (this.program.statements.length > 0) {
+            const body = { type: 'BlockStatement', body: this.program.statements };
+            this.checkLoops(body, { methods: null, variables: new Set(this.declaredIn(body)) });
+            this.checkLostObjects(body);
+        }
+        return this.findings;
+    }
+
+    report(code, node, message, severity = ANALYZER_RULES[code].severity) {
+        if (this.reported.has(node)) return;
+        this.reported.add(node);
+        this.findings.push({ severity, code, message, loc: node.loc });
+    }
+
+    // ========== CLASSES ==========
+
+    analyzeClass(cls) {
+        const methods = new Map(cls.methods.map(m => [m.name, m]));
+        const fields = new Map(cls.fields.map(f => [f.name, f]));
+        const perFrame = this.reachableFrom(cls, methods, FRAME_METHODS);
+
+        for (const method of cls.methods) {
+            const variables = new Set([...fields.keys(), ...method.params.map(p => p.name), ...this.declaredIn(method.body)]);
+            this.checkLoops(method.body, { methods, variables });
+        }
+
+        if (perFrame.size > 0) this.checkFrameCode(fields, perFrame);
+
+        for (const method of cls.methods) {
+            if (!perFrame.has(method)) this.checkLostObjects(method.body);
+        }
+    }
+
+    /**
+     * Methods of the class called (directly or not) from the named ones
+     * @returns {Set<Object>} MethodDeclarations, the named ones included
+     */
+    reachableFrom(cls, methods, names) {
+        const reached = new Set();
+        const visit = (method) => {
+            if (!method || reached.has(method)) return;
+            reached.add(method);
+            this.calledMethods(method.body, methods).forEach(visit);
+        };
+        names.forEach(name => visit(cls.methods.find(m => m.name === name && m.params.length === 0)));
+        return reached;
+    }
+
+    calledMethods(node, methods) {
+        const called = [];
+        walk(node, (n) => {
+            if (n.type !== 'CallExpression') return;
+            const name = variableName(n.callee);
+            if (name && methods.has(name)) called.push(methods.get(name));
+        });
+        return called;
+    }
+
+    /**
+     * Names of the locals declared anywhere in a statement
+     */
+    declaredIn(node) {
+        const names = [];
+        walk(node, (n) => {
+            if (n.type === 'VariableDeclarator') names.push(n.name);
+        });
+        return names;
+    }
+
+    // ========== ORB1001: LOOPS ==========
+
+    checkLoops(body, context) {
+        walk(body, (node) => {
+            if (LOOP_TYPES.has(node.type)) this.checkLoop(node, context);
+        });
+    }
+
+    checkLoop(node, { methods, variables }) {
+        if (this.canExit(node.body)) return;
+        const kind = node.type === 'ForStatement' ? 'for' : 'while';
+
+        if (!node.test || (node.test.type === 'Literal' && node.test.value === true)) {
+            this.report('ORB1001', node.test || node,
+                `This ${kind} loop's condition is always true and nothing inside breaks out - it can never stop`);
+            return;
+        }
+
+        const reads = collectReads(node.test);
+        // Calls and engine values (Time.time, ...) can change on their own
+        if (reads.length === 0 || reads.some(name => !variables.has(name))) return;
+        if (this.containsCall(node.test)) return;
+
+        const writes = new Set([
+            ...collectWrites(node.test),
+            ...collectWrites(node.body),
+            ...(node.update || []).flatMap(expr => collectWrites(expr))
+        ]);
+        if (methods) {
+            const called = new Set();
+            const visit = (method) => {
+                if (called.has(method)) return;
+                called.add(method);
+                collectWrites(method.body).forEach(name => writes.add(name));
+                this.calledMethods(method.body, methods).forEach(visit);
+            };
+            this.calledMethods(node.body, methods).forEach(visit);
+        }
+        if (reads.some(name => writes.has(name))) return;
+
+        const names = reads.join(', ');
+        this.report('ORB1001', node.test,
+            `The ${kind} condition reads ${names}, but nothing in the loop changes ${reads.length === 1 ? 'it' : 'them'} - once it starts it never stops`);
+    }
+
+    /**
+     * A break (of this loop, not a nested one) or a return anywhere in the body
+     */
+    canExit(body) {
+        let exits = false;
+        const visit = (node, nested) => walk(node, (n) => {
+            if (exits) return false;
+            if (n.type === 'ReturnStatement' || (n.type === 'BreakStatement' && !nested)) {
+                exits = true;
+                return false;
+            }
+            if (n !== node && LOOP_TYPES.has(n.type)) {
+                visit(n.body, true);
+                return false;
+            }
+            return undefined;
+        });
+        visit(body, false);
+        return exits;
+    }
+
+    containsCall(node) {
+        let found = false;
+        walk(node, (n) => {
+            if (n.type === 'CallExpression') found = true;
+            return !found;
+        });
+        return found;
+    }
+
+    // ========== ORB1002/ORB1003: PER-FRAME CODE ==========
+
+    checkFrameCode(fields, perFrame) {
+        const bodies = [...perFrame].map(m => m.body);
+        const destroys = bodies.some(body => this.findCalls(body, 'Destroy').length > 0);
+
+        for (const method of perFrame) {
+            const guarded = this.guardedNodes(method.body);
+            const where = method.name === 'Update' ? 'Update()' : `${method.name}() (called from Update())`;
+
+            for (const call of this.findCalls(method.body, 'Spawn')) {
+                if (!destroys && !guarded.has(call)) {
+                    this.report('ORB1003', call,
+                        `Spawn() in ${where} adds an object every frame and nothing destroys them - the scene keeps growing until it hits the object limit`);
+                } else {
+                    this.report('ORB1002', call,
+                        `Spawn() in ${where} creates a new object every frame - spawn it once in Start() and move it instead`);
+                }
+            }
+
+            for (const call of this.findCalls(method.body, 'SpawnTree')) {
+                if (guarded.has(call)) continue;
+                this.report('ORB1003', call, `SpawnTree() in ${where} adds a tree every frame - the forest grows forever`);
+            }
+
+            walk(method.body, (node) => {
+                if (node.type === 'AssignmentExpression' && node.operator === '+=') {
+                    const field = fields.get(variableName(node.target));
+                    if (field?.varType.name === 'string') {
+                        this.report('ORB1003', node,
+                            `'${field.name}' gets longer every frame in ${where} and is never cut back`);
+                        return false;
+                    }
+                }
+                if (this.buildsString(node)) {
+                    this.report('ORB1002', node,
+                        `Building a string in ${where} makes a new one every frame, 60 times a second`, 'info');
+                    return false;
+                }
+                return undefined;
+            });
+        }
+    }
+
+    /**
+     * Interpolated strings and + with a string on either side
+     */
+    buildsString(node) {
+        if (node.type === 'InterpolatedString') return true;
+        if (node.type !== 'BinaryExpression' || node.operator !== '+') return false;
+        const isText = (n) => (n.type === 'Literal' && n.valueType === 'string') || n.type === 'InterpolatedString';
+        return isText(node.left) || isText(node.right);
+    }
+
+    /**
+     * Nodes that only run when an if (or ?:) lets them - a likely cap
+     */
+    guardedNodes(body) {
+        const guarded = new Set();
+        walk(body, (node) => {
+            if (node.type !== 'IfStatement' && node.type !== 'ConditionalExpression') return;
+            [node.consequent, node.alternate].forEach(branch => walk(branch, (n) => { guarded.add(n); }));
+        });
+        return guarded;
+    }
+
+    findCalls(node, name) {
+        const calls = [];
+        walk(node, (n) => {
+            if (n.type === 'CallExpression' && n.callee.type === 'Identifier' && n.callee.name === name) calls.push(n);
+        });
+        return calls;
+    }
+
+    // ========== ORB1004: LOST OBJECTS ==========
+
+    checkLostObjects(body) {
+        walk(body, (node) => {
+            if (node.type === 'ExpressionStatement' && this.isSpawn(node.expression)) {
+                this.report('ORB1004', node.expression,
+                    "The object Spawn() returns isn't kept anywhere, so it can never be Destroy()ed");
+            }
+            if (LOOP_TYPES.has(node.type)) this.checkLoopSpawns(node);
+        });
+    }
+
+    /**
+     * Spawn() stored in the same variable on every pass: only the last
+     * object is still reachable once the loop ends
+     */
+    checkLoopSpawns(loop) {
+        if (this.findCalls(loop.body, 'Destroy').length > 0) return;
+        walk(loop.body, (node) => {
+            if (node.type === 'AssignmentExpression' && node.operator === '=' && this.isSpawn(node.value)) {
+                this.reportOverwritten(node.value, variableName(node.target));
+            } else if (node.type === 'VariableDeclarator' && node.init && this.isSpawn(node.init)) {
+                this.reportOverwritten(node.init, node.name);
+            }
+        });
+    }
+
+    reportOverwritten(call, name) {
+        if (!name) return;
+        this.report('ORB1004', call,
+            `Each pass of the loop replaces '${name}' with a new object - the earlier ones can never be Destroy()ed`);
+    }
+
+    isSpawn(node) {
+        return node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'Spawn';
+    }
+}
+
+/**
+ * @param {Object} program - Program node from parse()
+ * @param {string|Object} source - The student's source text, or project file name -> text
+ * @returns {Array<Object>} Diagnostics in source order; `code` is the rule id
+ */
+export function analyzeScript(program, source) {
+    return new ScriptAnalyzer(program).analyze()
+        .sort((a, b) => fileOrder(program, a.loc) - fileOrder(program, b.loc) || a.loc.start - b.loc.start)
+        .map(finding => createDiagnostic(source, finding));
+}
+
+function fileOrder(program, loc) {
+    return program.files ? program.files.indexOf(loc.file) : 0;
+}
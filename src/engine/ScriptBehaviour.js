@@ -0,0 +1,125 @@
+/**
+ * ScriptBehaviour.js - A student script that keeps running every frame
+ *
+ * Created by CodeExecutor when the student's class has an Update()
+ * method (Start() has already run by then). SceneController.update()
+ * calls update(deltaTime) once per frame; the Update() call itself runs
+ * in the script worker, and its scene commands are applied when the
+ * answer arrives.
+ *
+ * FRAME BUDGET:
+ * The worker gives each Update() call at most frameBudgetMs of wall-clock
+ * time and maxStepsPerFrame interpreter steps. A call that goes over
+ * either - or throws - suspends the script: it stops being called and
+ * onSuspend reports why. A worker that doesn't answer within
+ * frameTimeoutMs at all is terminated and the script suspended too; so
+ * is a script whose session went with a worker restarted for another
+ * request. (A frame's timeout only counts once the worker gets to it.)
+ *
+ * Only one frame is in flight at a time. Frames that pass while the
+ * worker is busy are skipped and their time is added to the next
+ * deltaTime, so movement stays frame-rate independent.
+ */
+
+import { WorkerTimeoutError } from './ScriptWorkerClient.js';
+
+export class ScriptBehaviour {
+    /**
+     * @param {Object} options
+     * @param {ScriptWorkerClient} options.client - Worker holding the session
+     * @param {number} options.session - Session id from the run result
+     * @param {string} options.name - Class name, for messages
+     * @param {Function} options.getEnv - () => scene values the script can read
+     * @param {number} [options.frameTimeoutMs] - Give up on the worker after this long
+     */
+    constructor({ client, session, name, getEnv, frameTimeoutMs = 1000 }) {
+        this.client = client;
+        this.session = session;
+        this.name = name;
+        this.getEnv = getEnv;
+        this.frameTimeoutMs = frameTimeoutMs;
+        this.restarts = client.restarts; // The worker holding the session
+
+        this.frames = 0;
+        this.lastFrameMs = 0;
+        this.waiting = false;    // A frame is in flight
+        this.pendingDelta = 0;   // Time since the last frame was sent
+        this.suspended = false;
+        this.stopped = false;
+
+        // Callbacks
+        this.onFrame = null;    // (frame) => void - commands and logs to apply
+        this.onSuspend = null;  // (behaviour, report) => void - report is shaped like a run result
+    }
+
+    /**
+     * Ask the worker for one Update() call
+     * @param {number} deltaTime - Seconds since the last frame
+     */
+    update(deltaTime) {
+        if (this.suspended || this.stopped) return;
+
+        this.pendingDelta += deltaTime;
+        if (this.waiting) return;
+
+        const request = { session: this.session, deltaTime: this.pendingDelta, env: this.getEnv() };
+        this.pendingDelta = 0;
+        this.waiting = true;
+        this.client.request('update', request, this.frameTimeoutMs)
+            .then(frame => this.onFrameDone(frame))
+            .catch(err => this.onFrameFailed(err));
+    }
+
+    onFrameDone(frame) {
+        this.waiting = false;
+        if (this.stopped) return;
+        if (frame.status === 'stale') {
+            // Normally a newer run replaced the session and stop() is on its way
+            if (this.client.restarts !== this.restarts) {
+                this.fail(`${this.name}.Update() stopped - the script worker was restarted after another request stopped responding`);
+            }
+            return;
+        }
+
+        this.frames = frame.frames;
+        this.lastFrameMs = frame.ms;
+        if (this.onFrame) this.onFrame(frame);
+        if (frame.status === 'suspended') this.suspend(frame.report);
+    }
+
+    onFrameFailed(err) {
+        this.waiting = false;
+        if (this.stopped) return;
+        this.fail(err instanceof WorkerTimeoutError
+            ? `${this.name}.Update() stopped responding for ${err.timeoutMs / 1000}s - the script was terminated`
+            : `${this.name}.Update() failed: ${err.message}`);
+    }
+
+    /**
+     * Suspend with a report that's only this message
+     */
+    fail(message) {
+        this.suspend({
+            script: this.name,
+            frames: this.frames,
+            diagnostics: [],
+            diagnosis: null,
+            logs: [],
+            errors: [`⏸️ ${message}`],
+            warnings: []
+        });
+    }
+
+    suspend(report) {
+        this.suspended = true;
+        console.log(`[ScriptBehaviour] ${this.name} suspended on frame ${this.frames}`);
+        if (this.onSuspend) this.onSuspend(this, report);
+    }
+
+    /**
+     * Stop calling Update() and ignore any frame still in flight
+     */
+    stop() {
+        this.stopped = true;
+    }
+}
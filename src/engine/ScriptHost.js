@@ -0,0 +1,557 @@
+/**
+ * ScriptHost.js - Engine state behind one student script run
+ *
+ * The ScriptingAPI entries call into a ScriptHost, never into the scene
+ * directly. Scene changes are recorded on GameObject handles and applied
+ * in one batch by flush(), so a runaway loop can't rebuild the scene
+ * thousands of times mid-run, and a script that fails halfway leaves the
+ * scene untouched.
+ *
+ * Scripts run in a worker, so the "scene" here is a SceneCommandBuffer
+ * that turns flush() into commands for the main thread.
+ *
+ * Misuse becomes a ScriptError that the interpreter pins to the call:
+ *   Spawn("banana")          → unknown shape
+ *   obj.SetPosition(...)     → obj is null or already destroyed
+ *   while (true) Spawn(...)  → more than maxObjects alive
+ *
+ * Rigidbodies are simulated on the main thread (PhysicsWorld); their
+ * positions come back with every Update() frame (syncBodies()), so
+ * obj.y reads where the object has fallen to.
+ *
+ * Agents (AgentSystem) also live on the main thread: scripts create them
+ * and change their rate or movement, and the counts come back every
+ * frame (syncAgents()). Agents.active counts this frame's spawns and
+ * despawns straight away, so a budget check inside a loop works.
+ *
+ * Resources.Create*() makes a geometry, material or texture the script
+ * owns: it lives until Dispose(), whatever happens to the objects using
+ * it. The main thread's ResourceTracker sends back the estimated bytes
+ * and how many were leaked (syncResources()).
+ */
+
+import * as THREE from 'three';
+import { ScriptError } from './csharp/ScriptError.js';
+import { formatValue } from './csharp/Interpreter.js';
+import { SHAPES } from './ScriptingAPI.js';
+import { PHYSICS_DEFAULTS } from './PhysicsWorld.js';
+import { RENDER_MODES, DEFAULT_RENDER_MODE } from './ScriptObjectRenderer.js';
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const MAX_DETAIL = 64;         // Segments per side for Resources.CreateGeometry()
+const MAX_TEXTURE_SIZE = 256;  // 256 KB each - enough to leak visibly without sinking an N4000
+
+/**
+ * What student code holds for a spawned object
+ */
+export class GameObjectHandle {
+    constructor(id, shape) {
+        this.scriptType = 'GameObject'; // Interpreter looks up "GameObject.<member>"
+        this.id = id;
+        this.shape = shape;
+        this.name = `${shape[0].toUpperCase()}${shape.slice(1)} ${id}`;
+        this.position = [0, 0.5, 0];
+        this.scale = [1, 1, 1];
+        this.color = null;
+        this.geometry = null; // Resource ids from SetGeometry()/SetMaterial()
+        this.material = null;
+        this.moved = true;   // Position changed by the script since the last flush
+        this.mass = null;    // Set by AddRigidbody()
+        this.physics = [];   // Body changes waiting for the next flush
+        this.destroyed = false;
+        this.mesh = null; // Set once flushed to the scene
+    }
+
+    toString() {
+        return this.name;
+    }
+}
+
+/**
+ * What student code holds for an agent (a spawner or an enemy)
+ */
+export class AgentHandle {
+    constructor(id, kind, rate) {
+        this.scriptType = 'Agent';
+        this.id = id;
+        this.kind = kind;
+        this.name = `${kind[0].toUpperCase()}${kind.slice(1)} ${id}`;
+        this.rate = rate;
+        this.spawned = 0;    // Spawners: enemies created so far (from the main thread)
+        this.removed = false;
+    }
+
+    toString() {
+        return this.name;
+    }
+}
+
+/**
+ * What student code holds for a geometry, material or texture it created
+ */
+export class ResourceHandle {
+    /**
+     * @param {number} id
+     * @param {string} type - 'geometry' | 'material' | 'texture'
+     */
+    constructor(id, type) {
+        this.scriptType = `${type[0].toUpperCase()}${type.slice(1)}`;
+        this.id = id;
+        this.type = type;
+        this.name = `${this.scriptType} ${id}`;
+        this.disposed = false;
+    }
+
+    toString() {
+        return this.name;
+    }
+}
+
+export class ScriptHost {
+    /**
+     * @param {SceneCommandBuffer} scene - SceneController-shaped sink for scene changes
+     * @param {VisualProfiler} [profiler]
+     * @param {Object} [options]
+     * @param {number} options.maxObjects - Spawned objects alive at once
+     * @param {number} options.maxAgents - Agents alive at once
+     * @param {number} options.maxResources - Created resources not yet disposed
+     * @param {number} options.maxLogs - Console lines kept between takeLogs() calls
+     */
+    constructor(scene, profiler = null, options = {}) {
+        this.scene = scene;
+        this.profiler = profiler;
+        this.maxObjects = options.maxObjects ?? 500;
+        this.maxAgents = options.maxAgents ?? 400;
+        this.maxResources = options.maxResources ?? 500;
+        this.maxLogs = options.maxLogs ?? 100;
+
+        this.treesSpawned = 0;
+        this.treesApplied = 0;   // Part of treesSpawned already in the forest
+        this.frameDelta = null;  // Set per frame while Update() runs
+        this.logs = [];          // { level: 'info'|'warning'|'error', message }
+        this.droppedLogs = 0;    // Lines past maxLogs since the last takeLogs()
+        this.objects = [];       // Every handle this host created
+        this.aliveCount = 0;
+        this.dirty = new Set();  // Handles changed since the last flush
+        this.nextId = 1;
+        this.physics = { ...PHYSICS_DEFAULTS };
+        this.physicsChanged = false;
+        this.renderMode = DEFAULT_RENDER_MODE;
+        this.renderModeChanged = false;
+        this.bodies = new Map(); // id -> handle with a rigidbody
+        this.agents = new Map(); // id -> AgentHandle
+        this.agentStats = { active: 0, spawned: 0, spawnRate: 0 };
+        this.agentCommands = []; // Waiting for the next flush
+        this.resourceCounts = { geometry: 0, material: 0, texture: 0 }; // Not yet disposed
+        this.resourceStats = { bytes: 0, leaked: 0 };
+        this.resourceCommands = [];
+
+        // Callbacks
+        this.onEvent = null;     // (event) => void - each scene change as it happens (TraceRecorder)
+    }
+
+    // ========== VALUES ==========
+
+    get deltaTime() {
+        return this.frameDelta ?? (this.scene?.frameTime ?? 16.67) / 1000;
+    }
+
+    get time() {
+        // Clock.getElapsedTime() would reset the delta the render loop relies on
+        return this.scene?.clock?.elapsedTime ?? 0;
+    }
+
+    get fps() {
+        return this.profiler?.metrics?.fps ?? this.scene?.currentFps ?? 0;
+    }
+
+    get drawCalls() {
+        return this.scene?.drawCalls ?? 0;
+    }
+
+    // ========== OBJECTS ==========
+
+    spawnTree() {
+        this.treesSpawned++;
+        this.emit({ op: 'tree' });
+    }
+
+    spawn(shape) {
+        const key = typeof shape === 'string' ? shape.toLowerCase() : shape;
+        if (!SHAPES.includes(key)) {
+            throw new ScriptError(`Unknown shape "${formatValue(shape)}" - use ${SHAPES.map(s => `"${s}"`).join(', ')}`);
+        }
+        if (this.aliveCount >= this.maxObjects) {
+            throw new ScriptError(`Too many objects (more than ${this.maxObjects}) - Destroy() the ones you no longer need`);
+        }
+        const handle = new GameObjectHandle(this.nextId++, key);
+        this.objects.push(handle);
+        this.aliveCount++;
+        this.dirty.add(handle);
+        this.emit({ op: 'spawn', id: handle.id, shape: key, name: handle.name });
+        return handle;
+    }
+
+    destroy(obj) {
+        if (obj === null || obj === undefined) {
+            throw new ScriptError('Destroy() was given null - there is no object to remove');
+        }
+        if (obj.destroyed) return; // Like Unity, destroying twice is harmless
+        obj.destroyed = true;
+        this.aliveCount--;
+        this.dirty.add(obj);
+        this.emit({ op: 'destroy', id: obj.id });
+    }
+
+    /**
+     * The handle, if it still refers to an object that exists
+     */
+    live(obj) {
+        if (obj === null || obj === undefined) {
+            throw new ScriptError('Object reference not set to an instance of an object');
+        }
+        if (obj.destroyed) {
+            throw new ScriptError(`'${obj.name}' has been destroyed but you are still trying to use it`);
+        }
+        return obj;
+    }
+
+    setPosition(obj, x, y, z) {
+        this.live(obj).position = [x, y, z];
+        obj.moved = true;
+        this.dirty.add(obj);
+        this.emit({ op: 'update', id: obj.id, position: obj.position });
+    }
+
+    setScale(obj, x, y, z) {
+        this.live(obj).scale = [x, y, z];
+        this.dirty.add(obj);
+        this.emit({ op: 'update', id: obj.id, scale: obj.scale });
+    }
+
+    setColor(obj, color) {
+        this.live(obj);
+        const key = checkColor(color);
+        obj.color = key;
+        obj.material = null; // A color replaces a script material
+        this.dirty.add(obj);
+        this.emit({ op: 'update', id: obj.id, color: key });
+    }
+
+    // ========== PHYSICS ==========
+
+    addRigidbody(obj, mass) {
+        this.live(obj).mass = mass;
+        this.bodies.set(obj.id, obj);
+        this.changeBody(obj, { mass });
+    }
+
+    addForce(obj, x, y, z) {
+        this.changeBody(this.rigidbody(obj, 'AddForce'), { force: [x, y, z] });
+    }
+
+    setVelocity(obj, x, y, z) {
+        this.changeBody(this.rigidbody(obj, 'SetVelocity'), { velocity: [x, y, z] });
+    }
+
+    rigidbody(obj, method) {
+        if (this.live(obj).mass === null) {
+            throw new ScriptError(`${method}() needs a rigidbody - call AddRigidbody(mass) on '${obj.name}' first`);
+        }
+        return obj;
+    }
+
+    changeBody(obj, change) {
+        obj.physics.push(change);
+        this.dirty.add(obj);
+    }
+
+    /**
+     * @param {string} setting - 'timestep' | 'gravity' | 'damping' | 'bounciness'
+     */
+    setPhysics(setting, value) {
+        if (setting === 'timestep' && !(value > 0)) {
+            throw new ScriptError(`The physics timestep must be more than 0 seconds, not ${formatValue(value)}`);
+        }
+        this.physics[setting] = value;
+        this.physicsChanged = true;
+    }
+
+    /**
+     * Take the positions the main thread simulated
+     * @param {Object<number, Array<number>>} [positions] - Body id -> [x, y, z]
+     */
+    syncBodies(positions = {}) {
+        for (const [id, position] of Object.entries(positions)) {
+            const handle = this.bodies.get(Number(id));
+            if (handle && !handle.destroyed) handle.position = position;
+        }
+    }
+
+    // ========== RENDERING ==========
+
+    setRenderMode(mode) {
+        const key = typeof mode === 'string' ? mode.toLowerCase() : mode;
+        if (!(key in RENDER_MODES)) {
+            throw new ScriptError(`Unknown render mode "${formatValue(mode)}" - use ${Object.keys(RENDER_MODES).map(m => `"${m}"`).join(', ')}`);
+        }
+        this.renderMode = key;
+        this.renderModeChanged = true;
+    }
+
+    // ========== RESOURCES ==========
+
+    /**
+     * @param {string} type - 'geometry' | 'material' | 'texture'
+     * @param {Object} spec - { shape, detail } | { color } | { size }, already checked
+     */
+    createResource(type, spec) {
+        const alive = Object.values(this.resourceCounts).reduce((sum, n) => sum + n, 0);
+        if (alive >= this.maxResources) {
+            throw new ScriptError(`Too many resources (more than ${this.maxResources}) - Dispose() the ones you are done with`);
+        }
+        const handle = new ResourceHandle(this.nextId++, type);
+        this.resourceCounts[type]++;
+        this.resourceCommands.push({ id: handle.id, create: type, name: handle.name, ...spec });
+        return handle;
+    }
+
+    createGeometry(shape, detail) {
+        const key = typeof shape === 'string' ? shape.toLowerCase() : shape;
+        if (!SHAPES.includes(key)) {
+            throw new ScriptError(`Unknown shape "${formatValue(shape)}" - use ${SHAPES.map(s => `"${s}"`).join(', ')}`);
+        }
+        if (!(detail >= 1 && detail <= MAX_DETAIL)) {
+            throw new ScriptError(`Geometry detail must be 1-${MAX_DETAIL}, not ${formatValue(detail)}`);
+        }
+        return this.createResource('geometry', { shape: key, detail });
+    }
+
+    createMaterial(color) {
+        return this.createResource('material', { color: checkColor(color) });
+    }
+
+    createTexture(size) {
+        if (!(size >= 1 && size <= MAX_TEXTURE_SIZE)) {
+            throw new ScriptError(`Texture size must be 1-${MAX_TEXTURE_SIZE} pixels, not ${formatValue(size)}`);
+        }
+        return this.createResource('texture', { size });
+    }
+
+    /**
+     * The handle, if it hasn't been disposed
+     */
+    liveResource(resource, type) {
+        if (resource === null || resource === undefined) {
+            throw new ScriptError(`${type} reference not set to an instance of a ${type.toLowerCase()}`);
+        }
+        if (resource.disposed) {
+            throw new ScriptError(`'${resource.name}' has been disposed but you are still trying to use it`);
+        }
+        return resource;
+    }
+
+    disposeResource(resource) {
+        if (resource.disposed) return; // Like Destroy(), disposing twice is harmless
+        resource.disposed = true;
+        this.resourceCounts[resource.type]--;
+        this.resourceCommands.push({ id: resource.id, dispose: true });
+    }
+
+    setGeometry(obj, geometry) {
+        this.live(obj).geometry = this.liveResource(geometry, 'Geometry').id;
+        this.dirty.add(obj);
+    }
+
+    setMaterial(obj, material) {
+        this.live(obj).material = this.liveResource(material, 'Material').id;
+        obj.color = null;
+        this.dirty.add(obj);
+    }
+
+    setTexture(material, texture) {
+        this.liveResource(material, 'Material');
+        const id = texture === null ? null : this.liveResource(texture, 'Texture').id;
+        this.resourceCommands.push({ id: material.id, texture: id });
+    }
+
+    /**
+     * Take the estimates the main thread keeps (see ResourceTracker.getStats)
+     * @param {Object|null} stats
+     */
+    syncResources(stats) {
+        if (!stats) return;
+        this.resourceStats = { bytes: stats.bytes, leaked: stats.leaked };
+    }
+
+    // ========== AGENTS ==========
+
+    createAgent(kind, x, z) {
+        if (this.agentStats.active >= this.maxAgents) {
+            throw new ScriptError(`Too many agents (more than ${this.maxAgents}) - Agents.Despawn() some, or spawn fewer`);
+        }
+        const handle = new AgentHandle(this.nextId++, kind, kind === 'spawner' ? 1 : 0);
+        this.agents.set(handle.id, handle);
+        this.agentStats.active++;
+        this.agentStats.spawned++;
+        this.agentCommands.push({ id: handle.id, spawn: kind, position: [x, z], rate: handle.rate });
+        return handle;
+    }
+
+    despawnAgent(agent) {
+        if (agent === null || agent === undefined) {
+            throw new ScriptError('Agents.Despawn() was given null - there is no agent to remove');
+        }
+        if (agent.removed) return;
+        agent.removed = true;
+        this.agentStats.active--;
+        this.agentCommands.push({ id: agent.id, remove: true });
+    }
+
+    /**
+     * The handle, if the agent hasn't been despawned
+     */
+    liveAgent(agent) {
+        if (agent === null || agent === undefined) {
+            throw new ScriptError('Agent reference not set to an instance of an agent');
+        }
+        if (agent.removed) {
+            throw new ScriptError(`'${agent.name}' has been despawned but you are still trying to use it`);
+        }
+        return agent;
+    }
+
+    setSpawnRate(agent, rate) {
+        if (this.liveAgent(agent).kind !== 'spawner') {
+            throw new ScriptError(`'${agent.name}' is an enemy - only spawners have a spawn rate`);
+        }
+        if (rate < 0) {
+            throw new ScriptError(`A spawn rate can't be negative (got ${formatValue(rate)}) - use 0 to stop spawning`);
+        }
+        agent.rate = rate;
+        this.agentCommands.push({ id: agent.id, rate });
+    }
+
+    changeAgent(agent, change) {
+        this.liveAgent(agent);
+        this.agentCommands.push({ id: agent.id, ...change });
+    }
+
+    /**
+     * Take the counts the main thread keeps (see AgentSystem.getStats)
+     * @param {Object|null} stats
+     */
+    syncAgents(stats) {
+        if (!stats) return;
+        this.agentStats = { active: stats.active, spawned: stats.spawned, spawnRate: stats.spawnRate };
+        for (const [id, spawned] of Object.entries(stats.spawners)) {
+            const handle = this.agents.get(Number(id));
+            if (handle) handle.spawned = spawned;
+        }
+    }
+
+    emit(event) {
+        if (this.onEvent) this.onEvent(event);
+    }
+
+    // ========== CONSOLE ==========
+
+    log(level, message) {
+        if (this.logs.length >= this.maxLogs) {
+            this.droppedLogs++;
+            return;
+        }
+        this.logs.push({ level, message: formatValue(message) });
+    }
+
+    /**
+     * The console lines since the last call - at most maxLogs, then one
+     * line saying how many more there were (a Debug.Log in a big loop
+     * would otherwise flood the editor's console)
+     */
+    takeLogs() {
+        const logs = this.logs.splice(0);
+        if (this.droppedLogs > 0) {
+            logs.push({ level: 'warning', message: `…${this.droppedLogs.toLocaleString()} more lines` });
+            this.droppedLogs = 0;
+        }
+        return logs;
+    }
+
+    // ========== SCENE ==========
+
+    /**
+     * Apply every pending object change to the scene in one go
+     */
+    flush() {
+        const scene = this.scene;
+        if (this.physicsChanged) {
+            scene.configurePhysics({ ...this.physics });
+            this.physicsChanged = false;
+        }
+        if (this.renderModeChanged) {
+            scene.setRenderMode(this.renderMode);
+            this.renderModeChanged = false;
+        }
+        // New resources first so objects can use them; the rest (textures,
+        // disposing) after, so disposing something just assigned wins
+        const resourceChanges = this.resourceCommands.filter(command => !command.create);
+        for (const { id, create, name, ...spec } of this.resourceCommands) {
+            if (create) scene.createResource(create, id, name, spec);
+        }
+        this.resourceCommands = [];
+        for (const handle of this.dirty) {
+            if (handle.destroyed) {
+                if (handle.mesh) scene.destroyObject(handle.mesh);
+                handle.mesh = null;
+                this.bodies.delete(handle.id);
+                continue;
+            }
+            if (!handle.mesh) handle.mesh = scene.spawnObject(handle.shape, handle.name, handle.id);
+            // A rigidbody's position is the simulation's unless the script moved it
+            scene.updateObject(handle.mesh, {
+                position: handle.moved ? handle.position : null,
+                scale: handle.scale,
+                color: handle.color,
+                geometry: handle.geometry,
+                material: handle.material
+            });
+            handle.moved = false;
+            handle.physics.forEach(change => scene.updateBody(handle.mesh, change));
+            handle.physics = [];
+        }
+        this.dirty.clear();
+        resourceChanges.forEach(({ id, ...change }) => scene.updateResource(id, change));
+
+        for (const { id, spawn, position, rate, ...change } of this.agentCommands) {
+            if (spawn) scene.spawnAgent(spawn, id, position, rate);
+            else scene.updateAgent(id, { rate, ...change });
+        }
+        this.agentCommands = [];
+    }
+
+    /**
+     * Add trees spawned since the last call to the forest (used between
+     * frames; a one-shot run sets the whole tree count instead)
+     * @param {number} maxTrees - The forest never grows past this
+     */
+    flushTrees(maxTrees) {
+        const added = this.treesSpawned - this.treesApplied;
+        this.treesApplied = this.treesSpawned;
+        if (added <= 0) return;
+        const current = this.scene.currentTreeCount;
+        const target = Math.min(current + added, maxTrees);
+        if (target !== current) this.scene.spawnTrees(target);
+    }
+}
+
+/**
+ * @returns {string} The color, lower-cased, if it's a name or hex code three.js knows
+ */
+function checkColor(color) {
+    const key = String(color).toLowerCase();
+    if (!HEX_COLOR.test(key) && !(key in THREE.Color.NAMES)) {
+        throw new ScriptError(`Unknown color "${color}" - use a name like "red" or a hex code like "#ff8800"`);
+    }
+    return key;
+}
@@ -0,0 +1,162 @@
+/**
+ * ScriptProject.js - A student project made of several .cs files
+ *
+ * Holds the files the code editor shows as tabs. The executor compiles
+ * them together (see parseProject), so a manager class in one file can
+ * call a spawner class in another - which is how harder scenarios hide
+ * a bug across files.
+ *
+ * A one-file project runs exactly like a plain script: toCode() hands
+ * the executor the text itself, and diagnostics come back without a
+ * `file`.
+ *
+ * USAGE:
+ * ```javascript
+ * const project = new ScriptProject('Forest', [
+ *     { name: 'ForestManager.cs', code: managerCode },
+ *     { name: 'Spawner.cs', code: spawnerCode }
+ * ]);
+ * project.addFile('Pool.cs');          // { success: true }
+ * executor.execute(project.toCode());
+ * ```
+ */
+
+const FILE_NAME = /^[A-Za-z_][A-Za-z0-9_]*\.cs$/;
+
+export class ScriptProject {
+    /**
+     * @param {string} name - Shown in the editor
+     * @param {Array<{name: string, code: string}>} files - The first file is opened first
+     */
+    constructor(name, files = []) {
+        this.name = name;
+        this.files = new Map(); // name -> { name, code, original }
+        files.forEach(file => this.files.set(file.name, { name: file.name, code: file.code, original: file.code }));
+        this.activeFile = files[0]?.name ?? null;
+    }
+
+    /**
+     * Project with a single file, for the classic one-script scenarios
+     */
+    static single(name, code) {
+        return new ScriptProject(name, [{ name: `${name}.cs`, code }]);
+    }
+
+    get fileNames() {
+        return [...this.files.keys()];
+    }
+
+    get isMultiFile() {
+        return this.files.size > 1;
+    }
+
+    has(name) {
+        return this.files.has(name);
+    }
+
+    getCode(name = this.activeFile) {
+        return this.files.get(name)?.code ?? '';
+    }
+
+    setCode(name, code) {
+        const file = this.files.get(name);
+        if (file) file.code = code;
+    }
+
+    /**
+     * @returns {boolean} true if the file differs from how it was loaded
+     */
+    isModified(name) {
+        const file = this.files.get(name);
+        return !!file && file.code !== file.original;
+    }
+
+    // ========== FILES ==========
+
+    /**
+     * @param {string} name - e.g. 'TreePool.cs'
+     * @param {string} [code] - An empty class named after the file if omitted
+     * @returns {{success: boolean, message?: string}}
+     */
+    addFile(name, code = null) {
+        const problem = this.checkName(name);
+        if (problem) return { success: false, message: problem };
+
+        const className = name.slice(0, -'.cs'.length);
+        code = code ?? `using Orbrya.Engine;\n\npublic class ${className}\n{\n    \n}\n`;
+        this.files.set(name, { name, code, original: '' });
+        console.log(`[ScriptProject] Added ${name}`);
+        return { success: true };
+    }
+
+    /**
+     * @returns {{success: boolean, message?: string}}
+     */
+    removeFile(name) {
+        if (!this.files.has(name)) return { success: false, message: `There is no file called ${name}` };
+        if (this.files.size === 1) return { success: false, message: 'A project needs at least one file' };
+
+        this.files.delete(name);
+        if (this.activeFile === name) this.activeFile = this.fileNames[0];
+        console.log(`[ScriptProject] Removed ${name}`);
+        return { success: true };
+    }
+
+    /**
+     * Renaming keeps the file's place in the project order
+     * @returns {{success: boolean, message?: string}}
+     */
+    renameFile(from, to) {
+        if (!this.files.has(from)) return { success: false, message: `There is no file called ${from}` };
+        if (from === to) return { success: true };
+        const problem = this.checkName(to);
+        if (problem) return { success: false, message: problem };
+
+        const renamed = new Map();
+        for (const [name, file] of this.files) {
+            if (name === from) renamed.set(to, { ...file, name: to });
+            else renamed.set(name, file);
+        }
+        this.files = renamed;
+        if (this.activeFile === from) this.activeFile = to;
+        console.log(`[ScriptProject] Renamed ${from} → ${to}`);
+        return { success: true };
+    }
+
+    /**
+     * @returns {string|null} Why `name` can't be used for a new file, or null if it can
+     */
+    checkName(name) {
+        if (!FILE_NAME.test(name)) return `"${name}" isn't a valid file name - use letters, digits and _, ending in .cs`;
+        if (this.files.has(name)) return `There is already a file called ${name}`;
+        return null;
+    }
+
+    // ========== FOR THE EXECUTOR ==========
+
+    /**
+     * @returns {Array<{name: string, code: string}>} Every file, in project order
+     */
+    toSources() {
+        return [...this.files.values()].map(({ name, code }) => ({ name, code }));
+    }
+
+    /**
+     * What CodeExecutor should run: the text of a one-file project,
+     * the list of files otherwise
+     * @returns {string|Array<{name: string, code: string}>}
+     */
+    toCode() {
+        return this.isMultiFile ? this.toSources() : this.getCode(this.fileNames[0]);
+    }
+
+    /**
+     * The text of what toCode() returned, for graders that pattern-match
+     * the source: the script itself, or every file one after another
+     * @param {string|Array<{name: string, code: string}>} code
+     * @returns {string}
+     */
+    static textOf(code) {
+        return Array.isArray(code) ? code.map(file => file.code).join('\n') : code;
+    }
+}
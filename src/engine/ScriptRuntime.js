@@ -0,0 +1,457 @@
+/**
+ * ScriptRuntime.js - Parses, checks and runs student C# (worker side)
+ *
+ * Lives inside ScriptWorker so a heavy script can only stall the worker,
+ * never the render loop. Everything it returns is plain data that can
+ * cross postMessage: diagnostics, console lines and a batch of scene
+ * commands (see SceneCommandBuffer) for the main thread to apply.
+ *
+ * SESSIONS:
+ * A run whose class has Update() leaves a session behind - the
+ * interpreter with its object and ScriptHost - and update() calls
+ * Update() on it once per frame. A new valid run replaces the session.
+ *
+ * PROJECTS:
+ * Wherever code is taken, a project can be passed instead: an array of
+ * { name, code } files, parsed together (see parseProject) so classes
+ * can use each other across files. Diagnostics, pauses and trace
+ * entries then say which file they point into.
+ *
+ * TRACING:
+ * run() also records an execution trace (see TraceRecorder) so the
+ * editor's timeline can scrub back through the run. Validate skips it.
+ *
+ * DEBUGGING:
+ * debug() runs the same way but under a Debugger, stopping at
+ * breakpoints; debugStep() resumes. Each pause reports the line, the
+ * variables and the scene changes so far. When the run ends it is
+ * finished exactly like run(), session included.
+ *
+ * BUDGETS (per run, see DEFAULT_OPTIONS):
+ * - maxSteps / maxLoopIterations → the whole run, Start() included
+ * - frameBudgetMs / maxStepsPerFrame → each Update() call
+ * - maxLogsPerRun / maxLogsPerFrame → Debug.Log lines passed on; the
+ *   rest become one "…N more lines"
+ * A run that hits its budget is still applied (capped); an Update() that
+ * hits its budget, or throws, suspends the session.
+ */
+
+import {
+    parse, parseProject, typeCheck, Interpreter, Debugger, ScriptError, diagnoseLoop, walk,
+    createDiagnostic, fromScriptError, formatDiagnostic
+} from './csharp/index.js';
+import { createBuiltins, API_TYPES, KNOWN_NAMESPACES } from './ScriptingAPI.js';
+import { ScriptHost } from './ScriptHost.js';
+import { SceneCommandBuffer } from './SceneCommandBuffer.js';
+import { TraceRecorder } from './TraceRecorder.js';
+import { analyzeScript } from './ScriptAnalyzer.js';
+
+export const DEFAULT_OPTIONS = {
+    maxTreeLimit: 1000,       // Safety cap for infinite loops
+    maxSteps: 100000,         // Statements + loop iterations per run
+    maxLoopIterations: 10000, // No scenario loop legitimately needs more
+    maxObjects: 500,          // Spawn()ed objects alive at once
+    maxAgents: 400,           // Agents alive at once (see AgentSystem)
+    maxResources: 500,        // Resources.Create*() alive (not disposed) at once
+    frameBudgetMs: 4,         // Update() share of a 16.7ms frame on N4000
+    maxStepsPerFrame: 20000,
+    maxLogsPerRun: 100,       // Debug.Log lines passed on per run (or debug pause)...
+    maxLogsPerFrame: 10,      // ...and per Update() - the console keeps 50
+    maxTraceEntries: 2000     // Statements kept for the timeline; 0 turns tracing off
+};
+
+/**
+ * What diagnostics are located in: the script text, or for a project
+ * file name -> text
+ */
+function sourcesOf(code) {
+    return Array.isArray(code) ? Object.fromEntries(code.map(file => [file.name, file.code])) : code;
+}
+
+/**
+ * Parse and type-check without running - cheap enough to call while
+ * the student types
+ * @param {string|Array<{name: string, code: string}>} code - C# code from editor, or project files
+ * @returns {{program: Object|null, diagnostics: Array<Object>, source: string|Object}}
+ */
+export function checkScript(code) {
+    const source = sourcesOf(code);
+    let program;
+    try {
+        program = Array.isArray(code) ? parseProject(code) : parse(code);
+    } catch (err) {
+        if (!(err instanceof ScriptError)) throw err;
+        return { program: null, diagnostics: [fromScriptError(err, source)], source };
+    }
+    const diagnostics = typeCheck(program, {
+        builtins: createBuiltins(),
+        types: Object.keys(API_TYPES),
+        namespaces: KNOWN_NAMESPACES
+    }).map(d => createDiagnostic(source, d));
+    return { program, diagnostics, source };
+}
+
+export class ScriptRuntime {
+    constructor() {
+        this.session = null;
+        this.nextSessionId = 1;
+        this.debugJob = null;  // Paused debug run, if any
+    }
+
+    /**
+     * Parse, check and run student code
+     * @param {string|Array<Object>} code - C# code from editor, or project files
+     * @param {Object} [request]
+     * @param {Object} request.options - Overrides for DEFAULT_OPTIONS
+     * @param {Object} request.env - Scene values scripts can read (see SceneCommandBuffer.setEnv)
+     * @param {boolean} request.apply - false to only report what would happen (Validate)
+     * @param {Object} request.fields - Starting field values instead of the
+     *        declared ones (see Interpreter fieldValues) - scenario test cases
+     * @returns {RunResult}
+     */
+    run(code, { options = {}, env = {}, apply = true, fields = {} } = {}) {
+        const job = this.prepare(code, options, env, fields);
+        if (!job.interpreter) return job.result;
+
+        const tracing = apply && job.options.maxTraceEntries > 0;
+        const recorder = tracing &&
+            new TraceRecorder(job.interpreter, job.host, { maxEntries: job.options.maxTraceEntries });
+        const run = job.interpreter.execute(job.options.maxSteps,
+            recorder ? { onStep: (node) => recorder.record(node) } : {});
+        const result = this.finish(job, run, apply);
+        if (recorder) result.trace = recorder.finish(run);
+        return result;
+    }
+
+    /**
+     * Check the code and set up an interpreter for it. `job.interpreter`
+     * is null if the code has errors; `job.result` then says why.
+     */
+    prepare(code, options, env, fields = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ...options };
+        const result = {
+            valid: false,
+            limit: null,
+            spawned: 0,
+            objectsSpawned: 0, // Spawn() calls
+            objectsAlive: 0,   // ...minus Destroy() calls, when the run ended
+            agentsSpawned: 0,  // Agents the script created (spawners' own spawns happen later, in frames)
+            agentsAlive: 0,
+            entry: null,
+            steps: 0,
+            completed: false,
+            diagnosis: null,
+            diagnostics: [],
+            findings: [],    // ScriptAnalyzer rule hits, kept apart from diagnostics
+            logs: [],
+            errors: [],
+            warnings: [],
+            usesTrees: false,
+            commands: [],
+            session: null,   // Id to pass to update() if Update() should run
+            script: null,    // Class name of that script
+            trace: null      // Execution trace for the timeline (run() only)
+        };
+        const { program, diagnostics, source } = checkScript(code);
+        const job = { source, options: opts, result, program: null, scene: null, host: null, interpreter: null };
+        diagnostics.forEach(d => this.addDiagnostic(result, d));
+        if (program) result.findings = analyzeScript(program, source);
+        if (!program || diagnostics.some(d => d.severity === 'error')) return job;
+
+        job.program = program;
+        job.scene = new SceneCommandBuffer();
+        job.scene.setEnv(env);
+        job.host = new ScriptHost(job.scene, null, {
+            maxObjects: opts.maxObjects,
+            maxAgents: opts.maxAgents,
+            maxResources: opts.maxResources,
+            maxLogs: opts.maxLogsPerRun
+        });
+        job.interpreter = new Interpreter(program, {
+            builtins: createBuiltins(job.host),
+            maxLoopIterations: opts.maxLoopIterations,
+            fieldValues: fields
+        });
+        return job;
+    }
+
+    /**
+     * Turn a finished run into a RunResult, with scene commands if `apply`
+     */
+    finish(job, run, apply) {
+        const { source, options, result, program, scene, host, interpreter } = job;
+        result.usesTrees = host.treesSpawned > 0 || this.callsSpawnTree(program);
+        result.spawned = host.treesSpawned;
+        result.objectsSpawned = host.objects.length;
+        result.objectsAlive = host.aliveCount;
+        result.agentsSpawned = host.agentStats.spawned;
+        result.agentsAlive = host.agentStats.active;
+        result.logs = host.takeLogs();
+        result.entry = interpreter.entry?.name || null;
+        result.steps = run.steps;
+
+        if (run.status === 'error') {
+            this.addDiagnostic(result, fromScriptError(run.error, source));
+            return result;
+        }
+
+        result.valid = true;
+        result.completed = run.status === 'completed';
+        result.limit = Math.min(result.spawned, options.maxTreeLimit);
+
+        if (run.status === 'budget') {
+            this.addDiagnostic(result, this.describeBudgetStop(run, source, result, options));
+            if (result.spawned > 0) {
+                result.errors.push(`💡 Spawned ${result.spawned} trees before it was stopped`);
+                result.warnings.push(`Safety cap: spawning ${result.limit} trees`);
+            }
+        } else if (result.spawned > options.maxTreeLimit) {
+            result.warnings.push(`Capped at ${options.maxTreeLimit} trees for safety`);
+        }
+
+        if (!apply) return result;
+
+        if (job.debugger) {
+            // The scene was kept up to date at every pause - only top it up
+            if (result.usesTrees && job.treesShown !== result.limit) scene.spawnTrees(result.limit);
+        } else {
+            // Each run replaces the objects (and Update loop) of the previous one
+            if (result.usesTrees) scene.spawnTrees(result.limit);
+            scene.clearScriptObjects();
+        }
+        host.flush();
+        result.commands = scene.take();
+
+        this.session = null;
+        const entry = interpreter.entry;
+        if (result.completed && entry?.kind === 'lifecycle' && entry.update) {
+            host.treesApplied = host.treesSpawned;
+            this.session = {
+                id: this.nextSessionId++,
+                name: entry.cls.name,
+                source,
+                interpreter,
+                host,
+                scene,
+                options,
+                frames: 0
+            };
+            result.session = this.session.id;
+            result.script = this.session.name;
+        }
+        return result;
+    }
+
+    // ========== DEBUGGING ==========
+
+    /**
+     * Start a debug run. The scene is rebuilt as the script goes, so at
+     * every pause it shows exactly what the script has made so far.
+     * @param {string|Array<Object>} code - C# code from editor, or project files
+     * @param {Object} [request] - { options, env, breakpoints } (see Debugger.resume)
+     * @returns {DebugReply} { status: 'paused', ...snapshot } or { status: 'finished', result }
+     */
+    debug(code, { options = {}, env = {}, breakpoints = [] } = {}) {
+        this.debugJob = null;
+        const job = this.prepare(code, options, env);
+        if (!job.interpreter) return { status: 'finished', result: job.result };
+
+        this.session = null;
+        job.treesShown = 0;
+        job.tracksTrees = this.callsSpawnTree(job.program);
+        if (job.tracksTrees) job.scene.spawnTrees(0);
+        job.scene.clearScriptObjects();
+
+        job.debugger = new Debugger(job.interpreter, { maxSteps: job.options.maxSteps });
+        this.debugJob = job;
+        return this.debugReply(job, job.debugger.start(breakpoints));
+    }
+
+    /**
+     * @param {Object} request - { mode: 'into'|'over'|'continue', breakpoints }
+     */
+    debugStep({ mode, breakpoints = [] }) {
+        const job = this.debugJob;
+        if (!job) return { status: 'stale' };
+        return this.debugReply(job, job.debugger.resume(mode, breakpoints));
+    }
+
+    debugStop() {
+        this.debugJob = null;
+    }
+
+    /**
+     * What the editor needs at a pause: where, the variables, and the
+     * scene changes since the last pause
+     */
+    debugReply(job, run) {
+        if (run.status !== 'paused') {
+            this.debugJob = null;
+            return { status: 'finished', result: this.finish(job, run, true) };
+        }
+
+        const { host, scene, options } = job;
+        const shown = Math.min(host.treesSpawned, options.maxTreeLimit);
+        if (job.tracksTrees && shown !== job.treesShown) {
+            scene.spawnTrees(shown);
+            job.treesShown = shown;
+        }
+        host.flush();
+
+        const { loc } = run.node;
+        return {
+            status: 'paused',
+            line: loc.line,
+            file: loc.file ?? null,
+            span: { start: loc.start, end: loc.end },
+            ...job.debugger.inspect(),
+            treesSpawned: host.treesSpawned,
+            steps: job.debugger.steps,
+            commands: scene.take(),
+            logs: host.takeLogs()
+        };
+    }
+
+    /**
+     * Run one frame of the current session's Update()
+     * @param {Object} request
+     * @param {number} request.session - Id from run(); stale ids are ignored
+     * @param {number} request.deltaTime - Seconds since the last frame
+     * @param {Object} request.env - Scene values scripts can read
+     * @returns {{status: string, frames: number, ms: number, commands: Array, logs: Array, report: Object|null}}
+     *          status is 'running', 'suspended' (report says why) or 'stale'
+     */
+    update({ session, deltaTime, env = {} }) {
+        const current = this.session;
+        if (!current || current.id !== session) {
+            return { status: 'stale', frames: 0, ms: 0, commands: [], logs: [], report: null };
+        }
+
+        const { interpreter, host, scene, options } = current;
+        scene.setEnv(env);
+        host.syncBodies(env.bodies);
+        host.syncAgents(env.agents);
+        host.syncResources(env.resources);
+        host.frameDelta = deltaTime;
+        host.maxLogs = options.maxLogsPerFrame;
+        const start = performance.now();
+        const run = interpreter.runMethod('Update', {
+            maxSteps: options.maxStepsPerFrame,
+            deadline: start + options.frameBudgetMs
+        });
+        current.frames++;
+
+        // Changes made before a stop are still applied, like Unity does
+        host.flush();
+        host.flushTrees(options.maxTreeLimit);
+        const frame = {
+            status: 'running',
+            frames: current.frames,
+            ms: performance.now() - start,
+            commands: scene.take(),
+            logs: host.takeLogs(),
+            report: null
+        };
+
+        if (run.status !== 'completed') {
+            frame.status = 'suspended';
+            frame.report = this.describeSuspension(current, run);
+            this.session = null;
+        }
+        return frame;
+    }
+
+    /**
+     * Drop the current session so Update() stops
+     */
+    stop() {
+        this.session = null;
+    }
+
+    /**
+     * Scripts that never mention SpawnTree() leave the forest alone
+     */
+    callsSpawnTree(program) {
+        let found = false;
+        walk(program, (node) => {
+            if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'SpawnTree') found = true;
+            return !found;
+        });
+        return found;
+    }
+
+    /**
+     * Record a diagnostic, plus its text in errors/warnings for consumers
+     * that only show plain strings
+     */
+    addDiagnostic(result, diagnostic) {
+        result.diagnostics.push(diagnostic);
+        const list = diagnostic.severity === 'error' ? result.errors : result.warnings;
+        list.push(formatDiagnostic(diagnostic));
+    }
+
+    /**
+     * Diagnostic for a run that hit its budget. Only a loop over its own
+     * iteration limit is called infinite (and fills result.diagnosis); a
+     * run out of steps may just be a lot of finite work, so that only
+     * points at the busiest loop.
+     */
+    describeBudgetStop(run, source, result, options) {
+        if (run.reason !== 'iterations' || !run.loop) {
+            const where = run.loop ? diagnoseLoop(run.loop, source) : null;
+            const busiest = where
+                ? ` - most of them in this ${where.kind} loop (${where.iterations.toLocaleString()} iterations so far)`
+                : '';
+            return createDiagnostic(source, {
+                code: 'ORB0001',
+                message: `Program ran more than ${options.maxSteps.toLocaleString()} steps and was stopped${busiest}`,
+                loc: where?.loc ?? null
+            });
+        }
+        const diagnosis = diagnoseLoop(run.loop, source);
+        result.diagnosis = diagnosis;
+        let header = `${diagnosis.kind} (${diagnosis.condition})`;
+        if (diagnosis.kind === 'for') header = diagnosis.condition !== null ? `for (…; ${diagnosis.condition}; …)` : 'for (;;)';
+        return createDiagnostic(source, {
+            code: 'ORB0001',
+            message: `Infinite loop! ${header} ran ${diagnosis.iterations.toLocaleString()} times and never stopped`,
+            loc: diagnosis.loc
+        });
+    }
+
+    /**
+     * Console report for a suspended Update(), shaped like a run result
+     * so the editor can show it the same way
+     */
+    describeSuspension(session, run) {
+        const { name, source, frames, options } = session;
+        const report = {
+            script: name,
+            frames,
+            diagnostics: [],
+            diagnosis: null,
+            logs: [],
+            errors: [`⏸️ ${name}.Update() was suspended on frame ${frames}`],
+            warnings: []
+        };
+
+        if (run.status === 'error') {
+            this.addDiagnostic(report, fromScriptError(run.error, source));
+        } else if (run.reason === 'iterations') {
+            this.addDiagnostic(report, this.describeBudgetStop(run, source, report, options));
+        } else {
+            const where = run.loop ? diagnoseLoop(run.loop, source) : null;
+            report.diagnosis = where;
+            const budget = run.reason === 'time'
+                ? `its ${options.frameBudgetMs}ms frame budget`
+                : `its ${options.maxStepsPerFrame.toLocaleString()} steps per frame`;
+            const loc = where?.loc || session.interpreter.entry.update.nameLoc;
+            this.addDiagnostic(report, createDiagnostic(source, {
+                code: 'ORB0003',
+                message: `Update() used up ${budget}${where ? ` in this ${where.kind} loop (${where.iterations.toLocaleString()} iterations)` : ''} - it runs every frame, so keep it short`,
+                loc
+            }));
+        }
+        return report;
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * ScriptWorker.js - Web Worker entry that runs student scripts
+ *
+ * Started by ScriptWorkerClient. Requests arrive as { id, type, payload }
+ * and every one gets exactly one answer: { id, result } or { id, error }.
+ *
+ * REQUEST TYPES:
+ * - run      { code, options, env } → RunResult with scene commands
+ * - validate { code, options, env, fields } → RunResult, nothing applied
+ * - update   { session, deltaTime, env } → one Update() frame
+ * - stop     {} → drop the running session
+ * - debug     { code, options, env, breakpoints } → first pause, or the finished run
+ * - debugStep { mode, breakpoints } → next pause, or the finished run
+ * - debugStop {} → abandon the debug run
+ */
+
+import { ScriptRuntime } from './ScriptRuntime.js';
+
+const runtime = new ScriptRuntime();
+
+const handlers = {
+    run: (payload) => runtime.run(payload.code, payload),
+    validate: (payload) => runtime.run(payload.code, { ...payload, apply: false }),
+    update: (payload) => runtime.update(payload),
+    stop: () => runtime.stop(),
+    debug: (payload) => runtime.debug(payload.code, payload),
+    debugStep: (payload) => runtime.debugStep(payload),
+    debugStop: () => runtime.debugStop()
+};
+
+self.onmessage = (event) => {
+    const { id, type, payload } = event.data;
+    try {
+        const handler = handlers[type];
+        if (!handler) throw new Error(`Unknown request "${type}"`);
+        self.postMessage({ id, result: handler(payload || {}) ?? null });
+    } catch (err) {
+        // Bugs in the engine, not in student code - those come back as diagnostics
+        console.error('[ScriptWorker]', err);
+        self.postMessage({ id, error: err.message });
+    }
+};
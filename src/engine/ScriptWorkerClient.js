@@ -0,0 +1,132 @@
+/**
+ * ScriptWorkerClient.js - Main-thread side of the script worker
+ *
+ * Wraps ScriptWorker in promise-based requests. The interpreter polices
+ * its own step and time budgets, but if the worker still doesn't answer
+ * within the timeout (an engine bug, a pathological script) it is
+ * terminated and that request fails with WorkerTimeoutError. The
+ * requests queued behind it are sent again to a fresh worker - the
+ * worker answers in order, so a request's clock only starts once the
+ * ones before it are answered, and a slow Run can't time out the frame
+ * that waits behind it.
+ *
+ * USAGE:
+ * ```javascript
+ * const client = new ScriptWorkerClient({ timeoutMs: 5000 });
+ * const result = await client.request('run', { code, options, env });
+ * sceneController.applyScriptCommands(result.commands);
+ * ```
+ */
+
+export class WorkerTimeoutError extends Error {
+    constructor(type, timeoutMs) {
+        super(`The script stopped responding for ${timeoutMs / 1000}s and was stopped`);
+        this.name = 'WorkerTimeoutError';
+        this.type = type;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+export class ScriptWorkerClient {
+    /**
+     * @param {Object} [options]
+     * @param {number} options.timeoutMs - Default time to wait for an answer
+     */
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs ?? 5000;
+        this.worker = null;
+        this.pending = new Map(); // id -> { resolve, reject, type, payload, timeoutMs, timer }, oldest first
+        this.nextId = 1;
+        this.restarts = 0;
+    }
+
+    start() {
+        if (this.worker) return this.worker;
+        this.worker = new Worker(new URL('./ScriptWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => this.onMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.reset(new Error(event.message || 'The script worker failed to start'));
+        };
+        console.log('[ScriptWorker] Started');
+        return this.worker;
+    }
+
+    /**
+     * @param {string} type - A ScriptWorker request type ('run', 'update', 'debug', ...)
+     * @param {Object} [payload]
+     * @param {number} [timeoutMs] - Overrides the default timeout
+     * @returns {Promise<*>} The handler's result
+     */
+    request(type, payload = {}, timeoutMs = this.timeoutMs) {
+        const worker = this.start();
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, type, payload, timeoutMs, timer: null });
+            worker.postMessage({ id, type, payload });
+            this.startClock();
+        });
+    }
+
+    onMessage({ id, result, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        clearTimeout(request.timer);
+        this.pending.delete(id);
+        this.startClock();
+        if (error) request.reject(new Error(error));
+        else request.resolve(result);
+    }
+
+    /**
+     * Time the oldest request - the one the worker is busy with
+     */
+    startClock() {
+        const next = this.pending.entries().next();
+        if (next.done) return;
+        const [id, request] = next.value;
+        if (request.timer === null) request.timer = setTimeout(() => this.timeOut(id), request.timeoutMs);
+    }
+
+    /**
+     * Give up on one request: a fresh worker takes the rest
+     */
+    timeOut(id) {
+        const request = this.pending.get(id);
+        this.pending.delete(id);
+        console.warn(`[ScriptWorker] No answer to "${request.type}" after ${request.timeoutMs}ms - terminating`);
+        this.stopWorker();
+        request.reject(new WorkerTimeoutError(request.type, request.timeoutMs));
+
+        if (this.pending.size === 0) return;
+        const worker = this.start();
+        for (const [queuedId, queued] of this.pending) {
+            worker.postMessage({ id: queuedId, type: queued.type, payload: queued.payload });
+        }
+        this.startClock();
+    }
+
+    stopWorker() {
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
+        this.restarts++;
+    }
+
+    /**
+     * Kill the worker and fail everything still waiting on it
+     * @param {Error} reason - What pending requests are rejected with
+     */
+    reset(reason) {
+        this.stopWorker();
+        for (const request of this.pending.values()) {
+            clearTimeout(request.timer);
+            request.reject(reason);
+        }
+        this.pending.clear();
+    }
+
+    terminate() {
+        this.reset(new Error('The script worker was shut down'));
+    }
+}
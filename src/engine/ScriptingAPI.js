@@ -0,0 +1,585 @@
+/**
+ * ScriptingAPI.js - The Orbrya.Engine API visible to student C#
+ *
+ * Single registry of every engine type, function and value a script can
+ * use. CodeExecutor binds it to a ScriptHost for each run, the type
+ * checker reads its signatures, and the editor's autocomplete lists it -
+ * adding an entry here is all it takes to expose something new.
+ *
+ * ENTRY SHAPES:
+ *   method:   { name, kind: 'method', params: [{ name, type }], returns, doc,
+ *               call: (host, ...args) => value }
+ *   property: { name, kind: 'property', type, doc, get: (host) => value }
+ *
+ * Members of engine types ("GameObject.SetPosition") set `instance: true`;
+ * their call/get receive the object right after the host.
+ *
+ * USAGE:
+ * ```javascript
+ * const builtins = createBuiltins(new ScriptHost(sceneController));
+ * new Interpreter(program, { builtins }).execute();
+ * ```
+ */
+
+export const API_NAMESPACE = 'Orbrya.Engine';
+
+// Namespaces a `using` directive may name
+export const KNOWN_NAMESPACES = [API_NAMESPACE, 'System', 'System.Collections.Generic'];
+
+// Engine types students can name in declarations
+export const API_TYPES = {
+    GameObject: { doc: 'An object in the 3D scene, returned by Spawn()' },
+    Agent: { doc: 'An AI agent - a spawner or an enemy - from Agents.CreateSpawner() or Agents.Spawn()' },
+    Geometry: { doc: 'A mesh shape from Resources.CreateGeometry() - stays in memory until Dispose()' },
+    Material: { doc: 'A surface from Resources.CreateMaterial() - stays in memory until Dispose()' },
+    Texture: { doc: 'An image from Resources.CreateTexture() - stays in memory until Dispose()' },
+    ScenarioBase: { doc: 'Base class for scenario scripts' }
+};
+
+// Shapes Spawn() understands
+export const SHAPES = ['cube', 'sphere', 'cylinder', 'cone'];
+
+const number = (name) => ({ name, type: 'float' });
+
+export const SCRIPTING_API = [
+    // ----- Scene -----
+    {
+        name: 'SpawnTree',
+        kind: 'method',
+        params: [],
+        returns: 'void',
+        doc: 'Add one tree to the forest',
+        call: (host) => host.spawnTree()
+    },
+    {
+        name: 'Spawn',
+        kind: 'method',
+        params: [{ name: 'shape', type: 'string' }],
+        returns: 'GameObject',
+        doc: `Create an object: ${SHAPES.map(s => `"${s}"`).join(', ')}`,
+        call: (host, shape) => host.spawn(shape)
+    },
+    {
+        name: 'Destroy',
+        kind: 'method',
+        params: [{ name: 'obj', type: 'GameObject' }],
+        returns: 'void',
+        doc: 'Remove an object from the scene',
+        call: (host, obj) => host.destroy(obj)
+    },
+
+    // ----- GameObject -----
+    {
+        name: 'GameObject.SetPosition',
+        kind: 'method',
+        instance: true,
+        params: [number('x'), number('y'), number('z')],
+        returns: 'void',
+        doc: 'Move the object (y is up)',
+        call: (host, obj, x, y, z) => host.setPosition(obj, x, y, z)
+    },
+    {
+        name: 'GameObject.SetScale',
+        kind: 'method',
+        instance: true,
+        params: [number('x'), number('y'), number('z')],
+        returns: 'void',
+        doc: 'Resize the object (1 = normal size)',
+        call: (host, obj, x, y, z) => host.setScale(obj, x, y, z)
+    },
+    {
+        name: 'GameObject.SetColor',
+        kind: 'method',
+        instance: true,
+        params: [{ name: 'color', type: 'string' }],
+        returns: 'void',
+        doc: 'Paint the object: a name like "red" or a hex code like "#ff8800"',
+        call: (host, obj, color) => host.setColor(obj, color)
+    },
+    {
+        name: 'GameObject.name',
+        kind: 'property',
+        instance: true,
+        type: 'string',
+        doc: 'Name shown in the Hierarchy',
+        get: (host, obj) => obj.name
+    },
+    {
+        name: 'GameObject.x',
+        kind: 'property',
+        instance: true,
+        type: 'float',
+        doc: 'Current x position',
+        get: (host, obj) => host.live(obj).position[0]
+    },
+    {
+        name: 'GameObject.y',
+        kind: 'property',
+        instance: true,
+        type: 'float',
+        doc: 'Current y position (height)',
+        get: (host, obj) => host.live(obj).position[1]
+    },
+    {
+        name: 'GameObject.z',
+        kind: 'property',
+        instance: true,
+        type: 'float',
+        doc: 'Current z position',
+        get: (host, obj) => host.live(obj).position[2]
+    },
+
+    // ----- Physics -----
+    {
+        name: 'GameObject.AddRigidbody',
+        kind: 'method',
+        instance: true,
+        params: [number('mass')],
+        returns: 'void',
+        doc: 'Let physics move the object: it falls, bounces and can be pushed',
+        call: (host, obj, mass) => host.addRigidbody(obj, mass)
+    },
+    {
+        name: 'GameObject.AddForce',
+        kind: 'method',
+        instance: true,
+        params: [number('x'), number('y'), number('z')],
+        returns: 'void',
+        doc: 'Push the object once: its velocity changes by force / mass',
+        call: (host, obj, x, y, z) => host.addForce(obj, x, y, z)
+    },
+    {
+        name: 'GameObject.SetVelocity',
+        kind: 'method',
+        instance: true,
+        params: [number('x'), number('y'), number('z')],
+        returns: 'void',
+        doc: 'Set how fast the object moves, in units per second',
+        call: (host, obj, x, y, z) => host.setVelocity(obj, x, y, z)
+    },
+    {
+        name: 'GameObject.SetGeometry',
+        kind: 'method',
+        instance: true,
+        params: [{ name: 'geometry', type: 'Geometry' }],
+        returns: 'void',
+        doc: 'Draw the object with a geometry from Resources.CreateGeometry()',
+        call: (host, obj, geometry) => host.setGeometry(obj, geometry)
+    },
+    {
+        name: 'GameObject.SetMaterial',
+        kind: 'method',
+        instance: true,
+        params: [{ name: 'material', type: 'Material' }],
+        returns: 'void',
+        doc: 'Draw the object with a material from Resources.CreateMaterial()',
+        call: (host, obj, material) => host.setMaterial(obj, material)
+    },
+    {
+        name: 'Physics.SetTimestep',
+        kind: 'method',
+        params: [number('timestep')],
+        returns: 'void',
+        doc: 'Seconds of simulation per physics step (default 1/60)',
+        call: (host, value) => host.setPhysics('timestep', value)
+    },
+    {
+        name: 'Physics.SetGravity',
+        kind: 'method',
+        params: [number('gravity')],
+        returns: 'void',
+        doc: 'Pull on y in units per second² - negative is down (default -9.81)',
+        call: (host, value) => host.setPhysics('gravity', value)
+    },
+    {
+        name: 'Physics.SetDamping',
+        kind: 'method',
+        params: [number('damping')],
+        returns: 'void',
+        doc: 'Share of speed lost per second, like air resistance (default 0.05)',
+        call: (host, value) => host.setPhysics('damping', value)
+    },
+    {
+        name: 'Physics.SetBounciness',
+        kind: 'method',
+        params: [number('bounciness')],
+        returns: 'void',
+        doc: 'Share of the fall speed kept on a bounce: 0 = thud, 1 = bounces forever (default 0.5)',
+        call: (host, value) => host.setPhysics('bounciness', value)
+    },
+    {
+        name: 'Physics.timestep',
+        kind: 'property',
+        type: 'float',
+        doc: 'Current physics timestep',
+        get: (host) => host.physics.timestep
+    },
+    {
+        name: 'Physics.gravity',
+        kind: 'property',
+        type: 'float',
+        doc: 'Current physics gravity',
+        get: (host) => host.physics.gravity
+    },
+    {
+        name: 'Physics.damping',
+        kind: 'property',
+        type: 'float',
+        doc: 'Current physics damping',
+        get: (host) => host.physics.damping
+    },
+    {
+        name: 'Physics.bounciness',
+        kind: 'property',
+        type: 'float',
+        doc: 'Current physics bounciness',
+        get: (host) => host.physics.bounciness
+    },
+
+    // ----- Resources -----
+    {
+        name: 'Resources.CreateGeometry',
+        kind: 'method',
+        params: [{ name: 'shape', type: 'string' }, { name: 'detail', type: 'int' }],
+        returns: 'Geometry',
+        doc: 'A new shape with `detail` segments (1-64) - more detail, more memory. Dispose() it when done',
+        call: (host, shape, detail) => host.createGeometry(shape, detail)
+    },
+    {
+        name: 'Resources.CreateMaterial',
+        kind: 'method',
+        params: [{ name: 'color', type: 'string' }],
+        returns: 'Material',
+        doc: 'A new material of its own. Dispose() it when done',
+        call: (host, color) => host.createMaterial(color)
+    },
+    {
+        name: 'Resources.CreateTexture',
+        kind: 'method',
+        params: [{ name: 'size', type: 'int' }],
+        returns: 'Texture',
+        doc: 'A new size × size checkerboard image (1-256). Dispose() it when done',
+        call: (host, size) => host.createTexture(size)
+    },
+    {
+        name: 'Resources.geometries',
+        kind: 'property',
+        type: 'int',
+        doc: 'Geometries created and not yet disposed',
+        get: (host) => host.resourceCounts.geometry
+    },
+    {
+        name: 'Resources.materials',
+        kind: 'property',
+        type: 'int',
+        doc: 'Materials created and not yet disposed',
+        get: (host) => host.resourceCounts.material
+    },
+    {
+        name: 'Resources.textures',
+        kind: 'property',
+        type: 'int',
+        doc: 'Textures created and not yet disposed',
+        get: (host) => host.resourceCounts.texture
+    },
+    {
+        name: 'Resources.bytes',
+        kind: 'property',
+        type: 'int',
+        doc: 'Estimated memory the resources not yet disposed take up',
+        get: (host) => host.resourceStats.bytes
+    },
+    {
+        name: 'Resources.leaked',
+        kind: 'property',
+        type: 'int',
+        doc: 'Resources no object uses any more that were never disposed',
+        get: (host) => host.resourceStats.leaked
+    },
+    {
+        name: 'Geometry.Dispose',
+        kind: 'method',
+        instance: true,
+        params: [],
+        returns: 'void',
+        doc: 'Free the geometry - objects using it go back to their own shape',
+        call: (host, geometry) => host.disposeResource(geometry)
+    },
+    {
+        name: 'Material.SetTexture',
+        kind: 'method',
+        instance: true,
+        params: [{ name: 'texture', type: 'Texture' }],
+        returns: 'void',
+        doc: 'Draw the material with a texture from Resources.CreateTexture() (null takes it off)',
+        call: (host, material, texture) => host.setTexture(material, texture)
+    },
+    {
+        name: 'Material.Dispose',
+        kind: 'method',
+        instance: true,
+        params: [],
+        returns: 'void',
+        doc: 'Free the material - objects using it go back to their color',
+        call: (host, material) => host.disposeResource(material)
+    },
+    {
+        name: 'Texture.Dispose',
+        kind: 'method',
+        instance: true,
+        params: [],
+        returns: 'void',
+        doc: 'Free the texture - materials using it lose it',
+        call: (host, texture) => host.disposeResource(texture)
+    },
+
+    // ----- Rendering -----
+    {
+        name: 'Rendering.SetMode',
+        kind: 'method',
+        params: [{ name: 'mode', type: 'string' }],
+        returns: 'void',
+        doc: 'How spawned objects are drawn: "shared" (default), "individual", "instanced" or "merged"',
+        call: (host, mode) => host.setRenderMode(mode)
+    },
+    {
+        name: 'Rendering.mode',
+        kind: 'property',
+        type: 'string',
+        doc: 'The render mode spawned objects use',
+        get: (host) => host.renderMode
+    },
+    {
+        name: 'Rendering.drawCalls',
+        kind: 'property',
+        type: 'int',
+        doc: 'Draw calls in the last frame',
+        get: (host) => host.drawCalls
+    },
+
+    // ----- Agents -----
+    {
+        name: 'Agents.CreateSpawner',
+        kind: 'method',
+        params: [number('x'), number('z')],
+        returns: 'Agent',
+        doc: 'Place an AI spawner: it creates enemies by itself, 1 per second until you change its rate',
+        call: (host, x, z) => host.createAgent('spawner', x, z)
+    },
+    {
+        name: 'Agents.Spawn',
+        kind: 'method',
+        params: [number('x'), number('z')],
+        returns: 'Agent',
+        doc: 'Create one enemy (it wanders)',
+        call: (host, x, z) => host.createAgent('enemy', x, z)
+    },
+    {
+        name: 'Agents.Despawn',
+        kind: 'method',
+        params: [{ name: 'agent', type: 'Agent' }],
+        returns: 'void',
+        doc: 'Remove an agent',
+        call: (host, agent) => host.despawnAgent(agent)
+    },
+    {
+        name: 'Agents.active',
+        kind: 'property',
+        type: 'int',
+        doc: 'Agents alive right now, spawners included',
+        get: (host) => host.agentStats.active
+    },
+    {
+        name: 'Agents.spawned',
+        kind: 'property',
+        type: 'int',
+        doc: 'Agents created since Run',
+        get: (host) => host.agentStats.spawned
+    },
+    {
+        name: 'Agents.spawnRate',
+        kind: 'property',
+        type: 'float',
+        doc: 'Agents created in the last second',
+        get: (host) => host.agentStats.spawnRate
+    },
+    {
+        name: 'Agent.SetSpawnRate',
+        kind: 'method',
+        instance: true,
+        params: [{ name: 'perSecond', type: 'float' }],
+        returns: 'void',
+        doc: 'How many enemies a spawner creates per second (0 stops it)',
+        call: (host, agent, rate) => host.setSpawnRate(agent, rate)
+    },
+    {
+        name: 'Agent.Seek',
+        kind: 'method',
+        instance: true,
+        params: [number('x'), number('z')],
+        returns: 'void',
+        doc: 'Walk straight to a point and stop there',
+        call: (host, agent, x, z) => host.changeAgent(agent, { seek: [x, z] })
+    },
+    {
+        name: 'Agent.Wander',
+        kind: 'method',
+        instance: true,
+        params: [],
+        returns: 'void',
+        doc: 'Walk around at random',
+        call: (host, agent) => host.changeAgent(agent, { wander: true })
+    },
+    {
+        name: 'Agent.SetSpeed',
+        kind: 'method',
+        instance: true,
+        params: [{ name: 'speed', type: 'float' }],
+        returns: 'void',
+        doc: 'Walking speed in units per second (enemies start at 3)',
+        call: (host, agent, speed) => host.changeAgent(agent, { speed })
+    },
+    {
+        name: 'Agent.spawnRate',
+        kind: 'property',
+        instance: true,
+        type: 'float',
+        doc: 'Enemies per second, for a spawner (0 for an enemy)',
+        get: (host, agent) => host.liveAgent(agent).rate
+    },
+    {
+        name: 'Agent.spawned',
+        kind: 'property',
+        instance: true,
+        type: 'int',
+        doc: 'Enemies this spawner has created',
+        get: (host, agent) => agent.spawned
+    },
+    {
+        name: 'Agent.kind',
+        kind: 'property',
+        instance: true,
+        type: 'string',
+        doc: '"spawner" or "enemy"',
+        get: (host, agent) => agent.kind
+    },
+
+    // ----- Time & performance -----
+    {
+        name: 'Time.deltaTime',
+        kind: 'property',
+        type: 'float',
+        doc: 'Seconds since the last frame',
+        get: (host) => host.deltaTime
+    },
+    {
+        name: 'Time.time',
+        kind: 'property',
+        type: 'float',
+        doc: 'Seconds since the scene started',
+        get: (host) => host.time
+    },
+    {
+        name: 'Profiler.fps',
+        kind: 'property',
+        type: 'int',
+        doc: 'Frames per second right now',
+        get: (host) => host.fps
+    },
+
+    // ----- Console -----
+    {
+        name: 'Debug.Log',
+        kind: 'method',
+        params: [{ name: 'message', type: 'object' }],
+        returns: 'void',
+        doc: 'Print a message to the console',
+        call: (host, message) => host.log('info', message)
+    },
+    {
+        name: 'Debug.LogWarning',
+        kind: 'method',
+        params: [{ name: 'message', type: 'object' }],
+        returns: 'void',
+        doc: 'Print a warning to the console',
+        call: (host, message) => host.log('warning', message)
+    },
+    {
+        name: 'Debug.LogError',
+        kind: 'method',
+        params: [{ name: 'message', type: 'object' }],
+        returns: 'void',
+        doc: 'Print an error to the console',
+        call: (host, message) => host.log('error', message)
+    }
+];
+
+const ENTRIES = new Map(SCRIPTING_API.map(entry => [entry.name, entry]));
+
+export function getEntry(name) {
+    return ENTRIES.get(name) || null;
+}
+
+/**
+ * Interpreter/TypeChecker builtins table with every entry bound to `host`.
+ * Pass no host to get signatures only (enough for type checking).
+ */
+export function createBuiltins(host = null) {
+    const builtins = {};
+    for (const entry of SCRIPTING_API) {
+        const { name, kind, params, returns, type, instance } = entry;
+        builtins[name] = kind === 'method'
+            ? { params, returns, instance, call: (...args) => entry.call(host, ...args) }
+            : { type, instance, get: (obj) => entry.get(host, obj) };
+    }
+    return builtins;
+}
+
+/**
+ * C#-style signature, e.g. "void GameObject.SetPosition(float x, float y, float z)"
+ */
+export function describeEntry(entry) {
+    if (entry.kind === 'property') return `${entry.type} ${entry.name}`;
+    const params = entry.params.map(p => `${p.type} ${p.name}`).join(', ');
+    return `${entry.returns} ${entry.name}(${params})`;
+}
+
+/**
+ * Entries matching what the student has typed so far. "Debug.L" matches
+ * qualified names; "myTree.Se" (a variable, not an API name) matches
+ * members of engine types.
+ * @param {string} prefix - The dotted word before the cursor
+ * @returns {Array<{label: string, insert: string, detail: string, doc: string}>}
+ */
+export function getCompletions(prefix) {
+    const dot = prefix.lastIndexOf('.');
+    const owner = dot === -1 ? '' : prefix.slice(0, dot);
+    const partial = prefix.slice(dot + 1).toLowerCase();
+    const isApiOwner = owner === '' || SCRIPTING_API.some(e => !e.instance && e.name.startsWith(`${owner}.`));
+
+    const matches = [];
+    const add = (label, insert, detail, doc = '') => {
+        if (matches.some(m => m.label === label) || !label.toLowerCase().startsWith(partial)) return;
+        matches.push({ label, insert, detail, doc });
+    };
+
+    for (const entry of SCRIPTING_API) {
+        const member = entry.name.slice(entry.name.lastIndexOf('.') + 1);
+        const insert = entry.kind === 'method' ? `${member}(` : member;
+        if (!isApiOwner) {
+            if (entry.instance) add(member, insert, describeEntry(entry), entry.doc);
+        } else if (owner && !entry.instance && entry.name.startsWith(`${owner}.`)) {
+            add(member, insert, describeEntry(entry), entry.doc);
+        } else if (!owner && !entry.instance) {
+            // Top level: functions by name, static classes by their prefix
+            const root = entry.name.split('.')[0];
+            if (root === entry.name) add(member, insert, describeEntry(entry), entry.doc);
+            else add(root, root, `class ${root}`);
+        }
+    }
+    if (!owner) {
+        Object.entries(API_TYPES).forEach(([name, type]) => add(name, name, `class ${name}`, type.doc));
+    }
+
+    return matches;
+}
@@ -0,0 +1,75 @@
+/**
+ * SeededRandom.js - Reproducible random numbers for scene layout
+ *
+ * Math.random() gives a different forest on every run, which makes
+ * before/after comparisons and automated tests impossible to repeat.
+ * This is a small mulberry32 generator: the same seed always produces
+ * the same sequence, and it's cheap enough to create one per tree.
+ *
+ * SceneController seeds one generator per tree from (seed, index), so
+ * growing the forest from N to N+15 trees leaves the first N where they
+ * were and only places the new ones.
+ *
+ * USAGE:
+ * ```javascript
+ * const random = SeededRandom.forIndex(1337, 12); // Tree #12 of seed 1337
+ * const x = random.range(-45, 45);
+ * ```
+ */
+
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Strings are hashed, so "demo" works as a seed
+     */
+    constructor(seed) {
+        this.state = SeededRandom.toSeed(seed);
+    }
+
+    /**
+     * A generator for one item of a seeded set
+     * @param {number|string} seed
+     * @param {number} index - e.g. the tree's instance index
+     */
+    static forIndex(seed, index) {
+        return new SeededRandom(mix(SeededRandom.toSeed(seed) ^ Math.imul(index + 1, 0x9E3779B9)));
+    }
+
+    /**
+     * @param {number|string} seed
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static toSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+        let hash = 0x811C9DC5; // FNV-1a
+        for (const char of String(seed)) {
+            hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * @returns {number} In [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        return mix(this.state) / 4294967296;
+    }
+
+    /**
+     * @returns {number} In [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+}
+
+/**
+ * mulberry32's output scramble: spreads neighbouring inputs (seed 1, 2, ...)
+ * over the whole 32-bit range
+ */
+function mix(value) {
+    let t = value >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+}
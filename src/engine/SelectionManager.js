@@ -0,0 +1,309 @@
+/**
+ * SelectionManager.js - Click-to-select in the viewport
+ *
+ * A click on the canvas (not the end of a camera drag) casts a ray and
+ * selects what it hits. Most of the scene is instanced, so the hit mesh
+ * alone isn't much use - the instance under the pointer is resolved to
+ * what the student thinks of as "the thing":
+ * - tree:     one tree of the forest, by index (both its InstancedMesh
+ *             instances, or its clone when loaded models are in use)
+ * - entity:   a prefab entity (see EntityManager), instanced or not
+ * - instance: one instance of any other InstancedMesh
+ * - object:   a plain Object3D - a script object, or a row of the Hierarchy
+ * Script objects drawn by an instanced or merged batch resolve to their
+ * own mesh (see ScriptObjectRenderer.objectAt()).
+ *
+ * The selection gets a box around it that follows it every frame, and
+ * is dropped when it leaves the scene (despawned, destroyed, forest cut
+ * down). onSelect tells the Hierarchy, which selects the other way
+ * through selectObject()/selectInstance().
+ *
+ * USAGE:
+ * ```javascript
+ * selection.onSelect = (selected) => hierarchy.showSelection(selected);
+ * selection.selectObject(mesh);
+ * selection.describe(selection.current); // { position, rotation, scale }
+ * ```
+ */
+
+import * as THREE from 'three';
+
+const CLICK_TOLERANCE = 4;    // Pixels the pointer may move and still be a click
+const HIGHLIGHT_COLOR = 0xffd23f;
+
+export class SelectionManager {
+    /**
+     * @param {SceneController} sceneController - Scene, camera and the instanced pools
+     * @param {HTMLElement} domElement - The canvas clicks come from
+     */
+    constructor(sceneController, domElement) {
+        this.sceneController = sceneController;
+        this.domElement = domElement;
+        this.current = null;      // { kind, name, object, index, entity }
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.down = null;         // Where the primary button went down
+
+        this.box = new THREE.Box3();
+        this.highlight = new THREE.Box3Helper(this.box, HIGHLIGHT_COLOR);
+        this.highlight.name = 'Selection';
+        this.highlight.visible = false;
+        sceneController.scene.add(this.highlight);
+
+        // Scratch objects
+        this.matrix = new THREE.Matrix4();
+        this.instanceBox = new THREE.Box3();
+
+        this.handlePointerDown = (e) => {
+            this.down = e.button === 0 ? { x: e.clientX, y: e.clientY } : null;
+        };
+        this.handlePointerUp = (e) => {
+            if (!this.down || e.button !== 0) return;
+            const moved = Math.hypot(e.clientX - this.down.x, e.clientY - this.down.y);
+            this.down = null;
+            if (moved <= CLICK_TOLERANCE) this.pickAt(e.clientX, e.clientY);
+        };
+        domElement.addEventListener('pointerdown', this.handlePointerDown);
+        domElement.addEventListener('pointerup', this.handlePointerUp);
+
+        // Callbacks
+        this.onSelect = null;     // (selection | null) => void
+    }
+
+    // ========== PICKING ==========
+
+    /**
+     * Select whatever is under a point of the canvas (nothing: clear)
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {Object|null} The new selection
+     */
+    pickAt(clientX, clientY) {
+        const rect = this.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.sceneController.camera);
+
+        const hits = this.raycaster.intersectObject(this.sceneController.scene, true);
+        const hit = hits.find(h => h.object.isMesh && h.object.userData.pickable !== false && isShown(h.object));
+        return this.select(hit ? this.resolve(hit) : null);
+    }
+
+    /**
+     * What a ray hit stands for (see the header)
+     * @param {Object} hit - A Raycaster intersection
+     * @returns {Object|null} Selection
+     */
+    resolve(hit) {
+        const { object, instanceId } = hit;
+        const { treeGroup, scriptRenderer } = this.sceneController;
+
+        if (object.parent === scriptRenderer?.batchRoot) {
+            const source = scriptRenderer.objectAt(object, hit);
+            if (source) return this.objectSelection(source);
+        }
+
+        // A part of a non-instanced entity, or of a loaded tree model
+        for (let node = object; node; node = node.parent) {
+            if (node.userData.entity) return this.entitySelection(node.userData.entity, node);
+            if (node.parent && node.parent === treeGroup) return this.treeSelection(treeGroup.children.indexOf(node));
+        }
+
+        if (object.isInstancedMesh) return this.instanceSelection(object, instanceId);
+        return this.objectSelection(object);
+    }
+
+    /**
+     * One instance of an InstancedMesh: a tree, an instanced entity, or
+     * just that instance
+     * @param {THREE.InstancedMesh} mesh
+     * @param {number} index
+     */
+    instanceSelection(mesh, index) {
+        const { treePools, entities } = this.sceneController;
+        if (treePools && (mesh === treePools.trunk.mesh || mesh === treePools.foliage.mesh)) {
+            return this.treeSelection(index, mesh);
+        }
+        const entity = entities?.entityAt(mesh, index);
+        if (entity) return this.entitySelection(entity, mesh);
+        return { kind: 'instance', name: `${mesh.name || 'Instance'} #${index}`, object: mesh, index, entity: null };
+    }
+
+    /**
+     * @param {number} index - Tree number
+     * @param {THREE.InstancedMesh} [mesh] - The pool that was hit (trunk or foliage)
+     */
+    treeSelection(index, mesh = null) {
+        const { treePools, treeGroup, useLoadedModels } = this.sceneController;
+        const object = useLoadedModels && treeGroup ? treeGroup.children[index] : (mesh ?? treePools.trunk.mesh);
+        return { kind: 'tree', name: `Tree #${index}`, object, index, entity: null };
+    }
+
+    entitySelection(entity, object) {
+        return { kind: 'entity', name: `${entity.prefab} #${entity.id}`, object, index: entity.slot >= 0 ? entity.slot : null, entity };
+    }
+
+    objectSelection(object) {
+        return { kind: 'object', name: object.name || object.type, object, index: null, entity: null };
+    }
+
+    // ========== SELECTION ==========
+
+    /**
+     * @param {Object|null} selection - From resolve()/selectObject(), or null to clear
+     * @returns {Object|null} The selection
+     */
+    select(selection) {
+        this.current = selection;
+        this.update();
+        if (selection) {
+            const where = selection.index !== null ? ` (${selection.object.name || selection.object.type}, instance ${selection.index})` : '';
+            console.log(`[Selection] ${selection.name}${where}`);
+        }
+        if (this.onSelect) this.onSelect(selection);
+        return selection;
+    }
+
+    /**
+     * Select an Object3D as a whole (the Hierarchy's side of the sync)
+     * @param {THREE.Object3D|null} object
+     */
+    selectObject(object) {
+        if (!object) return this.select(null);
+        if (object.userData.entity) return this.select(this.entitySelection(object.userData.entity, object));
+        return this.select(this.objectSelection(object));
+    }
+
+    /**
+     * Select one instance of an InstancedMesh (a Hierarchy instance row)
+     * @param {THREE.InstancedMesh} mesh
+     * @param {number} index
+     */
+    selectInstance(mesh, index) {
+        return this.select(this.instanceSelection(mesh, index));
+    }
+
+    clear() {
+        if (this.current) this.select(null);
+    }
+
+    /**
+     * Keep the box on the selection, and drop it once it's gone.
+     * Called every frame by SceneController.
+     */
+    update() {
+        const selection = this.current;
+        if (selection && !this.isAlive(selection)) {
+            this.select(null);
+            return;
+        }
+        this.highlight.visible = !!selection && this.boundsOf(selection, this.box);
+    }
+
+    isAlive(selection) {
+        switch (selection.kind) {
+            case 'tree': {
+                const alive = selection.index < this.sceneController.currentTreeCount;
+                // Growing the forest can replace what draws it (a bigger pool's new
+                // InstancedMesh, new model clones) - follow it
+                if (alive && !inScene(selection.object)) selection.object = this.treeSelection(selection.index).object;
+                return alive;
+            }
+            case 'entity': {
+                const { entity } = selection;
+                // An instanced entity's slot moves when others despawn
+                if (entity.alive && entity.slot >= 0) selection.index = entity.slot;
+                return entity.alive;
+            }
+            case 'instance': return selection.index < selection.object.count && inScene(selection.object);
+            default: return inScene(selection.object);
+        }
+    }
+
+    /**
+     * World-space bounds of a selection
+     * @param {Object} selection
+     * @param {THREE.Box3} box - Receives the bounds
+     * @returns {boolean} false if there's nothing to draw a box around
+     */
+    boundsOf(selection, box) {
+        box.makeEmpty();
+        const { kind, object, index, entity } = selection;
+        if (kind === 'tree' && object.isInstancedMesh) {
+            const { trunk, foliage } = this.sceneController.treePools;
+            this.expandByInstance(box, trunk.mesh, index);
+            this.expandByInstance(box, foliage.mesh, index);
+        } else if (kind === 'entity' && entity.slot >= 0) {
+            this.sceneController.entities.meshesOf(entity).forEach(mesh => this.expandByInstance(box, mesh, entity.slot));
+        } else if (kind === 'instance') {
+            this.expandByInstance(box, object, index);
+        } else {
+            if (object.isScene) return false; // Everything - a box around it says nothing
+            object.traverse(child => { if (child.isInstancedMesh) child.boundingBox = null; });
+            box.setFromObject(object);
+        }
+        return !box.isEmpty();
+    }
+
+    expandByInstance(box, mesh, index) {
+        if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+        mesh.getMatrixAt(index, this.matrix);
+        this.matrix.premultiply(mesh.matrixWorld);
+        box.union(this.instanceBox.copy(mesh.geometry.boundingBox).applyMatrix4(this.matrix));
+    }
+
+    /**
+     * Where a selection is, for showing (and editing) it. Instances give
+     * their instance matrix (a tree: its trunk's), entities their own
+     * position/rotation/scale, objects their local transform.
+     * @param {Object} selection
+     * @returns {{position: THREE.Vector3, rotation: THREE.Euler, scale: THREE.Vector3}}
+     */
+    describe(selection) {
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        const { kind, object, index, entity } = selection;
+
+        if (kind === 'entity') {
+            position.fromArray(entity.position);
+            quaternion.setFromAxisAngle(THREE.Object3D.DEFAULT_UP, entity.rotation);
+            scale.setScalar(entity.scale);
+        } else if (object.isInstancedMesh && index !== null) {
+            const mesh = kind === 'tree' ? this.sceneController.treePools.trunk.mesh : object;
+            mesh.getMatrixAt(index, this.matrix);
+            this.matrix.decompose(position, quaternion, scale);
+        } else {
+            position.copy(object.position);
+            quaternion.copy(object.quaternion);
+            scale.copy(object.scale);
+        }
+        return { position, rotation: new THREE.Euler().setFromQuaternion(quaternion), scale };
+    }
+
+    dispose() {
+        this.domElement.removeEventListener('pointerdown', this.handlePointerDown);
+        this.domElement.removeEventListener('pointerup', this.handlePointerUp);
+        this.highlight.removeFromParent();
+        this.highlight.dispose();
+    }
+}
+
+/**
+ * Visible, and so are all its parents. (The Raycaster hits hidden objects too.)
+ */
+export function isShown(object) {
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible) return false;
+    }
+    return true;
+}
+
+function inScene(object) {
+    let node = object;
+    while (node.parent) node = node.parent;
+    return node.isScene === true;
+}
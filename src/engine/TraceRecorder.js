@@ -0,0 +1,123 @@
+/**
+ * TraceRecorder.js - Execution trace of one script run (worker side)
+ *
+ * Hooked into Interpreter.execute() and ScriptHost, it writes down every
+ * statement the run executes, with the variables in scope at that point
+ * and the scene changes the previous statement made. TraceReplay plays
+ * it back on the main thread for the editor's timeline.
+ *
+ * TRACE:
+ * {
+ *   entries: [{
+ *     line, file, span,             // file: project file name, null for a single script
+ *     kind,                         // 'statement' | 'iteration' | 'end'
+ *     iteration,                    // For 'iteration': which time round the loop
+ *     locals, fields, callStack,    // As Debugger.inspect() reports them
+ *     treesSpawned,                 // SpawnTree() calls so far
+ *     events                        // Scene changes since the previous entry
+ *   }],
+ *   steps,                          // Steps the run took in total
+ *   truncated                       // true if it outran maxEntries
+ * }
+ *
+ * An entry is the state just BEFORE its statement runs, the same moment
+ * the debugger pauses at. The final 'end' entry is the state once the
+ * run stopped; a truncated trace has none.
+ *
+ * Scene events: { op: 'tree' } | { op: 'spawn', id, shape, name } |
+ *               { op: 'update', id, position?, scale?, color? } | { op: 'destroy', id }
+ */
+
+import { describeValue } from './csharp/index.js';
+
+export class TraceRecorder {
+    /**
+     * @param {Interpreter} interpreter
+     * @param {ScriptHost} host
+     * @param {Object} [options]
+     * @param {number} options.maxEntries - Statements recorded before the trace is cut off
+     */
+    constructor(interpreter, host, options = {}) {
+        this.interpreter = interpreter;
+        this.host = host;
+        this.maxEntries = options.maxEntries ?? 2000;
+        this.entries = [];
+        this.events = [];      // Scene changes not yet attached to an entry
+        this.steps = 0;
+        this.truncated = false;
+
+        host.onEvent = (event) => {
+            if (!this.truncated) this.events.push(event);
+        };
+    }
+
+    /**
+     * Interpreter onStep hook
+     * @param {Object} node - Statement about to run
+     */
+    record(node) {
+        this.steps++;
+        if (this.truncated || node.type === 'BlockStatement') return;
+        if (this.entries.length >= this.maxEntries) {
+            this.truncated = true;
+            this.events = [];
+            return;
+        }
+
+        const loop = this.interpreter.loops[this.interpreter.loops.length - 1];
+        const iterating = loop?.node === node;
+        const { loc } = node;
+        this.entries.push({
+            line: loc.line,
+            file: loc.file ?? null,
+            span: { start: loc.start, end: loc.end },
+            kind: iterating ? 'iteration' : 'statement',
+            iteration: iterating ? loop.iterations + 1 : null,
+            ...this.snapshot(),
+            events: this.takeEvents()
+        });
+    }
+
+    /**
+     * @param {Object} run - What execute() returned
+     * @returns {Object} The trace (see top of file)
+     */
+    finish(run) {
+        this.host.onEvent = null;
+        if (!this.truncated) {
+            const last = this.entries[this.entries.length - 1];
+            const snapshot = this.snapshot();
+            if (snapshot.callStack.length === 0 && last) {
+                // The run returned - its variables are gone, so keep the last ones seen
+                Object.assign(snapshot, { locals: last.locals, fields: last.fields, callStack: last.callStack });
+            }
+            this.entries.push({
+                line: last?.line ?? 1,
+                file: last?.file ?? null,
+                span: last?.span ?? null,
+                kind: 'end',
+                iteration: null,
+                ...snapshot,
+                events: this.takeEvents()
+            });
+        }
+        return { entries: this.entries, steps: run.steps, truncated: this.truncated };
+    }
+
+    snapshot() {
+        const { locals, fields, callStack } = this.interpreter.inspect();
+        const describe = ({ name, type, value }) => ({ name, type, value: describeValue(value) });
+        return {
+            locals: locals.map(describe),
+            fields: fields.map(describe),
+            callStack,
+            treesSpawned: this.host.treesSpawned
+        };
+    }
+
+    takeEvents() {
+        const events = this.events;
+        this.events = [];
+        return events;
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * TraceReplay.js - Plays an execution trace back on the scene (main thread)
+ *
+ * Rebuilds what the scene looked like at any entry of a TraceRecorder
+ * trace and moves the live scene there with the smallest batch of
+ * SceneController.applyScriptCommands() commands, so dragging the
+ * timeline only touches the objects that differ.
+ *
+ * A run starts from an empty slate (no script objects, no trees if it
+ * calls SpawnTree()), which is why replaying from entry 0 works.
+ * The first seek() notes what the scene shows at that moment (Update()
+ * may have moved things since the run) and restore() puts it back.
+ *
+ * USAGE:
+ * ```javascript
+ * const replay = new TraceReplay(result.trace, sceneController, { usesTrees, maxTrees });
+ * const entry = replay.seek(42);   // scene now shows entry 42
+ * replay.restore();                // back to the live scene
+ * ```
+ */
+
+export class TraceReplay {
+    /**
+     * @param {Object} trace - From TraceRecorder.finish()
+     * @param {SceneController} sceneController
+     * @param {Object} [options]
+     * @param {boolean} options.usesTrees - The run replaced the forest
+     * @param {number} options.maxTrees - Tree safety cap the run was applied with
+     * @param {boolean} options.applied - false if the run never reached the scene (it failed) -
+     *        then only the variables are replayed
+     */
+    constructor(trace, sceneController, options = {}) {
+        this.trace = trace;
+        this.sceneController = sceneController;
+        this.usesTrees = options.usesTrees ?? false;
+        this.maxTrees = options.maxTrees ?? 1000;
+        this.applied = options.applied ?? true;
+        this.index = null;       // Entry on screen, null while the live scene shows
+        this.live = null;        // Scene state before the first seek()
+        this.shown = null;       // Scene state on screen
+    }
+
+    get length() {
+        return this.trace.entries.length;
+    }
+
+    /**
+     * Show the scene as it was at an entry
+     * @param {number} index - Entry index, clamped to the trace
+     * @returns {Object} The entry
+     */
+    seek(index) {
+        index = Math.max(0, Math.min(this.length - 1, index));
+        if (this.applied) {
+            if (this.index === null) {
+                this.live = this.captureLive();
+                this.shown = this.live;
+            }
+            this.show(this.stateAt(index));
+        }
+        this.index = index;
+        return this.trace.entries[index];
+    }
+
+    /**
+     * Put back what the scene showed before the first seek()
+     */
+    restore() {
+        if (this.index === null) return;
+        if (this.applied) this.show(this.live);
+        this.index = null;
+    }
+
+    /**
+     * Fold the scene events up to and including an entry
+     * @returns {{trees: number|null, objects: Map<number, Object>}}
+     */
+    stateAt(index) {
+        const objects = new Map();
+        const entries = this.trace.entries;
+        for (let i = 0; i <= index; i++) {
+            for (const event of entries[i].events) {
+                if (event.op === 'spawn') {
+                    objects.set(event.id, { shape: event.shape, name: event.name, position: [0, 0.5, 0], scale: [1, 1, 1], color: null });
+                } else if (event.op === 'update') {
+                    const object = objects.get(event.id);
+                    if (object) objects.set(event.id, { ...object, ...stripUndefined(event) });
+                } else if (event.op === 'destroy') {
+                    objects.delete(event.id);
+                }
+            }
+        }
+        const trees = this.usesTrees ? Math.min(entries[index].treesSpawned, this.maxTrees) : null;
+        return { trees, objects };
+    }
+
+    captureLive() {
+        const objects = new Map();
+        for (const [id, mesh] of this.sceneController.scriptObjects) {
+            objects.set(id, {
+                shape: mesh.userData.shape,
+                name: mesh.name,
+                position: mesh.position.toArray(),
+                scale: mesh.scale.toArray(),
+                color: mesh.userData.color ?? null
+            });
+        }
+        return { trees: this.usesTrees ? this.sceneController.currentTreeCount : null, objects };
+    }
+
+    show(target) {
+        const commands = diffStates(this.shown, target);
+        if (commands.length > 0) this.sceneController.applyScriptCommands(commands);
+        this.shown = target;
+    }
+}
+
+/**
+ * Commands that turn scene state `from` into `to`
+ */
+function diffStates(from, to) {
+    const commands = [];
+    if (to.trees !== null && to.trees !== from.trees) commands.push({ op: 'trees', count: to.trees });
+
+    for (const id of from.objects.keys()) {
+        if (!to.objects.has(id)) commands.push({ op: 'destroy', id });
+    }
+    for (const [id, object] of to.objects) {
+        const before = from.objects.get(id);
+        // A mesh can't go back to the default material, so respawn it
+        const respawn = before && before.color !== null && object.color === null;
+        if (!before || respawn) {
+            if (respawn) commands.push({ op: 'destroy', id });
+            commands.push({ op: 'spawn', id, shape: object.shape, name: object.name });
+            commands.push({ op: 'update', id, position: object.position, scale: object.scale, color: object.color });
+        } else {
+            const position = sameVector(before.position, object.position) ? undefined : object.position;
+            const scale = sameVector(before.scale, object.scale) ? undefined : object.scale;
+            const color = before.color === object.color ? undefined : object.color;
+            if (position || scale || color) commands.push({ op: 'update', id, position, scale, color });
+        }
+    }
+    return commands;
+}
+
+function sameVector(a, b) {
+    return a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+}
+
+function stripUndefined(event) {
+    const values = {};
+    if (event.position) values.position = event.position;
+    if (event.scale) values.scale = event.scale;
+    if (event.color) values.color = event.color;
+    return values;
+}
@@ -0,0 +1,90 @@
+/**
+ * AstWalker.js - Generic helpers for inspecting the C# AST
+ *
+ * Used by the interpreter to decide which variables a loop depends on,
+ * and by anything else that needs to look at code without running it.
+ */
+
+// Node properties that hold metadata rather than child nodes
+const SKIP_KEYS = new Set(['loc', 'nameLoc', 'varType', 'returnType', 'targetType']);
+
+/**
+ * Depth-first walk. The visitor returns false to skip a node's children.
+ * @param {Object} node - Any AST node
+ * @param {Function} visitor - (node, parent) => boolean|void
+ */
+export function walk(node, visitor, parent = null) {
+    if (!node || typeof node !== 'object') return;
+    if (visitor(node, parent) === false) return;
+
+    for (const key of Object.keys(node)) {
+        if (SKIP_KEYS.has(key)) continue;
+        const child = node[key];
+        if (Array.isArray(child)) {
+            for (const item of child) {
+                if (item && typeof item === 'object' && item.type) walk(item, visitor, node);
+            }
+        } else if (child && typeof child === 'object' && child.type) {
+            walk(child, visitor, node);
+        }
+    }
+}
+
+/**
+ * Name of the variable an assignment target or read refers to:
+ * `x` and `this.x` both give "x". Anything else gives null.
+ */
+export function variableName(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression' && node.object.type === 'ThisExpression') return node.property;
+    return null;
+}
+
+/**
+ * Variables read by an expression, in source order. Call targets and
+ * the left side of plain "=" assignments are not reads.
+ * @returns {string[]}
+ */
+export function collectReads(node) {
+    const names = [];
+    walk(node, (n) => {
+        if (n.type === 'CallExpression') {
+            // Skip the callee name itself, but look inside its arguments
+            if (n.callee.type === 'MemberExpression') collectReads(n.callee.object).forEach(x => names.push(x));
+            n.args.forEach(arg => collectReads(arg).forEach(x => names.push(x)));
+            return false;
+        }
+        if (n.type === 'AssignmentExpression' && n.operator === '=') {
+            collectReads(n.value).forEach(x => names.push(x));
+            return false;
+        }
+        const name = variableName(n);
+        if (name) {
+            names.push(name);
+            return false;
+        }
+        return undefined;
+    });
+    return [...new Set(names)];
+}
+
+/**
+ * Variables assigned anywhere inside a statement or expression
+ * (=, +=, ++ and --).
+ * @returns {string[]}
+ */
+export function collectWrites(node) {
+    const names = [];
+    walk(node, (n) => {
+        if (n.type === 'AssignmentExpression') {
+            const name = variableName(n.target);
+            if (name) names.push(name);
+        } else if (n.type === 'UpdateExpression') {
+            const name = variableName(n.argument);
+            if (name) names.push(name);
+        }
+    });
+    return [...new Set(names)];
+}
+
+export default walk;
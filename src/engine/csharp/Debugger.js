@@ -0,0 +1,106 @@
+/**
+ * Debugger.js - Breakpoints and stepping on top of the Interpreter
+ *
+ * The interpreter already yields every statement before running it, so
+ * pausing is just a matter of not calling next() again. A Debugger keeps
+ * the suspended generator between resume() calls:
+ *
+ *   into     → the very next statement, even inside a called method
+ *   over     → the next statement in this method (or its caller, once it returns)
+ *   continue → the next statement on a breakpoint line
+ *
+ * Loops yield their own node once per iteration, so a breakpoint on a
+ * `while` line pauses every time round the loop.
+ *
+ * Breakpoints are line numbers, or { file, line } in a project.
+ */
+
+import { formatValue } from './Interpreter.js';
+
+const LOOP_TYPES = new Set(['WhileStatement', 'DoWhileStatement', 'ForStatement']);
+
+/**
+ * Value as a C# debugger's watch window shows it
+ */
+export function describeValue(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'string') return `"${value}"`;
+    if (typeof value === 'boolean') return value ? 'true' : 'false';
+    return formatValue(value);
+}
+
+function lineKey(file, line) {
+    return `${file ?? ''}:${line}`;
+}
+
+export class Debugger {
+    /**
+     * @param {Interpreter} interpreter
+     * @param {Object} [options]
+     * @param {number} options.maxSteps - Budget for the whole session, like execute()
+     */
+    constructor(interpreter, options = {}) {
+        this.interpreter = interpreter;
+        this.maxSteps = options.maxSteps ?? 100000;
+        this.steps = 0;
+        this.gen = null;
+        this.node = null;       // Statement the run is paused on
+        this.previous = null;   // Last node yielded, paused or not
+        this.finished = false;
+    }
+
+    /**
+     * Begin the run: stop at the first breakpoint, or at the first
+     * statement if there are none
+     * @param {Array<number|Object>} [breakpoints] - 1-based line numbers, or { file, line }
+     */
+    start(breakpoints = []) {
+        this.gen = this.interpreter.main();
+        return this.resume(breakpoints.length > 0 ? 'continue' : 'into', breakpoints);
+    }
+
+    /**
+     * @param {string} mode - 'into' | 'over' | 'continue'
+     * @param {Array<number|Object>} [breakpoints] - 1-based line numbers, or { file, line }
+     * @returns Same shape as Interpreter.execute(), or status 'paused' with `node`
+     */
+    resume(mode, breakpoints = []) {
+        if (this.finished) throw new Error('Debugger: the run has already finished');
+
+        const lines = new Set(breakpoints.map(b => typeof b === 'number' ? lineKey(null, b) : lineKey(b.file, b.line)));
+        const depth = this.interpreter.callDepth;
+        const pauseWhen = (node) => {
+            const previous = this.previous;
+            this.previous = node;
+            if (node.type === 'BlockStatement') return false;
+            if (mode === 'into') return true;
+            if (mode === 'over') return this.interpreter.callDepth <= depth;
+            // Several statements on one line only stop once
+            return lines.has(lineKey(node.loc.file, node.loc.line)) &&
+                (previous?.loc.line !== node.loc.line || previous?.loc.file !== node.loc.file || LOOP_TYPES.has(node.type));
+        };
+
+        const run = this.interpreter.drive(this.gen, { maxSteps: this.maxSteps - this.steps, pauseWhen });
+        this.steps += run.steps;
+        if (run.status === 'paused') {
+            this.node = run.node;
+            return run;
+        }
+
+        this.finished = true;
+        this.node = null;
+        return { ...run, steps: this.steps };
+    }
+
+    /**
+     * Locals, fields and call stack where the run is paused, with values
+     * already turned into display text
+     */
+    inspect() {
+        const { locals, fields, callStack } = this.interpreter.inspect();
+        const describe = ({ name, type, value }) => ({ name, type, value: describeValue(value) });
+        return { locals: locals.map(describe), fields: fields.map(describe), callStack };
+    }
+}
+
+export default Debugger;
@@ -0,0 +1,89 @@
+/**
+ * Diagnostics.js - Source-located problem reports for the editor
+ *
+ * Everything that can go wrong with student code - syntax errors, type
+ * errors, runtime errors, runaway loops - ends up in the same shape so
+ * CodeEditor can draw it in the gutter, underline it and jump to it:
+ *
+ *   {
+ *     severity: 'error' | 'warning' | 'info',
+ *     code: 'CS1002',
+ *     message: "Expected ';' at the end of the statement",
+ *     line: 12, column: 30,          // 1-based start
+ *     endLine: 12, endColumn: 31,    // 1-based, exclusive
+ *     span: { start: 311, end: 312 }, // character offsets into the source
+ *     file: 'Spawner.cs'              // project file, null for a single script
+ *   }
+ *
+ * `source` is the script text, or for a project { [file name]: text }.
+ */
+
+/**
+ * Text a loc's offsets point into
+ * @param {string|Object} source - Script text, or project file name -> text
+ * @param {Object} loc - AST/token loc
+ */
+export function sourceOf(source, loc) {
+    if (typeof source === 'string') return source;
+    return source[loc?.file] ?? '';
+}
+
+/**
+ * 1-based line/column of a character offset
+ */
+function positionAt(source, offset) {
+    let line = 1;
+    let lineStart = 0;
+    for (let i = 0; i < offset && i < source.length; i++) {
+        if (source[i] === '\n') {
+            line++;
+            lineStart = i + 1;
+        }
+    }
+    return { line, column: offset - lineStart + 1 };
+}
+
+/**
+ * @param {string|Object} source - The student's source text (see top of file)
+ * @param {Object} info - { severity, code, message, loc } where loc is an AST/token loc
+ * @returns {Object} Diagnostic
+ */
+export function createDiagnostic(source, { severity = 'error', code, message, loc }) {
+    if (!loc) {
+        return { severity, code, message, line: null, column: null, endLine: null, endColumn: null, span: null, file: null };
+    }
+    source = sourceOf(source, loc);
+    const start = Math.min(loc.start, source.length);
+    const end = Math.max(Math.min(loc.end, source.length), start);
+    const endPos = positionAt(source, end);
+    return {
+        severity,
+        code,
+        message,
+        line: loc.line,
+        column: loc.column,
+        endLine: endPos.line,
+        endColumn: endPos.column,
+        span: { start, end },
+        file: loc.file ?? null
+    };
+}
+
+/**
+ * Diagnostic for a ScriptError thrown by the lexer, parser or interpreter
+ */
+export function fromScriptError(err, source) {
+    return createDiagnostic(source, { severity: 'error', code: err.code, message: err.message, loc: err.loc });
+}
+
+/**
+ * "Line 12: Expected ';' ... [CS1002]" for plain-text consoles,
+ * "Spawner.cs line 12: ..." in a project
+ */
+export function formatDiagnostic(diagnostic) {
+    let where = diagnostic.line ? `Line ${diagnostic.line}: ` : '';
+    if (where && diagnostic.file) where = `${diagnostic.file} line ${diagnostic.line}: `;
+    return `${where}${diagnostic.message} [${diagnostic.code}]`;
+}
+
+export default createDiagnostic;
@@ -0,0 +1,926 @@
+/**
+ * Interpreter.js - Tree-walking interpreter for the Orbrya C# subset
+ *
+ * Runs a parsed Program. Statement execution is written as generators
+ * that yield once per statement and once per loop iteration, so the
+ * caller decides how far a run may go: the step budget is enforced by
+ * the driver in execute(), not by the student's code.
+ *
+ * Scripts with Start()/Update() methods are "lifecycle" scripts: execute()
+ * creates the object and runs Start(), then the host calls
+ * runMethod('Update', ...) once per frame with its own budget.
+ *
+ * Every active loop keeps a LoopRecord with its iteration count and the
+ * first/previous/latest values of the variables it depends on. When a
+ * budget runs out, the record of the runaway loop is returned so the
+ * executor can explain *why* it never stopped.
+ *
+ * Engine calls (SpawnTree(), Debug.Log(...)) are resolved through the
+ * `builtins` table supplied by the host, keyed by qualified name:
+ *
+ *   {
+ *     'SpawnTree':      { call: () => ..., returns: 'void' },
+ *     'Debug.Log':      { call: (msg) => ..., returns: 'void' },
+ *     'Time.deltaTime': { get: () => 0.016, type: 'float' }
+ *   }
+ *
+ * Engine objects returned by builtins carry a `scriptType`; their members
+ * are entries like 'GameObject.SetPosition' flagged `instance: true`,
+ * called with the object as the first argument.
+ */
+
+import { ScriptError } from './ScriptError.js';
+import { collectReads, collectWrites } from './AstWalker.js';
+
+const BREAK = { type: 'break' };
+const CONTINUE = { type: 'continue' };
+
+const INT_MIN = -2147483648;
+const INT_MAX = 2147483647;
+
+const DEFAULT_VALUES = { int: 0, float: 0, double: 0, bool: false, string: null };
+
+/**
+ * Lexical scope for locals and parameters
+ */
+class Scope {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.vars = new Map();
+    }
+
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            const binding = scope.vars.get(name);
+            if (binding) return binding;
+        }
+        return null;
+    }
+
+    declare(name, type, value) {
+        const binding = { type, value };
+        this.vars.set(name, binding);
+        return binding;
+    }
+}
+
+/**
+ * Thrown from inside a loop that exceeded maxLoopIterations
+ */
+class LoopBudgetExceeded {
+    constructor(record) {
+        this.record = record;
+    }
+}
+
+/**
+ * Runtime instance of a student-declared class
+ */
+class ScriptObject {
+    constructor(cls) {
+        this.cls = cls;
+        this.fields = new Map();
+    }
+}
+
+/**
+ * Format a value the way C# string conversion would
+ */
+export function formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value === true) return 'True';
+    if (value === false) return 'False';
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        return String(parseFloat(value.toPrecision(7)));
+    }
+    if (value instanceof ScriptObject) return value.cls.name;
+    return String(value);
+}
+
+export class Interpreter {
+    /**
+     * @param {Object} program - Program AST from Parser
+     * @param {Object} options
+     * @param {Object} options.builtins - Engine bindings keyed by qualified name
+     * @param {number} options.maxCallDepth - Recursion guard
+     * @param {number} options.maxLoopIterations - Iterations one loop may run before it counts as runaway
+     * @param {Object} options.fieldValues - Field name ('maxTrees' or 'Forest.maxTrees') -> value
+     *        to start with instead of the declared initializer (scenario test cases)
+     */
+    constructor(program, options = {}) {
+        this.program = program;
+        this.builtins = options.builtins || {};
+        this.maxCallDepth = options.maxCallDepth ?? 200;
+        this.maxLoopIterations = options.maxLoopIterations ?? Infinity;
+        this.fieldValues = options.fieldValues || {};
+
+        this.classes = new Map(program.classes.map(c => [c.name, c]));
+        this.statics = new Map();
+        this.types = new Map(); // expression node -> static type (lexical, so cacheable)
+
+        this.frame = null;
+        this.callDepth = 0;
+        this.entry = null;
+        this.instance = null;         // The script object of a lifecycle script
+
+        this.loops = [];              // LoopRecords of the loops currently running
+        this.loopInfo = new Map();    // loop node -> { reads, watch }
+    }
+
+    // ========== ENTRY POINTS ==========
+
+    /**
+     * Pick what to run: top-level statements if there are any, then a
+     * class with Start()/Update(), otherwise the first parameterless
+     * method of the first class.
+     */
+    findEntryPoint() {
+        if (this.program.statements.length > 0) {
+            return { kind: 'statements', name: '<top-level>' };
+        }
+        for (const cls of this.program.classes) {
+            const start = cls.methods.find(m => m.name === 'Start' && m.params.length === 0);
+            const update = cls.methods.find(m => m.name === 'Update' && m.params.length === 0);
+            if (start || update) return { kind: 'lifecycle', cls, start, update, name: cls.name };
+        }
+        for (const cls of this.program.classes) {
+            const method = cls.methods.find(m => m.params.length === 0);
+            if (method) return { kind: 'method', cls, method, name: `${cls.name}.${method.name}` };
+        }
+        return null;
+    }
+
+    /**
+     * Generator running the whole program. Yields AST nodes as it goes.
+     */
+    *main() {
+        this.entry = this.findEntryPoint();
+        if (!this.entry) {
+            throw new ScriptError('Nothing to run - add a method like "public void SpawnTrees() { ... }"', this.program.loc);
+        }
+
+        for (const cls of this.program.classes) {
+            yield* this.initStatics(cls);
+        }
+
+        if (this.entry.kind === 'statements') {
+            this.frame = { cls: null, instance: null, scope: new Scope() };
+            for (const stmt of this.program.statements) {
+                const completion = yield* this.exec(stmt);
+                if (completion) break;
+            }
+            return undefined;
+        }
+
+        if (this.entry.kind === 'lifecycle') {
+            const { cls, start } = this.entry;
+            this.instance = yield* this.instantiate(cls);
+            if (start) yield* this.invoke(cls, start, start.isStatic ? null : this.instance, [], start.loc);
+            return undefined;
+        }
+
+        const { cls, method } = this.entry;
+        const instance = method.isStatic ? null : yield* this.instantiate(cls);
+        return yield* this.invoke(cls, method, instance, [], method.loc);
+    }
+
+    /**
+     * Drive main() to completion under a step budget.
+     * @param {number} maxSteps - Statements + loop iterations allowed
+     * @param {Object} [hooks] - { onStep } as for drive()
+     * @returns {{status: string, steps: number, value: *, error: ScriptError|null, loop: Object|null}}
+     *          status is 'completed', 'error' or 'budget'; for 'budget',
+     *          `reason` is 'steps', 'iterations' or 'time' and `loop` is
+     *          the LoopRecord of the runaway loop (null if no loop was running)
+     */
+    execute(maxSteps = 100000, hooks = {}) {
+        return this.drive(this.main(), { ...hooks, maxSteps });
+    }
+
+    /**
+     * Call a parameterless method on the script object of a lifecycle
+     * script, e.g. runMethod('Update', { maxSteps: 20000, deadline })
+     * @param {string} name - Method name
+     * @param {Object} budget - { maxSteps, deadline } (deadline in performance.now() ms)
+     * @returns Same shape as execute()
+     */
+    runMethod(name, budget) {
+        const cls = this.entry?.cls;
+        const method = cls?.methods.find(m => m.name === name && m.params.length === 0);
+        if (!method) {
+            const error = new ScriptError(`${name}() does not exist`, cls?.nameLoc || null);
+            return { status: 'error', steps: 0, value: undefined, error, loop: null };
+        }
+        return this.drive(this.invoke(cls, method, method.isStatic ? null : this.instance, [], method.loc), budget);
+    }
+
+    /**
+     * Step a statement generator until it finishes or a budget runs out.
+     * The clock is only read every 64 steps; it's far slower than a step.
+     *
+     * With `pauseWhen`, each yielded node is offered to it before it runs;
+     * returning true stops with status 'paused' and `node` set, leaving
+     * the generator suspended so drive() can be called on it again.
+     * `onStep` just sees each node (TraceRecorder); it can't pause.
+     */
+    drive(gen, { maxSteps = 100000, deadline = Infinity, pauseWhen = null, onStep = null } = {}) {
+        let steps = 0;
+        const stop = (reason) => {
+            const loop = this.findRunawayLoop();
+            gen.return();
+            return { status: 'budget', reason, steps, value: undefined, error: null, loop };
+        };
+        try {
+            while (true) {
+                const { done, value } = gen.next();
+                if (done) return { status: 'completed', steps, value, error: null, loop: null };
+                if (++steps > maxSteps) {
+                    steps = maxSteps;
+                    return stop('steps');
+                }
+                if ((steps & 63) === 0 && performance.now() > deadline) return stop('time');
+                if (onStep) onStep(value);
+                if (pauseWhen && pauseWhen(value)) {
+                    return { status: 'paused', steps, value: undefined, error: null, loop: null, node: value };
+                }
+            }
+        } catch (err) {
+            if (err instanceof LoopBudgetExceeded) {
+                return { status: 'budget', reason: 'iterations', steps, value: undefined, error: null, loop: err.record };
+            }
+            if (!(err instanceof ScriptError)) throw err;
+            return { status: 'error', steps, value: undefined, error: err, loop: null };
+        }
+    }
+
+    /**
+     * Variables visible at the statement the run is paused on
+     * @returns {{locals: Array, fields: Array, callStack: string[]}}
+     *          locals/fields are { name, type, value } in declaration order;
+     *          callStack is innermost first, e.g. ["TreeSpawner.Grow()", "TreeSpawner.Start()"]
+     */
+    inspect() {
+        const frame = this.frame;
+        if (!frame) return { locals: [], fields: [], callStack: [] };
+
+        const scopes = [];
+        for (let scope = frame.scope; scope; scope = scope.parent) scopes.unshift(scope);
+        const locals = scopes.flatMap(scope =>
+            [...scope.vars].map(([name, binding]) => ({ name, type: binding.type, value: binding.value })));
+
+        const fieldMaps = [frame.instance?.fields, frame.cls && this.statics.get(frame.cls.name)];
+        const fields = fieldMaps.filter(Boolean).flatMap(map =>
+            [...map].map(([name, binding]) => ({ name, type: binding.type, value: binding.value })));
+
+        const callStack = [];
+        for (let f = frame; f; f = f.caller) {
+            callStack.push(f.method ? `${f.cls.name}.${f.method.name}()` : '<top-level>');
+        }
+        return { locals, fields, callStack };
+    }
+
+    /**
+     * The active loop that has been spinning longest. For a runaway outer
+     * loop with a short inner loop, the outer one wins because the inner
+     * loop's count restarts every time it is entered.
+     */
+    findRunawayLoop() {
+        let runaway = null;
+        for (const record of this.loops) {
+            if (!runaway || record.iterations > runaway.iterations) runaway = record;
+        }
+        return runaway;
+    }
+
+    *initStatics(cls) {
+        const statics = new Map();
+        this.statics.set(cls.name, statics);
+        const saved = this.frame;
+        this.frame = { cls, instance: null, scope: new Scope() };
+        for (const field of cls.fields.filter(f => f.isStatic)) {
+            const value = yield* this.initialValue(cls, field);
+            statics.set(field.name, { type: field.varType.name, value: this.coerce(value, field.varType.name, field.loc) });
+        }
+        this.frame = saved;
+    }
+
+    *instantiate(cls) {
+        const instance = new ScriptObject(cls);
+        const saved = this.frame;
+        this.frame = { cls, instance, scope: new Scope() };
+        for (const field of cls.fields.filter(f => !f.isStatic)) {
+            const value = yield* this.initialValue(cls, field);
+            instance.fields.set(field.name, { type: field.varType.name, value: this.coerce(value, field.varType.name, field.loc) });
+        }
+        this.frame = saved;
+        return instance;
+    }
+
+    /**
+     * A field's starting value: from fieldValues if given, else its initializer
+     */
+    *initialValue(cls, field) {
+        const key = [`${cls.name}.${field.name}`, field.name].find(k => Object.hasOwn(this.fieldValues, k));
+        if (key) return this.fieldValues[key];
+        return field.init ? yield* this.evaluate(field.init) : DEFAULT_VALUES[field.varType.name] ?? null;
+    }
+
+    *invoke(cls, method, instance, args, callLoc) {
+        if (args.length !== method.params.length) {
+            throw new ScriptError(
+                `${method.name}() takes ${method.params.length} argument(s) but got ${args.length}`, callLoc);
+        }
+        if (this.callDepth >= this.maxCallDepth) {
+            throw new ScriptError(`Stack overflow: ${method.name}() keeps calling itself`, callLoc);
+        }
+
+        const scope = new Scope();
+        method.params.forEach((param, i) => {
+            scope.declare(param.name, param.varType.name, this.coerce(args[i], param.varType.name, callLoc));
+        });
+
+        const saved = this.frame;
+        this.frame = { cls, instance, scope, method, caller: saved };
+        this.callDepth++;
+        try {
+            const completion = yield* this.exec(method.body);
+            const value = completion && completion.type === 'return' ? completion.value : undefined;
+            return method.returnType.name === 'void' ? undefined : this.coerce(value, method.returnType.name, callLoc);
+        } finally {
+            this.callDepth--;
+            this.frame = saved;
+        }
+    }
+
+    // ========== STATEMENTS ==========
+
+    /**
+     * Execute one statement.
+     * @returns completion record (BREAK, CONTINUE, {type:'return'}) or undefined
+     */
+    *exec(node) {
+        yield node;
+
+        switch (node.type) {
+            case 'BlockStatement': {
+                const saved = this.frame.scope;
+                this.frame.scope = new Scope(saved);
+                try {
+                    for (const stmt of node.body) {
+                        const completion = yield* this.exec(stmt);
+                        if (completion) return completion;
+                    }
+                } finally {
+                    this.frame.scope = saved;
+                }
+                return undefined;
+            }
+
+            case 'EmptyStatement':
+                return undefined;
+
+            case 'VariableDeclaration':
+                yield* this.declare(node);
+                return undefined;
+
+            case 'ExpressionStatement':
+                yield* this.evaluate(node.expression);
+                return undefined;
+
+            case 'IfStatement': {
+                const test = yield* this.evaluateCondition(node.test);
+                if (test) return yield* this.exec(node.consequent);
+                if (node.alternate) return yield* this.exec(node.alternate);
+                return undefined;
+            }
+
+            case 'WhileStatement':
+                return yield* this.execLoop(node, null, node.test, [], false);
+
+            case 'DoWhileStatement':
+                return yield* this.execLoop(node, null, node.test, [], true);
+
+            case 'ForStatement':
+                return yield* this.execLoop(node, node.init, node.test, node.update, false);
+
+            case 'BreakStatement':
+                return BREAK;
+
+            case 'ContinueStatement':
+                return CONTINUE;
+
+            case 'ReturnStatement': {
+                const value = node.argument ? yield* this.evaluate(node.argument) : undefined;
+                return { type: 'return', value };
+            }
+
+            default:
+                throw new ScriptError(`Unsupported statement: ${node.type}`, node.loc);
+        }
+    }
+
+    *declare(node) {
+        for (const decl of node.declarations) {
+            if (this.frame.scope.vars.has(decl.name)) {
+                throw new ScriptError(`A variable named '${decl.name}' is already declared here`, decl.loc);
+            }
+            let type = node.varType.name;
+            let value = DEFAULT_VALUES[type] ?? null;
+            if (decl.init) {
+                value = yield* this.evaluate(decl.init);
+                if (type === 'var') type = this.typeOf(decl.init);
+            }
+            this.frame.scope.declare(decl.name, type, this.coerce(value, type, decl.loc));
+        }
+    }
+
+    /**
+     * Shared loop driver for while, do/while and for. Yields the loop node
+     * once per iteration so runaway loops count against the budget even
+     * when their body is empty.
+     */
+    *execLoop(node, init, test, update, testAfter) {
+        const saved = this.frame.scope;
+        this.frame.scope = new Scope(saved);
+        const record = this.beginLoop(node);
+        try {
+            if (init) yield* this.exec(init);
+            let first = true;
+            while (true) {
+                if (!first) yield node;
+                this.trackIteration(record);
+                if (!(testAfter && first) && test) {
+                    if (!(yield* this.evaluateCondition(test))) break;
+                }
+                first = false;
+
+                const completion = yield* this.exec(node.body);
+                if (completion === BREAK) break;
+                if (completion && completion !== CONTINUE) return completion;
+
+                for (const expr of update) yield* this.evaluate(expr);
+            }
+            return undefined;
+        } finally {
+            this.loops.pop();
+            this.frame.scope = saved;
+        }
+    }
+
+    // ========== LOOP TRACKING ==========
+
+    beginLoop(node) {
+        let info = this.loopInfo.get(node);
+        if (!info) {
+            const reads = node.test ? collectReads(node.test) : [];
+            const writes = collectWrites(node.body);
+            (node.update || []).forEach(expr => writes.push(...collectWrites(expr)));
+            info = { reads, watch: [...new Set([...reads, ...writes])] };
+            this.loopInfo.set(node, info);
+        }
+        const record = {
+            node,
+            iterations: 0,
+            reads: info.reads,
+            watch: info.watch,
+            first: null,     // values at the start of iteration 1
+            previous: null,  // values at the start of the previous iteration
+            latest: null,    // values at the start of the latest iteration
+            changed: new Set()
+        };
+        this.loops.push(record);
+        return record;
+    }
+
+    /**
+     * Called at the top of every iteration, before the condition runs
+     */
+    trackIteration(record) {
+        if (record.iterations >= this.maxLoopIterations) throw new LoopBudgetExceeded(record);
+        record.iterations++;
+
+        const values = record.watch.map(name => this.peekVariable(name));
+        if (record.latest) {
+            values.forEach((value, i) => {
+                if (value !== record.latest[i]) record.changed.add(record.watch[i]);
+            });
+        } else {
+            record.first = values;
+        }
+        record.previous = record.latest;
+        record.latest = values;
+    }
+
+    /**
+     * Current value of a variable, or undefined if the name is not a
+     * variable here. Never throws - used for diagnostics only.
+     */
+    peekVariable(name) {
+        const binding = this.frame.scope.lookup(name) ||
+            this.frame.instance?.fields.get(name) ||
+            (this.frame.cls && this.statics.get(this.frame.cls.name)?.get(name));
+        return binding ? binding.value : undefined;
+    }
+
+    *evaluateCondition(node) {
+        const value = yield* this.evaluate(node);
+        if (typeof value !== 'boolean') {
+            throw new ScriptError(`Condition must be true or false, but got ${formatValue(value) || 'null'}`, node.loc);
+        }
+        return value;
+    }
+
+    // ========== EXPRESSIONS ==========
+
+    *evaluate(node) {
+        switch (node.type) {
+            case 'Literal':
+                return node.value;
+
+            case 'InterpolatedString': {
+                let out = '';
+                for (const part of node.parts) {
+                    out += typeof part === 'string' ? part : formatValue(yield* this.evaluate(part));
+                }
+                return out;
+            }
+
+            case 'Identifier':
+                return this.resolve(node).value;
+
+            case 'ThisExpression':
+                if (!this.frame.instance) throw new ScriptError("'this' is not available here", node.loc);
+                return this.frame.instance;
+
+            case 'MemberExpression':
+                return yield* this.readMember(node);
+
+            case 'CallExpression':
+                return yield* this.call(node);
+
+            case 'UnaryExpression': {
+                const value = yield* this.evaluate(node.argument);
+                if (node.operator === '!') return !value;
+                if (node.operator === '-') return this.wrapInt(-value, node);
+                return value;
+            }
+
+            case 'UpdateExpression': {
+                const binding = yield* this.resolveTarget(node.argument);
+                const old = binding.value;
+                const next = this.coerce(node.operator === '++' ? old + 1 : old - 1, binding.type, node.loc);
+                binding.value = next;
+                return node.prefix ? next : old;
+            }
+
+            case 'BinaryExpression': {
+                const left = yield* this.evaluate(node.left);
+                const right = yield* this.evaluate(node.right);
+                return this.binary(node, left, right, node.operator);
+            }
+
+            case 'LogicalExpression': {
+                const left = yield* this.evaluateCondition(node.left);
+                if (node.operator === '&&' ? !left : left) return left;
+                return yield* this.evaluateCondition(node.right);
+            }
+
+            case 'ConditionalExpression': {
+                const test = yield* this.evaluateCondition(node.test);
+                return yield* this.evaluate(test ? node.consequent : node.alternate);
+            }
+
+            case 'AssignmentExpression': {
+                const binding = yield* this.resolveTarget(node.target);
+                let value = yield* this.evaluate(node.value);
+                if (node.operator !== '=') {
+                    value = this.binary(node, binding.value, value, node.operator[0]);
+                }
+                binding.value = this.coerce(value, binding.type, node.loc);
+                return binding.value;
+            }
+
+            case 'CastExpression': {
+                const value = yield* this.evaluate(node.argument);
+                const type = node.targetType.name;
+                if (type === 'int' && typeof value === 'number') return Math.trunc(value) | 0;
+                if (type === 'string') return formatValue(value);
+                return this.coerce(value, type, node.loc);
+            }
+
+            default:
+                throw new ScriptError(`Unsupported expression: ${node.type}`, node.loc);
+        }
+    }
+
+    /**
+     * @param {Object} node - BinaryExpression, or a compound AssignmentExpression
+     * @param {string} op - Arithmetic/comparison operator to apply
+     */
+    binary(node, left, right, op) {
+        switch (op) {
+            case '+':
+                if (typeof left === 'string' || typeof right === 'string') {
+                    return formatValue(left) + formatValue(right);
+                }
+                return this.wrapInt(left + right, node);
+            case '-':
+                return this.wrapInt(left - right, node);
+            case '*':
+                return this.wrapInt(left * right, node);
+            case '/':
+                if (Number.isInteger(left) && Number.isInteger(right) && this.typeOf(node) === 'int') {
+                    if (right === 0) throw new ScriptError('Division by zero', node.loc);
+                    return Math.trunc(left / right) | 0;
+                }
+                return left / right;
+            case '%':
+                if (right === 0 && this.typeOf(node) === 'int') throw new ScriptError('Division by zero', node.loc);
+                return left % right;
+            case '<': return left < right;
+            case '>': return left > right;
+            case '<=': return left <= right;
+            case '>=': return left >= right;
+            case '==': return left === right;
+            case '!=': return left !== right;
+        }
+        throw new ScriptError(`Unsupported operator '${op}'`, node.loc);
+    }
+
+    /**
+     * Only out-of-range results need the static type: int arithmetic
+     * wraps around like unchecked C#, float arithmetic does not.
+     */
+    wrapInt(value, node) {
+        if (value >= INT_MIN && value <= INT_MAX) return value;
+        if (Number.isFinite(value) && this.typeOf(node) === 'int') return value | 0;
+        return value;
+    }
+
+    coerce(value, type, loc) {
+        switch (type) {
+            case 'int':
+                if (typeof value !== 'number') break;
+                return Math.trunc(value) | 0;
+            case 'float':
+            case 'double':
+                if (typeof value !== 'number') break;
+                return value;
+            case 'bool':
+                if (typeof value !== 'boolean') break;
+                return value;
+            case 'string':
+                if (typeof value !== 'string' && value !== null) break;
+                return value;
+            default:
+                return value;
+        }
+        throw new ScriptError(`Cannot store ${formatValue(value) || 'null'} in a ${type}`, loc);
+    }
+
+    // ========== NAMES & MEMBERS ==========
+
+    /**
+     * Find the binding an identifier refers to: locals, then fields of
+     * the current instance, then static fields of the current class.
+     */
+    resolve(node) {
+        const name = node.name;
+        const local = this.frame.scope.lookup(name);
+        if (local) return local;
+
+        const field = this.frame.instance?.fields.get(name);
+        if (field) return field;
+
+        const staticField = this.frame.cls && this.statics.get(this.frame.cls.name)?.get(name);
+        if (staticField) return staticField;
+
+        const builtin = this.builtins[name];
+        if (builtin?.get) return { type: builtin.type, value: builtin.get() };
+
+        throw new ScriptError(`The name '${name}' does not exist in the current context`, node.loc);
+    }
+
+    *resolveTarget(node) {
+        if (node.type === 'Identifier') {
+            const binding = this.resolve(node);
+            if (!this.frame.scope.lookup(node.name) && !this.frame.instance?.fields.has(node.name) &&
+                !this.statics.get(this.frame.cls?.name)?.has(node.name)) {
+                throw new ScriptError(`'${node.name}' is read-only`, node.loc);
+            }
+            return binding;
+        }
+        const target = yield* this.memberTarget(node);
+        if (target.fields?.has(node.property)) return target.fields.get(node.property);
+        throw new ScriptError(`'${this.qualifiedName(node) || node.property}' cannot be assigned to`, node.loc);
+    }
+
+    /**
+     * For "Debug.Log" style member chains return "Debug.Log"; null if the
+     * chain starts with something that is not a plain name.
+     */
+    qualifiedName(node) {
+        if (node.type === 'Identifier') return node.name;
+        if (node.type === 'MemberExpression') {
+            const base = this.qualifiedName(node.object);
+            return base ? `${base}.${node.property}` : null;
+        }
+        return null;
+    }
+
+    isVariable(name) {
+        return Boolean(
+            this.frame.scope.lookup(name) ||
+            this.frame.instance?.fields.has(name) ||
+            (this.frame.cls && this.statics.get(this.frame.cls.name)?.has(name))
+        );
+    }
+
+    /**
+     * Evaluate the object part of a member expression to something that
+     * owns fields: a ScriptObject, or a class' static field map.
+     */
+    *memberTarget(node) {
+        const obj = node.object;
+        if (obj.type === 'Identifier' && !this.isVariable(obj.name) && this.classes.has(obj.name)) {
+            return { fields: this.statics.get(obj.name), cls: this.classes.get(obj.name), isStatic: true };
+        }
+        const value = yield* this.evaluate(obj);
+        if (value instanceof ScriptObject) return { fields: value.fields, cls: value.cls, instance: value };
+        return { value };
+    }
+
+    *readMember(node) {
+        const qualified = this.qualifiedName(node);
+        const root = qualified?.split('.')[0];
+        if (qualified && !this.isVariable(root) && !this.classes.has(root)) {
+            const builtin = this.builtins[qualified];
+            if (builtin?.get) return builtin.get();
+            throw new ScriptError(`'${qualified}' does not exist`, node.loc);
+        }
+
+        const target = yield* this.memberTarget(node);
+        if (target.fields?.has(node.property)) return target.fields.get(node.property).value;
+        const member = this.engineMember(target.value, node.property);
+        if (member?.get) return this.callEngine(() => member.get(target.value), node);
+        if ('value' in target) {
+            if (typeof target.value === 'string' && node.property === 'Length') return target.value.length;
+            if (target.value === null) throw new ScriptError('Object reference not set to an instance of an object', node.object.loc);
+        }
+        throw new ScriptError(`'${node.property}' does not exist here`, node.loc);
+    }
+
+    *call(node) {
+        const callee = node.callee;
+        const args = [];
+        for (const arg of node.args) args.push(yield* this.evaluate(arg));
+
+        // Plain name: a method on this class, or an engine function
+        if (callee.type === 'Identifier') {
+            const cls = this.frame.cls;
+            const method = cls?.methods.find(m => m.name === callee.name);
+            if (method) {
+                if (!method.isStatic && !this.frame.instance) {
+                    throw new ScriptError(`${callee.name}() needs an object - it is not static`, callee.loc);
+                }
+                return yield* this.invoke(cls, method, method.isStatic ? null : this.frame.instance, args, node.loc);
+            }
+            return this.callBuiltin(callee.name, args, node);
+        }
+
+        if (callee.type !== 'MemberExpression') {
+            throw new ScriptError('This expression cannot be called', callee.loc);
+        }
+
+        // Engine API such as Debug.Log(...)
+        const qualified = this.qualifiedName(callee);
+        const root = qualified?.split('.')[0];
+        if (qualified && !this.isVariable(root) && !this.classes.has(root)) {
+            return this.callBuiltin(qualified, args, node);
+        }
+
+        const target = yield* this.memberTarget(callee);
+        if (target.cls) {
+            const method = target.cls.methods.find(m => m.name === callee.property);
+            if (!method) throw new ScriptError(`'${target.cls.name}' has no method '${callee.property}'`, callee.loc);
+            if (target.isStatic && !method.isStatic) {
+                throw new ScriptError(`${callee.property}() needs an object - it is not static`, callee.loc);
+            }
+            return yield* this.invoke(target.cls, method, target.instance || null, args, node.loc);
+        }
+        const member = this.engineMember(target.value, callee.property);
+        if (member?.call) return this.callEngine(() => member.call(target.value, ...args), node);
+        if (callee.property === 'ToString' && args.length === 0) return formatValue(target.value);
+        if (target.value === null) throw new ScriptError('Object reference not set to an instance of an object', callee.object.loc);
+        throw new ScriptError(`'${callee.property}' does not exist here`, callee.loc);
+    }
+
+    callBuiltin(name, args, node) {
+        const builtin = this.builtins[name];
+        if (!builtin?.call) {
+            throw new ScriptError(`The name '${name}' does not exist in the current context`, node.callee.loc);
+        }
+        if (builtin.instance) {
+            throw new ScriptError(`${name}() needs an object - call it on one, like obj.${name.split('.').pop()}()`, node.callee.loc);
+        }
+        return this.callEngine(() => builtin.call(...args), node);
+    }
+
+    /**
+     * Builtin entry for a member of an engine object (see header)
+     */
+    engineMember(value, property) {
+        if (!value?.scriptType) return null;
+        const member = this.builtins[`${value.scriptType}.${property}`];
+        return member?.instance ? member : null;
+    }
+
+    /**
+     * Run engine code; errors it raises without a location point at the call
+     */
+    callEngine(fn, node) {
+        try {
+            return fn();
+        } catch (err) {
+            if (err instanceof ScriptError && !err.loc) err.loc = node.loc;
+            throw err;
+        }
+    }
+
+    // ========== STATIC TYPES ==========
+
+    /**
+     * Static type of an expression, needed where C# semantics depend on
+     * it (integer division, overflow). Types are lexical, so each node's
+     * answer is cached after the first lookup.
+     */
+    typeOf(node) {
+        let type = this.types.get(node);
+        if (type === undefined) {
+            type = this.computeType(node);
+            this.types.set(node, type);
+        }
+        return type;
+    }
+
+    computeType(node) {
+        switch (node.type) {
+            case 'Literal':
+                return node.valueType;
+            case 'InterpolatedString':
+                return 'string';
+            case 'Identifier':
+                return this.resolve(node).type;
+            case 'UnaryExpression':
+                return node.operator === '!' ? 'bool' : this.typeOf(node.argument);
+            case 'UpdateExpression':
+                return this.typeOf(node.argument);
+            case 'LogicalExpression':
+                return 'bool';
+            case 'BinaryExpression':
+            case 'AssignmentExpression': {
+                if (node.type === 'AssignmentExpression' && node.operator === '=') return this.typeOf(node.target);
+                const op = node.operator;
+                if (['<', '>', '<=', '>=', '==', '!='].includes(op)) return 'bool';
+                const left = this.typeOf(node.left || node.target);
+                const right = this.typeOf(node.right || node.value);
+                if (op === '+' && (left === 'string' || right === 'string')) return 'string';
+                if (left === 'double' || right === 'double') return 'double';
+                if (left === 'float' || right === 'float') return 'float';
+                return 'int';
+            }
+            case 'ConditionalExpression':
+                return this.typeOf(node.consequent);
+            case 'CastExpression':
+                return node.targetType.name;
+            case 'CallExpression': {
+                const callee = node.callee;
+                const method = callee.type === 'Identifier' && this.frame.cls?.methods.find(m => m.name === callee.name);
+                if (method) return method.returnType.name;
+                return this.builtinFor(callee)?.returns || 'unknown';
+            }
+            case 'MemberExpression': {
+                const builtin = this.builtinFor(node);
+                if (builtin?.type) return builtin.type;
+                if (node.property === 'Length') return 'int';
+                return 'unknown';
+            }
+            default:
+                return 'unknown';
+        }
+    }
+
+    /**
+     * Builtin entry a callee/member refers to: 'Debug.Log' by name, or
+     * 'GameObject.x' through the static type of the object
+     */
+    builtinFor(node) {
+        const builtin = this.builtins[this.qualifiedName(node)];
+        if (builtin) return builtin;
+        if (node.type !== 'MemberExpression') return null;
+        const member = this.builtins[`${this.typeOf(node.object)}.${node.property}`];
+        return member?.instance ? member : null;
+    }
+}
+
+export default Interpreter;
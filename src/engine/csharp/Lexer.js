@@ -0,0 +1,273 @@
+/**
+ * Lexer.js - Tokenizer for the Orbrya C# subset
+ *
+ * Turns student source into a flat token list. Every token records its
+ * line, column and character span so later stages can report errors
+ * against the original text.
+ *
+ * TOKEN TYPES:
+ * - identifier, keyword, number, string, interpolated, punct, eof
+ */
+
+import { ScriptError } from './ScriptError.js';
+
+export const KEYWORDS = new Set([
+    'using', 'namespace', 'class', 'public', 'private', 'protected', 'internal',
+    'static', 'override', 'virtual', 'readonly', 'const',
+    'void', 'int', 'float', 'double', 'bool', 'string', 'var',
+    'if', 'else', 'for', 'while', 'do', 'break', 'continue', 'return',
+    'new', 'this', 'null', 'true', 'false'
+]);
+
+// Longest first so "<=" wins over "<"
+const PUNCTUATORS = [
+    '++', '--', '+=', '-=', '*=', '/=', '%=', '==', '!=', '<=', '>=', '&&', '||', '=>',
+    '{', '}', '(', ')', '[', ']', ';', ',', '.', ':', '?',
+    '+', '-', '*', '/', '%', '<', '>', '=', '!'
+];
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '0': '\0', '\\': '\\', '"': '"', "'": "'" };
+
+export class Lexer {
+    /**
+     * @param {string} source - Full source text
+     * @param {Object} [range] - Optional sub-range to tokenize (used for
+     *                           expressions embedded in $"..." strings)
+     */
+    constructor(source, range = {}) {
+        this.source = source;
+        this.pos = range.start ?? 0;
+        this.end = range.end ?? source.length;
+        this.line = range.line ?? 1;
+        this.column = range.column ?? 1;
+        this.tokens = [];
+    }
+
+    tokenize() {
+        while (true) {
+            this.skipTrivia();
+            if (this.pos >= this.end) break;
+            this.tokens.push(this.readToken());
+        }
+        this.tokens.push(this.makeToken('eof', '', this.mark()));
+        return this.tokens;
+    }
+
+    // ========== POSITION HELPERS ==========
+
+    peek(offset = 0) {
+        const i = this.pos + offset;
+        return i < this.end ? this.source[i] : '';
+    }
+
+    advance() {
+        const ch = this.source[this.pos++];
+        if (ch === '\n') {
+            this.line++;
+            this.column = 1;
+        } else {
+            this.column++;
+        }
+        return ch;
+    }
+
+    mark() {
+        return { line: this.line, column: this.column, start: this.pos };
+    }
+
+    makeToken(type, value, start, extra = {}) {
+        return {
+            type,
+            value,
+            line: start.line,
+            column: start.column,
+            start: start.start,
+            end: this.pos,
+            ...extra
+        };
+    }
+
+    error(message, start = this.mark(), code = 'CS1056') {
+        return new ScriptError(message, { ...start, end: Math.max(this.pos, start.start + 1) }, 'syntax', code);
+    }
+
+    // ========== SCANNING ==========
+
+    skipTrivia() {
+        while (this.pos < this.end) {
+            const ch = this.peek();
+            if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '\n') {
+                this.advance();
+            } else if (ch === '/' && this.peek(1) === '/') {
+                while (this.pos < this.end && this.peek() !== '\n') this.advance();
+            } else if (ch === '/' && this.peek(1) === '*') {
+                const start = this.mark();
+                this.advance(); this.advance();
+                while (this.pos < this.end && !(this.peek() === '*' && this.peek(1) === '/')) this.advance();
+                if (this.pos >= this.end) throw this.error('Comment is never closed - add */', start, 'CS1035');
+                this.advance(); this.advance();
+            } else if (ch === '#' && this.column === 1) {
+                // #region / #endregion lines carry no meaning here
+                while (this.pos < this.end && this.peek() !== '\n') this.advance();
+            } else {
+                break;
+            }
+        }
+    }
+
+    readToken() {
+        const start = this.mark();
+        const ch = this.peek();
+
+        if (/[A-Za-z_]/.test(ch)) return this.readWord(start);
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(this.peek(1)))) return this.readNumber(start);
+        if (ch === '"') return this.readString(start);
+        if (ch === '$' && this.peek(1) === '"') return this.readInterpolated(start);
+        if (ch === '@' && this.peek(1) === '"') return this.readVerbatim(start);
+        if (ch === "'") return this.readChar(start);
+
+        for (const p of PUNCTUATORS) {
+            if (this.source.startsWith(p, this.pos) && this.pos + p.length <= this.end) {
+                for (let i = 0; i < p.length; i++) this.advance();
+                return this.makeToken('punct', p, start);
+            }
+        }
+
+        this.advance();
+        throw this.error(`Unexpected character '${ch}'`, start);
+    }
+
+    readWord(start) {
+        while (/[A-Za-z0-9_]/.test(this.peek())) this.advance();
+        const word = this.source.slice(start.start, this.pos);
+        return this.makeToken(KEYWORDS.has(word) ? 'keyword' : 'identifier', word, start);
+    }
+
+    readNumber(start) {
+        let isFloat = false;
+        while (/[0-9]/.test(this.peek())) this.advance();
+        if (this.peek() === '.' && /[0-9]/.test(this.peek(1))) {
+            isFloat = true;
+            this.advance();
+            while (/[0-9]/.test(this.peek())) this.advance();
+        }
+        if (/[eE]/.test(this.peek()) && /[0-9+-]/.test(this.peek(1))) {
+            isFloat = true;
+            this.advance();
+            if (/[+-]/.test(this.peek())) this.advance();
+            while (/[0-9]/.test(this.peek())) this.advance();
+        }
+        const text = this.source.slice(start.start, this.pos);
+        if (/[fFdDmM]/.test(this.peek())) {
+            isFloat = true;
+            this.advance();
+        }
+        if (/[A-Za-z_]/.test(this.peek())) {
+            while (/[A-Za-z0-9_]/.test(this.peek())) this.advance();
+            throw this.error(`'${this.source.slice(start.start, this.pos)}' is not a valid number`, start, 'CS1013');
+        }
+        return this.makeToken('number', Number(text), start, { isFloat });
+    }
+
+    readEscape() {
+        this.advance(); // backslash
+        const ch = this.advance();
+        if (ch in ESCAPES) return ESCAPES[ch];
+        throw this.error(`Unknown escape sequence '\\${ch}'`, this.mark(), 'CS1009');
+    }
+
+    readString(start) {
+        this.advance(); // opening quote
+        let value = '';
+        while (this.peek() !== '"') {
+            if (this.pos >= this.end || this.peek() === '\n') {
+                throw this.error('String is missing its closing "', start, 'CS1010');
+            }
+            value += this.peek() === '\\' ? this.readEscape() : this.advance();
+        }
+        this.advance();
+        return this.makeToken('string', value, start);
+    }
+
+    readVerbatim(start) {
+        this.advance(); this.advance(); // @"
+        let value = '';
+        while (true) {
+            if (this.pos >= this.end) throw this.error('String is missing its closing "', start, 'CS1010');
+            if (this.peek() === '"') {
+                if (this.peek(1) !== '"') break;
+                this.advance();
+            }
+            value += this.advance();
+        }
+        this.advance();
+        return this.makeToken('string', value, start);
+    }
+
+    readChar(start) {
+        this.advance();
+        const value = this.peek() === '\\' ? this.readEscape() : this.advance();
+        if (this.peek() !== "'") throw this.error("Character literal is missing its closing '", start, 'CS1012');
+        this.advance();
+        return this.makeToken('string', value, start);
+    }
+
+    /**
+     * $"Spawned {treeCount} trees" becomes a token whose parts are either
+     * literal text or the source range of an embedded expression. The
+     * parser tokenizes those ranges itself so positions stay exact.
+     */
+    readInterpolated(start) {
+        this.advance(); this.advance(); // $"
+        const parts = [];
+        let text = '';
+        while (this.peek() !== '"') {
+            if (this.pos >= this.end || this.peek() === '\n') {
+                throw this.error('String is missing its closing "', start, 'CS1010');
+            }
+            const ch = this.peek();
+            if (ch === '{' && this.peek(1) === '{') {
+                this.advance(); this.advance();
+                text += '{';
+            } else if (ch === '}' && this.peek(1) === '}') {
+                this.advance(); this.advance();
+                text += '}';
+            } else if (ch === '{') {
+                if (text) parts.push({ text });
+                text = '';
+                this.advance();
+                const exprStart = this.mark();
+                let depth = 0;
+                while (this.pos < this.end && !(this.peek() === '}' && depth === 0)) {
+                    if (this.peek() === '"' || this.peek() === '\n') {
+                        throw this.error('Interpolated expression is missing its closing }', exprStart, 'CS8076');
+                    }
+                    if (this.peek() === '{') depth++;
+                    if (this.peek() === '}') depth--;
+                    this.advance();
+                }
+                if (this.pos >= this.end) throw this.error('Interpolated expression is missing its closing }', exprStart, 'CS8076');
+                parts.push({ expr: { ...exprStart, end: this.pos } });
+                this.advance();
+            } else if (ch === '\\') {
+                text += this.readEscape();
+            } else {
+                text += this.advance();
+            }
+        }
+        this.advance();
+        if (text) parts.push({ text });
+        return this.makeToken('interpolated', parts, start);
+    }
+}
+
+/**
+ * Convenience wrapper
+ * @param {string} source
+ * @returns {Array<Object>} tokens
+ */
+export function tokenize(source) {
+    return new Lexer(source).tokenize();
+}
+
+export default Lexer;
@@ -0,0 +1,105 @@
+/**
+ * LoopDiagnosis.js - Explains why a loop never stopped
+ *
+ * Turns the LoopRecord of a runaway loop (see Interpreter) into plain
+ * sentences for students, for example:
+ *
+ *   "The while loop on line 27 ran 10,000 times and never stopped"
+ *   "The condition (true) doesn't read any variable, so it can never become false"
+ *   "treeCount increases (0 → 9,999) but the condition never reads it"
+ */
+
+import { formatValue } from './Interpreter.js';
+import { sourceOf } from './Diagnostics.js';
+
+const LOOP_KINDS = {
+    WhileStatement: 'while',
+    DoWhileStatement: 'do/while',
+    ForStatement: 'for'
+};
+
+function describeTrend(first, last) {
+    if (typeof first === 'number' && typeof last === 'number') {
+        if (last > first) return 'increases';
+        if (last < first) return 'decreases';
+    }
+    return 'changes';
+}
+
+function show(value) {
+    if (typeof value === 'number') return value.toLocaleString('en-US');
+    if (typeof value === 'string') return `"${value}"`;
+    return formatValue(value) || 'null';
+}
+
+/**
+ * @param {Object} record - LoopRecord from Interpreter.execute()
+ * @param {string|Object} source - The student's source text (for the condition), or
+ *        project file name -> text
+ * @returns {{kind: string, line: number, column: number, loc: Object,
+ *            condition: string|null, iterations: number,
+ *            variables: Array<Object>, explanation: string[], hint: string}}
+ */
+export function diagnoseLoop(record, source) {
+    const { node } = record;
+    const kind = LOOP_KINDS[node.type] || 'loop';
+    const condition = node.test ? sourceOf(source, node.test.loc).slice(node.test.loc.start, node.test.loc.end) : null;
+
+    // Only names that were actually variables while the loop ran
+    const variables = record.watch
+        .map((name, i) => ({
+            name,
+            inCondition: record.reads.includes(name),
+            changed: record.changed.has(name),
+            first: record.first?.[i],
+            last: record.latest?.[i]
+        }))
+        .filter(v => v.first !== undefined || v.last !== undefined)
+        .map(v => ({ ...v, trend: v.changed ? describeTrend(v.first, v.last) : 'unchanged' }));
+
+    const conditionVars = variables.filter(v => v.inCondition);
+    const explanation = [];
+
+    if (!condition) {
+        explanation.push(`This for loop has no condition, so nothing ever tells it to stop`);
+    } else if (conditionVars.length === 0) {
+        explanation.push(`The condition (${condition}) doesn't read any variable, so it can never become false`);
+    }
+
+    for (const v of conditionVars) {
+        if (!v.changed) {
+            explanation.push(`${v.name} never changes (stays ${show(v.last)}), so (${condition}) stays true forever`);
+        } else {
+            explanation.push(`${v.name} ${v.trend} (${show(v.first)} → ${show(v.last)}) but (${condition}) is still true`);
+        }
+    }
+
+    for (const v of variables.filter(v => !v.inCondition && v.changed)) {
+        explanation.push(`${v.name} ${v.trend} (${show(v.first)} → ${show(v.last)}) but the condition never reads it`);
+    }
+
+    let hint = '💡 Every loop needs a condition that eventually becomes false';
+    const counter = variables.find(v => !v.inCondition && v.trend === 'increases');
+    const stuck = conditionVars.find(v => !v.changed);
+    if (counter && conditionVars.length === 0) {
+        hint = `💡 Make the condition check ${counter.name}, e.g. ${counter.name} < 50`;
+    } else if (stuck) {
+        hint = `💡 Change ${stuck.name} inside the loop so (${condition}) can become false`;
+    } else if (conditionVars.some(v => v.changed)) {
+        hint = `💡 The variables move, but in the wrong direction - check the comparison and the ++/--`;
+    }
+
+    return {
+        kind,
+        line: node.loc.line,
+        column: node.loc.column,
+        loc: node.loc,
+        condition,
+        iterations: record.iterations,
+        variables,
+        explanation,
+        hint
+    };
+}
+
+export default diagnoseLoop;
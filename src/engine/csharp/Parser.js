@@ -0,0 +1,669 @@
+/**
+ * Parser.js - Recursive-descent parser for the Orbrya C# subset
+ *
+ * Builds an ESTree-style AST from the token stream. Every node carries a
+ * `loc` ({ line, column, start, end }) spanning the source it came from,
+ * plus `file` when the source is one file of a project (parseProject()).
+ *
+ * SUPPORTED:
+ * - using directives, namespaces, classes (single base type)
+ * - fields, methods, parameters, locals (int, float, double, bool, string, var)
+ * - if/else, while, do/while, for, break, continue, return
+ * - arithmetic, comparison, logical, assignment and ++/-- operators
+ * - method calls, member access, casts, $"interpolated {strings}"
+ * - top-level statements (C# 9 style) for quick snippets
+ */
+
+import { Lexer } from './Lexer.js';
+import { ScriptError } from './ScriptError.js';
+
+export const PRIMITIVE_TYPES = new Set(['void', 'int', 'float', 'double', 'bool', 'string', 'var']);
+
+const MODIFIERS = new Set([
+    'public', 'private', 'protected', 'internal', 'static', 'override', 'virtual', 'readonly', 'const'
+]);
+
+const ASSIGNMENT_OPS = new Set(['=', '+=', '-=', '*=', '/=', '%=']);
+
+// C# compiler codes for a missing token, so students can search them
+const EXPECTED_CODES = {
+    ';': 'CS1002',
+    ')': 'CS1026',
+    '}': 'CS1513',
+    '{': 'CS1514',
+    '(': 'CS1003'
+};
+
+// Binary operator precedence, loosest first
+const BINARY_LEVELS = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<', '>', '<=', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+export class Parser {
+    /**
+     * @param {string} source - Full source text
+     * @param {Array<Object>} [tokens] - Pre-lexed tokens (for sub-parsers)
+     * @param {Object} [options]
+     * @param {string} options.file - Project file the source came from, stamped on every loc
+     */
+    constructor(source, tokens = null, options = {}) {
+        this.source = source;
+        this.file = options.file ?? null;
+        this.tokens = tokens || this.lex();
+        this.pos = 0;
+    }
+
+    lex(range = {}) {
+        try {
+            return new Lexer(this.source, range).tokenize();
+        } catch (err) {
+            if (err.loc) this.at(err.loc);
+            throw err;
+        }
+    }
+
+    // ========== TOKEN HELPERS ==========
+
+    get current() {
+        return this.tokens[this.pos];
+    }
+
+    get previous() {
+        return this.tokens[Math.max(0, this.pos - 1)];
+    }
+
+    peek(offset = 1) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    is(value, token = this.current) {
+        return (token.type === 'punct' || token.type === 'keyword') && token.value === value;
+    }
+
+    match(value) {
+        if (this.is(value)) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    next() {
+        const token = this.current;
+        if (token.type !== 'eof') this.pos++;
+        return token;
+    }
+
+    expect(value, message = `Expected '${value}'`) {
+        if (this.is(value)) return this.next();
+        throw this.errorAtGap(message, EXPECTED_CODES[value]);
+    }
+
+    expectIdentifier(message = 'Expected a name') {
+        if (this.current.type === 'identifier') return this.next();
+        throw this.error(message, this.current, 'CS1001');
+    }
+
+    error(message, token = this.current, code = 'CS1003') {
+        const found = token.type === 'eof' ? 'end of file' : `'${this.source.slice(token.start, token.end)}'`;
+        return new ScriptError(`${message} (found ${found})`, this.tokenLoc(token), 'syntax', code);
+    }
+
+    /**
+     * A missing ';' or ')' is really missing from the end of the previous
+     * line, so point there instead of at the next line's first token.
+     */
+    errorAtGap(message, code) {
+        const prev = this.previous;
+        if (this.pos > 0 && prev.line !== this.current.line) {
+            return new ScriptError(message, this.at({ line: prev.line, column: prev.column + (prev.end - prev.start), start: prev.end, end: prev.end + 1 }), 'syntax', code);
+        }
+        return this.error(message, this.current, code);
+    }
+
+    tokenLoc(token) {
+        return this.at({ line: token.line, column: token.column, start: token.start, end: Math.max(token.end, token.start + 1) });
+    }
+
+    startNode(token = this.current) {
+        return this.at({ line: token.line, column: token.column, start: token.start });
+    }
+
+    at(loc) {
+        if (this.file) loc.file = this.file;
+        return loc;
+    }
+
+    finish(node, start) {
+        node.loc = { ...start, end: this.previous.end };
+        return node;
+    }
+
+    // ========== PROGRAM STRUCTURE ==========
+
+    parseProgram() {
+        const start = this.startNode();
+        const program = { type: 'Program', usings: [], classes: [], statements: [] };
+
+        while (this.is('using')) program.usings.push(this.parseUsing());
+
+        while (this.current.type !== 'eof') {
+            if (this.is('namespace')) {
+                this.parseNamespace(program);
+            } else if (this.is('}')) {
+                throw new ScriptError("Unexpected '}' - there is no '{' for it to close", this.tokenLoc(this.current), 'syntax', 'CS1022');
+            } else if (this.isClassStart()) {
+                program.classes.push(this.parseClass());
+            } else {
+                program.statements.push(this.parseStatement());
+            }
+        }
+
+        return this.finish(program, start);
+    }
+
+    parseUsing() {
+        const start = this.startNode();
+        this.expect('using');
+        const name = this.parseQualifiedName();
+        this.expect(';', "Expected ';' after using directive");
+        return this.finish({ type: 'UsingDirective', name }, start);
+    }
+
+    parseQualifiedName() {
+        let name = this.expectIdentifier().value;
+        while (this.match('.')) name += '.' + this.expectIdentifier().value;
+        return name;
+    }
+
+    parseNamespace(program) {
+        this.expect('namespace');
+        this.parseQualifiedName();
+        if (this.match(';')) return; // file-scoped namespace
+        const open = this.expect('{', "Expected '{' to open the namespace");
+        while (!this.is('}')) {
+            if (this.current.type === 'eof') {
+                throw new ScriptError("Namespace is never closed - add a matching '}'", this.tokenLoc(open), 'syntax', 'CS1513');
+            }
+            program.classes.push(this.parseClass());
+        }
+        this.expect('}');
+    }
+
+    isClassStart() {
+        let i = 0;
+        while (MODIFIERS.has(this.peek(i).value) && this.peek(i).type === 'keyword') i++;
+        return this.is('class', this.peek(i));
+    }
+
+    parseModifiers() {
+        const modifiers = [];
+        while (this.current.type === 'keyword' && MODIFIERS.has(this.current.value)) {
+            modifiers.push(this.next().value);
+        }
+        return modifiers;
+    }
+
+    parseClass() {
+        const start = this.startNode();
+        const modifiers = this.parseModifiers();
+        this.expect('class', "Expected 'class'");
+        const nameToken = this.expectIdentifier('Expected a class name');
+        const cls = {
+            type: 'ClassDeclaration',
+            name: nameToken.value,
+            nameLoc: this.tokenLoc(nameToken),
+            base: null,
+            modifiers,
+            fields: [],
+            methods: []
+        };
+
+        if (this.match(':')) cls.base = this.parseQualifiedName();
+
+        const open = this.expect('{', "Expected '{' to open the class body");
+        while (!this.is('}')) {
+            if (this.current.type === 'eof') {
+                throw new ScriptError(`Class '${cls.name}' is never closed - add a matching '}'`, this.tokenLoc(open), 'syntax', 'CS1513');
+            }
+            this.parseMember(cls);
+        }
+        this.expect('}');
+        return this.finish(cls, start);
+    }
+
+    parseMember(cls) {
+        const start = this.startNode();
+        const modifiers = this.parseModifiers();
+
+        if (this.current.type === 'identifier' && this.current.value === cls.name && this.is('(', this.peek())) {
+            throw this.error('Constructors are not supported yet - initialize fields where they are declared');
+        }
+
+        const varType = this.parseType();
+        const nameToken = this.expectIdentifier('Expected a field or method name');
+
+        if (this.is('(')) {
+            cls.methods.push(this.parseMethod(start, modifiers, varType, nameToken));
+            return;
+        }
+
+        if (this.is('{')) {
+            throw this.error('Properties are not supported yet - use a field instead');
+        }
+
+        let declToken = nameToken;
+        while (true) {
+            const declStart = this.startNode(declToken);
+            const init = this.match('=') ? this.parseExpression() : null;
+            cls.fields.push(this.finish({
+                type: 'FieldDeclaration',
+                name: declToken.value,
+                varType,
+                init,
+                modifiers,
+                isStatic: modifiers.includes('static') || modifiers.includes('const')
+            }, declStart));
+            if (!this.match(',')) break;
+            declToken = this.expectIdentifier();
+        }
+        this.expect(';', "Expected ';' after field declaration");
+    }
+
+    parseMethod(start, modifiers, returnType, nameToken) {
+        this.expect('(');
+        const params = [];
+        if (!this.is(')')) {
+            do {
+                const paramStart = this.startNode();
+                const varType = this.parseType();
+                const name = this.expectIdentifier('Expected a parameter name').value;
+                params.push(this.finish({ type: 'Parameter', name, varType }, paramStart));
+            } while (this.match(','));
+        }
+        this.expect(')', "Expected ')' to close the parameter list");
+        const body = this.parseBlock();
+        return this.finish({
+            type: 'MethodDeclaration',
+            name: nameToken.value,
+            nameLoc: this.tokenLoc(nameToken),
+            returnType,
+            params,
+            body,
+            modifiers,
+            isStatic: modifiers.includes('static')
+        }, start);
+    }
+
+    parseType() {
+        const token = this.current;
+        if (token.type === 'keyword' && PRIMITIVE_TYPES.has(token.value)) {
+            this.next();
+            return { name: token.value, loc: this.tokenLoc(token) };
+        }
+        if (token.type === 'identifier') {
+            const start = this.startNode();
+            const name = this.parseQualifiedName();
+            return this.finish({ name }, start);
+        }
+        throw this.error('Expected a type', this.current, 'CS1031');
+    }
+
+    /**
+     * Looks ahead (without consuming) to see whether a statement starts
+     * with "Type name" - i.e. is a local variable declaration.
+     */
+    isDeclarationStart() {
+        const token = this.current;
+        if (token.type === 'keyword' && PRIMITIVE_TYPES.has(token.value) && token.value !== 'void') {
+            return !this.is('.', this.peek());
+        }
+        if (token.type !== 'identifier') return false;
+        let i = 1;
+        while (this.is('.', this.peek(i)) && this.peek(i + 1).type === 'identifier') i += 2;
+        return this.peek(i).type === 'identifier';
+    }
+
+    // ========== STATEMENTS ==========
+
+    parseBlock() {
+        const start = this.startNode();
+        const open = this.expect('{', "Expected '{'");
+        const body = [];
+        while (!this.is('}')) {
+            if (this.current.type === 'eof') {
+                throw new ScriptError("This '{' is never closed - add a matching '}'", this.tokenLoc(open), 'syntax', 'CS1513');
+            }
+            body.push(this.parseStatement());
+        }
+        this.expect('}');
+        return this.finish({ type: 'BlockStatement', body }, start);
+    }
+
+    parseStatement() {
+        const start = this.startNode();
+        const token = this.current;
+
+        if (this.is('{')) return this.parseBlock();
+        if (this.match(';')) return this.finish({ type: 'EmptyStatement' }, start);
+
+        if (token.type === 'keyword') {
+            switch (token.value) {
+                case 'if': return this.parseIf();
+                case 'while': return this.parseWhile();
+                case 'do': return this.parseDoWhile();
+                case 'for': return this.parseFor();
+                case 'break':
+                    this.next();
+                    this.expect(';', "Expected ';' after break");
+                    return this.finish({ type: 'BreakStatement' }, start);
+                case 'continue':
+                    this.next();
+                    this.expect(';', "Expected ';' after continue");
+                    return this.finish({ type: 'ContinueStatement' }, start);
+                case 'return': {
+                    this.next();
+                    const argument = this.is(';') ? null : this.parseExpression();
+                    this.expect(';', "Expected ';' after return");
+                    return this.finish({ type: 'ReturnStatement', argument }, start);
+                }
+                case 'const': {
+                    this.next();
+                    const decl = this.parseVariableDeclaration(start);
+                    decl.isConst = true;
+                    this.expect(';', "Expected ';' after variable declaration");
+                    return decl;
+                }
+            }
+        }
+
+        if (this.isDeclarationStart()) {
+            const decl = this.parseVariableDeclaration(start);
+            this.expect(';', "Expected ';' after variable declaration");
+            return decl;
+        }
+
+        const expression = this.parseExpression();
+        this.expect(';', "Expected ';' at the end of the statement");
+        return this.finish({ type: 'ExpressionStatement', expression }, start);
+    }
+
+    parseVariableDeclaration(start) {
+        const varType = this.parseType();
+        const declarations = [];
+        do {
+            const nameToken = this.expectIdentifier('Expected a variable name');
+            const declStart = this.startNode(nameToken);
+            const init = this.match('=') ? this.parseExpression() : null;
+            if (varType.name === 'var' && !init) {
+                throw this.error(`'var ${nameToken.value}' needs a starting value`, nameToken);
+            }
+            declarations.push(this.finish({ type: 'VariableDeclarator', name: nameToken.value, init }, declStart));
+        } while (this.match(','));
+        return this.finish({ type: 'VariableDeclaration', varType, declarations }, start);
+    }
+
+    parseCondition(keyword) {
+        this.expect('(', `Expected '(' after '${keyword}'`);
+        const test = this.parseExpression();
+        this.expect(')', `Expected ')' to close the ${keyword} condition`);
+        return test;
+    }
+
+    parseIf() {
+        const start = this.startNode();
+        this.expect('if');
+        const test = this.parseCondition('if');
+        const consequent = this.parseStatement();
+        const alternate = this.match('else') ? this.parseStatement() : null;
+        return this.finish({ type: 'IfStatement', test, consequent, alternate }, start);
+    }
+
+    parseWhile() {
+        const start = this.startNode();
+        this.expect('while');
+        const test = this.parseCondition('while');
+        const body = this.parseStatement();
+        return this.finish({ type: 'WhileStatement', test, body }, start);
+    }
+
+    parseDoWhile() {
+        const start = this.startNode();
+        this.expect('do');
+        const body = this.parseStatement();
+        this.expect('while', "Expected 'while' after the do block");
+        const test = this.parseCondition('while');
+        this.expect(';', "Expected ';' after do/while");
+        return this.finish({ type: 'DoWhileStatement', body, test }, start);
+    }
+
+    parseFor() {
+        const start = this.startNode();
+        this.expect('for');
+        this.expect('(', "Expected '(' after 'for'");
+
+        let init = null;
+        if (!this.is(';')) {
+            const initStart = this.startNode();
+            if (this.isDeclarationStart()) {
+                init = this.parseVariableDeclaration(initStart);
+            } else {
+                init = this.finish({ type: 'ExpressionStatement', expression: this.parseExpression() }, initStart);
+            }
+        }
+        this.expect(';', "Expected ';' after the for initializer");
+
+        const test = this.is(';') ? null : this.parseExpression();
+        this.expect(';', "Expected ';' after the for condition");
+
+        const update = [];
+        if (!this.is(')')) {
+            do update.push(this.parseExpression()); while (this.match(','));
+        }
+        this.expect(')', "Expected ')' to close the for header");
+
+        const body = this.parseStatement();
+        return this.finish({ type: 'ForStatement', init, test, update, body }, start);
+    }
+
+    // ========== EXPRESSIONS ==========
+
+    parseExpression() {
+        return this.parseAssignment();
+    }
+
+    parseAssignment() {
+        const start = this.startNode();
+        const target = this.parseConditional();
+        if (this.current.type === 'punct' && ASSIGNMENT_OPS.has(this.current.value)) {
+            const operator = this.next().value;
+            if (target.type !== 'Identifier' && target.type !== 'MemberExpression') {
+                throw new ScriptError('Left side of an assignment must be a variable', target.loc, 'syntax', 'CS0131');
+            }
+            const value = this.parseAssignment();
+            return this.finish({ type: 'AssignmentExpression', operator, target, value }, start);
+        }
+        return target;
+    }
+
+    parseConditional() {
+        const start = this.startNode();
+        const test = this.parseBinary(0);
+        if (this.match('?')) {
+            const consequent = this.parseAssignment();
+            this.expect(':', "Expected ':' in conditional expression");
+            const alternate = this.parseAssignment();
+            return this.finish({ type: 'ConditionalExpression', test, consequent, alternate }, start);
+        }
+        return test;
+    }
+
+    parseBinary(level) {
+        if (level >= BINARY_LEVELS.length) return this.parseUnary();
+        const start = this.startNode();
+        let left = this.parseBinary(level + 1);
+        const ops = BINARY_LEVELS[level];
+        while (this.current.type === 'punct' && ops.includes(this.current.value)) {
+            const operator = this.next().value;
+            const right = this.parseBinary(level + 1);
+            const type = operator === '&&' || operator === '||' ? 'LogicalExpression' : 'BinaryExpression';
+            left = this.finish({ type, operator, left, right }, start);
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const start = this.startNode();
+        if (this.is('!') || this.is('-') || this.is('+')) {
+            const operator = this.next().value;
+            const argument = this.parseUnary();
+            return this.finish({ type: 'UnaryExpression', operator, argument }, start);
+        }
+        if (this.is('++') || this.is('--')) {
+            const operator = this.next().value;
+            const argument = this.parseUnary();
+            this.checkUpdateTarget(argument);
+            return this.finish({ type: 'UpdateExpression', operator, prefix: true, argument }, start);
+        }
+        if (this.isCastStart()) {
+            this.expect('(');
+            const targetType = this.parseType();
+            this.expect(')');
+            const argument = this.parseUnary();
+            return this.finish({ type: 'CastExpression', targetType, argument }, start);
+        }
+        return this.parsePostfix();
+    }
+
+    isCastStart() {
+        const inner = this.peek();
+        return this.is('(') && inner.type === 'keyword' && PRIMITIVE_TYPES.has(inner.value) &&
+            inner.value !== 'void' && inner.value !== 'var' && this.is(')', this.peek(2));
+    }
+
+    checkUpdateTarget(node) {
+        if (node.type !== 'Identifier' && node.type !== 'MemberExpression') {
+            throw new ScriptError('++ and -- only work on variables', node.loc, 'syntax', 'CS1059');
+        }
+    }
+
+    parsePostfix() {
+        const start = this.startNode();
+        let expr = this.parsePrimary();
+        while (true) {
+            if (this.match('.')) {
+                const nameToken = this.expectIdentifier('Expected a member name after "."');
+                expr = this.finish({ type: 'MemberExpression', object: expr, property: nameToken.value }, start);
+            } else if (this.is('(')) {
+                this.next();
+                const args = [];
+                if (!this.is(')')) {
+                    do args.push(this.parseExpression()); while (this.match(','));
+                }
+                this.expect(')', "Expected ')' to close the argument list");
+                expr = this.finish({ type: 'CallExpression', callee: expr, args }, start);
+            } else if (this.is('++') || this.is('--')) {
+                this.checkUpdateTarget(expr);
+                const operator = this.next().value;
+                expr = this.finish({ type: 'UpdateExpression', operator, prefix: false, argument: expr }, start);
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const start = this.startNode();
+        const token = this.current;
+
+        switch (token.type) {
+            case 'number':
+                this.next();
+                return this.finish({ type: 'Literal', value: token.value, valueType: token.isFloat ? 'float' : 'int' }, start);
+            case 'string':
+                this.next();
+                return this.finish({ type: 'Literal', value: token.value, valueType: 'string' }, start);
+            case 'interpolated':
+                this.next();
+                return this.finish({ type: 'InterpolatedString', parts: token.value.map(p => this.parseInterpolationPart(p)) }, start);
+            case 'identifier':
+                this.next();
+                return this.finish({ type: 'Identifier', name: token.value }, start);
+            case 'keyword':
+                if (token.value === 'true' || token.value === 'false') {
+                    this.next();
+                    return this.finish({ type: 'Literal', value: token.value === 'true', valueType: 'bool' }, start);
+                }
+                if (token.value === 'null') {
+                    this.next();
+                    return this.finish({ type: 'Literal', value: null, valueType: 'null' }, start);
+                }
+                if (token.value === 'this') {
+                    this.next();
+                    return this.finish({ type: 'ThisExpression' }, start);
+                }
+                if (PRIMITIVE_TYPES.has(token.value) && this.is('.', this.peek())) {
+                    // int.MaxValue, string.Empty, ...
+                    this.next();
+                    return this.finish({ type: 'Identifier', name: token.value }, start);
+                }
+                break;
+            case 'punct':
+                if (token.value === '(') {
+                    this.next();
+                    const expr = this.parseExpression();
+                    this.expect(')', "Expected ')'");
+                    return expr;
+                }
+                break;
+        }
+
+        throw this.error('Expected an expression', this.current, 'CS1525');
+    }
+
+    parseInterpolationPart(part) {
+        if (part.text !== undefined) return part.text;
+        const sub = new Parser(this.source, this.lex(part.expr), { file: this.file });
+        const expr = sub.parseExpression();
+        if (sub.current.type !== 'eof') throw sub.error('Unexpected text inside {...}');
+        return expr;
+    }
+}
+
+/**
+ * Parse source into a Program AST
+ * @param {string} source - C# code
+ * @param {Object} [options] - { file } when the source is one file of a project
+ * @returns {Object} Program node
+ * @throws {ScriptError} on the first syntax error
+ */
+export function parse(source, options = {}) {
+    return new Parser(source, null, options).parseProgram();
+}
+
+/**
+ * Parse every file of a project into one Program. Like a C# project,
+ * all files share one namespace: a class declared in one file can be
+ * used from any other. Locs carry the file name they point into.
+ * @param {Array<{name: string, code: string}>} files - In project order
+ * @returns {Object} Program node, with `files` listing the file names
+ * @throws {ScriptError} on the first syntax error in any file
+ */
+export function parseProject(files) {
+    const program = { type: 'Program', usings: [], classes: [], statements: [], files: files.map(f => f.name), loc: null };
+    for (const file of files) {
+        const part = parse(file.code, { file: file.name });
+        program.usings.push(...part.usings);
+        program.classes.push(...part.classes);
+        program.statements.push(...part.statements);
+        program.loc = program.loc || part.loc;
+    }
+    return program;
+}
+
+export default Parser;
@@ -0,0 +1,24 @@
+/**
+ * ScriptError.js - Errors raised while compiling or running student C#
+ *
+ * Carries the source location of the offending token or AST node so
+ * the editor can point students at the exact line.
+ */
+
+export class ScriptError extends Error {
+    /**
+     * @param {string} message - Student-facing message
+     * @param {Object} [loc] - { line, column, start, end } of the offending code
+     * @param {string} [kind] - 'syntax' or 'runtime'
+     * @param {string} [code] - Diagnostic code, C# compiler codes where one exists (e.g. 'CS1002')
+     */
+    constructor(message, loc = null, kind = 'runtime', code = null) {
+        super(message);
+        this.name = 'ScriptError';
+        this.loc = loc;
+        this.kind = kind;
+        this.code = code || (kind === 'syntax' ? 'CS1003' : 'ORB0002');
+    }
+}
+
+export default ScriptError;
@@ -0,0 +1,606 @@
+/**
+ * TypeChecker.js - Static checks for the Orbrya C# subset
+ *
+ * Walks a parsed Program without running it and collects every problem
+ * it can find, instead of stopping at the first one like the parser and
+ * interpreter do. Codes follow the C# compiler where one exists, so a
+ * student who searches "CS0103" finds the real documentation.
+ *
+ * CHECKS:
+ * - CS0103 name does not exist        - CS0029 cannot convert type
+ * - CS0019 operator on wrong types    - CS0023 unary operator on wrong type
+ * - CS1501 wrong argument count       - CS1503 wrong argument type
+ * - CS0128 variable declared twice    - CS0139 break/continue outside a loop
+ * - CS0120 instance member from static code
+ * - CS0201 expression is not a statement
+ * - CS0246 unknown type or namespace  - CS0200 read-only engine value
+ * - CS0126/CS0127 return value does not match the method
+ * - CS0168/CS0219 local declared or assigned but never used (warning)
+ * - CS0101 class declared twice       - CS8802 top-level statements in two files
+ *
+ * Types the checker cannot work out are 'unknown' and never reported,
+ * so anything the checker doesn't model is left for the interpreter.
+ */
+
+import { PRIMITIVE_TYPES } from './Parser.js';
+
+const NUMERIC = ['int', 'float', 'double'];
+const COMPARISON_OPS = new Set(['<', '>', '<=', '>=']);
+const EQUALITY_OPS = new Set(['==', '!=']);
+const STATEMENT_EXPRESSIONS = new Set(['AssignmentExpression', 'CallExpression', 'UpdateExpression']);
+
+function isNumeric(type) {
+    return NUMERIC.includes(type);
+}
+
+/**
+ * Wider of two numeric types (int < float < double)
+ */
+function promote(left, right) {
+    return NUMERIC[Math.max(NUMERIC.indexOf(left), NUMERIC.indexOf(right))];
+}
+
+/**
+ * Lexical scope of locals; each binding remembers whether it was read
+ */
+class Scope {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.vars = new Map();
+    }
+
+    lookup(name) {
+        return this.vars.get(name) || this.parent?.lookup(name) || null;
+    }
+}
+
+export class TypeChecker {
+    /**
+     * @param {Object} program - Program node from parse()
+     * @param {Object} [options]
+     * @param {Object} options.builtins - Same table the Interpreter gets; entries
+     *        may declare `params: [{ name, type }]` to have arguments checked
+     * @param {string[]} options.types - Engine type names (e.g. 'GameObject')
+     * @param {string[]} [options.namespaces] - Allowed `using` namespaces; any if omitted
+     */
+    constructor(program, options = {}) {
+        this.program = program;
+        this.builtins = options.builtins || {};
+        this.engineTypes = new Set(options.types || []);
+        this.namespaces = options.namespaces ? new Set(options.namespaces) : null;
+        this.classes = new Map(program.classes.map(c => [c.name, c]));
+        this.diagnostics = [];
+        this.context = null; // { cls, method, isStatic, scope, loopDepth }
+    }
+
+    /**
+     * @returns {Array<{severity: string, code: string, message: string, loc: Object}>}
+     */
+    check() {
+        if (this.namespaces) {
+            for (const using of this.program.usings) {
+                if (!this.namespaces.has(using.name)) {
+                    this.error('CS0246', `The namespace '${using.name}' could not be found`, using.loc);
+                }
+            }
+        }
+
+        this.checkProject();
+        for (const cls of this.program.classes) this.checkClass(cls);
+
+        if (this.program.statements.length > 0) {
+            this.context = { cls: null, method: null, isStatic: true, scope: new Scope(), loopDepth: 0 };
+            this.checkStatements(this.program.statements);
+            this.reportUnused(this.context.scope);
+        }
+
+        return this.diagnostics;
+    }
+
+    report(severity, code, message, loc) {
+        this.diagnostics.push({ severity, code, message, loc });
+    }
+
+    error(code, message, loc) {
+        this.report('error', code, message, loc);
+        return 'unknown';
+    }
+
+    // ========== DECLARATIONS ==========
+
+    /**
+     * Problems that only come up once classes can live in several files
+     */
+    checkProject() {
+        const declared = new Set();
+        for (const cls of this.program.classes) {
+            if (declared.has(cls.name)) {
+                this.error('CS0101', `A class named '${cls.name}' is already declared - class names must be unique across the project`, cls.nameLoc);
+            }
+            declared.add(cls.name);
+        }
+
+        const entryFile = this.program.statements[0]?.loc.file;
+        const stray = this.program.statements.find(s => s.loc.file !== entryFile);
+        if (stray) {
+            this.error('CS8802', `Only one file can have top-level statements - ${entryFile} already does`, stray.loc);
+        }
+    }
+
+    checkClass(cls) {
+        if (cls.base && !this.isTypeName(cls.base)) {
+            this.error('CS0246', `The type '${cls.base}' could not be found`, cls.nameLoc);
+        }
+
+        for (const field of cls.fields) {
+            const type = this.checkTypeName(field.varType);
+            if (!field.init) continue;
+            this.context = { cls, method: null, isStatic: field.isStatic, scope: new Scope(), loopDepth: 0 };
+            this.expectAssignable(this.typeOf(field.init), type, field.init.loc);
+        }
+
+        for (const method of cls.methods) {
+            const scope = new Scope();
+            this.checkTypeName(method.returnType);
+            for (const param of method.params) {
+                scope.vars.set(param.name, { type: this.checkTypeName(param.varType), used: true });
+            }
+            this.context = { cls, method, isStatic: method.isStatic, scope, loopDepth: 0 };
+            this.checkStatement(method.body);
+        }
+    }
+
+    /**
+     * Resolve a declared type, reporting names that aren't types
+     */
+    checkTypeName(varType) {
+        const name = varType.name;
+        if (this.isTypeName(name)) return name;
+        return this.error('CS0246', `The type '${name}' could not be found`, varType.loc);
+    }
+
+    isTypeName(name) {
+        return PRIMITIVE_TYPES.has(name) || this.classes.has(name) || this.engineTypes.has(name);
+    }
+
+    // ========== STATEMENTS ==========
+
+    checkStatements(statements) {
+        for (const stmt of statements) this.checkStatement(stmt);
+    }
+
+    checkStatement(node) {
+        switch (node.type) {
+            case 'BlockStatement':
+                this.withScope(() => this.checkStatements(node.body));
+                break;
+
+            case 'EmptyStatement':
+                break;
+
+            case 'VariableDeclaration':
+                this.checkDeclaration(node);
+                break;
+
+            case 'ExpressionStatement':
+                if (!STATEMENT_EXPRESSIONS.has(node.expression.type)) {
+                    this.error('CS0201', 'Only assignments, calls and ++/-- can be used as a statement', node.expression.loc);
+                }
+                this.typeOf(node.expression);
+                break;
+
+            case 'IfStatement':
+                this.checkCondition(node.test);
+                this.withScope(() => this.checkStatement(node.consequent));
+                if (node.alternate) this.withScope(() => this.checkStatement(node.alternate));
+                break;
+
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                this.checkCondition(node.test);
+                this.inLoop(() => this.checkStatement(node.body));
+                break;
+
+            case 'ForStatement':
+                this.withScope(() => {
+                    if (node.init) this.checkStatement(node.init);
+                    if (node.test) this.checkCondition(node.test);
+                    node.update.forEach(expr => this.typeOf(expr));
+                    this.inLoop(() => this.checkStatement(node.body));
+                });
+                break;
+
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                if (this.context.loopDepth === 0) {
+                    const keyword = node.type === 'BreakStatement' ? 'break' : 'continue';
+                    this.error('CS0139', `'${keyword}' can only be used inside a loop`, node.loc);
+                }
+                break;
+
+            case 'ReturnStatement':
+                this.checkReturn(node);
+                break;
+        }
+    }
+
+    checkDeclaration(node) {
+        const declared = node.varType.name === 'var' ? null : this.checkTypeName(node.varType);
+        for (const decl of node.declarations) {
+            let type = declared;
+            if (decl.init) {
+                const initType = this.typeOf(decl.init);
+                if (declared) this.expectAssignable(initType, declared, decl.init.loc);
+                else type = initType === 'null' || initType === 'void' ? 'unknown' : initType;
+            }
+            if (this.context.scope.lookup(decl.name)) {
+                this.error('CS0128', `A variable named '${decl.name}' is already declared here`, decl.loc);
+                continue;
+            }
+            this.context.scope.vars.set(decl.name, {
+                type, used: false, assigned: Boolean(decl.init), isConst: Boolean(node.isConst), loc: decl.loc
+            });
+        }
+    }
+
+    checkCondition(node) {
+        const type = this.typeOf(node);
+        if (type !== 'bool' && type !== 'unknown') {
+            this.error('CS0029', `Cannot implicitly convert type '${type}' to 'bool' - a condition must be true or false`, node.loc);
+        }
+    }
+
+    checkReturn(node) {
+        const method = this.context.method;
+        if (!method) {
+            if (node.argument) this.typeOf(node.argument);
+            return;
+        }
+        const returnType = method.returnType.name;
+        if (returnType === 'void') {
+            if (node.argument) {
+                this.typeOf(node.argument);
+                this.error('CS0127', `${method.name}() returns void, so 'return' can't give back a value`, node.argument.loc);
+            }
+        } else if (!node.argument) {
+            this.error('CS0126', `${method.name}() must return a value of type '${returnType}'`, node.loc);
+        } else {
+            this.expectAssignable(this.typeOf(node.argument), returnType, node.argument.loc);
+        }
+    }
+
+    withScope(fn) {
+        const saved = this.context.scope;
+        this.context.scope = new Scope(saved);
+        try {
+            fn();
+        } finally {
+            this.reportUnused(this.context.scope);
+            this.context.scope = saved;
+        }
+    }
+
+    inLoop(fn) {
+        this.context.loopDepth++;
+        try {
+            this.withScope(fn);
+        } finally {
+            this.context.loopDepth--;
+        }
+    }
+
+    reportUnused(scope) {
+        for (const [name, binding] of scope.vars) {
+            if (binding.used || !binding.loc) continue;
+            if (binding.assigned) {
+                this.report('warning', 'CS0219', `The variable '${name}' is assigned but its value is never used`, binding.loc);
+            } else {
+                this.report('warning', 'CS0168', `The variable '${name}' is declared but never used`, binding.loc);
+            }
+        }
+    }
+
+    // ========== EXPRESSIONS ==========
+
+    /**
+     * Static type of an expression, reporting problems along the way
+     */
+    typeOf(node) {
+        switch (node.type) {
+            case 'Literal':
+                return node.valueType;
+
+            case 'InterpolatedString':
+                node.parts.forEach(part => { if (typeof part !== 'string') this.typeOf(part); });
+                return 'string';
+
+            case 'Identifier':
+                return this.resolveName(node, true);
+
+            case 'ThisExpression':
+                if (this.context.isStatic) return this.error('CS0026', "'this' is not available in static code", node.loc);
+                return this.context.cls.name;
+
+            case 'MemberExpression':
+                return this.memberType(node);
+
+            case 'CallExpression':
+                return this.callType(node);
+
+            case 'UnaryExpression': {
+                const type = this.typeOf(node.argument);
+                if (type === 'unknown') return type;
+                const ok = node.operator === '!' ? type === 'bool' : isNumeric(type);
+                if (!ok) return this.error('CS0023', `Operator '${node.operator}' cannot be applied to a '${type}'`, node.loc);
+                return type;
+            }
+
+            case 'UpdateExpression': {
+                const type = this.targetType(node.argument, true);
+                if (type !== 'unknown' && !isNumeric(type)) {
+                    return this.error('CS0023', `Operator '${node.operator}' cannot be applied to a '${type}'`, node.loc);
+                }
+                return type;
+            }
+
+            case 'BinaryExpression':
+                return this.binaryType(node, node.operator, this.typeOf(node.left), this.typeOf(node.right));
+
+            case 'LogicalExpression': {
+                const left = this.typeOf(node.left);
+                const right = this.typeOf(node.right);
+                if ((left !== 'bool' && left !== 'unknown') || (right !== 'bool' && right !== 'unknown')) {
+                    this.error('CS0019', `Operator '${node.operator}' needs true/false on both sides, not '${left}' and '${right}'`, node.loc);
+                }
+                return 'bool';
+            }
+
+            case 'ConditionalExpression': {
+                this.checkCondition(node.test);
+                const a = this.typeOf(node.consequent);
+                const b = this.typeOf(node.alternate);
+                if (a === 'unknown' || b === 'unknown') return 'unknown';
+                if (this.isAssignable(b, a)) return a;
+                if (this.isAssignable(a, b)) return b;
+                return this.error('CS0173', `Both results of ?: must have the same type, not '${a}' and '${b}'`, node.loc);
+            }
+
+            case 'AssignmentExpression': {
+                const target = this.targetType(node.target, node.operator !== '=');
+                let value = this.typeOf(node.value);
+                if (node.operator !== '=') value = this.binaryType(node, node.operator[0], target, value);
+                this.expectAssignable(value, target, node.value.loc);
+                return target;
+            }
+
+            case 'CastExpression': {
+                const from = this.typeOf(node.argument);
+                const to = node.targetType.name;
+                // Casting to string is an Orbrya convenience; everything else follows C#
+                if (from === 'unknown' || from === to || to === 'string' || (isNumeric(from) && isNumeric(to))) return to;
+                return this.error('CS0030', `Cannot convert type '${from}' to '${to}'`, node.loc);
+            }
+
+            default:
+                return 'unknown';
+        }
+    }
+
+    binaryType(node, op, left, right) {
+        if (left === 'unknown' || right === 'unknown') {
+            return COMPARISON_OPS.has(op) || EQUALITY_OPS.has(op) ? 'bool' : 'unknown';
+        }
+        if (op === '+' && (left === 'string' || right === 'string')) return 'string';
+        if (EQUALITY_OPS.has(op)) {
+            if (this.isAssignable(left, right) || this.isAssignable(right, left)) return 'bool';
+        } else if (isNumeric(left) && isNumeric(right)) {
+            return COMPARISON_OPS.has(op) ? 'bool' : promote(left, right);
+        }
+        return this.error('CS0019', `Operator '${op}' cannot be applied to '${left}' and '${right}'`, node.loc);
+    }
+
+    /**
+     * A local, field, static field or engine value by plain name
+     */
+    resolveName(node, isRead) {
+        const name = node.name;
+        const local = this.context.scope.lookup(name);
+        if (local) {
+            if (isRead) local.used = true;
+            else local.assigned = true;
+            return local.type;
+        }
+
+        const field = this.context.cls?.fields.find(f => f.name === name);
+        if (field) {
+            if (!field.isStatic && this.context.isStatic) {
+                return this.error('CS0120', `'${name}' belongs to an object, so static code can't use it`, node.loc);
+            }
+            return field.varType.name;
+        }
+
+        const builtin = this.builtins[name];
+        if (builtin?.get) return builtin.type || 'unknown';
+
+        return this.error('CS0103', `The name '${name}' does not exist in the current context`, node.loc);
+    }
+
+    /**
+     * Type of something being assigned to; engine values are read-only.
+     * `isRead` is set for ++, -- and +=, which use the old value too.
+     */
+    targetType(node, isRead) {
+        if (node.type === 'Identifier') {
+            const local = this.context.scope.lookup(node.name);
+            if (local?.isConst) return this.error('CS0131', `'${node.name}' is a constant and can't be changed`, node.loc);
+            if (!local && !this.context.cls?.fields.some(f => f.name === node.name) && this.builtins[node.name]?.get) {
+                return this.error('CS0200', `'${node.name}' is read-only`, node.loc);
+            }
+            return this.resolveName(node, isRead);
+        }
+        const qualified = this.engineName(node);
+        if (qualified && this.builtins[qualified]?.get) return this.error('CS0200', `'${qualified}' is read-only`, node.loc);
+        return this.typeOf(node);
+    }
+
+    /**
+     * "Debug.Log" for a member chain rooted at a name that is not a
+     * variable or class - i.e. something the engine has to provide
+     */
+    engineName(node) {
+        const parts = [];
+        let current = node;
+        while (current.type === 'MemberExpression') {
+            parts.unshift(current.property);
+            current = current.object;
+        }
+        if (current.type !== 'Identifier') return null;
+        const root = current.name;
+        if (this.context.scope.lookup(root) || this.classes.has(root) ||
+            this.context.cls?.fields.some(f => f.name === root)) return null;
+        return [root, ...parts].join('.');
+    }
+
+    memberType(node) {
+        const qualified = this.engineName(node);
+        if (qualified) {
+            const builtin = this.builtins[qualified];
+            if (builtin?.instance) return this.needsObject(qualified, node.loc);
+            if (builtin?.get) return builtin.type || 'unknown';
+            return this.error('CS0103', `The name '${qualified}' does not exist in the current context`, node.loc);
+        }
+
+        const owner = this.ownerType(node.object);
+        if (owner === 'unknown') return 'unknown';
+        if (owner.cls) {
+            const field = owner.cls.fields.find(f => f.name === node.property);
+            if (!field) return this.error('CS0117', `'${owner.cls.name}' has no field '${node.property}'`, node.loc);
+            if (owner.isStatic && !field.isStatic) {
+                return this.error('CS0120', `'${node.property}' belongs to an object, so '${owner.cls.name}.${node.property}' needs one`, node.loc);
+            }
+            return field.varType.name;
+        }
+        if (owner.type === 'string' && node.property === 'Length') return 'int';
+        const member = this.engineMember(owner.type, node.property);
+        if (member?.get) return member.type || 'unknown';
+        return this.error('CS1061', `'${owner.type}' has no member '${node.property}'`, node.loc);
+    }
+
+    /**
+     * What the left of a "." refers to: a class (static access), an
+     * object of a user class, or a value of some other type
+     */
+    ownerType(node) {
+        if (node.type === 'Identifier' && this.classes.has(node.name) &&
+            !this.context.scope.lookup(node.name) && !this.context.cls?.fields.some(f => f.name === node.name)) {
+            return { cls: this.classes.get(node.name), isStatic: true };
+        }
+        const type = this.typeOf(node);
+        if (type === 'unknown') return type;
+        if (this.classes.has(type)) return { cls: this.classes.get(type), isStatic: false };
+        return { type };
+    }
+
+    callType(node) {
+        const callee = node.callee;
+        const argTypes = node.args.map(arg => this.typeOf(arg));
+
+        if (callee.type === 'Identifier') {
+            const method = this.context.cls?.methods.find(m => m.name === callee.name);
+            if (method) {
+                if (!method.isStatic && this.context.isStatic) {
+                    this.error('CS0120', `${callee.name}() belongs to an object, so static code can't call it`, callee.loc);
+                }
+                return this.checkArguments(node, callee.name, method.params.map(p => p.varType.name), argTypes, method.returnType.name);
+            }
+            return this.builtinCall(node, callee.name, argTypes);
+        }
+
+        if (callee.type !== 'MemberExpression') return 'unknown';
+
+        const qualified = this.engineName(callee);
+        if (qualified) return this.builtinCall(node, qualified, argTypes);
+
+        const owner = this.ownerType(callee.object);
+        if (owner === 'unknown') return 'unknown';
+        if (owner.cls) {
+            const method = owner.cls.methods.find(m => m.name === callee.property);
+            if (!method) return this.error('CS0117', `'${owner.cls.name}' has no method '${callee.property}'`, callee.loc);
+            if (owner.isStatic && !method.isStatic) {
+                this.error('CS0120', `${callee.property}() belongs to an object, so '${owner.cls.name}.${callee.property}()' needs one`, callee.loc);
+            }
+            return this.checkArguments(node, callee.property, method.params.map(p => p.varType.name), argTypes, method.returnType.name);
+        }
+        const member = this.engineMember(owner.type, callee.property);
+        if (member?.call) {
+            const params = (member.params || []).map(p => p.type);
+            return member.params ? this.checkArguments(node, callee.property, params, argTypes, member.returns) : member.returns || 'unknown';
+        }
+        if (callee.property === 'ToString') return this.checkArguments(node, 'ToString', [], argTypes, 'string');
+        return this.error('CS1061', `'${owner.type}' has no method '${callee.property}'`, callee.loc);
+    }
+
+    builtinCall(node, name, argTypes) {
+        const builtin = this.builtins[name];
+        if (!builtin?.call) return this.error('CS0103', `The name '${name}' does not exist in the current context`, node.callee.loc);
+        if (builtin.instance) return this.needsObject(name, node.callee.loc);
+        if (!builtin.params) return builtin.returns || 'unknown';
+        return this.checkArguments(node, name, builtin.params.map(p => p.type), argTypes, builtin.returns || 'unknown');
+    }
+
+    /**
+     * Builtin entry for a member of an engine type, e.g. 'GameObject.SetPosition'
+     */
+    engineMember(type, property) {
+        const member = this.builtins[`${type}.${property}`];
+        return member?.instance ? member : null;
+    }
+
+    needsObject(name, loc) {
+        const [type, member] = name.split('.');
+        return this.error('CS0120', `'${member}' belongs to a ${type} - use it on one, like obj.${member}`, loc);
+    }
+
+    checkArguments(node, name, paramTypes, argTypes, returns) {
+        if (paramTypes.length !== argTypes.length) {
+            this.error('CS1501', `${name}() takes ${paramTypes.length} argument(s), not ${argTypes.length}`, node.loc);
+            return returns;
+        }
+        argTypes.forEach((type, i) => {
+            if (!this.isAssignable(type, paramTypes[i])) {
+                this.error('CS1503', `Argument ${i + 1} of ${name}(): cannot convert from '${type}' to '${paramTypes[i]}'`, node.args[i].loc);
+            }
+        });
+        return returns;
+    }
+
+    // ========== CONVERSIONS ==========
+
+    /**
+     * C# implicit conversions: numeric widening, null to reference types,
+     * anything to object
+     */
+    isAssignable(from, to) {
+        if (from === to || from === 'unknown' || to === 'unknown' || to === 'object') return true;
+        if (isNumeric(from) && isNumeric(to)) return NUMERIC.indexOf(from) <= NUMERIC.indexOf(to);
+        if (from === 'null') return to === 'string' || this.classes.has(to) || this.engineTypes.has(to);
+        return false;
+    }
+
+    expectAssignable(from, to, loc) {
+        if (this.isAssignable(from, to)) return;
+        const hint = isNumeric(from) && isNumeric(to) ? ` - add a cast like (${to}) if you meant to` : '';
+        this.error('CS0029', `Cannot implicitly convert type '${from}' to '${to}'${hint}`, loc);
+    }
+}
+
+/**
+ * @param {Object} program - Program node from parse()
+ * @param {Object} [options] - See TypeChecker
+ * @returns {Array<Object>} Diagnostics in source order
+ */
+export function typeCheck(program, options) {
+    return new TypeChecker(program, options).check().sort((a, b) => a.loc.start - b.loc.start);
+}
+
+export default TypeChecker;
@@ -0,0 +1,25 @@
+/**
+ * Orbrya C# subset - Index
+ *
+ * Tokenizer, parser, type checker, interpreter and debugger for the small slice of C# that
+ * student scripts are written in.
+ *
+ * USAGE:
+ * ```javascript
+ * import { parse, typeCheck, Interpreter } from './csharp/index.js';
+ *
+ * const program = parse(code);
+ * const problems = typeCheck(program, { builtins });
+ * const run = new Interpreter(program, { builtins }).execute(100000);
+ * ```
+ */
+
+export { Lexer, tokenize, KEYWORDS } from './Lexer.js';
+export { Parser, parse, parseProject, PRIMITIVE_TYPES } from './Parser.js';
+export { Interpreter, formatValue } from './Interpreter.js';
+export { Debugger, describeValue } from './Debugger.js';
+export { TypeChecker, typeCheck } from './TypeChecker.js';
+export { ScriptError } from './ScriptError.js';
+export { walk, collectReads, collectWrites, variableName } from './AstWalker.js';
+export { diagnoseLoop } from './LoopDiagnosis.js';
+export { createDiagnostic, fromScriptError, formatDiagnostic, sourceOf } from './Diagnostics.js';
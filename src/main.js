@@ -14,6 +14,7 @@ import { PanelManager } from './ui/PanelManager.js';
 import { VisualProfiler } from './ui/VisualProfiler.js';
 import { CodeEditor } from './ui/CodeEditor.js';
 import { Hierarchy } from './ui/Hierarchy.js';
+import { Inspector } from './ui/Inspector.js';
 import { ProfilingTestSuite } from './utils/ProfilingTestSuite.js';
 import { ScenarioManager } from './scenarios/ScenarioManager.js';
 import { ScenarioTestRunner } from './utils/ScenarioTestRunner.js';
@@ -26,6 +27,7 @@ class OrbryaEngine {
         this.profiler = null;
         this.codeEditor = null;
         this.hierarchy = null;
+        this.inspector = null;
         this.scenarioManager = null;
         this.scenarioTestRunner = null;
         this.liteMode = false;
@@ -58,12 +60,14 @@ class OrbryaEngine {
         // Create visual profiler with new API
         this.profiler = new VisualProfiler();
         this.profiler.setRenderer(this.sceneController.getRenderer());
+        this.profiler.setResourceTracker(this.sceneController.resources);
         this.profiler.init(this.panelManager);
         
         // Connect profiler to scene controller's render loop
-        this.sceneController.onFrameUpdate = () => {
-            this.profiler.update();
-        };
+        this.sceneController.on('frame', () => this.profiler.update());
+        
+        // The quality governor samples less often when frames run long
+        this.sceneController.on('qualityChanged', ({ profilerMs }) => this.profiler.setUpdateRate(profilerMs));
         
         this.updateLoadingStatus('Loading code editor...');
         
@@ -72,14 +76,27 @@ class OrbryaEngine {
         this.codeEditor.init();
         this.codeEditor.createPanel();
         
+        // Quality changes go where teachers look, not only to devtools
+        this.sceneController.governor.onLog = (message) => this.codeEditor.log('info', `⚙️ Quality: ${message}`);
+        
         this.updateLoadingStatus('Building hierarchy...');
         
         // Create hierarchy panel
         this.hierarchy = new Hierarchy(this.panelManager, this.sceneController);
         this.hierarchy.createPanel();
         
+        // Inspector for the selection
+        this.inspector = new Inspector(this.panelManager, this.sceneController);
+        this.inspector.createPanel();
+        
+        // Viewport clicks select in the Hierarchy (its clicks select in the viewport)
+        this.sceneController.selection.onSelect = (selection) => {
+            this.hierarchy.showSelection(selection);
+            this.inspector.show(selection);
+        };
+        
         // Apply default layout (force reset if layout version changed)
-        const LAYOUT_VERSION = 2; // Increment this to force layout reset
+        const LAYOUT_VERSION = 3; // Increment this to force layout reset
         const savedLayoutVersion = localStorage.getItem('orbrya-layout-version');
         const hasSavedLayout = localStorage.getItem('orbrya-panel-states') || localStorage.getItem('orbrya_panels');
         
@@ -172,6 +189,31 @@ class OrbryaEngine {
             
             if (isEditing) return;
             
+            // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) - Undo/redo Inspector edits
+            if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y' || e.key === 'Y')) {
+                e.preventDefault();
+                const redo = e.key === 'y' || e.key === 'Y' || e.shiftKey;
+                if (redo) this.inspector?.redo();
+                else this.inspector?.undo();
+                return;
+            }
+            
+            // C, Q/E, +/-, arrows - viewport camera (see CameraController)
+            if (this.sceneController.cameraController.handleKey(e)) {
+                if (e.key.startsWith('Arrow')) e.preventDefault();
+                return;
+            }
+            
+            // F - Frame the selection (viewport or Hierarchy)
+            if (e.key === 'f' || e.key === 'F') {
+                this.sceneController.focusSelection();
+            }
+            
+            // Escape - Clear the selection
+            if (e.key === 'Escape') {
+                this.sceneController.selection.clear();
+            }
+            
             // T - Cycle tree count
             if (e.key === 't' || e.key === 'T') {
                 const levels = [25, 50, 100, 175, 300];
@@ -230,7 +272,7 @@ class OrbryaEngine {
     toggleLiteMode() {
         this.liteMode = !this.liteMode;
         
-        const panels = ['profiler-panel', 'code-editor-panel', 'hierarchy-panel'];
+        const panels = ['profiler-panel', 'code-editor-panel', 'hierarchy-panel', 'inspector-panel'];
         panels.forEach(id => {
             const panel = document.getElementById(id);
             if (panel) {
@@ -283,6 +325,8 @@ class OrbryaEngine {
         return {
             fps: this.sceneController.currentFps,
             treeCount: this.sceneController.currentTreeCount,
+            prefabs: this.sceneController.getPrefabCounts(),
+            resources: this.sceneController.resources.getStats(),
             drawCalls: this.sceneController.getRenderer().info.render.calls,
             triangles: this.sceneController.getRenderer().info.render.triangles
         };
@@ -23,6 +23,8 @@
 
 import { Scenario } from './Scenario.js';
 import { ScenarioLoader } from './ScenarioLoader.js';
+import { formatDiagnostic } from '../engine/csharp/index.js';
+import { ScriptProject } from '../engine/ScriptProject.js';
 
 export class InfiniteForest extends Scenario {
     constructor(sceneController, codeEditor, profiler) {
@@ -152,6 +154,9 @@ export class InfiniteForest extends Scenario {
                            this.config?.validation?.initialTreeCount || 
                            this._defaults.initialTreeCount;
         
+        // Same forest every attempt (unless ?seed= picks another)
+        this.sceneController.applyScenarioSeed(this.config?.scene?.seed ?? null);
+        
         // Clear existing trees first
         this.sceneController.spawnTrees(0);
         
@@ -299,8 +304,8 @@ export class InfiniteForest extends Scenario {
         // Track this edit
         this.onStudentEdit(code);
         
-        // Parse student's code
-        const result = this._parseStudentCode(code);
+        // Grade what the student's code does
+        const result = await this._gradeStudentCode(code);
         
         if (!result.valid) {
             this._showError(result.feedback);
@@ -337,17 +342,34 @@ export class InfiniteForest extends Scenario {
     // ═══════════════════════════════════════════════════════════════
 
     /**
-     * Parse the student's code to extract their solution
+     * Grade the student's code: run it headlessly against the definition's
+     * expectations, falling back to pattern matching without a config
      */
-    _parseStudentCode(code) {
+    async _gradeStudentCode(code) {
         // Use the loader if config is available
+        // Cheapest first: code that doesn't compile, or fails the visible
+        // run, never gets to the hidden test cases (each one a worker run)
         if (this.config && this.loader) {
-            return this.loader.validateSolution(this.config, code);
+            const analysis = this._analyzeCode(code);
+            const compileError = analysis?.diagnostics.find(d => d.severity === 'error');
+            if (compileError) {
+                return { valid: false, feedback: formatDiagnostic(compileError), extractedValue: null, line: compileError.line };
+            }
+
+            const run = await this._runHeadless(code);
+            const grade = this.loader.validateSolution(this.config, code, { findings: analysis?.findings ?? null, run });
+            if (!grade.valid) return grade;
+
+            const tests = await this._runTestCases(code);
+            const result = this.loader.gradeTests(this.config, grade, tests);
+            this._reportTests(result.tests);
+            return result;
         }
         
         // Fallback to pattern matching
+        const source = ScriptProject.textOf(code);
         for (const pattern of this.solutionPatterns) {
-            const match = code.match(pattern.regex);
+            const match = source.match(pattern.regex);
             if (match) {
                 const value = match[1] ? parseInt(match[1], 10) : null;
                 return {
@@ -601,6 +623,60 @@ export class InfiniteForest extends Scenario {
         }
     }
 
+    /**
+     * Run the static analyzer over the student's code: reveals hints tied
+     * to a rule the code breaks and marks the analysis checkpoints it passes
+     * @returns {{findings: Array<Object>, diagnostics: Array<Object>}|null} Analyzer findings and compile
+     *   diagnostics, or null without an editor to analyze with
+     */
+    _analyzeCode(code) {
+        const executor = this.codeEditor?.executor;
+        if (!executor) return null;
+
+        const { findings, diagnostics } = executor.analyze(code);
+        const found = new Set(findings.map(f => f.code));
+        this.loader.getRuleHints(this.config)
+            .filter(hint => found.has(hint.rule))
+            .forEach(hint => this._revealHint(hint.level));
+
+        for (const { checkpoint, passed } of this.loader.checkAnalysis(this.config, findings)) {
+            if (passed) this._markCheckpoint(checkpoint.id);
+        }
+        return { findings, diagnostics };
+    }
+
+    /**
+     * Run the code in the worker without touching the scene, so the
+     * expectations can check what it actually does
+     * @returns {Promise<Object|null>} RunResult, or null if there's nothing to check
+     */
+    async _runHeadless(code) {
+        const executor = this.codeEditor?.executor;
+        if (!executor || this.loader.getExpectations(this.config).length === 0) return null;
+        return executor.validate(code);
+    }
+
+    /**
+     * Run the definition's hidden test cases headlessly
+     * @returns {Promise<Array<Object>|null>} One RunResult per case, or null if there are none
+     */
+    async _runTestCases(code) {
+        const executor = this.codeEditor?.executor;
+        const testCases = this.loader.getTestCases(this.config);
+        if (!executor || testCases.length === 0) return null;
+        return executor.runTests(code, testCases);
+    }
+
+    /**
+     * Pass/fail per test case in the console - never the inputs
+     */
+    _reportTests(tests) {
+        if (!tests || !this.codeEditor) return;
+        tests.forEach(test => {
+            this.codeEditor.log(test.passed ? 'success' : 'warning', `🧪 ${test.passed ? '✅' : '❌'} ${test.label}`);
+        });
+    }
+
     // ═══════════════════════════════════════════════════════════════
     // CHECKPOINT TRACKING
     // ═══════════════════════════════════════════════════════════════
@@ -627,7 +703,7 @@ export class InfiniteForest extends Scenario {
             scenarioId: this.id,
             checkpoints: this.session.checkpoints,
             progress: Object.keys(this.session.checkpoints).length,
-            total: 6 // Total checkpoints in this scenario
+            total: this.config?.validation?.checkpoints?.length ?? 6
         };
     }
 
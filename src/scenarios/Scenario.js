@@ -16,6 +16,8 @@
  * IMPORTANT: All scenarios must be N4000-safe (no heavy operations)
  */
 
+import { ScriptProject } from '../engine/ScriptProject.js';
+
 export class Scenario {
     constructor(sceneController, codeEditor, profiler) {
         this.sceneController = sceneController;
@@ -135,13 +137,14 @@ export class Scenario {
         };
         
         // Check against solution patterns
+        const source = ScriptProject.textOf(code);
         for (const pattern of this.solutionPatterns) {
-            if (pattern.regex.test(code)) {
+            if (pattern.regex.test(source)) {
                 result.valid = true;
                 result.feedback = pattern.feedback || 'Looks good!';
                 
                 // Extract the numeric limit if present
-                const match = code.match(pattern.extractRegex || pattern.regex);
+                const match = source.match(pattern.extractRegex || pattern.regex);
                 if (match && match[1]) {
                     result.extractedLimit = parseInt(match[1], 10);
                 }
@@ -13,7 +13,57 @@
  * 
  * DEFINITIONS LOCATION:
  * /src/scenarios/definitions/*.json
+ * 
+ * STATIC ANALYSIS RULES:
+ * Definitions can name ScriptAnalyzer rule ids (ORB1001, ...):
+ * - hints:       { "trigger": "rule", "rule": "ORB1001", "text": ... }
+ *                shown when the student's code has that finding
+ * - checkpoints: { "type": "analysis", "rule": "ORB1001", "feedback": ... }
+ *                passed once the code no longer has it; a required one
+ *                fails validateSolution() while the finding is there
+ *
+ * BEHAVIOR EXPECTATIONS:
+ * validation.expectations grade what the student's program DOES, from a
+ * headless run (CodeExecutor.validate() - nothing touches the scene):
+ *   { "id": "tree_count", "metric": "treesSpawned", "min": 10, "max": 175,
+ *     "feedback": "You spawned {actual} trees - aim for {min}-{max}" }
+ * Each one names a BEHAVIOR_METRICS entry and any of equals / min / max /
+ * contains. When a definition has expectations they decide the grade and
+ * code.acceptablePatterns only pick the success message.
+ *
+ * SCENE LAYOUT:
+ * scene.seed fixes where the trees go, so every attempt (and every
+ * screenshot or test) sees the same forest:
+ *   "scene": { "seed": 2024 }
+ * ?seed= in the page URL overrides it (see SceneController.applyScenarioSeed).
+ *
+ * HIDDEN TEST CASES:
+ * validation.testCases run the code again with other inputs - starting
+ * field values and scene values - and the same expectation format:
+ *   { "id": "small_forest", "fields": { "maxTrees": 12 }, "env": { "fps": 20 },
+ *     "expect": [{ "metric": "treesSpawned", "equals": 12 }],
+ *     "feedback": "Does your loop use maxTrees, or a number you typed in?" }
+ * Students only see the `description` (if any) and pass/fail, so a fix
+ * that hardcodes the answer to the visible run gets caught.
+ */
+
+import { ANALYZER_RULES } from '../engine/ScriptAnalyzer.js';
+import { ScriptProject } from '../engine/ScriptProject.js';
+
+/**
+ * What a headless run did, read off its RunResult (see ScriptRuntime)
  */
+export const BEHAVIOR_METRICS = {
+    completed: run => run.completed,          // Ended on its own - no error, no runaway loop
+    treesSpawned: run => run.spawned,
+    objectsSpawned: run => run.objectsSpawned,
+    objectsAlive: run => run.objectsAlive,    // Spawned and never destroyed
+    agentsSpawned: run => run.agentsSpawned,
+    agentsAlive: run => run.agentsAlive,
+    steps: run => run.steps,
+    errors: run => run.diagnostics.filter(d => d.severity === 'error').length,
+    logs: run => run.logs.map(line => line.message)
+};
 
 export class ScenarioLoader {
     constructor() {
@@ -78,6 +128,25 @@ export class ScenarioLoader {
             throw new Error('Code must have a template');
         }
 
+        const seed = def.scene?.seed;
+        if (seed !== undefined && typeof seed !== 'number' && typeof seed !== 'string') {
+            throw new Error('scene.seed must be a number or a string');
+        }
+
+        const rules = [...this.getRuleHints(def), ...this.getAnalysisCheckpoints(def)].map(item => item.rule);
+        for (const rule of rules) {
+            if (!ANALYZER_RULES[rule]) {
+                throw new Error(`Unknown analyzer rule: ${rule}`);
+            }
+        }
+
+        const testExpectations = this.getTestCases(def).flatMap(testCase => testCase.expect || []);
+        for (const expectation of [...this.getExpectations(def), ...testExpectations]) {
+            if (!BEHAVIOR_METRICS[expectation.metric]) {
+                throw new Error(`Unknown expectation metric: ${expectation.metric}`);
+            }
+        }
+
         return true;
     }
 
@@ -89,6 +158,77 @@ export class ScenarioLoader {
         return [...definition.hints].sort((a, b) => a.level - b.level);
     }
 
+    /**
+     * Hints revealed by a static analysis finding rather than a timer
+     */
+    getRuleHints(definition) {
+        return this.getHints(definition).filter(h => h.trigger === 'rule');
+    }
+
+    /**
+     * Checkpoints graded by static analysis
+     */
+    getAnalysisCheckpoints(definition) {
+        return (definition.validation?.checkpoints || []).filter(c => c.type === 'analysis');
+    }
+
+    /**
+     * Grade the analysis checkpoints against the student's findings
+     * @param {Object} definition - Scenario definition
+     * @param {Array<Object>} findings - From CodeExecutor.analyze()
+     * @returns {Array<{checkpoint: Object, passed: boolean, findings: Array<Object>}>}
+     */
+    checkAnalysis(definition, findings) {
+        return this.getAnalysisCheckpoints(definition).map(checkpoint => {
+            const hits = findings.filter(f => f.code === checkpoint.rule);
+            return { checkpoint, passed: hits.length === 0, findings: hits };
+        });
+    }
+
+    /**
+     * Behavior the student's program must show when it runs
+     */
+    getExpectations(definition) {
+        return definition.validation?.expectations || [];
+    }
+
+    /**
+     * Grade the expectations against a headless run
+     * @param {Object} definition - Scenario definition
+     * @param {Object} run - RunResult from CodeExecutor.validate()
+     * @returns {Array<{expectation: Object, passed: boolean, actual: *}>}
+     */
+    checkBehavior(definition, run) {
+        return checkExpectations(this.getExpectations(definition), run);
+    }
+
+    /**
+     * Hidden test cases - each is run separately (CodeExecutor.runTests())
+     */
+    getTestCases(definition) {
+        return definition.validation?.testCases || [];
+    }
+
+    /**
+     * Grade every test case against its run
+     * @param {Object} definition - Scenario definition
+     * @param {Array<Object>} runs - RunResults from CodeExecutor.runTests(), one per case
+     * @returns {Array<{testCase: Object, label: string, passed: boolean, results: Array<Object>, feedback: string|null}>}
+     */
+    checkTestCases(definition, runs) {
+        return this.getTestCases(definition).map((testCase, i) => {
+            const label = testCase.description || `Hidden test ${i + 1}`;
+            const run = runs[i];
+            if (!run?.valid) {
+                return { testCase, label, passed: false, results: [], feedback: run?.errors[0] || 'The code did not run' };
+            }
+            const results = checkExpectations(testCase.expect || [], run);
+            const failed = results.find(result => !result.passed);
+            const feedback = failed ? (testCase.feedback || describeFailure(failed)) : null;
+            return { testCase, label, passed: !failed, results, feedback };
+        });
+    }
+
     /**
      * Get learning objectives formatted for display
      */
@@ -117,13 +257,50 @@ export class ScenarioLoader {
     }
 
     /**
-     * Check if a solution matches any acceptable pattern
+     * Grade a solution: analysis checkpoints first, then behavior
+     * expectations - or, for definitions without expectations (or
+     * without a run to check them on), the acceptable patterns
+     * @param {Object} definition - Scenario definition
+     * @param {string} code - The student's code
+     * @param {Object} [evidence]
+     * @param {Array<Object>} evidence.findings - From CodeExecutor.analyze(); required
+     *        analysis checkpoints are only graded when given
+     * @param {Object} evidence.run - RunResult from CodeExecutor.validate()
+     * @param {Array<Object>} evidence.tests - RunResults from CodeExecutor.runTests()
+     *        for the definition's test cases; graded after everything else passes
      */
-    validateSolution(definition, code) {
+    validateSolution(definition, code, { findings = null, run = null, tests = null } = {}) {
+        if (findings) {
+            const failed = this.checkAnalysis(definition, findings)
+                .find(result => !result.passed && result.checkpoint.required);
+            if (failed) {
+                const { checkpoint } = failed;
+                return {
+                    valid: false,
+                    feedback: checkpoint.feedback || ANALYZER_RULES[checkpoint.rule].hint,
+                    extractedValue: null,
+                    rule: checkpoint.rule,
+                    line: failed.findings[0].line
+                };
+            }
+        }
+
+        const grade = run && this.getExpectations(definition).length > 0
+            ? this.gradeBehavior(definition, code, run)
+            : this.matchPatterns(definition, code);
+        return this.gradeTests(definition, grade, tests);
+    }
+
+    /**
+     * validateSolution() for definitions without expectations: the first
+     * acceptable pattern the code matches, with its value in bounds
+     */
+    matchPatterns(definition, code) {
         const patterns = this.getValidationPatterns(definition);
+        const source = stripComments(code);
         
         for (const pattern of patterns) {
-            const match = code.match(pattern.regex);
+            const match = source.match(pattern.regex);
             if (match) {
                 const extractedValue = match[1] ? parseInt(match[1], 10) : null;
                 
@@ -160,6 +337,66 @@ export class ScenarioLoader {
         };
     }
 
+    /**
+     * validateSolution() for definitions with expectations. The regexes
+     * no longer decide anything - they only choose the success message.
+     */
+    gradeBehavior(definition, code, run) {
+        const behavior = this.checkBehavior(definition, run);
+        const extractedValue = run.limit ?? run.spawned;
+        const error = run.diagnostics.find(d => d.severity === 'error');
+
+        if (!run.valid) {
+            return {
+                valid: false,
+                feedback: `Your code doesn't run yet: ${run.errors[0] || 'fix the errors in the console first'}`,
+                extractedValue: null,
+                behavior,
+                line: error?.line ?? null
+            };
+        }
+
+        const failed = behavior.find(result => !result.passed);
+        if (failed) {
+            return {
+                valid: false,
+                feedback: describeFailure(failed),
+                extractedValue,
+                behavior,
+                expectation: failed.expectation.id,
+                line: failed.expectation.metric === 'completed' ? (error?.line ?? null) : null
+            };
+        }
+
+        const source = stripComments(code);
+        const pattern = this.getValidationPatterns(definition).find(p => p.regex.test(source));
+        return {
+            valid: true,
+            feedback: pattern?.feedback || 'Your code does what the scenario asks.',
+            extractedValue,
+            behavior
+        };
+    }
+
+    /**
+     * Fail a passing grade if a hidden test case fails; either way the
+     * grade lists every case in `tests`
+     */
+    gradeTests(definition, grade, runs) {
+        if (!grade.valid || !runs) return grade;
+        const tests = this.checkTestCases(definition, runs);
+        const failed = tests.find(test => !test.passed);
+        if (!failed) return { ...grade, tests };
+        const passed = tests.filter(test => test.passed).length;
+        return {
+            ...grade,
+            valid: false,
+            feedback: `🧪 ${passed}/${tests.length} tests passed. ${failed.label} failed: ${failed.feedback}`,
+            tests,
+            testCase: failed.testCase.id
+        };
+    }
+
     /**
      * Get standards alignment for curriculum mapping
      */
@@ -194,4 +431,46 @@ export class ScenarioLoader {
     }
 }
 
+/**
+ * The code without its comments, so a fix that is only written in a
+ * comment (like the template's "Example: while (treeCount < 50)") never matches
+ */
+function stripComments(code) {
+    return ScriptProject.textOf(code).replace(/("(?:\\.|[^"\\\n])*")|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, (match, string) => string ?? '');
+}
+
+function checkExpectations(expectations, run) {
+    return expectations.map(expectation => {
+        const actual = BEHAVIOR_METRICS[expectation.metric](run);
+        return { expectation, passed: meetsExpectation(actual, expectation), actual };
+    });
+}
+
+function meetsExpectation(actual, { equals, min, max, contains }) {
+    if (equals !== undefined && actual !== equals) return false;
+    if (min !== undefined && actual < min) return false;
+    if (max !== undefined && actual > max) return false;
+    if (contains !== undefined && !actual.some(line => line.includes(contains))) return false;
+    return true;
+}
+
+/**
+ * The expectation's feedback with {actual}, {min}, {max} filled in, or a
+ * plain description of what was wanted
+ */
+function describeFailure({ expectation, actual }) {
+    const { metric, equals, min, max, contains, feedback } = expectation;
+    if (feedback) {
+        return feedback
+            .replace(/\{actual\}/g, String(actual))
+            .replace(/\{min\}/g, String(min))
+            .replace(/\{max\}/g, String(max));
+    }
+    if (metric === 'completed') return 'Your program never finished on its own - check that every loop can stop.';
+    if (contains !== undefined) return `Expected a Debug.Log message containing "${contains}"`;
+    if (equals !== undefined) return `Expected ${metric} to be ${equals}, but it was ${actual}`;
+    if (min !== undefined && actual < min) return `Expected ${metric} to be at least ${min}, but it was ${actual}`;
+    return `Expected ${metric} to be at most ${max}, but it was ${actual}`;
+}
+
 export default ScenarioLoader;
@@ -14,6 +14,8 @@
 
 import { InfiniteForest } from './InfiniteForest.js';
 
+const SCENARIO_SUPPRESS_REASON = 'Saboteur scenario';
+
 export class ScenarioManager {
     constructor(sceneController, codeEditor, profiler) {
         this.sceneController = sceneController;
@@ -95,10 +97,7 @@ export class ScenarioManager {
         console.log(`[ScenarioManager] Loading scenario: ${id}`);
         
         // Cleanup current scenario
-        if (this.currentScenario) {
-            this.currentScenario.dispose?.();
-            this.currentScenario = null;
-        }
+        this._disposeScenario();
         
         // Get scenario class
         const ScenarioClass = this.scenarios[id];
@@ -119,9 +118,23 @@ export class ScenarioManager {
         this.currentScenario.onComplete = (event) => this._onScenarioComplete(event);
         this.currentScenario.onError = (event) => this._onScenarioError(event);
         
-        // Initialize and start
-        await this.currentScenario.init();
-        await this.currentScenario.start();
+        // This scenario's saved camera
+        this.sceneController.cameraController?.setScope(id);
+        
+        // Saboteur lag is intentional - don't let the quality governor hide it
+        this.sceneController.governor?.suppress(SCENARIO_SUPPRESS_REASON);
+        
+        // Initialize and start - a scenario that fails half-way is dropped,
+        // so the governor isn't left paused for it
+        try {
+            await this.currentScenario.init();
+            await this.currentScenario.start();
+        } catch (err) {
+            console.error(`[ScenarioManager] Scenario ${id} failed to start:`, err);
+            this.codeEditor?.log('error', `❌ The scenario failed to start: ${err.message}`);
+            this._disposeScenario();
+            return null;
+        }
         
         return this.currentScenario;
     }
@@ -161,7 +174,8 @@ export class ScenarioManager {
             return;
         }
         
-        const code = this.codeEditor?.getCode() || '';
+        // Every file of the project, the way the executor runs it
+        const code = this.codeEditor?.project?.toCode() ?? '';
         console.log('[ScenarioManager] Applying student fix...');
         
         // Log to console
@@ -239,16 +253,26 @@ export class ScenarioManager {
     }
 
 
+    /**
+     * End the current scenario, if any - the quality governor may act again
+     * until the next one loads
+     */
+    _disposeScenario() {
+        if (!this.currentScenario) return;
+        this.currentScenario.dispose?.();
+        this.currentScenario = null;
+        this.sceneController.governor?.resume(SCENARIO_SUPPRESS_REASON);
+    }
+
     /**
      * Exit current scenario and return to free mode
      */
     _exitScenario() {
-        if (this.currentScenario) {
-            this.currentScenario.dispose?.();
-            this.currentScenario = null;
-        }
+        this._disposeScenario();
         
-        // Reset to default tree count
+        // Reset to default layout, camera and tree count
+        this.sceneController.applyScenarioSeed(null);
+        this.sceneController.cameraController?.setScope(null);
         this.sceneController.spawnTrees(50);
         
         // Show reset button
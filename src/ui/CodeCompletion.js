@@ -0,0 +1,157 @@
+/**
+ * CodeCompletion.js - Autocomplete popup for the code editor
+ *
+ * Suggests Orbrya.Engine API names from the ScriptingAPI registry as the
+ * student types - the same registry the executor binds and type-checks,
+ * so the popup never offers something that won't run.
+ *
+ * Keys: ↑/↓ move, Tab/Enter accept, Escape closes, Ctrl+Space opens.
+ */
+
+import { getCompletions } from '../engine/ScriptingAPI.js';
+import { escapeHtml } from '../utils/html.js';
+
+export class CodeCompletion {
+    /**
+     * @param {HTMLTextAreaElement} textarea - The code area
+     * @param {HTMLElement} container - Positioned parent of the textarea
+     */
+    constructor(textarea, container) {
+        this.textarea = textarea;
+        this.container = container;
+        this.popup = null;
+        this.items = [];
+        this.selected = 0;
+        this.wordStart = 0;
+        this.maxItems = 8;
+        this.charWidth = null;
+    }
+
+    init() {
+        this.popup = document.createElement('div');
+        this.popup.className = 'code-completion';
+        this.popup.style.display = 'none';
+        this.container.appendChild(this.popup);
+
+        // mousedown (not click) so the textarea keeps focus
+        this.popup.addEventListener('mousedown', (e) => {
+            const row = e.target.closest('[data-index]');
+            if (!row) return;
+            e.preventDefault();
+            this.accept(Number(row.dataset.index));
+        });
+        this.textarea.addEventListener('blur', () => this.hide());
+        this.textarea.addEventListener('click', () => this.hide());
+        return this;
+    }
+
+    get isOpen() {
+        return this.items.length > 0;
+    }
+
+    /**
+     * Re-read the word before the cursor and show matching API names
+     * @param {boolean} [force] - Open even for a short or empty word (Ctrl+Space)
+     */
+    update(force = false) {
+        const caret = this.textarea.selectionStart;
+        if (caret !== this.textarea.selectionEnd) return this.hide();
+
+        const before = this.textarea.value.slice(0, caret);
+        const line = before.slice(before.lastIndexOf('\n') + 1);
+        // Not inside comments or strings
+        if (line.includes('//') || (line.split('"').length - 1) % 2 === 1) return this.hide();
+
+        const word = /[A-Za-z_][\w.]*$/.exec(line)?.[0] || '';
+        const partial = word.slice(word.lastIndexOf('.') + 1);
+        if (!force && !word.includes('.') && word.length < 2) return this.hide();
+
+        const items = getCompletions(word).slice(0, this.maxItems);
+        if (items.length === 0 || (items.length === 1 && items[0].label === partial)) return this.hide();
+
+        this.items = items;
+        this.selected = 0;
+        this.wordStart = caret - partial.length;
+        this.render();
+        this.position(line);
+    }
+
+    /**
+     * @returns {boolean} true if the key was handled here
+     */
+    handleKeyDown(e) {
+        if (e.key === ' ' && e.ctrlKey) {
+            e.preventDefault();
+            this.update(true);
+            return true;
+        }
+        if (!this.isOpen) return false;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.selected = (this.selected + step + this.items.length) % this.items.length;
+                this.render();
+                break;
+            }
+            case 'Tab':
+            case 'Enter':
+                this.accept(this.selected);
+                break;
+            case 'Escape':
+                this.hide();
+                break;
+            default:
+                return false;
+        }
+        e.preventDefault();
+        return true;
+    }
+
+    accept(index) {
+        const item = this.items[index];
+        if (!item) return;
+        this.hide();
+        this.textarea.setSelectionRange(this.wordStart, this.textarea.selectionStart);
+        // execCommand keeps the browser's undo history intact
+        document.execCommand('insertText', false, item.insert);
+    }
+
+    hide() {
+        this.items = [];
+        if (this.popup) this.popup.style.display = 'none';
+    }
+
+    render() {
+        this.popup.innerHTML = this.items.map((item, i) => `
+            <div class="completion-item${i === this.selected ? ' selected' : ''}" data-index="${i}" title="${escapeHtml(item.doc)}">
+                <span class="completion-label">${escapeHtml(item.label)}</span>
+                <span class="completion-detail">${escapeHtml(item.detail)}</span>
+            </div>
+        `).join('');
+        this.popup.style.display = 'block';
+    }
+
+    /**
+     * Place the popup just below the cursor. The editor uses a monospace
+     * font without wrapping, so row/column map straight to pixels.
+     */
+    position(line) {
+        const style = getComputedStyle(this.textarea);
+        const lineHeight = parseFloat(style.lineHeight) || 22;
+        const row = this.textarea.value.slice(0, this.textarea.selectionStart).split('\n').length;
+        const column = line.replace(/\t/g, '    ').length;
+
+        if (!this.charWidth) {
+            const ctx = document.createElement('canvas').getContext('2d');
+            ctx.font = `${style.fontSize} ${style.fontFamily}`;
+            this.charWidth = ctx.measureText('M').width;
+        }
+
+        const top = parseFloat(style.paddingTop) + row * lineHeight - this.textarea.scrollTop;
+        const left = parseFloat(style.paddingLeft) + column * this.charWidth - this.textarea.scrollLeft;
+        this.popup.style.top = `${Math.round(top)}px`;
+        this.popup.style.left = `${Math.round(Math.max(0, left))}px`;
+    }
+}
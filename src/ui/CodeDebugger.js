@@ -0,0 +1,260 @@
+/**
+ * CodeDebugger.js - Breakpoints, stepping and the watch pane for the code editor
+ *
+ * Drives CodeExecutor's debug API:
+ * - Click a line number to toggle a breakpoint
+ * - 🐞 starts debugging; while paused: ▶ Continue (F5), ⤼ Step Over (F10),
+ *   ⤵ Step Into (F11), ■ Stop (Shift+F5)
+ * - The watch pane lists locals and fields at the paused line; values
+ *   that changed since the last pause are highlighted
+ *
+ * TraceTimeline reuses the watch pane and line marker through
+ * showSnapshot() to replay a finished run.
+ *
+ * The code is read-only while debugging - the breakpoints and the paused
+ * line are line numbers, which an edit would shift.
+ *
+ * In a multi-file project breakpoints belong to a file, and a pause in
+ * another file switches the editor to that file's tab.
+ */
+
+import { escapeHtml } from '../utils/html.js';
+
+export class CodeDebugger {
+    /**
+     * @param {CodeEditor} editor - Owns the executor, gutter and console
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.executor = editor.executor;
+        this.breakpoints = new Map(); // File name -> Set of 1-based line numbers
+        this.active = false;
+        this.busy = false;            // Waiting for the worker
+        this.pausedLine = null;       // Line highlighted - paused, or replayed by TraceTimeline
+        this.pausedFile = null;       // File of that line, null for a one-file project
+        this.lastValues = new Map();  // "locals.name" -> value text at the previous snapshot
+
+        // DOM
+        this.startButton = null;
+        this.controls = null;
+        this.watch = null;
+        this.lineMarker = null;
+    }
+
+    /**
+     * @param {Object} elements - { startButton, controls, watch, lineMarker }
+     */
+    init({ startButton, controls, watch, lineMarker }) {
+        this.startButton = startButton;
+        this.controls = controls;
+        this.watch = watch;
+        this.lineMarker = lineMarker;
+
+        startButton.addEventListener('click', () => this.start());
+        controls.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) this.perform(button.dataset.action);
+        });
+        return this;
+    }
+
+    // ========== BREAKPOINTS ==========
+
+    /**
+     * @param {number} line - In the file on screen
+     */
+    toggleBreakpoint(line) {
+        const file = this.editor.project.activeFile;
+        if (!this.breakpoints.has(file)) this.breakpoints.set(file, new Set());
+        const lines = this.breakpoints.get(file);
+        if (lines.has(line)) lines.delete(line);
+        else lines.add(line);
+        this.editor.updateLineNumbers();
+    }
+
+    hasBreakpoint(line) {
+        return this.breakpoints.get(this.editor.project?.activeFile)?.has(line) ?? false;
+    }
+
+    clearBreakpoints() {
+        this.breakpoints.clear();
+        this.editor.updateLineNumbers();
+    }
+
+    renameFile(from, to) {
+        if (!this.breakpoints.has(from)) return;
+        this.breakpoints.set(to, this.breakpoints.get(from));
+        this.breakpoints.delete(from);
+    }
+
+    removeFile(name) {
+        this.breakpoints.delete(name);
+    }
+
+    /**
+     * Breakpoints as the executor takes them: line numbers for a
+     * one-file project, { file, line } for a bigger one
+     */
+    breakpointList() {
+        const project = this.editor.project;
+        if (!project.isMultiFile) return [...(this.breakpoints.get(project.activeFile) || [])];
+        const list = [];
+        for (const [file, lines] of this.breakpoints) {
+            if (project.has(file)) lines.forEach(line => list.push({ file, line }));
+        }
+        return list;
+    }
+
+    // ========== STEPPING ==========
+
+    /**
+     * @returns {boolean} true if the key was a debugger shortcut
+     */
+    handleKeyDown(e) {
+        let action = null;
+        if (e.key === 'F5') action = e.shiftKey ? 'stop' : (this.active ? 'continue' : 'start');
+        else if (e.key === 'F10') action = 'over';
+        else if (e.key === 'F11') action = 'into';
+        if (!action || (action !== 'start' && !this.active)) return false;
+
+        e.preventDefault();
+        this.perform(action);
+        return true;
+    }
+
+    perform(action) {
+        if (action === 'start') this.start();
+        else if (action === 'stop') this.executor.stopDebugging();
+        else this.step(action);
+    }
+
+    async start() {
+        if (this.active) return;
+        this.editor.timeline.close();
+        this.setActive(true);
+        this.editor.clearDiagnostics();
+        const breakpoints = this.breakpointList();
+        this.editor.log('info', breakpoints.length > 0
+            ? `🐞 Debugging - running to the first breakpoint`
+            : '🐞 Debugging - no breakpoints, pausing at the first line');
+        this.setBusy(true);
+        await this.executor.debug(this.editor.project.toCode(), breakpoints);
+    }
+
+    async step(mode) {
+        if (!this.active || this.busy) return;
+        this.setBusy(true);
+        await this.executor.step(mode, this.breakpointList());
+    }
+
+    // ========== EXECUTOR CALLBACKS ==========
+
+    onPause(pause) {
+        this.setBusy(false);
+        this.showSnapshot(pause);
+    }
+
+    /**
+     * @param {Object|null} result - The finished run, or null if stopped by hand
+     */
+    onEnd(result) {
+        if (!this.active) return;
+        this.setActive(false);
+        this.editor.log('info', result ? '🏁 Debug run finished' : '⏹️ Debugging stopped');
+    }
+
+    // ========== VIEW ==========
+
+    setActive(active) {
+        this.active = active;
+        this.busy = false;
+        this.editor.codeArea.readOnly = active;
+        this.startButton.style.display = active ? 'none' : '';
+        this.controls.style.display = active ? '' : 'none';
+        this.setWatchVisible(active);
+        if (!active) this.hideSnapshot();
+    }
+
+    /**
+     * Highlight a line (opening its file) and list its variables
+     * @param {Object} snapshot - { line, file, locals, fields, callStack, treesSpawned }
+     * @param {string} [icon] - Marks where the snapshot came from
+     */
+    showSnapshot(snapshot, icon = '⏸️') {
+        this.pausedLine = snapshot.line;
+        this.pausedFile = snapshot.file ?? null;
+        if (this.pausedFile) this.editor.openFile(this.pausedFile);
+        this.setWatchVisible(true);
+        this.editor.updateLineNumbers();
+        this.editor.scrollToLine(snapshot.line);
+        this.refreshLineMarker();
+        this.renderWatch(snapshot, icon);
+    }
+
+    isPausedAt(line) {
+        if (this.pausedLine !== line) return false;
+        return this.pausedFile === null || this.pausedFile === this.editor.project.activeFile;
+    }
+
+    hideSnapshot() {
+        this.pausedLine = null;
+        this.pausedFile = null;
+        this.lastValues.clear();
+        this.watch.innerHTML = '';
+        this.lineMarker.style.display = 'none';
+        this.setWatchVisible(false);
+        this.editor.updateLineNumbers();
+    }
+
+    setWatchVisible(visible) {
+        this.watch.style.display = visible ? '' : 'none';
+        this.editor.consoleOutput.style.right = visible ? `${this.watch.offsetWidth}px` : '0';
+    }
+
+    setBusy(busy) {
+        this.busy = busy;
+        this.controls.querySelectorAll('[data-action]').forEach(button => {
+            button.disabled = busy && button.dataset.action !== 'stop';
+        });
+    }
+
+    /**
+     * Band across the highlighted line, hidden while another file is on
+     * screen. It lives in the underline layer, which CodeEditor.syncScroll()
+     * keeps aligned with the textarea.
+     */
+    refreshLineMarker() {
+        if (this.pausedLine === null || !this.isPausedAt(this.pausedLine)) {
+            this.lineMarker.style.display = 'none';
+            return;
+        }
+        const style = getComputedStyle(this.editor.codeArea);
+        const lineHeight = parseFloat(style.lineHeight) || 22;
+        this.lineMarker.style.top = `${parseFloat(style.paddingTop) + (this.pausedLine - 1) * lineHeight}px`;
+        this.lineMarker.style.height = `${lineHeight}px`;
+        this.lineMarker.style.display = 'block';
+    }
+
+    renderWatch(snapshot, icon) {
+        const values = new Map();
+        const rows = (group, variables) => variables.map(({ name, type, value }) => {
+            const key = `${group}.${name}`;
+            values.set(key, value);
+            const changed = this.lastValues.has(key) && this.lastValues.get(key) !== value;
+            return `
+                <div class="watch-row${changed ? ' changed' : ''}" title="${escapeHtml(type)} ${escapeHtml(name)}">
+                    <span class="watch-name">${escapeHtml(name)}</span>
+                    <span class="watch-value">${escapeHtml(value)}</span>
+                </div>`;
+        }).join('');
+
+        const section = (title, body) => body ? `<div class="watch-title">${title}</div>${body}` : '';
+        this.watch.innerHTML =
+            `<div class="watch-location">${icon} ${snapshot.file ? `${escapeHtml(snapshot.file)} line` : 'Line'} ${snapshot.line} · ${escapeHtml(snapshot.callStack[0] || '')}</div>` +
+            (section('Locals', rows('locals', snapshot.locals)) || '<div class="watch-empty">No locals here</div>') +
+            section('Fields', rows('fields', snapshot.fields)) +
+            `<div class="watch-title">Scene</div>
+             <div class="watch-row"><span class="watch-name">trees</span><span class="watch-value">${snapshot.treesSpawned}</span></div>`;
+        this.lastValues = values;
+    }
+}
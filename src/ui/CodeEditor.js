@@ -7,11 +7,26 @@
  * - Console output with errors/warnings
  * - Integration with CodeExecutor
  * - Real-time validation (debounced)
+ * - Diagnostics: gutter markers, wavy underlines, click-to-jump console lines
+ * - Autocomplete for the Orbrya.Engine API (see CodeCompletion)
+ * - Step debugger: gutter breakpoints, stepping, watch pane (see CodeDebugger)
+ * - Timeline to scrub back through the last run (see TraceTimeline)
+ * - Validate also reviews the code for AI-code smells (see ScriptAnalyzer)
+ * - Multi-file projects: tabs and a file list (see ProjectTabs, ScriptProject);
+ *   the textarea shows the active file, Run compiles them all together
  * - Progress tracking for scenarios
  */
 
 import { CodeExecutor } from '../engine/CodeExecutor.js';
+import { CodeCompletion } from './CodeCompletion.js';
+import { CodeDebugger } from './CodeDebugger.js';
+import { TraceTimeline } from './TraceTimeline.js';
+import { ProjectTabs } from './ProjectTabs.js';
+import { ScriptProject } from '../engine/ScriptProject.js';
+import { formatDiagnostic } from '../engine/csharp/index.js';
+import { ANALYZER_RULES } from '../engine/ScriptAnalyzer.js';
 import { StudentPortal } from '../portal/StudentPortal.js';
+import { escapeHtml } from '../utils/html.js';
 
 export class CodeEditor {
     constructor(panelManager, sceneController, profiler = null) {
@@ -24,12 +39,21 @@ export class CodeEditor {
         // DOM elements
         this.codeArea = null;
         this.lineNumbers = null;
+        this.underlineLayer = null;
         this.consoleOutput = null;
+        this.completion = null;
+        this.debugger = null;
+        this.timeline = null;
+        this.tabs = null;
         
         // State
+        this.project = null;    // ScriptProject; the textarea shows its active file
+        this.viewStates = new Map(); // file name -> { scrollTop, selectionStart, selectionEnd }
         this.currentScript = '';
         this.parseTimeout = null;
         this.parseDelay = 500; // Debounce for N4000
+        this.allDiagnostics = []; // Every file's
+        this.diagnostics = [];  // The active file's - shown as gutter markers + underlines
         
         // Progress tracking state
         this.scenarioId = this.getScenarioFromUrl();
@@ -69,6 +93,10 @@ export class CodeEditor {
         // Wire callbacks
         this.executor.onExecute = (result) => this.onExecuteSuccess(result);
         this.executor.onError = (result) => this.onExecuteError(result);
+        this.executor.onScriptLog = (lines) => this.logScriptOutput(lines);
+        this.executor.onScriptSuspended = (report) => this.onScriptSuspended(report);
+        this.executor.onDebugPause = (pause) => this.debugger.onPause(pause);
+        this.executor.onDebugEnd = (result) => this.debugger.onEnd(result);
         
         // Guard: only execute on explicit Run click
         this.canExecute = false;
@@ -194,18 +222,34 @@ export class CodeEditor {
                 <select id="script-selector">
                     <option value="TreeSpawner">🌲 TreeSpawner.cs</option>
                     <option value="MemoryDemo">💾 MemoryDemo.cs</option>
+                    <option value="Bouncer">🟧 Bouncer.cs</option>
+                    <option value="ForestProject">🗂️ ForestProject (2 files)</option>
                 </select>
                 <button class="editor-btn" id="validate-btn" title="Validate">✓</button>
                 <button class="editor-btn run-btn" id="run-code-btn" title="Run Code">▶ Run</button>
                 <button class="editor-btn" id="undo-btn" title="Undo">↩</button>
+                <button class="editor-btn" id="debug-btn" title="Debug (F5) - click line numbers to set breakpoints">🐞</button>
+                <span class="debug-controls" id="debug-controls" style="display:none;">
+                    <button class="editor-btn" data-action="continue" title="Continue (F5)">▶</button>
+                    <button class="editor-btn" data-action="over" title="Step Over (F10)">⤼</button>
+                    <button class="editor-btn" data-action="into" title="Step Into (F11)">⤵</button>
+                    <button class="editor-btn" data-action="stop" title="Stop Debugging (Shift+F5)">■</button>
+                </span>
             </div>
-            <div class="code-editor" style="position:absolute; top:36px; left:0; right:0; bottom:120px; display:flex; overflow:hidden;">
+            <div class="project-tabs" id="project-tabs" style="position:absolute; top:36px; left:0; right:0; height:28px;"></div>
+            <div class="project-files" id="project-files" style="display:none; position:absolute; top:64px; left:0; bottom:120px; width:170px;"></div>
+            <div class="code-editor" style="position:absolute; top:64px; left:0; right:0; bottom:120px; display:flex; overflow:hidden;">
                 <div class="line-numbers" id="line-numbers" style="flex-shrink:0; padding:12px 10px; overflow:hidden; font-size:14px; line-height:1.6;"></div>
-                <textarea id="code-area" spellcheck="false" style="flex:1; resize:none; border:none; outline:none; background:#0d0d1a; color:#e4e4e7; font-family:Consolas,Monaco,'Courier New',monospace; font-size:14px; line-height:1.6; padding:12px; tab-size:4;"></textarea>
+                <div class="code-surface">
+                    <textarea id="code-area" spellcheck="false" wrap="off" style="flex:1; resize:none; border:none; outline:none; background:#0d0d1a; color:#e4e4e7; font-family:Consolas,Monaco,'Courier New',monospace; font-size:14px; line-height:1.6; padding:12px; tab-size:4;"></textarea>
+                    <div class="code-underline-layer"><div class="debug-line-marker" id="debug-line-marker"></div><pre id="code-underlines" style="font-family:Consolas,Monaco,'Courier New',monospace; font-size:14px; line-height:1.6; padding:12px; tab-size:4;"></pre></div>
+                </div>
             </div>
+            <div class="trace-timeline" id="trace-timeline" style="display:none; position:absolute; bottom:120px; left:0; right:0; height:32px;"></div>
             <div class="console-output" id="console-output" style="position:absolute; bottom:0; left:0; right:0; height:120px; font-size:13px;">
                 <div class="console-line info">📝 Ready - Edit the code and click Run</div>
             </div>
+            <div class="debug-watch" id="debug-watch" style="display:none; position:absolute; bottom:0; right:0; width:200px; height:120px;"></div>
         `;
 
         const saved = this.panelManager?.getSavedState('code-editor-panel');
@@ -231,12 +275,32 @@ export class CodeEditor {
         // Cache elements
         this.codeArea = document.getElementById('code-area');
         this.lineNumbers = document.getElementById('line-numbers');
+        this.underlineLayer = document.getElementById('code-underlines');
         this.consoleOutput = document.getElementById('console-output');
+        this.completion = new CodeCompletion(this.codeArea, this.codeArea.parentElement).init();
+        this.debugLineMarker = document.getElementById('debug-line-marker');
+        this.debugger = new CodeDebugger(this).init({
+            startButton: document.getElementById('debug-btn'),
+            controls: document.getElementById('debug-controls'),
+            watch: document.getElementById('debug-watch'),
+            lineMarker: this.debugLineMarker
+        });
+        this.timeline = new TraceTimeline(this).init({
+            element: document.getElementById('trace-timeline'),
+            codeView: content.querySelector('.code-editor')
+        });
+        this.tabs = new ProjectTabs(this).init({
+            tabBar: document.getElementById('project-tabs'),
+            fileList: document.getElementById('project-files'),
+            codeView: content.querySelector('.code-editor')
+        });
 
         // Event listeners
         this.codeArea.addEventListener('input', () => this.onCodeChange());
         this.codeArea.addEventListener('scroll', () => this.syncScroll());
         this.codeArea.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        this.lineNumbers.addEventListener('click', (e) => this.onGutterClick(e));
+        this.consoleOutput.addEventListener('click', (e) => this.onConsoleClick(e));
         // Syntax highlighting disabled - was causing corruption
         
         document.getElementById('run-code-btn').addEventListener('click', () => this.runCode());
@@ -302,6 +366,7 @@ using Orbrya.Engine;
 public class MemoryDemo : ScenarioBase
 {
     public int objectCount = 100;
+    private int treeCount = 0;
 
     public void CreateObjects()
     {
@@ -316,24 +381,242 @@ public class MemoryDemo : ScenarioBase
             treeCount++;
         }
     }
+}`,
+
+            Bouncer: `// ════════════════════════════════════════════
+// ORBRYA SCENARIO: Game Loop
+// ════════════════════════════════════════════
+//
+// Start() runs once when you press Run.
+// Update() runs again on every frame after that.
+//
+// 🎯 TASK: Make the cube move faster
+// 💡 HINT: Update() must finish quickly - a slow
+//    Update() gets suspended!
+// ════════════════════════════════════════════
+
+using Orbrya.Engine;
+
+public class Bouncer : ScenarioBase
+{
+    private GameObject cube;
+    private float x = 0;
+    private float speed = 3;
+
+    void Start()
+    {
+        cube = Spawn("cube");
+        cube.SetColor("orange");
+        Debug.Log("Bouncer started");
+    }
+
+    void Update()
+    {
+        // Time.deltaTime keeps the speed the same at any frame rate
+        x += speed * Time.deltaTime;
+        if (x > 8 || x < -8)
+        {
+            speed = -speed;
+        }
+        cube.SetPosition(x, 0.5f, 0);
+    }
 }`
         };
 
-        this.currentScript = scripts[name] || scripts.TreeSpawner;
+        const projects = {
+            ForestProject: [
+                { name: 'ForestManager.cs', code: `// ════════════════════════════════════════════
+// ORBRYA SCENARIO: Two-File Forest
+// ════════════════════════════════════════════
+//
+// ForestManager plants the forest row by row,
+// Spawner.cs does the actual planting.
+//
+// 🔴 PROBLEM: 3 rows of 10 were asked for, but
+//    only 10 trees appear!
+// 🎯 TASK: Find the bug - it spans both files
+// ════════════════════════════════════════════
+
+using Orbrya.Engine;
+
+public class ForestManager : ScenarioBase
+{
+    public int rows = 3;
+    public int treesPerRow = 10;
+
+    void Start()
+    {
+        for (int row = 0; row < rows; row++)
+        {
+            Spawner.PlantRow(treesPerRow);
+        }
+        Debug.Log($"Planted {Spawner.planted} trees in {rows} rows");
+    }
+}` },
+                { name: 'Spawner.cs', code: `using Orbrya.Engine;
+
+public class Spawner
+{
+    // Trees planted so far, across all rows
+    public static int planted = 0;
+
+    public static void PlantRow(int count)
+    {
+        while (planted < count)
+        {
+            SpawnTree();
+            planted++;
+        }
+    }
+}` }
+            ]
+        };
+
+        if (projects[name]) {
+            this.loadProject(new ScriptProject(name, projects[name]));
+        } else {
+            this.loadProject(ScriptProject.single(scripts[name] ? name : 'TreeSpawner', scripts[name] || scripts.TreeSpawner));
+        }
+    }
+
+    /**
+     * Open a project in the editor, replacing the current one
+     * @param {ScriptProject} project
+     */
+    loadProject(project) {
+        // Breakpoints and the trace are line numbers of the old script
+        this.timeline?.close();
+        this.executor.stopDebugging();
+        this.debugger?.clearBreakpoints();
+
+        this.project = project;
+        this.viewStates.clear();
+        this.allDiagnostics = [];
+        this.tabs.load(project);
+        this.showActiveFile();
+
+        this.currentScript = project.getCode();
         this.originalCode = this.currentScript; // Store for change detection
-        this.codeArea.value = this.currentScript;
-        this.updateLineNumbers();
-        this.log('info', `📂 Loaded ${name}.cs`);
+        this.log('info', project.isMultiFile
+            ? `📂 Loaded ${project.name} (${project.files.size} files)`
+            : `📂 Loaded ${project.activeFile}`);
         
         // Reset progress tracking for this script
         this.hasInfiniteLoop = /while\s*\(\s*true\s*\)/.test(this.currentScript);
     }
 
+    // ========== PROJECT FILES ==========
+
+    /**
+     * Show another file of the project in the textarea
+     * @param {string} name - e.g. 'Spawner.cs'
+     */
+    openFile(name) {
+        if (!this.project?.has(name)) return;
+        if (name !== this.project.activeFile) {
+            this.saveViewState();
+            this.project.activeFile = name;
+            this.showActiveFile();
+        }
+        this.tabs.open(name);
+    }
+
+    showActiveFile() {
+        const name = this.project.activeFile;
+        const view = this.viewStates.get(name);
+        this.completion.hide();
+        this.codeArea.value = this.project.getCode(name);
+        this.codeArea.setSelectionRange(view?.selectionStart ?? 0, view?.selectionEnd ?? 0);
+        this.codeArea.scrollTop = view?.scrollTop ?? 0;
+        this.renderDiagnostics(this.allDiagnostics);
+        this.debugger.refreshLineMarker();
+    }
+
+    saveViewState() {
+        const { scrollTop, selectionStart, selectionEnd } = this.codeArea;
+        this.viewStates.set(this.project.activeFile, { scrollTop, selectionStart, selectionEnd });
+    }
+
+    /**
+     * @returns {{success: boolean, message?: string}}
+     */
+    addFile(name) {
+        if (this.debugger.active) return { success: false, message: 'Stop debugging before changing the project\'s files' };
+        const result = this.project.addFile(name);
+        if (!result.success) return result;
+        this.onFilesChanged();
+        this.openFile(name);
+        this.log('info', `📄 Added ${name}`);
+        return result;
+    }
+
+    /**
+     * @returns {{success: boolean, message?: string}}
+     */
+    renameFile(from, to) {
+        if (this.debugger.active) return { success: false, message: 'Stop debugging before changing the project\'s files' };
+        const result = this.project.renameFile(from, to);
+        if (!result.success || from === to) return result;
+        this.tabs.renameTab(from, to);
+        this.debugger.renameFile(from, to);
+        if (this.viewStates.has(from)) {
+            this.viewStates.set(to, this.viewStates.get(from));
+            this.viewStates.delete(from);
+        }
+        this.onFilesChanged();
+        this.log('info', `📄 Renamed ${from} to ${to}`);
+        return result;
+    }
+
+    /**
+     * @returns {{success: boolean, message?: string}}
+     */
+    removeFile(name) {
+        if (this.debugger.active) return { success: false, message: 'Stop debugging before changing the project\'s files' };
+        const wasActive = name === this.project.activeFile;
+        const result = this.project.removeFile(name);
+        if (!result.success) {
+            this.log('warning', `📁 ${result.message}`);
+            return result;
+        }
+        this.tabs.removeTab(name);
+        this.debugger.removeFile(name);
+        this.viewStates.delete(name);
+        if (wasActive) this.showActiveFile();
+        this.onFilesChanged();
+        this.log('info', `🗑️ Deleted ${name}`);
+        return result;
+    }
+
+    /**
+     * Diagnostics and the trace point into the old set of files
+     */
+    onFilesChanged() {
+        this.timeline.close();
+        this.clearDiagnostics();
+        this.scheduleCheck();
+        this.tabs.render();
+    }
+
+    /**
+     * @returns {Set<string>} Files with an error in the current diagnostics
+     */
+    filesWithErrors() {
+        return new Set(this.allDiagnostics
+            .filter(d => d.severity === 'error')
+            .map(d => d.file ?? this.project.activeFile));
+    }
+
+    isInActiveFile(diagnostic) {
+        return (diagnostic.file ?? this.project.activeFile) === this.project.activeFile;
+    }
+
     // ========== EXECUTION METHODS ==========
 
     runCode() {
         console.log('[CodeEditor] Run button clicked');
         const code = this.codeArea.value;
+        this.timeline.close();
         this.log('info', '▶ Running code...');
         
         // Progress tracking: Check if this is first run or run after fixing
@@ -355,26 +638,41 @@ public class MemoryDemo : ScenarioBase
             }, 2000);
         }
         
-        const result = this.executor.execute(code);
+        const result = this.executor.execute(this.project.toCode());
         
         // Result handled by callbacks
         return result;
     }
 
-    validateCode() {
-        const code = this.codeArea.value;
-        const result = this.executor.validate(code);
+    async validateCode() {
+        const result = await this.executor.validate(this.project.toCode());
+        this.renderDiagnostics([...result.diagnostics, ...result.findings]);
         
         if (result.valid) {
             this.log('success', `✓ Valid! Will spawn ${result.limit} trees`);
-            result.warnings.forEach(w => this.log('warning', w));
-        } else {
-            result.errors.forEach(e => this.log('error', e));
         }
+        this.logProblems(result);
+        this.logFindings(result.findings);
         
         return result;
     }
 
+    /**
+     * Static analysis results, with each rule's advice once
+     */
+    logFindings(findings = []) {
+        if (findings.length === 0) {
+            this.log('success', '🔎 Code review: nothing suspicious found');
+            return;
+        }
+        this.log('info', `🔎 Code review: ${findings.length} thing(s) to look at`);
+        findings.forEach(f => this.log(f.severity === 'info' ? 'info' : 'warning', `🔎 ${formatDiagnostic(f)}`, f));
+        new Set(findings.map(f => f.code)).forEach(code => {
+            const rule = ANALYZER_RULES[code];
+            if (rule) this.log('info', `💡 ${rule.title}: ${rule.hint}`);
+        });
+    }
+
     undoCode() {
         const result = this.executor.undo();
         if (result.success) {
@@ -385,11 +683,12 @@ public class MemoryDemo : ScenarioBase
     }
 
     onExecuteSuccess(result) {
-        this.log('success', `✅ Spawned ${result.treeCount} trees`);
-        
-        if (result.warnings.length > 0) {
-            result.warnings.forEach(w => this.log('warning', w));
-        }
+        this.renderDiagnostics(result.diagnostics);
+        this.logScriptOutput(result.logs);
+        this.log('success', result.usesTrees ? `✅ Spawned ${result.treeCount} trees` : '✅ Script ran');
+        if (result.updating) this.log('info', '▶️ Update() is now running every frame');
+        this.logProblems(result);
+        this.timeline.load(result.trace);
         
         // Progress tracking: Check if they ran fixed code successfully
         const code = this.codeArea.value;
@@ -412,15 +711,62 @@ public class MemoryDemo : ScenarioBase
     }
 
     onExecuteError(result) {
-        result.errors.forEach(e => this.log('error', e));
+        this.renderDiagnostics(result.diagnostics);
+        this.logScriptOutput(result.logs);
+        this.logProblems(result);
+        this.timeline.load(result.trace);
+    }
+
+    /**
+     * Update() overran its frame budget or threw - it has stopped running
+     */
+    onScriptSuspended(report) {
+        this.renderDiagnostics(report.diagnostics);
+        this.logProblems(report);
+    }
+
+    /**
+     * Errors, loop diagnosis, then warnings. Lines that come from a
+     * diagnostic are clickable; plain-text notes are logged as they are.
+     */
+    logProblems(result) {
+        const diagnostics = result.diagnostics || [];
+        const fromDiagnostics = new Set(diagnostics.map(formatDiagnostic));
+
+        diagnostics.filter(d => d.severity === 'error').forEach(d => this.log('error', formatDiagnostic(d), d));
+        result.errors.filter(e => !fromDiagnostics.has(e)).forEach(e => this.log('error', e));
+        this.logDiagnosis(result.diagnosis);
+        diagnostics.filter(d => d.severity !== 'error').forEach(d => this.log('warning', formatDiagnostic(d), d));
+        result.warnings.filter(w => !fromDiagnostics.has(w)).forEach(w => this.log('warning', w));
+    }
+
+    /**
+     * Walk the student through why a loop never ended
+     */
+    logDiagnosis(diagnosis) {
+        if (!diagnosis) return;
+        diagnosis.explanation.forEach(line => this.log('warning', `🔍 ${line}`));
+        this.log('info', diagnosis.hint);
+    }
+
+    /**
+     * Show Debug.Log output from the student's script
+     */
+    logScriptOutput(lines = []) {
+        lines.forEach(({ level, message }) => this.log(level, `🖨️ ${message}`));
     }
 
     // ========== CONSOLE OUTPUT ==========
 
-    log(type, message) {
+    log(type, message, diagnostic = null) {
         const line = document.createElement('div');
         line.className = `console-line ${type}`;
         line.textContent = message;
+        if (diagnostic?.span) {
+            line.classList.add('clickable');
+            line.title = 'Click to jump to this line';
+            line.diagnostic = diagnostic;
+        }
         this.consoleOutput.appendChild(line);
         this.consoleOutput.scrollTop = this.consoleOutput.scrollHeight;
         
@@ -437,15 +783,27 @@ public class MemoryDemo : ScenarioBase
     // ========== EDITOR FUNCTIONALITY ==========
 
     onCodeChange() {
-        // Only update line numbers while typing - highlighting on blur
-        this.updateLineNumbers();
+        // Offsets of the old diagnostics (and lines of the old trace) are
+        // stale after an edit - drop them now and re-check once typing pauses
+        this.project.setCode(this.project.activeFile, this.codeArea.value);
+        this.clearDiagnostics();
+        this.timeline.close();
+        this.completion.update();
+        this.scheduleCheck();
         
         // Progress tracking: Check for code changes (debounced)
         clearTimeout(this.changeCheckTimeout);
         this.changeCheckTimeout = setTimeout(() => this.checkForCodeChange(), 300);
     }
 
+    scheduleCheck() {
+        clearTimeout(this.parseTimeout);
+        this.parseTimeout = setTimeout(() => this.checkCode(), this.parseDelay);
+    }
+
     handleKeyDown(e) {
+        if (this.completion.handleKeyDown(e)) return;
+        if (this.debugger.handleKeyDown(e)) return;
         if (e.key === 'Tab') {
             e.preventDefault();
             document.execCommand('insertText', false, '    ');
@@ -459,17 +817,130 @@ public class MemoryDemo : ScenarioBase
 
     syncScroll() {
         this.lineNumbers.scrollTop = this.codeArea.scrollTop;
+        const offset = `translate(${-this.codeArea.scrollLeft}px, ${-this.codeArea.scrollTop}px)`;
+        this.underlineLayer.style.transform = offset;
+        this.debugLineMarker.style.transform = `translateY(${-this.codeArea.scrollTop}px)`;
     }
 
     updateLineNumbers() {
         const lines = this.codeArea.value.split('\n').length;
+        const marked = new Map(); // line -> diagnostics on it
+        for (const d of this.diagnostics) {
+            if (!d.line) continue;
+            if (!marked.has(d.line)) marked.set(d.line, []);
+            marked.get(d.line).push(d);
+        }
+
         let html = '';
         for (let i = 1; i <= lines; i++) {
-            html += `<div>${i}</div>`;
+            const classes = [];
+            let title = 'Click to toggle a breakpoint';
+            const onLine = marked.get(i);
+            if (onLine) {
+                classes.push(onLine.some(d => d.severity === 'error') ? 'has-error' : 'has-warning');
+                title = escapeHtml(onLine.map(d => `${d.code}: ${d.message}`).join('\n'));
+            }
+            if (this.debugger?.hasBreakpoint(i)) classes.push('has-breakpoint');
+            if (this.debugger?.isPausedAt(i)) classes.push('is-paused');
+            html += `<div class="${classes.join(' ')}" data-line="${i}" title="${title}">${i}</div>`;
         }
         this.lineNumbers.innerHTML = html;
     }
 
+    // ========== DIAGNOSTICS ==========
+
+    /**
+     * Parse + type-check the project without running it
+     */
+    checkCode() {
+        const { diagnostics } = this.executor.check(this.project.toCode());
+        this.renderDiagnostics(diagnostics);
+    }
+
+    clearDiagnostics() {
+        this.renderDiagnostics([]);
+    }
+
+    /**
+     * Mark diagnostics in the gutter and underline their spans. The
+     * underline layer mirrors the textarea text in transparent ink, so
+     * only the wavy underlines show through on top of the real text.
+     * Diagnostics in other files wait until their tab is opened.
+     */
+    renderDiagnostics(diagnostics = []) {
+        this.allDiagnostics = diagnostics.filter(d => d.span);
+        this.diagnostics = this.allDiagnostics.filter(d => this.isInActiveFile(d));
+        this.updateLineNumbers();
+        this.tabs.render();
+
+        const code = this.codeArea.value;
+        const spans = this.diagnostics
+            .map(d => ({ severity: d.severity, ...this.underlineRange(code, d.span) }))
+            .sort((a, b) => a.start - b.start);
+
+        let html = '';
+        let pos = 0;
+        for (const span of spans) {
+            if (span.start < pos) continue; // overlaps the previous underline
+            html += escapeHtml(code.slice(pos, span.start));
+            const text = code.slice(span.start, span.end);
+            // A missing ';' points just past the end of a line - give it a cell to underline
+            html += `<span class="squiggle ${span.severity}">${text ? escapeHtml(text) : ' '}</span>`;
+            pos = span.end;
+        }
+        html += escapeHtml(code.slice(pos));
+        this.underlineLayer.innerHTML = html;
+        this.syncScroll();
+    }
+
+    /**
+     * Only underline the first line of a span (a whole loop body would be noise)
+     */
+    underlineRange(code, span) {
+        const start = Math.min(span.start, code.length);
+        let end = Math.min(span.end, code.length);
+        const newline = code.indexOf('\n', start);
+        if (newline !== -1 && newline < end) end = newline;
+        return { start, end };
+    }
+
+    /**
+     * Select a diagnostic's span and scroll it into view, opening its file
+     */
+    jumpTo(diagnostic) {
+        if (!diagnostic?.span) return;
+        if (diagnostic.file) this.openFile(diagnostic.file);
+        const { start, end } = this.underlineRange(this.codeArea.value, diagnostic.span);
+        this.codeArea.focus();
+        this.codeArea.setSelectionRange(start, Math.max(end, start));
+        this.scrollToLine(diagnostic.line);
+    }
+
+    /**
+     * Scroll so `line` sits a third of the way down the editor
+     */
+    scrollToLine(line) {
+        const lineHeight = parseFloat(getComputedStyle(this.codeArea).lineHeight) || 22;
+        const top = (line - 1) * lineHeight;
+        this.codeArea.scrollTop = Math.max(0, top - this.codeArea.clientHeight / 3);
+        this.syncScroll();
+    }
+
+    /**
+     * Line numbers toggle breakpoints; the diagnostics on a line are in
+     * its tooltip and in the clickable console lines
+     */
+    onGutterClick(e) {
+        const row = e.target.closest('[data-line]');
+        if (!row) return;
+        this.debugger.toggleBreakpoint(Number(row.dataset.line));
+    }
+
+    onConsoleClick(e) {
+        const line = e.target.closest('.console-line.clickable');
+        if (line) this.jumpTo(line.diagnostic);
+    }
+
     highlightSyntax() {
         // DISABLED - was causing recursive corruption
         // TODO: Fix syntax highlighting properly
@@ -499,12 +970,16 @@ public class MemoryDemo : ScenarioBase
         }
     }
 
+    /**
+     * @returns {string} The file on screen - the whole script for one-file projects
+     */
     getCode() {
         return this.codeArea.value;
     }
 
     setCode(code) {
         this.codeArea.value = code;
-        this.updateLineNumbers();
+        this.project.setCode(this.project.activeFile, code);
+        this.clearDiagnostics();
     }
 }
@@ -1,21 +1,53 @@
 /**
  * Hierarchy.js - Scene Object Hierarchy Panel
  * Unity-style object tree showing all scene objects
- * 
+ *
  * Features:
  * - Expandable tree view
  * - Object selection
- * - Object visibility toggle
  * - Count badges for children
+ * - Double-click to frame an object in the viewport
+ * - Selection synced with the viewport (SelectionManager): clicking a
+ *   tree or enemy there selects its row here, with its instance index
+ *   and transform underneath
+ * - An InstancedMesh opens into one row per instance (Tree #12, Enemy #3)
+ *
+ * Built for scenes with thousands of objects:
+ * - Virtualized: the open tree is a flat list of rows, all ROW_HEIGHT
+ *   tall, and only the rows scrolled into view (plus OVERSCAN) have DOM
+ *   elements - a fixed set that's reused as the list scrolls
+ * - Incremental: SceneController's objectAdded/objectRemoved,
+ *   treeCountChanged and entityCountChanged events. A change under an
+ *   open row re-flattens only that row's subtree and splices it into the
+ *   list (once per frame at most); any other change only redraws the
+ *   count badges in view. While searching, a change redoes the search
+ * - One click and one dblclick listener for the whole tree
  */
 
+import { escapeHtml } from '../utils/html.js';
+
+const ROW_HEIGHT = 22;         // px - must match .hierarchy-item's height in panels.css
+const OVERSCAN = 6;            // Rows drawn above and below the visible ones
+const INDENT = 12;             // px per level
+
 export class Hierarchy {
     constructor(panelManager, sceneController) {
         this.panelManager = panelManager;
         this.sceneController = sceneController;
         this.panel = null;
+        this.elements = null;
         this.selectedObject = null;
-        this.expandedItems = new Set(['scene-root']);
+        this.selection = null;    // From SelectionManager - may be one instance of selectedObject
+        this.expandedItems = new Set();   // uuids of open rows
+
+        this.query = '';
+        this.rows = [];                   // { object, depth, instance } - the open tree, top to bottom
+        this.rowIndex = new Map();        // Object3D -> its row in rows
+        this.rowElements = [];            // Reused row elements, one per row in view
+        this.staleRows = new Set();       // Open rows whose children or instances changed - spliced next frame
+        this.rebuildPending = false;
+        this.renderPending = false;
+        this.unsubscribers = [];          // From sceneController.on()
     }
 
     createPanel() {
@@ -26,7 +58,10 @@ export class Hierarchy {
                 <input type="text" class="hierarchy-search" placeholder="Search objects..." id="hierarchy-search">
                 <button class="hierarchy-btn" id="hierarchy-refresh" title="Refresh">↻</button>
             </div>
-            <div class="hierarchy-tree" id="hierarchy-tree"></div>
+            <div class="hierarchy-tree" id="hierarchy-tree">
+                <div class="hierarchy-rows" id="hierarchy-rows"></div>
+            </div>
+            <div class="hierarchy-selection hidden" id="hierarchy-selection"></div>
         `;
 
         const saved = this.panelManager.getSavedState('hierarchy-panel');
@@ -43,125 +78,397 @@ export class Hierarchy {
             content
         });
 
+        this.elements = {
+            tree: content.querySelector('#hierarchy-tree'),
+            rows: content.querySelector('#hierarchy-rows'),
+            info: content.querySelector('#hierarchy-selection')
+        };
+
         // Event listeners
-        document.getElementById('hierarchy-refresh').addEventListener('click', () => {
+        content.querySelector('#hierarchy-refresh').addEventListener('click', () => {
             this.refresh();
         });
 
-        document.getElementById('hierarchy-search').addEventListener('input', (e) => {
+        content.querySelector('#hierarchy-search').addEventListener('input', (e) => {
             this.filterTree(e.target.value);
         });
 
+        this.elements.tree.addEventListener('scroll', () => this.scheduleRender());
+        this.panel.addEventListener('panelresize', () => this.scheduleRender());
+        this.attachTreeEvents();
+
+        if (this.sceneController?.scene) {
+            this.expandedItems.add(this.sceneController.scene.uuid);
+            this.unsubscribers = [
+                this.sceneController.on('objectAdded', ({ parent }) => this.sceneChanged(parent)),
+                this.sceneController.on('objectRemoved', ({ parent }) => this.sceneChanged(parent)),
+                this.sceneController.on('treeCountChanged', () => this.treesChanged()),
+                this.sceneController.on('entityCountChanged', ({ meshes }) => this.instancesChanged(meshes))
+            ];
+        }
         this.refresh();
         return this.panel;
     }
 
+    /**
+     * Rebuild everything from the scene
+     */
     refresh() {
-        const tree = document.getElementById('hierarchy-tree');
-        if (!tree || !this.sceneController?.scene) return;
+        if (!this.elements || !this.sceneController?.scene) return;
+        this.rebuildRows();
+        this.render();
+    }
 
-        const scene = this.sceneController.scene;
-        tree.innerHTML = this.buildTreeHTML(scene, 'Scene', true);
-        this.attachTreeEvents();
+    attachTreeEvents() {
+        const rowAt = (e) => {
+            const item = e.target.closest('.hierarchy-item');
+            return item ? this.rows[Number(item.dataset.row)] : null;
+        };
+
+        this.elements.tree.addEventListener('click', (e) => {
+            const row = rowAt(e);
+            if (!row) return;
+
+            // Toggle expansion if clicking expand button
+            if (e.target.classList.contains('expand-btn')) {
+                if (row.instance === null) this.toggleExpanded(row.object);
+                return;
+            }
+
+            // Select it in the viewport too - that calls back showSelection()
+            if (row.instance !== null) {
+                this.sceneController.selection.selectInstance(row.object, row.instance);
+            } else {
+                this.sceneController.selection.selectObject(row.object);
+            }
+        });
+
+        // Frame it in the viewport (the first click already selected it)
+        this.elements.tree.addEventListener('dblclick', (e) => {
+            if (!rowAt(e) || e.target.classList.contains('expand-btn')) return;
+            this.sceneController.focusSelection();
+        });
     }
 
-    buildTreeHTML(obj, name, isRoot = false) {
-        const children = obj.children || [];
-        const hasChildren = children.length > 0;
-        const id = obj.uuid || 'scene-root';
-        const isExpanded = this.expandedItems.has(id);
-        const isSelected = this.selectedObject === obj;
-        
-        // Determine icon based on object type
-        let icon = '📦';
-        if (obj.isScene) icon = '🌍';
-        else if (obj.isCamera) icon = '📷';
-        else if (obj.isLight) icon = '💡';
-        else if (obj.isInstancedMesh) icon = '🌲';
-        else if (obj.isMesh) icon = '◼️';
-        else if (obj.isGroup) icon = '📁';
-        else if (name.includes('Grid')) icon = '⊞';
-
-        let html = `
-            <div class="hierarchy-item ${isSelected ? 'selected' : ''}" data-id="${id}">
-                <span class="expand-btn">${hasChildren ? (isExpanded ? '▼' : '▶') : '  '}</span>
-                <span class="item-icon">${icon}</span>
-                <span class="item-name">${name}</span>
-                ${hasChildren ? `<span class="item-count">${children.length}</span>` : ''}
-            </div>
-        `;
+    toggleExpanded(object) {
+        if (this.expandedItems.has(object.uuid)) {
+            this.expandedItems.delete(object.uuid);
+        } else {
+            this.expandedItems.add(object.uuid);
+        }
+        if (this.query) this.rebuildRows();
+        else this.spliceRows([object]);
+        this.render();
+    }
 
-        if (hasChildren && isExpanded) {
-            html += '<div class="hierarchy-children">';
-            children.forEach((child, idx) => {
-                const childName = child.name || child.type || `Object_${idx}`;
-                html += this.buildTreeHTML(child, childName);
-            });
-            html += '</div>';
+    filterTree(query) {
+        this.query = query.trim().toLowerCase();
+        this.rebuildRows();
+        this.render();
+    }
+
+    getSelectedObject() {
+        return this.selectedObject;
+    }
+
+    // ========== SCENE CHANGES ==========
+
+    /**
+     * A child was added to or removed from parent
+     */
+    sceneChanged(parent) {
+        if (this.query) this.scheduleRebuild(); // Anything may now match, or not
+        else this.rowsChanged(parent);
+    }
+
+    /**
+     * The forest grew or shrank
+     */
+    treesChanged() {
+        const { trunk, foliage } = this.sceneController.treePools ?? {};
+        this.instancesChanged([trunk?.mesh, foliage?.mesh]);
+    }
+
+    /**
+     * These InstancedMeshes drew more or fewer instances
+     * @param {Array<THREE.InstancedMesh>} meshes
+     */
+    instancesChanged(meshes) {
+        if (this.query) {
+            this.scheduleRender(); // Search results have no instance rows - only badges change
+            return;
+        }
+        for (const mesh of meshes) {
+            if (mesh) this.rowsChanged(mesh);
         }
+    }
 
-        return html;
+    /**
+     * object's children or instances changed: splice its rows next frame if
+     * it's open, or just redraw its count badge
+     */
+    rowsChanged(object) {
+        if (!this.rowIndex.has(object)) return; // Under a closed row - nothing shows it
+        if (this.expandedItems.has(object.uuid)) this.staleRows.add(object);
+        this.scheduleRender();
     }
 
-    attachTreeEvents() {
-        const items = document.querySelectorAll('.hierarchy-item');
-        items.forEach(item => {
-            item.addEventListener('click', (e) => {
-                const id = item.dataset.id;
-                
-                // Toggle expansion if clicking expand button
-                if (e.target.classList.contains('expand-btn')) {
-                    if (this.expandedItems.has(id)) {
-                        this.expandedItems.delete(id);
-                    } else {
-                        this.expandedItems.add(id);
-                    }
-                    this.refresh();
-                    return;
-                }
-                
-                // Select item
-                document.querySelectorAll('.hierarchy-item').forEach(i => {
-                    i.classList.remove('selected');
-                });
-                item.classList.add('selected');
-                
-                // Find and store selected object
-                if (id === 'scene-root') {
-                    this.selectedObject = this.sceneController.scene;
-                } else {
-                    this.selectedObject = this.findObjectByUUID(this.sceneController.scene, id);
-                }
-                
-                console.log('[Hierarchy] Selected:', this.selectedObject?.name || id);
-            });
+    scheduleRebuild() {
+        if (this.rebuildPending) return;
+        this.rebuildPending = true;
+        requestAnimationFrame(() => {
+            this.rebuildPending = false;
+            this.rebuildRows();
+            this.render();
+        });
+    }
+
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            if (this.staleRows.size > 0) {
+                this.spliceRows(this.staleRows);
+                this.staleRows.clear();
+            }
+            this.render();
         });
     }
 
-    findObjectByUUID(obj, uuid) {
-        if (obj.uuid === uuid) return obj;
-        for (const child of (obj.children || [])) {
-            const found = this.findObjectByUUID(child, uuid);
-            if (found) return found;
+    // ========== ROWS ==========
+
+    /**
+     * Flatten the open tree (or the search matches and their parents) into rows
+     */
+    rebuildRows() {
+        this.rows = [];
+        this.rowIndex.clear();
+        this.staleRows.clear();
+
+        const scene = this.sceneController.scene;
+        if (this.query) this.collectMatches(scene, 0);
+        else this.collectRows(scene, 0, this.rows);
+        this.indexRows(0);
+        this.elements.rows.style.height = `${this.rows.length * ROW_HEIGHT}px`;
+    }
+
+    /**
+     * Re-flatten the subtrees of some listed rows and splice them in place.
+     * Bottom-up, so the rows above each one - and so its index - haven't
+     * moved yet when its turn comes.
+     * @param {Iterable<THREE.Object3D>} objects
+     */
+    spliceRows(objects) {
+        const starts = [];
+        for (const object of objects) {
+            const start = this.rowIndex.get(object);
+            if (start !== undefined) starts.push(start);
         }
-        return null;
+        if (starts.length === 0) return;
+        starts.sort((a, b) => b - a);
+
+        for (const start of starts) {
+            const { object, depth } = this.rows[start];
+            let end = start + 1;
+            while (end < this.rows.length && this.rows[end].depth > depth) end++;
+            for (let i = start; i < end; i++) {
+                if (this.rows[i].instance === null) this.rowIndex.delete(this.rows[i].object);
+            }
+            const subtree = [];
+            this.collectRows(object, depth, subtree);
+            this.rows = this.rows.slice(0, start).concat(subtree, this.rows.slice(end));
+        }
+        this.indexRows(starts[starts.length - 1]);
+        this.elements.rows.style.height = `${this.rows.length * ROW_HEIGHT}px`;
     }
 
-    filterTree(query) {
-        const items = document.querySelectorAll('.hierarchy-item');
-        const lowerQuery = query.toLowerCase();
-        
-        items.forEach(item => {
-            const name = item.querySelector('.item-name').textContent.toLowerCase();
-            if (query === '' || name.includes(lowerQuery)) {
-                item.style.display = '';
-            } else {
-                item.style.display = 'none';
+    indexRows(from) {
+        for (let i = from; i < this.rows.length; i++) {
+            if (this.rows[i].instance === null) this.rowIndex.set(this.rows[i].object, i);
+        }
+    }
+
+    collectRows(object, depth, rows) {
+        rows.push({ object, depth, instance: null });
+        if (!this.expandedItems.has(object.uuid)) return;
+
+        if (object.isInstancedMesh) {
+            for (let i = 0; i < object.count; i++) {
+                rows.push({ object, depth: depth + 1, instance: i });
             }
-        });
+        }
+        for (const child of object.children) {
+            this.collectRows(child, depth + 1, rows);
+        }
     }
 
-    getSelectedObject() {
-        return this.selectedObject;
+    /**
+     * @returns {boolean} Whether anything in this subtree matched (it keeps its rows)
+     */
+    collectMatches(object, depth) {
+        const start = this.rows.length;
+        this.rows.push({ object, depth, instance: null });
+        let matched = objectName(object).toLowerCase().includes(this.query);
+        for (const child of object.children) {
+            if (this.collectMatches(child, depth + 1)) matched = true;
+        }
+        if (!matched) this.rows.length = start;
+        return matched;
+    }
+
+    /**
+     * Draw the rows in view
+     */
+    render() {
+        if (!this.elements) return;
+        const { tree, rows } = this.elements;
+        const first = Math.max(0, Math.floor(tree.scrollTop / ROW_HEIGHT) - OVERSCAN);
+        const last = Math.min(this.rows.length, Math.ceil((tree.scrollTop + tree.clientHeight) / ROW_HEIGHT) + OVERSCAN);
+
+        for (let i = first; i < last; i++) {
+            const k = i - first;
+            if (!this.rowElements[k]) {
+                this.rowElements[k] = createRowElement();
+                rows.appendChild(this.rowElements[k]);
+            }
+            this.renderRow(this.rowElements[k], i);
+        }
+        for (let k = Math.max(0, last - first); k < this.rowElements.length; k++) {
+            this.rowElements[k].style.display = 'none';
+        }
+    }
+
+    renderRow(element, i) {
+        const { object, depth, instance } = this.rows[i];
+        const [expand, icon, name, count] = element.children;
+        const isInstance = instance !== null;
+        const children = isInstance ? 0 : object.children.length + (object.isInstancedMesh ? object.count : 0);
+        const isExpanded = this.expandedItems.has(object.uuid);
+
+        element.dataset.row = i;
+        element.style.display = '';
+        element.style.top = `${i * ROW_HEIGHT}px`;
+        element.style.paddingLeft = `${6 + depth * INDENT}px`;
+        element.classList.toggle('selected', this.isSelected(object, instance));
+
+        expand.textContent = children > 0 && !this.query ? (isExpanded ? '▼' : '▶') : '';
+        icon.textContent = isInstance ? '▫️' : iconOf(object);
+        name.textContent = isInstance ? this.instanceName(object, instance) : objectName(object);
+        count.textContent = children;
+        count.style.display = children > 0 ? '' : 'none';
+    }
+
+    /**
+     * What an instance row is called: the tree or entity it draws, if any
+     */
+    instanceName(mesh, index) {
+        if (this.isTreePool(mesh)) return `Tree #${index}`;
+        const entity = this.sceneController.entities?.entityAt(mesh, index);
+        return entity ? `${entity.prefab} #${entity.id}` : `#${index}`;
     }
+
+    isTreePool(mesh) {
+        const { treePools } = this.sceneController;
+        return !!treePools && (mesh === treePools.trunk.mesh || mesh === treePools.foliage.mesh);
+    }
+
+    isSelected(object, instance) {
+        if (!this.selection || this.selection.object !== object) return false;
+        return instance === (object.isInstancedMesh ? this.selection.index : null);
+    }
+
+    // ========== SELECTION ==========
+
+    /**
+     * Show the viewport's selection (SelectionManager.onSelect): select its
+     * row, opening the groups above it (and the InstancedMesh of an
+     * instance), and say where it is
+     * @param {Object|null} selection
+     */
+    showSelection(selection) {
+        this.selection = selection;
+        this.selectedObject = selection?.object ?? null;
+        if (!this.elements) return;
+
+        if (selection) {
+            const { object } = selection;
+            const instance = object.isInstancedMesh ? selection.index : null;
+            const opened = [];
+            const open = (node) => {
+                if (this.expandedItems.has(node.uuid)) return;
+                this.expandedItems.add(node.uuid);
+                opened.push(node);
+            };
+            for (let node = object.parent; node; node = node.parent) open(node);
+            if (instance !== null) open(object);
+            if (opened.length > 0 && this.query) this.rebuildRows();
+            else if (opened.length > 0) this.spliceRows(opened); // Only the topmost is listed yet - it brings the rest
+
+            // Instance rows follow their InstancedMesh's row (search results have none)
+            const row = this.rowIndex.get(object);
+            if (row !== undefined) this.scrollToRow(instance !== null && !this.query ? row + 1 + instance : row);
+        }
+        this.render();
+        this.renderSelectionInfo();
+    }
+
+    scrollToRow(i) {
+        const tree = this.elements.tree;
+        const top = i * ROW_HEIGHT;
+        if (top < tree.scrollTop || top + ROW_HEIGHT > tree.scrollTop + tree.clientHeight) {
+            tree.scrollTop = top - (tree.clientHeight - ROW_HEIGHT) / 2;
+        }
+    }
+
+    renderSelectionInfo() {
+        const info = this.elements?.info;
+        if (!info) return;
+        info.classList.toggle('hidden', !this.selection);
+        if (!this.selection) return;
+
+        const { name, object, index } = this.selection;
+        const { position, rotation, scale } = this.sceneController.selection.describe(this.selection);
+        const deg = (radians) => Math.round(radians * 180 / Math.PI);
+        const instance = index !== null
+            ? `<div class="selection-row"><span>Instance</span>#${index} of ${escapeHtml(object.name || object.type)}</div>`
+            : '';
+        info.innerHTML = `
+            <div class="selection-name">${escapeHtml(name)}</div>
+            ${instance}
+            <div class="selection-row"><span>Position</span>${position.toArray().map(v => v.toFixed(2)).join(', ')}</div>
+            <div class="selection-row"><span>Rotation</span>${deg(rotation.x)}°, ${deg(rotation.y)}°, ${deg(rotation.z)}°</div>
+            <div class="selection-row"><span>Scale</span>${scale.toArray().map(v => v.toFixed(2)).join(', ')}</div>
+        `;
+    }
+
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+function createRowElement() {
+    const element = document.createElement('div');
+    element.className = 'hierarchy-item';
+    element.innerHTML = `
+        <span class="expand-btn"></span><span class="item-icon"></span><span class="item-name"></span><span class="item-count"></span>
+    `.trim();
+    return element;
+}
+
+function objectName(object) {
+    if (object.isScene) return 'Scene';
+    return object.name || object.type;
+}
+
+function iconOf(object) {
+    if (object.isScene) return '🌍';
+    if (object.isCamera) return '📷';
+    if (object.isLight) return '💡';
+    if (object.isInstancedMesh) return '🌲';
+    if (object.isMesh) return '◼️';
+    if (object.isGroup) return '📁';
+    if (object.name.includes('Grid')) return '⊞';
+    return '📦';
 }
@@ -0,0 +1,295 @@
+/**
+ * Inspector.js - Properties of the selected object
+ *
+ * Shows whatever is selected (viewport click or Hierarchy row - see
+ * SelectionManager) and lets the student change it live:
+ * - transform: position, rotation (degrees) and scale
+ * - visibility, material color and, for the forest, the tree count
+ * - read-only stats: triangles, draw calls and GPU memory
+ * What can be edited depends on what's selected (see ObjectEditor).
+ *
+ * Every edit is one undo step - the field's value when editing started
+ * to its value when the field is left. Undo/Redo buttons, or Ctrl+Z /
+ * Ctrl+Y (main.js) when nobody is typing. A tree count step is the
+ * forest's, so it can be undone whatever became of the tree it was typed
+ * on; a step whose object has left the scene is skipped, with a log line.
+ *
+ * Values are re-read 4 times a second while something is selected, so a
+ * falling rigidbody or a wandering enemy shows where it is now. The field
+ * being typed in is left alone.
+ */
+
+import { ObjectEditor } from '../engine/ObjectEditor.js';
+import { formatBytes } from '../engine/ResourceTracker.js';
+
+const REFRESH_MS = 250;
+const MAX_HISTORY = 100;
+const AXES = ['x', 'y', 'z'];
+const DEG = 180 / Math.PI;
+
+export class Inspector {
+    constructor(panelManager, sceneController) {
+        this.panelManager = panelManager;
+        this.sceneController = sceneController;
+        this.editor = new ObjectEditor(sceneController);
+        this.panel = null;
+        this.elements = null;
+
+        this.selection = null;
+        this.pending = null;     // { selection, before } while a field is being edited
+        this.undoStack = [];     // { selection, name, before, after }
+        this.redoStack = [];
+        this.refreshInterval = null;
+    }
+
+    createPanel() {
+        const content = document.createElement('div');
+        content.className = 'inspector-wrapper';
+        content.innerHTML = `
+            <div class="inspector-toolbar">
+                <span class="inspector-name" id="inspector-name">Nothing selected</span>
+                <button class="hierarchy-btn" id="inspector-undo" title="Undo (Ctrl+Z)" disabled>↩</button>
+                <button class="hierarchy-btn" id="inspector-redo" title="Redo (Ctrl+Y)" disabled>↪</button>
+            </div>
+            <div class="inspector-empty" id="inspector-empty">Click an object in the viewport or the Hierarchy</div>
+            <div class="inspector-body hidden" id="inspector-body">
+                <div class="inspector-section">
+                    <div class="inspector-section-title">Transform</div>
+                    ${this.vectorRowHTML('position', 'Position', 0.1)}
+                    ${this.vectorRowHTML('rotation', 'Rotation', 5)}
+                    ${this.vectorRowHTML('scale', 'Scale', 0.1)}
+                </div>
+                <div class="inspector-section">
+                    <div class="inspector-section-title">Rendering</div>
+                    <label class="inspector-row"><span>Visible</span><input type="checkbox" data-field="visible"></label>
+                    <label class="inspector-row"><span>Color</span><input type="color" data-field="color"></label>
+                    <label class="inspector-row"><span>Instances</span><input type="number" data-field="count" min="0" step="1"></label>
+                </div>
+                <div class="inspector-section">
+                    <div class="inspector-section-title">Stats</div>
+                    <div class="inspector-row"><span>Triangles</span><span class="inspector-stat" id="inspector-triangles">-</span></div>
+                    <div class="inspector-row"><span>Draw calls</span><span class="inspector-stat" id="inspector-draws">-</span></div>
+                    <div class="inspector-row"><span>Memory</span><span class="inspector-stat" id="inspector-memory">-</span></div>
+                </div>
+            </div>
+        `;
+
+        const saved = this.panelManager.getSavedState('inspector-panel');
+        this.panel = this.panelManager.createPanel({
+            id: 'inspector-panel',
+            title: 'Inspector',
+            icon: '🔍',
+            x: saved?.x ?? window.innerWidth - 280,
+            y: saved?.y ?? 480,
+            width: saved?.width ?? 260,
+            height: saved?.height ?? 320,
+            minWidth: 220,
+            minHeight: 200,
+            content
+        });
+
+        this.elements = {
+            name: content.querySelector('#inspector-name'),
+            empty: content.querySelector('#inspector-empty'),
+            body: content.querySelector('#inspector-body'),
+            undo: content.querySelector('#inspector-undo'),
+            redo: content.querySelector('#inspector-redo'),
+            triangles: content.querySelector('#inspector-triangles'),
+            draws: content.querySelector('#inspector-draws'),
+            memory: content.querySelector('#inspector-memory')
+        };
+
+        // One listener for every field: 'input' applies live, 'change' ends the edit
+        content.addEventListener('input', (e) => {
+            const field = e.target.dataset.field;
+            if (field && field !== 'count') this.applyField(field);
+        });
+        content.addEventListener('change', (e) => {
+            const field = e.target.dataset.field;
+            if (!field) return;
+            this.applyField(field);
+            this.commitEdit(field);
+        });
+        this.elements.undo.addEventListener('click', () => this.undo());
+        this.elements.redo.addEventListener('click', () => this.redo());
+
+        return this.panel;
+    }
+
+    vectorRowHTML(field, label, step) {
+        return `
+            <div class="inspector-row">
+                <span>${label}</span>
+                <div class="inspector-vector">
+                    ${AXES.map((axis, i) => `<input type="number" step="${step}" data-field="${field}" data-axis="${i}" title="${axis}">`).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    // ========== SELECTION ==========
+
+    /**
+     * @param {Object|null} selection - From SelectionManager.onSelect
+     */
+    show(selection) {
+        if (this.pending && this.pending.selection !== selection) this.commitEdit('edit');
+        this.selection = selection;
+        this.elements.empty.classList.toggle('hidden', !!selection);
+        this.elements.body.classList.toggle('hidden', !selection);
+        this.elements.name.textContent = selection ? selection.name : 'Nothing selected';
+
+        if (selection) {
+            this.render(true);
+            if (!this.refreshInterval) this.refreshInterval = setInterval(() => this.render(), REFRESH_MS);
+        } else if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+    }
+
+    /**
+     * Fill the fields from the scene
+     * @param {boolean} [reset] - Also which fields are enabled (a new selection)
+     */
+    render(reset = false) {
+        const selection = this.selection;
+        if (!selection || this.panel?.style.display === 'none') return;
+        const state = this.editor.snapshot(selection);
+        const focused = document.activeElement;
+
+        if (reset) {
+            const can = this.editor.capabilities(selection);
+            this.fields('rotation').forEach((input, i) => { input.disabled = can.transform === 'entity' && i !== 1; });
+            this.fields('scale').forEach((input, i) => { input.disabled = can.transform === 'entity' && i !== 0; });
+            this.field('visible').disabled = !can.visible;
+            this.field('color').disabled = !can.color;
+            this.field('count').disabled = !can.count;
+            this.field('visible').title = can.visible ? '' : 'Instances are shown or hidden with their whole InstancedMesh';
+        }
+
+        const write = (input, value) => {
+            if (input !== focused) input.value = value;
+        };
+        this.fields('position').forEach((input, i) => write(input, round(state.position[i], 3)));
+        this.fields('rotation').forEach((input, i) => write(input, round(state.rotation[i] * DEG, 1)));
+        this.fields('scale').forEach((input, i) => write(input, round(state.scale[i], 3)));
+        this.field('visible').checked = state.visible;
+        write(this.field('color'), state.color ?? '#000000');
+        write(this.field('count'), state.count ?? '');
+
+        const stats = this.editor.stats(selection);
+        const note = stats.shared ? ' (shared)' : stats.batched ? ' (in a batch)' : '';
+        this.elements.triangles.textContent = stats.triangles.toLocaleString();
+        this.elements.draws.textContent = `${stats.drawCalls}${note}`;
+        this.elements.memory.textContent = `${formatBytes(stats.bytes)}${stats.shared ? ' (shared)' : ''}`;
+    }
+
+    field(name) {
+        return this.panel.querySelector(`[data-field="${name}"]`);
+    }
+
+    fields(name) {
+        return [...this.panel.querySelectorAll(`[data-field="${name}"]`)];
+    }
+
+    // ========== EDITING ==========
+
+    /**
+     * Apply a field to the scene (live, while it's being edited)
+     * @param {string} field - 'position' | 'rotation' | 'scale' | 'visible' | 'color' | 'count'
+     */
+    applyField(field) {
+        const selection = this.selection;
+        if (!selection) return;
+        if (!this.pending) this.pending = { selection, before: this.editor.snapshot(selection) };
+
+        if (field === 'visible') {
+            this.editor.setVisible(selection, this.field('visible').checked);
+        } else if (field === 'color') {
+            this.editor.setColor(selection, this.field('color').value);
+        } else if (field === 'count') {
+            const count = parseInt(this.field('count').value, 10);
+            if (Number.isFinite(count)) this.editor.setCount(selection, count);
+        } else {
+            const read = (name) => this.fields(name).map(input => parseFloat(input.value));
+            const transform = {
+                position: read('position'),
+                rotation: read('rotation').map(degrees => degrees / DEG),
+                scale: read('scale')
+            };
+            const values = [...transform.position, ...transform.rotation, ...transform.scale];
+            if (values.every(Number.isFinite)) this.editor.setTransform(selection, transform);
+        }
+    }
+
+    /**
+     * End the edit in progress: one undo step, if anything changed
+     */
+    commitEdit(field) {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return;
+        const after = this.editor.snapshot(pending.selection);
+        if (JSON.stringify(after) === JSON.stringify(pending.before)) return;
+
+        const entry = { selection: pending.selection, name: `${pending.selection.name} ${field}`, before: pending.before, after };
+        if (isCountEdit(entry)) entry.name = 'Tree count';
+        this.undoStack.push(entry);
+        if (this.undoStack.length > MAX_HISTORY) this.undoStack.shift();
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+
+    undo() {
+        return this.step(this.undoStack, this.redoStack, 'before', 'Undo');
+    }
+
+    redo() {
+        return this.step(this.redoStack, this.undoStack, 'after', 'Redo');
+    }
+
+    /**
+     * @returns {boolean} false if there was nothing to undo/redo
+     */
+    step(from, to, state, label) {
+        this.commitEdit('edit');
+        // A tree count edit is the forest's, whichever tree it was typed on,
+        // so it can always be put back. Other steps need their object.
+        let entry = from.pop();
+        while (entry && !isCountEdit(entry) && !this.sceneController.selection.isAlive(entry.selection)) {
+            console.log(`[Inspector] Can't ${label.toLowerCase()} ${entry.name}: ${entry.selection.name} is no longer in the scene`);
+            entry = from.pop();
+        }
+        if (!entry) {
+            this.updateHistoryButtons();
+            return false;
+        }
+        if (isCountEdit(entry)) {
+            this.editor.setCount(entry.selection, entry[state].count);
+        } else {
+            // Leave the count as it is now - it may have changed since
+            this.editor.restore(entry.selection, { ...entry[state], count: null });
+        }
+        to.push(entry);
+        console.log(`[Inspector] ${label}: ${entry.name}`);
+        if (entry.selection === this.selection) this.render();
+        this.updateHistoryButtons();
+        return true;
+    }
+
+    updateHistoryButtons() {
+        this.elements.undo.disabled = this.undoStack.length === 0;
+        this.elements.redo.disabled = this.redoStack.length === 0;
+        this.elements.undo.title = this.undoStack.length ? `Undo ${this.undoStack.at(-1).name} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        this.elements.redo.title = this.redoStack.length ? `Redo ${this.redoStack.at(-1).name} (Ctrl+Y)` : 'Redo (Ctrl+Y)';
+    }
+}
+
+function isCountEdit({ before, after }) {
+    return before.count !== after.count;
+}
+
+function round(value, digits) {
+    return Number(value.toFixed(digits));
+}
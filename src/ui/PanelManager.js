@@ -148,8 +148,9 @@ export class PanelManager {
                 panels: {
                     'code-editor-panel': { x: 0, y: 0, w: 0.32, h: 1 },
                     'viewport-panel': { x: 0.32, y: 0, w: 0.48, h: 1 },
-                    'profiler-panel': { x: 0.80, y: 0, w: 0.20, h: 0.50 },
-                    'hierarchy-panel': { x: 0.80, y: 0.50, w: 0.20, h: 0.50 }
+                    'profiler-panel': { x: 0.80, y: 0, w: 0.20, h: 0.40 },
+                    'hierarchy-panel': { x: 0.80, y: 0.40, w: 0.20, h: 0.28 },
+                    'inspector-panel': { x: 0.80, y: 0.68, w: 0.20, h: 0.32 }
                 }
             },
             codeFocus: {
@@ -157,8 +158,9 @@ export class PanelManager {
                 panels: {
                     'code-editor-panel': { x: 0, y: 0, w: 0.45, h: 1 },
                     'viewport-panel': { x: 0.45, y: 0, w: 0.40, h: 1 },
-                    'profiler-panel': { x: 0.85, y: 0, w: 0.15, h: 0.50 },
-                    'hierarchy-panel': { x: 0.85, y: 0.50, w: 0.15, h: 0.50 }
+                    'profiler-panel': { x: 0.85, y: 0, w: 0.15, h: 0.40 },
+                    'hierarchy-panel': { x: 0.85, y: 0.40, w: 0.15, h: 0.28 },
+                    'inspector-panel': { x: 0.85, y: 0.68, w: 0.15, h: 0.32 }
                 }
             },
             viewportFocus: {
@@ -167,13 +169,15 @@ export class PanelManager {
                     'code-editor-panel': { x: 0, y: 0.55, w: 0.30, h: 0.45 },
                     'viewport-panel': { x: 0, y: 0, w: 0.75, h: 0.55 },
                     'profiler-panel': { x: 0.75, y: 0, w: 0.25, h: 0.50 },
-                    'hierarchy-panel': { x: 0.75, y: 0.50, w: 0.25, h: 0.50 }
+                    'hierarchy-panel': { x: 0.75, y: 0.50, w: 0.25, h: 0.50 },
+                    'inspector-panel': { x: 0.30, y: 0.55, w: 0.45, h: 0.45 }
                 }
             },
             presentation: {
                 name: 'Presentation',
                 panels: {
                     'hierarchy-panel': { x: -1, y: -1, w: 0, h: 0, hidden: true },
+                    'inspector-panel': { x: -1, y: -1, w: 0, h: 0, hidden: true },
                     'code-editor-panel': { x: 0, y: 0, w: 0.35, h: 1 },
                     'viewport-panel': { x: 0.35, y: 0, w: 0.50, h: 1 },
                     'profiler-panel': { x: 0.85, y: 0, w: 0.15, h: 1 }
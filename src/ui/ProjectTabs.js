@@ -0,0 +1,215 @@
+/**
+ * ProjectTabs.js - File tabs and the file list for multi-file projects
+ *
+ * The code editor keeps one textarea; the tabs choose which file of the
+ * ScriptProject it shows (CodeEditor.openFile). The 📁 list beside the
+ * code holds every file of the project:
+ * - click a name to open it in a tab
+ * - ✎ renames, ✕ deletes (click twice), + adds a file
+ * Tabs mark files changed since loading (●) and files with errors.
+ */
+
+import { escapeHtml } from '../utils/html.js';
+
+export class ProjectTabs {
+    /**
+     * @param {CodeEditor} editor - Owns the project and the textarea
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.openTabs = [];       // File names with a tab, in tab order
+        this.listVisible = false;
+        this.editing = null;      // { mode: 'add'|'rename', name } while a name is typed in
+        this.confirming = null;   // File whose ✕ was clicked once
+
+        // DOM
+        this.tabBar = null;
+        this.fileList = null;
+        this.codeView = null;
+    }
+
+    /**
+     * @param {Object} elements - { tabBar, fileList, codeView: .code-editor the list pushes aside }
+     */
+    init({ tabBar, fileList, codeView }) {
+        this.tabBar = tabBar;
+        this.fileList = fileList;
+        this.codeView = codeView;
+
+        tabBar.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-action]');
+            if (!target) return;
+            const { action, file } = target.dataset;
+            if (action === 'files') this.setListVisible(!this.listVisible);
+            else if (action === 'close') this.close(file);
+            else if (action === 'open') this.editor.openFile(file);
+        });
+        fileList.addEventListener('click', (e) => this.onListClick(e));
+        fileList.addEventListener('keydown', (e) => this.onNameKeyDown(e));
+        fileList.addEventListener('focusout', (e) => {
+            if (e.target.matches('.project-file-input')) this.cancelEdit();
+        });
+        return this;
+    }
+
+    get project() {
+        return this.editor.project;
+    }
+
+    /**
+     * A project was loaded: one tab per file, list shown if there's more than one
+     */
+    load(project) {
+        this.openTabs = project.fileNames;
+        this.editing = null;
+        this.confirming = null;
+        this.setListVisible(project.isMultiFile);
+    }
+
+    /**
+     * Give a file a tab (if it hasn't one) - CodeEditor.openFile calls this
+     */
+    open(name) {
+        if (!this.openTabs.includes(name)) this.openTabs.push(name);
+        this.render();
+    }
+
+    close(name) {
+        if (this.openTabs.length === 1) return;
+        const index = this.openTabs.indexOf(name);
+        this.openTabs.splice(index, 1);
+        if (this.project.activeFile === name) {
+            this.editor.openFile(this.openTabs[Math.min(index, this.openTabs.length - 1)]);
+        } else {
+            this.render();
+        }
+    }
+
+    // ========== FILE LIST ==========
+
+    onListClick(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target || target.matches('.project-file-input')) return;
+        const { action, file } = target.dataset;
+
+        if (action !== 'delete') this.confirming = null;
+        if (action === 'open') {
+            this.editor.openFile(file);
+        } else if (action === 'add') {
+            this.startEdit('add', null);
+        } else if (action === 'rename') {
+            this.startEdit('rename', file);
+        } else if (action === 'delete') {
+            if (this.confirming !== file) {
+                this.confirming = file;
+                this.render();
+                return;
+            }
+            this.confirming = null;
+            this.editor.removeFile(file);
+        }
+    }
+
+    startEdit(mode, name) {
+        this.editing = { mode, name };
+        this.render();
+        const input = this.fileList.querySelector('.project-file-input');
+        input.focus();
+        input.setSelectionRange(0, input.value.length - '.cs'.length);
+    }
+
+    cancelEdit() {
+        if (!this.editing) return;
+        this.editing = null;
+        this.render();
+    }
+
+    onNameKeyDown(e) {
+        if (!e.target.matches('.project-file-input')) return;
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.cancelEdit();
+            return;
+        }
+        if (e.key !== 'Enter') return;
+        e.preventDefault();
+
+        let name = e.target.value.trim();
+        if (name && !name.endsWith('.cs')) name += '.cs';
+        const { mode, name: from } = this.editing;
+        const result = mode === 'add' ? this.editor.addFile(name) : this.editor.renameFile(from, name);
+        if (!result.success) {
+            this.editor.log('warning', `📁 ${result.message}`);
+            return;
+        }
+        this.editing = null;
+        this.render();
+    }
+
+    /**
+     * Renamed or removed files keep (or lose) their tabs
+     */
+    renameTab(from, to) {
+        this.openTabs = this.openTabs.map(name => name === from ? to : name);
+    }
+
+    removeTab(name) {
+        this.openTabs = this.openTabs.filter(tab => tab !== name);
+        if (this.openTabs.length === 0) this.openTabs = [this.project.activeFile];
+    }
+
+    setListVisible(visible) {
+        this.listVisible = visible;
+        this.fileList.style.display = visible ? '' : 'none';
+        this.codeView.style.left = visible ? `${this.fileList.offsetWidth}px` : '0';
+        this.render();
+    }
+
+    // ========== VIEW ==========
+
+    render() {
+        const project = this.project;
+        if (!project) return;
+        const broken = this.editor.filesWithErrors();
+
+        this.tabBar.innerHTML =
+            `<button class="project-tab project-files-toggle${this.listVisible ? ' active' : ''}" data-action="files" title="Show or hide the project's files">📁</button>` +
+            this.openTabs.map(name => {
+                const classes = ['project-tab'];
+                if (name === project.activeFile) classes.push('active');
+                if (broken.has(name)) classes.push('has-error');
+                const modified = project.isModified(name) ? '<span class="project-tab-modified" title="Changed">●</span>' : '';
+                const close = this.openTabs.length > 1
+                    ? `<span class="project-tab-close" data-action="close" data-file="${escapeHtml(name)}" title="Close tab">×</span>`
+                    : '';
+                return `<div class="${classes.join(' ')}" data-action="open" data-file="${escapeHtml(name)}">${escapeHtml(name)}${modified}${close}</div>`;
+            }).join('');
+
+        if (!this.listVisible) return;
+        const rows = project.fileNames.map(name => {
+            if (this.editing?.mode === 'rename' && this.editing.name === name) return this.nameInput(name);
+            const classes = ['project-file'];
+            if (name === project.activeFile) classes.push('active');
+            if (broken.has(name)) classes.push('has-error');
+            const file = escapeHtml(name);
+            const deleting = this.confirming === name;
+            return `
+                <div class="${classes.join(' ')}">
+                    <span class="project-file-name" data-action="open" data-file="${file}" title="Open ${file}">${file}</span>
+                    <button class="project-file-btn" data-action="rename" data-file="${file}" title="Rename">✎</button>
+                    <button class="project-file-btn${deleting ? ' confirm' : ''}" data-action="delete" data-file="${file}" title="${deleting ? 'Click again to delete' : 'Delete'}">${deleting ? '✕?' : '✕'}</button>
+                </div>`;
+        }).join('');
+
+        this.fileList.innerHTML =
+            `<div class="project-files-title">${escapeHtml(project.name)}</div>` +
+            rows +
+            (this.editing?.mode === 'add'
+                ? this.nameInput('NewScript.cs')
+                : '<button class="project-file-add" data-action="add" title="Add a .cs file">+ New file</button>');
+    }
+
+    nameInput(value) {
+        return `<input class="project-file-input" data-action="name" value="${escapeHtml(value)}" spellcheck="false" title="Enter to save, Esc to cancel">`;
+    }
+}
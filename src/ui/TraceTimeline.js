@@ -0,0 +1,135 @@
+/**
+ * TraceTimeline.js - Scrub back and forth through the last run
+ *
+ * A strip above the console that appears after every Run. Dragging the
+ * slider (or ◀ ▶, or the arrow keys on it) replays the execution trace:
+ * - the scene rewinds to what the script had built at that step
+ *   (CodeExecutor.seekTrace → TraceReplay)
+ * - the line is highlighted and the variables shown in the watch pane
+ *   (CodeDebugger.showSnapshot)
+ * ✕, Run, Debug or editing the code leaves the replay and puts the live
+ * scene back.
+ */
+
+export class TraceTimeline {
+    /**
+     * @param {CodeEditor} editor - Owns the executor, debugger and console
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.executor = editor.executor;
+        this.trace = null;
+        this.index = null;        // Entry on screen, null until the slider is moved
+        this.pendingIndex = null; // Seek waiting for the next animation frame
+        this.frame = null;
+
+        // DOM
+        this.element = null;
+        this.codeView = null;
+        this.slider = null;
+        this.label = null;
+    }
+
+    /**
+     * @param {Object} elements - { element: the strip, codeView: .code-editor it sits under }
+     */
+    init({ element, codeView }) {
+        this.element = element;
+        this.codeView = codeView;
+        element.innerHTML = `
+            <button class="editor-btn" data-action="back" title="Step back">◀</button>
+            <input type="range" class="trace-slider" min="0" max="0" value="0" title="Drag to replay the run">
+            <button class="editor-btn" data-action="forward" title="Step forward">▶</button>
+            <span class="trace-label"></span>
+            <button class="editor-btn" data-action="close" title="Back to the live scene">✕</button>
+        `;
+        this.slider = element.querySelector('.trace-slider');
+        this.label = element.querySelector('.trace-label');
+
+        this.slider.addEventListener('input', () => this.seek(Number(this.slider.value)));
+        element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'close') this.close();
+            else this.seek(Number(this.slider.value) + (button.dataset.action === 'back' ? -1 : 1));
+        });
+        return this;
+    }
+
+    /**
+     * Offer the trace of a run that just finished
+     * @param {Object|null} trace - From the run result (see TraceRecorder)
+     */
+    load(trace) {
+        this.close();
+        if (!trace || trace.entries.length === 0) return;
+
+        this.trace = trace;
+        const last = trace.entries.length - 1;
+        this.slider.max = String(last);
+        this.slider.value = String(last);
+        this.label.textContent = trace.truncated
+            ? `⏱️ First ${trace.entries.length} of ${trace.steps.toLocaleString()} steps recorded - drag to replay`
+            : `⏱️ ${trace.entries.length} steps recorded - drag to replay`;
+        this.setVisible(true);
+    }
+
+    /**
+     * Coalesced to one replay per animation frame - rebuilding the forest
+     * on every input event would stall a Chromebook while dragging
+     */
+    seek(index) {
+        if (!this.trace) return;
+        this.pendingIndex = Math.max(0, Math.min(this.trace.entries.length - 1, index));
+        this.slider.value = String(this.pendingIndex);
+        if (this.frame === null) {
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.show(this.pendingIndex);
+            });
+        }
+    }
+
+    show(index) {
+        if (!this.trace) return;
+        if (this.index === null && this.executor.behaviour) {
+            this.editor.log('info', '⏸️ Update() stopped while you replay - Run again to restart it');
+        }
+        const entry = this.executor.seekTrace(index);
+        if (!entry) return;
+        this.index = index;
+        this.editor.debugger.showSnapshot(entry, '⏱️');
+        this.label.textContent = this.describe(entry, index);
+    }
+
+    describe(entry, index) {
+        const count = this.trace.entries.length;
+        let text = `Step ${index + 1}/${count} · ${entry.file ? `${entry.file} ` : ''}line ${entry.line}`;
+        if (entry.kind === 'iteration') text += ` · loop pass ${entry.iteration}`;
+        if (entry.kind === 'end') text += ' · end of run';
+        else if (this.trace.truncated && index === count - 1) text += ' · recording stopped here';
+        return text;
+    }
+
+    /**
+     * Leave the replay: live scene back, strip hidden
+     */
+    close() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        if (this.index !== null) {
+            this.executor.endReplay();
+            this.editor.debugger.hideSnapshot();
+        }
+        this.trace = null;
+        this.index = null;
+        this.setVisible(false);
+    }
+
+    setVisible(visible) {
+        this.element.style.display = visible ? 'flex' : 'none';
+        this.codeView.style.bottom = `${120 + (visible ? this.element.offsetHeight : 0)}px`;
+    }
+}
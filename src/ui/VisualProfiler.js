@@ -12,9 +12,12 @@
  * - Graph updates every 2nd cycle
  */
 
+import { formatBytes } from '../engine/ResourceTracker.js';
+
 export class VisualProfiler {
     constructor(renderer = null) {
         this.renderer = renderer;
+        this.resourceTracker = null; // Script resources (see ResourceTracker)
         this.panelManager = null;
         this.panel = null;
         this.visible = true;
@@ -30,7 +33,8 @@ export class VisualProfiler {
         this.metrics = {
             fps: 60, frameTime: 16.67,
             memory: 0, drawCalls: 0,
-            triangles: 0, geometries: 0
+            triangles: 0, geometries: 0,
+            resourceBytes: 0, leaked: 0
         };
         
         // Circular buffer for FPS history (no shift = no GC)
@@ -43,6 +47,7 @@ export class VisualProfiler {
         
         // Update control
         this.updateInterval = null;
+        this.updateMs = 1000;       // Raised by the quality governor on slow machines
         this.graphUpdateCounter = 0;
         
         // Cached previous values (skip unchanged updates)
@@ -122,6 +127,8 @@ export class VisualProfiler {
                 <div class="profiler-stats-grid">
                     <div class="profiler-stat"><span class="stat-value" id="prof-triangles">0</span><span class="stat-label">Tris</span></div>
                     <div class="profiler-stat"><span class="stat-value" id="prof-geometries">0</span><span class="stat-label">Geo</span></div>
+                    <div class="profiler-stat"><span class="stat-value" id="prof-resources">0</span><span class="stat-label">Script Res</span></div>
+                    <div class="profiler-stat"><span class="stat-value" id="prof-leaks">0</span><span class="stat-label">Leaks</span></div>
                 </div>
             </div>
         `;
@@ -151,7 +158,9 @@ export class VisualProfiler {
             dcVal: document.getElementById('prof-dc-val'),
             dcBar: document.getElementById('prof-dc-bar'),
             triangles: document.getElementById('prof-triangles'),
-            geometries: document.getElementById('prof-geometries')
+            geometries: document.getElementById('prof-geometries'),
+            resources: document.getElementById('prof-resources'),
+            leaks: document.getElementById('prof-leaks')
         };
     }
 
@@ -171,11 +180,24 @@ export class VisualProfiler {
     }
 
     setRenderer(renderer) { this.renderer = renderer; }
+    setResourceTracker(tracker) { this.resourceTracker = tracker; }
 
     startUpdates() {
         if (this.updateInterval) return;
         // 1000ms interval - minimal overhead for N4000
-        this.updateInterval = setInterval(() => this.sampleMetrics(), 1000);
+        this.updateInterval = setInterval(() => this.sampleMetrics(), this.updateMs);
+    }
+
+    /**
+     * @param {number} ms - Time between samples (restarts them if running)
+     */
+    setUpdateRate(ms) {
+        if (ms === this.updateMs) return;
+        this.updateMs = ms;
+        if (this.updateInterval) {
+            this.stopUpdates();
+            this.startUpdates();
+        }
     }
 
     stopUpdates() {
@@ -213,6 +235,13 @@ export class VisualProfiler {
             this.metrics.geometries = info.memory?.geometries || 0;
         }
         
+        // Script resources: estimated bytes, and leaks
+        if (this.resourceTracker) {
+            const stats = this.resourceTracker.getStats();
+            this.metrics.resourceBytes = stats.bytes;
+            this.metrics.leaked = stats.leaked;
+        }
+        
         // Memory (Chrome only)
         if (performance.memory) {
             this.metrics.memory = Math.round(performance.memory.usedJSHeapSize / 1048576);
@@ -223,7 +252,7 @@ export class VisualProfiler {
 
     updateUI() {
         if (!this.elements.fps) return;
-        const { fps, memory, drawCalls, triangles, geometries } = this.metrics;
+        const { fps, memory, drawCalls, triangles, geometries, resourceBytes, leaked } = this.metrics;
         
         // Only update changed values
         if (this.prevValues.fps !== fps) {
@@ -255,6 +284,8 @@ export class VisualProfiler {
         
         this.elements.triangles.textContent = triangles > 1000 ? `${(triangles/1000).toFixed(1)}K` : triangles;
         this.elements.geometries.textContent = geometries;
+        this.elements.resources.textContent = formatBytes(resourceBytes);
+        this.elements.leaks.textContent = leaked > 0 ? `⚠️ ${leaked}` : leaked;
         
         // Graph every 3rd update (3 seconds) - reduce canvas overhead
         this.graphUpdateCounter++;
@@ -0,0 +1,12 @@
+/**
+ * html.js - Helpers for building panel markup from strings
+ */
+
+/**
+ * Make any value safe to put in element content or a quoted attribute
+ * @param {*} text - Coerced to a string
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
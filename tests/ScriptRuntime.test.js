@@ -0,0 +1,75 @@
+/**
+ * ScriptRuntime tests - run with `npm test` (node:test, no browser needed)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScriptRuntime } from '../src/engine/ScriptRuntime.js';
+
+function run(code) {
+    return new ScriptRuntime().run(code, { apply: false });
+}
+
+test('a finite nested loop over the step budget is not called infinite', () => {
+    const result = run([
+        'for (int x = 0; x < 200; x++) {',
+        '    for (int y = 0; y < 200; y++) {',
+        '        SpawnTree();',
+        '    }',
+        '}'
+    ].join('\n'));
+
+    assert.equal(result.steps, 100000);
+    assert.equal(result.diagnosis, null);
+    assert.equal(result.diagnostics.length, 1);
+    assert.match(result.errors[0], /ran more than 100,000 steps/);
+    assert.match(result.errors[0], /this for loop/);
+    assert.doesNotMatch(result.errors[0], /Infinite|never stop/);
+    assert.equal(result.diagnostics[0].line, 1);
+});
+
+test('a loop over its iteration limit is diagnosed as infinite', () => {
+    const result = run('int i = 0;\nwhile (i < 10) {\n    SpawnTree();\n}');
+
+    assert.match(result.errors[0], /Line 2: Infinite loop! while \(i < 10\) ran 10,000 times/);
+    assert.ok(result.diagnosis);
+    assert.equal(result.diagnosis.line, 2);
+});
+
+test('the spawned-trees hint only follows a budget stop that spawned trees', () => {
+    const stopped = run('while (true) {\n    SpawnTree();\n}');
+    assert.ok(stopped.errors.includes('💡 Spawned 10000 trees before it was stopped'));
+
+    const idle = run('int i = 0;\nwhile (true) {\n    i++;\n}');
+    assert.ok(!idle.errors.some(line => line.includes('Spawned')));
+
+    const failed = run('SpawnTree();\nint x = 0;\nx = 1 / x;');
+    assert.deepEqual(failed.errors, ['Line 3: Division by zero [ORB0002]']);
+});
+
+test('Debug.Log output is capped per run and per frame', () => {
+    const runtime = new ScriptRuntime();
+    const flood = runtime.run([
+        'for (int x = 0; x < 9000; x++) {',
+        '    for (int y = 0; y < 9000; y++) {',
+        '        Debug.Log(y);',
+        '    }',
+        '}'
+    ].join('\n'), { apply: false });
+    assert.equal(flood.logs.length, 101);
+    assert.match(flood.logs.at(-1).message, /^…[\d,]+ more lines$/);
+
+    const run = runtime.run([
+        'using Orbrya.Engine;',
+        'public class Chatty : ScenarioBase {',
+        '    void Update() {',
+        '        for (int i = 0; i < 50; i++) {',
+        '            Debug.Log(i);',
+        '        }',
+        '    }',
+        '}'
+    ].join('\n'));
+    const frame = runtime.update({ session: run.session, deltaTime: 0.016 });
+    assert.equal(frame.logs.length, 11);
+    assert.equal(frame.logs.at(-1).message, '…40 more lines');
+});
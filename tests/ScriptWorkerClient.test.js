@@ -0,0 +1,66 @@
+/**
+ * ScriptWorkerClient tests - a fake Worker that answers in order, after
+ * payload.ms, and never answers 'hang'
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+class FakeWorker {
+    static started = 0;
+
+    constructor() {
+        this.number = ++FakeWorker.started;
+        this.queue = [];
+        this.busy = false;
+        this.terminated = false;
+    }
+
+    postMessage(message) {
+        this.queue.push(message);
+        this.next();
+    }
+
+    next() {
+        if (this.busy || this.terminated || this.queue.length === 0) return;
+        const { id, type, payload } = this.queue.shift();
+        this.busy = true;
+        if (type === 'hang') return;
+        setTimeout(() => {
+            if (this.terminated) return;
+            this.busy = false;
+            this.onmessage({ data: { id, result: `${type} by worker ${this.number}` } });
+            this.next();
+        }, payload.ms ?? 5);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+globalThis.Worker = FakeWorker;
+const { ScriptWorkerClient, WorkerTimeoutError } = await import('../src/engine/ScriptWorkerClient.js');
+
+test('a frame queued behind a slow run is not timed out by it', async () => {
+    const client = new ScriptWorkerClient({ timeoutMs: 1000 });
+    const run = client.request('run', { ms: 200 });
+    const frame = client.request('update', { ms: 5 }, 50);
+
+    assert.equal(await run, 'run by worker 1');
+    assert.equal(await frame, 'update by worker 1');
+    assert.equal(client.restarts, 0);
+    client.terminate();
+});
+
+test('a request that times out fails alone; the queue moves to a fresh worker', async () => {
+    const client = new ScriptWorkerClient({ timeoutMs: 1000 });
+    const started = FakeWorker.started;
+    const hung = client.request('hang', {}, 50);
+    const validate = client.request('validate', { ms: 5 });
+
+    await assert.rejects(hung, WorkerTimeoutError);
+    assert.equal(await validate, `validate by worker ${started + 2}`);
+    assert.equal(client.restarts, 1);
+    client.terminate();
+});
@@ -56,6 +56,11 @@ export default defineConfig({
     chunkSizeWarningLimit: 500
   },
   
+  // Script worker (ScriptWorker.js) - module workers are fine on Chrome 90+
+  worker: {
+    format: 'es'
+  },
+  
   // Dev server
   server: {
     port: 3000,